@@ -14,6 +14,10 @@ const __dirname = path.dirname(__filename);
 
 // Import configurations and middleware
 import dbConnection from './src/config/database.js';
+import ingestionWorker from './src/utils/ingestionWorker.js';
+import recalculationWorker from './src/utils/recalculationWorker.js';
+import previewSweeper from './src/utils/previewSweeper.js';
+import boundaryService from './src/utils/boundaryService.js';
 import {
   globalErrorHandler,
   notFoundHandler,
@@ -23,6 +27,14 @@ import {
 
 // Import routes
 import dataRoutes from './src/routes/dataRoutes.js';
+import mappingTemplateRoutes from './src/routes/mappingTemplateRoutes.js';
+import uploadBatchRoutes from './src/routes/uploadBatchRoutes.js';
+import stationRoutes from './src/routes/stationRoutes.js';
+import trendRoutes from './src/routes/trendRoutes.js';
+import standardRoutes from './src/routes/standardRoutes.js';
+import formulaRoutes from './src/routes/formulaRoutes.js';
+import recalculationRoutes from './src/routes/recalculationRoutes.js';
+import calculatorRoutes from './src/routes/calculatorRoutes.js';
 
 // Handle uncaught exceptions and unhandled rejections
 handleUncaughtExceptions();
@@ -93,6 +105,7 @@ class Server {
         version: process.env.npm_package_version || '1.0.0',
         environment: process.env.NODE_ENV || 'development',
         database: dbHealth,
+        boundaries: boundaryService.getStatus(),
         uptime: process.uptime()
       });
     });
@@ -106,6 +119,14 @@ class Server {
         documentation: '/api/docs',
         endpoints: {
           data: '/api/data',
+          mappingTemplates: '/api/mapping-templates',
+          batches: '/api/batches',
+          stations: '/api/stations',
+          trends: '/api/trends',
+          standards: '/api/admin/standards',
+          formulas: '/api/admin/formulas',
+          recalculations: '/api/recalculations',
+          calculator: '/api/calculator',
           health: '/health'
         },
         timestamp: new Date()
@@ -119,6 +140,14 @@ class Server {
   setupRoutes() {
     // API routes
     this.app.use('/api/data', dataRoutes);
+    this.app.use('/api/mapping-templates', mappingTemplateRoutes);
+    this.app.use('/api/batches', uploadBatchRoutes);
+    this.app.use('/api/stations', stationRoutes);
+    this.app.use('/api/trends', trendRoutes);
+    this.app.use('/api/admin/standards', standardRoutes);
+    this.app.use('/api/admin/formulas', formulaRoutes);
+    this.app.use('/api/recalculations', recalculationRoutes);
+    this.app.use('/api/calculator', calculatorRoutes);
 
     // API Documentation endpoint
     this.app.get('/api/docs', (req, res) => {
@@ -132,7 +161,7 @@ class Server {
           health: {
             url: '/health',
             method: 'GET',
-            description: 'Check server health and database connection status'
+            description: 'Check server health, database connection status and the loaded state/district boundaries'
           },
           apiInfo: {
             url: '/api',
@@ -142,10 +171,217 @@ class Server {
           uploadData: {
             url: '/api/data/upload',
             method: 'POST',
-            description: 'Upload and process Excel file with pollution data',
+            description: 'Upload and process a spreadsheet file with pollution data',
             contentType: 'multipart/form-data',
             parameters: {
-              file: 'Excel file (.xlsx or .xls) containing pollution data'
+              file: 'Spreadsheet file (.xlsx, .xls, .ods, .csv or .tsv) containing pollution data. CSV and TSV files are streamed and may be up to MAX_FILE_SIZE (default: 10MB); workbooks are read into memory whole and are limited to MAX_WORKBOOK_FILE_SIZE (default: 5MB), larger ones are rejected with 413. Delimiter and text encoding of CSV/TSV files are detected automatically. Coordinates may be decimal degrees, degrees-minutes-seconds or UTM zone/easting/northing columns; latitude and longitude entered the wrong way round are swapped back (checked against the state) and flagged in qualityFlags.anomalies. Rows without coordinates are rejected. State and district are checked against the GeoJSON boundaries in BOUNDARY_STATES_FILE and BOUNDARY_DISTRICTS_FILE: missing names are filled in, mismatches are flagged in qualityFlags.anomalies and processing.boundaryCheck records the result (download the boundaries with npm run download-boundaries; without them the check is skipped and /health reports 0 boundaries). Optional Sampling Date (Excel dates, YYYY-MM-DD, day-first 15/05/2024 unless SAMPLE_DATE_ORDER=MDY, or month names like May 2024), Season, Campaign and Depth (meters, or feet when the header or value says ft) columns fill sampleInfo; a row without a season gets the IMD season of its sampling month.',
+              sheets: 'Sheets to ingest: "first" (default), "all", a JSON array or a comma-separated list of sheet names. The header row is detected per sheet.',
+              template: 'Name of a column mapping template to use instead of guessing columns from header names',
+              detectionLimitPolicy: 'Value used for metals reported below the detection limit ("<0.001", "BDL", "ND"): "zero", "half_lod" (default: DETECTION_LIMIT_POLICY or half_lod) or "lod". The qualifier and detection limit are stored with each value; "0.002*" is stored as an estimate.',
+              standardCategory: 'Heavy metal standards every index is calculated from: BIS, WHO, EPA, CPCB or Custom (default: STANDARD_CATEGORY or BIS). The category must have active standards; each record stores the category and version used in pollutionIndices.standardSet.',
+              exposureParameters: 'JSON overrides of the health risk exposure parameters, e.g. {"ageGroups":{"child":{"bodyWeight":20}},"pathways":["ingestion"]}. Per age group (adult, child or a new group): bodyWeight (kg), ingestionRate (L/day), exposureFrequency (days/year), exposureDuration (years), skinSurfaceArea (cm²) and exposureTime (hours/day); also pathways (ingestion, dermal), lifetime (years, default: 70) and conversionFactor (L/cm³, default: 0.001). Defaults are USEPA adult and child values. Values are bounded as for calculator scenarios (e.g. bodyWeight up to 500 kg, exposureTime up to 24 hours/day, exposureDuration and lifetime up to 120 years).',
+              async: 'Set to true to queue the file as a background ingestion job (responds 202 with a jobId); ingested right away when no ingestion worker is running',
+              uploadedBy: 'Name or email of the uploader, recorded on the upload batch',
+              replaceBatch: 'Id of a completed batch this corrected file replaces. Rows are matched on state, district, location, year, season and serial number; changed records keep their previous values in versionHistory and data.replacement reports added, changed and removed records.',
+              duplicates: 'What to do with rows that look like samples already stored (same location name or serial number, close by, same year, and no different season, sampling date or depth): "keep" (default, flag both), "skip" or "merge" (fill in missing values of the stored record). Every decision is recorded in qualityFlags.duplicateDecisions.',
+              duplicateDistance: 'Distance in meters within which two samples count as duplicates (default: DUPLICATE_DISTANCE_METERS or 50)',
+              duplicateYearWindow: 'Years apart two samples may be and still count as duplicates (default: DUPLICATE_YEAR_WINDOW or 0)'
+            },
+            response: 'data.batchId identifies the upload batch; data.processing.sheets breaks down totals, detected metals, unmapped headers and errors per sheet; data.errorReport links the downloadable report of every failed row; data.stations counts rows matched to stations and stations created. pollutionIndices.customIndices of each record holds the value, threshold category and formula version of every active formula configuration. pollutionIndices.healthRiskAssessment holds, per age group, the chronic daily intake, hazard quotient and cancer risk of each metal by pathway, the hazard index and the total cancer risk (As, Cd, Cr and Pb), with the exposure parameters and toxicity values used.'
+          },
+          previewUpload: {
+            url: '/api/data/upload/preview',
+            method: 'POST',
+            description: 'Dry-run an upload: parse the file and calculate indices without saving anything',
+            contentType: 'multipart/form-data',
+            parameters: {
+              file: 'Spreadsheet file, same formats as /api/data/upload',
+              sheets: 'Sheets to ingest, same as /api/data/upload',
+              template: 'Column mapping template name, same as /api/data/upload',
+              detectionLimitPolicy: 'Detection limit substitution, same as /api/data/upload',
+              standardCategory: 'Standard category, same as /api/data/upload',
+              exposureParameters: 'Health risk exposure parameters, same as /api/data/upload',
+              sampleSize: 'Number of computed sample records to return (default: 10, max: 100)',
+              duplicates: 'Duplicate policy to preview, same as /api/data/upload (also duplicateDistance and duplicateYearWindow)'
+            },
+            response: 'Detected metal columns, inferred units, location column mapping, sample computed records, possible duplicates, station matches (stationIds of stations that would be created are provisional), every row-level error and a `token` valid for UPLOAD_PREVIEW_TTL_MINUTES (default: 60). The file of a preview that is not committed in time is deleted by a periodic sweep (UPLOAD_PREVIEW_SWEEP_INTERVAL_MS, default: 15 minutes).'
+          },
+          commitUpload: {
+            url: '/api/data/upload/commit',
+            method: 'POST',
+            description: 'Save the records of a previewed upload without uploading the file again',
+            parameters: {
+              token: 'Token returned by /api/data/upload/preview',
+              async: 'Set to true to queue the commit as a background ingestion job',
+              replaceBatch: 'Id of a completed batch this previewed file replaces, same as /api/data/upload',
+              duplicates: 'Duplicate policy, same as /api/data/upload (also duplicateDistance and duplicateYearWindow)'
+            }
+          },
+          uploadTemplate: {
+            url: '/api/data/template',
+            method: 'GET',
+            description: 'Download an .xlsx upload template with the metals the server ingests, their units and State/Year dropdowns',
+            parameters: {
+              type: 'blank (default) or example, which adds sample rows below, near and above each standard',
+              standard: 'Preferred standard category for units and limits (WHO, EPA, BIS, CPCB, Custom). Default: STANDARD_CATEGORY or BIS'
+            }
+          },
+          ingestionJobs: {
+            url: '/api/data/jobs',
+            method: 'GET',
+            description: 'List background ingestion jobs, newest first',
+            parameters: {
+              status: 'Filter by status (queued, processing, completed, failed)',
+              page: 'Page number (default: 1)',
+              limit: 'Items per page (default: 10, max: 100)'
+            }
+          },
+          ingestionJob: {
+            url: '/api/data/jobs/:id',
+            method: 'GET',
+            description: 'Get status, progress (rows read so far, parsed, inserted, failed; files are ingested in chunks, so rows are counted as the file is read), row errors and final result of an ingestion job. Queued and interrupted jobs resume after a server restart; an interrupted replacement (replaceBatch) fails instead, since the batch it replaces may already be partly updated.'
+          },
+          uploadBatches: {
+            url: '/api/batches',
+            method: 'GET',
+            description: 'List upload batches (one per ingested file) with uploader, row counts and detected metals',
+            parameters: {
+              status: 'Filter by status (processing, completed, failed, rolled_back, replaced)',
+              fileName: 'Filter by original file name (partial match)',
+              uploadedBy: 'Filter by uploader (partial match)',
+              page: 'Page number (default: 1)',
+              limit: 'Items per page (default: 10, max: 100)'
+            }
+          },
+          uploadBatch: {
+            url: '/api/batches/:id',
+            method: 'GET',
+            description: 'Get an upload batch with its per-sheet breakdown, parse warnings and the number of records it still has'
+          },
+          uploadBatchErrorReport: {
+            url: '/api/batches/:id/error-report',
+            method: 'GET',
+            description: 'Download every failed row of an upload with its original values, row number, failure reason and suggested fix. Fix the rows and upload the report again (error columns are ignored; use sheets=all for multi-sheet .xlsx reports).',
+            parameters: {
+              format: 'xlsx (default, one sheet per source sheet) or csv'
+            }
+          },
+          rollbackUploadBatch: {
+            url: '/api/batches/:id/rollback',
+            method: 'POST',
+            description: 'Delete every record created by an upload batch in one operation. Values the batch merged into records of other batches (duplicates=merge) are removed again and their indices recalculated, unless they were changed since.',
+            body: {
+              rolledBackBy: 'Who is rolling the batch back (optional)',
+              reason: 'Reason for the rollback (optional)'
+            }
+          },
+          mappingTemplates: {
+            url: '/api/mapping-templates',
+            methods: ['GET', 'POST'],
+            description: 'List or create column mapping templates that map a lab\'s header names to location, coordinate, year, metal and unit fields',
+            body: {
+              name: 'Unique template name, used as the `template` upload parameter',
+              columns: 'Header names for name, state, district, latitude, longitude, year, date, season, campaign, depth and serialNumber (or utmZone, easting, northing and hemisphere for UTM coordinates)',
+              metals: 'Array of { metal, header, unit, detectionLimit } entries; detectionLimit applies to cells like "BDL" that do not state one',
+              environmentalHeaders: 'Headers kept as environmental parameters',
+              ignoredHeaders: 'Headers deliberately left out (not listed as unmapped)'
+            }
+          },
+          mappingTemplate: {
+            url: '/api/mapping-templates/:name',
+            methods: ['GET', 'PUT', 'DELETE'],
+            description: 'Get, replace or delete a column mapping template'
+          },
+          stations: {
+            url: '/api/stations',
+            methods: ['GET', 'POST'],
+            description: 'List or create sampling stations. Uploaded rows are linked to the station within STATION_MATCH_DISTANCE_METERS (default: 500) whose name or alias is the same or a close spelling; new spellings are added as aliases and unmatched rows get a new station (source "ingestion"). The link is stored in `station` and processing.stationMatch.',
+            parameters: {
+              page: 'Page number (default: 1)',
+              limit: 'Stations per page (default: 10)',
+              q: 'Search name, aliases and stationId',
+              state: 'Filter by state',
+              district: 'Filter by district',
+              stationType: 'well, borewell, river or handpump',
+              source: 'manual or ingestion (created for an unmatched upload row)',
+              active: 'true or false'
+            },
+            body: {
+              name: 'Canonical station name (required)',
+              aliases: 'Other spellings of the name',
+              latitude: 'Decimal degrees (required)',
+              longitude: 'Decimal degrees (required)',
+              stationType: 'well, borewell, river or handpump',
+              state: 'State',
+              district: 'District',
+              description: 'Notes'
+            }
+          },
+          station: {
+            url: '/api/stations/:id',
+            methods: ['GET', 'PUT', 'DELETE'],
+            description: 'Get (with record count, years and the spellings used by its records), update or delete a station by stationId (e.g. STN-3F9A1C2B) or database id. Stations with records cannot be deleted.'
+          },
+          mergeStations: {
+            url: '/api/stations/:id/merge',
+            method: 'POST',
+            description: 'Merge duplicate stations into this one: their names become aliases, their records are relinked and they are deleted',
+            body: {
+              stations: 'Array of stationIds or ids to merge'
+            }
+          },
+          assignStations: {
+            url: '/api/stations/assign',
+            method: 'POST',
+            description: 'Link stored records that have no station yet, the same way uploads are linked'
+          },
+          stationTimeSeries: {
+            url: '/api/stations/:id/timeseries',
+            method: 'GET',
+            description: 'Chronological history of every metal, environmental parameter and stored index at a station, ready to chart',
+            parameters: {
+              from: 'First year of the series, 1900 to next year (default: first sampled year)',
+              to: 'Last year of the series (default: last sampled year)'
+            },
+            response: 'years is the shared year axis and missingYears the years without any sample; series.metals (mg/L), series.environmentalParams and series.indices (hpi, nemerowIndex, pollutionLoadIndex, ecologicalRiskIndex) each hold points ({ year, value, count }, value null in gap years), gaps, min, max and trend ({ slope per year, changePercent, direction: increasing, decreasing, stable or insufficient data }). Several samples in one year are averaged.'
+          },
+          stationTrends: {
+            url: '/api/trends/stations/:id',
+            method: 'GET',
+            description: "Mann-Kendall trend test and Sen's slope of the yearly averages of every metal, environmental parameter and index at a station",
+            parameters: {
+              alpha: 'Significance level: 0.01, 0.05 or 0.1 (default: TREND_SIGNIFICANCE or 0.05)',
+              metal: 'Only analyze this metal (indices are always analyzed)'
+            },
+            response: 'Per series (metals in mg/L, environmentalParams, indices): Mann-Kendall s, z, two-sided pValue and Kendall tau, sensSlope (change per year), confidenceLevel (99%, 95% or 90%, the strictest passed), significant and direction (increasing, decreasing, no trend, or insufficient data below TREND_MIN_YEARS sampled years, default 4). worsening lists the metals and indices rising significantly.'
+          },
+          stationsTrends: {
+            url: '/api/trends/stations',
+            method: 'GET',
+            description: 'Trend analysis of every station, most worsening first',
+            parameters: {
+              page: 'Page number (default: 1)',
+              limit: 'Stations per page (default: 10)',
+              state: 'Filter by state',
+              district: 'Filter by district',
+              worsening: 'Set to "true" to list only stations with a significantly rising metal or index',
+              alpha: 'Significance level: 0.01, 0.05 or 0.1 (default: TREND_SIGNIFICANCE or 0.05)',
+              metal: 'Only analyze this metal (indices are always analyzed)'
+            },
+            response: 'Per station as in /api/trends/stations/:id; summary counts the stations analyzed and worsening.'
+          },
+          districtTrends: {
+            url: '/api/trends/districts',
+            method: 'GET',
+            description: 'Trend analysis of the yearly averages of all samples in each district',
+            parameters: {
+              page: 'Page number (default: 1)',
+              limit: 'Districts per page (default: 10)',
+              state: 'Filter by state',
+              district: 'Filter by district',
+              worsening: 'Set to "true" to list only districts with a significantly rising metal or index',
+              alpha: 'Significance level: 0.01, 0.05 or 0.1 (default: TREND_SIGNIFICANCE or 0.05)',
+              metal: 'Only analyze this metal (indices are always analyzed)'
             }
           },
           getData: {
@@ -162,9 +398,19 @@ class Server {
               maxHMPI: 'Maximum HMPI value',
               year: 'Filter by sample year',
               metal: 'Filter by specific metal presence',
+              dateFrom: 'Sampled on or after this date (YYYY-MM-DD)',
+              dateTo: 'Sampled on or before this date (YYYY-MM-DD)',
+              month: 'Sampling month(s), 1-12, comma separated',
+              season: 'Season(s): pre-monsoon, monsoon, post-monsoon, winter, comma separated',
+              campaign: 'Filter by sampling campaign',
+              minDepth: 'Minimum sampling depth in meters',
+              maxDepth: 'Maximum sampling depth in meters',
+              groupBy: 'Comma-separated group keys: year, month, season, campaign, depth',
+              depthBand: 'Depth band in meters when grouping by depth (default: 10)',
               sortBy: 'Sort field (default: createdAt)',
               sortOrder: 'Sort order: asc/desc (default: desc)'
-            }
+            },
+            response: 'With groupBy, records are ordered by group and `groups` holds the record count and average HMPI of every group.'
           },
           getDataById: {
             url: '/api/data/:id',
@@ -182,8 +428,53 @@ class Server {
               ne_lng: 'North-East corner longitude of the map bounding box.',
               sw_lat: 'South-West corner latitude of the map bounding box.',
               sw_lng: 'South-West corner longitude of the map bounding box.',
-              margin: 'Decimal degree margin to add to the bounding box (default: 0).'
-            }
+              margin: 'Decimal degree margin to add to the bounding box (default: 0).',
+              dateFrom: 'Sampled on or after this date (YYYY-MM-DD)',
+              dateTo: 'Sampled on or before this date (YYYY-MM-DD)',
+              month: 'Sampling month(s), 1-12, comma separated',
+              season: 'Season(s): pre-monsoon, monsoon, post-monsoon, winter, comma separated',
+              campaign: 'Filter by sampling campaign',
+              minDepth: 'Minimum sampling depth in meters',
+              maxDepth: 'Maximum sampling depth in meters',
+              groupBy: 'Comma-separated group keys: year, month, season, campaign, depth',
+              depthBand: 'Depth band in meters when grouping by depth (default: 10)'
+            },
+            response: 'With groupBy, groupedStats holds the count, average, minimum and maximum HMPI and unsafe count of every group (e.g. per year and season). hmpiTrend is the Mann-Kendall trend of the yearly average HMPI (see /api/trends/stations/:id).'
+          },
+          getTimeSeries: {
+            url: '/api/data/timeseries',
+            method: 'GET',
+            description: 'Chronological history of every metal, environmental parameter and stored index for all samples within a radius of a point',
+            parameters: {
+              lat: 'Latitude of the center (required)',
+              lng: 'Longitude of the center (required)',
+              radius: 'Radius in km, up to 100 (default: 5)',
+              from: 'First year of the series, 1900 to next year (default: first sampled year)',
+              to: 'Last year of the series (default: last sampled year)'
+            },
+            response: 'sources lists the stations (or location names) within the radius with their distance and sample count. years is the shared year axis and missingYears the years without any sample; series.metals (mg/L), series.environmentalParams and series.indices (hpi, nemerowIndex, pollutionLoadIndex, ecologicalRiskIndex) each hold points ({ year, value, count }, value null in gap years), gaps, min, max and trend ({ slope per year, changePercent, direction: increasing, decreasing, stable or insufficient data }). Several samples in one year are averaged.'
+          },
+          compareStandards: {
+            url: '/api/data/standards-comparison',
+            method: 'GET',
+            description: 'Assess a filtered set of records under every active standard category side by side',
+            parameters: {
+              categories: 'Comma-separated standard categories to compare (default: every category with active standards)',
+              disagreements: 'Set to true to list only records whose verdicts differ between categories',
+              filters: 'location, state, district, year and the sampling filters of /api/data (dateFrom, dateTo, month, season, campaign, minDepth, maxDepth)',
+              page: 'Page number (default: 1)',
+              limit: 'Records per page (default: 10, max: 100)'
+            },
+            response: 'Per record, the comparison matrix of /api/data/:id/standards-comparison. summary covers every matched record: assessed, compliant, nonCompliant, unsafeHPI and averageHPI per category, recordsWithDisagreements, disagreementsByField and compliancePatterns (how often each mix of compliance verdicts occurs, e.g. compliant under WHO but not under BIS).'
+          },
+          compareRecordStandards: {
+            url: '/api/data/:id/standards-comparison',
+            method: 'GET',
+            description: 'Assess one record under every active standard category side by side',
+            parameters: {
+              categories: 'Comma-separated standard categories to compare (default: every category with active standards)'
+            },
+            response: 'standardSets lists the category and version of each set. hpi (value and verdict), overallRisk and compliance (verdict and exceedingMetals) per category; metals holds the measured value (mg/L) and, per category, the limit, contamination factor and verdict (compliant, exceeds or no standard). disagreements lists every field whose verdicts differ between categories, and agree is true when there are none.'
           },
           deleteData: {
             url: '/api/data/:id',
@@ -210,10 +501,172 @@ class Server {
               'metals[<symbol>][min]': 'Minimum value for a specific heavy metal (e.g., metals[Fe][min]=1.0).',
               'metals[<symbol>][max]': 'Maximum value for a specific heavy metal (e.g., metals[As][max]=50).',
               'env[<param>][min]': 'Minimum value for an environmental parameter (e.g., env[pH][min]=6.5).',
-              'env[<param>][max]': 'Maximum value for an environmental parameter (e.g., env[pH][max]=8.5).'
+              'env[<param>][max]': 'Maximum value for an environmental parameter (e.g., env[pH][max]=8.5).',
+              dateFrom: 'Sampled on or after this date (YYYY-MM-DD)',
+              dateTo: 'Sampled on or before this date (YYYY-MM-DD)',
+              month: 'Sampling month(s), 1-12, comma separated',
+              season: 'Season(s): pre-monsoon, monsoon, post-monsoon, winter, comma separated',
+              campaign: 'Filter by sampling campaign',
+              minDepth: 'Minimum sampling depth in meters',
+              maxDepth: 'Maximum sampling depth in meters',
+              groupBy: 'Comma-separated group keys: year, month, season, campaign, depth; each feature (or grid cell, which is then split per group) gets properties.group',
+              depthBand: 'Depth band in meters when grouping by depth (default: 10)'
             },
             response: 'A GeoJSON FeatureCollection. If aggregate=true, each feature represents a grid cell with an `_id`, an averaged `value`, a `point_count`, and a `category` of "Aggregated".',
             note: 'The endpoint is limited to 2000 records for performance.'
+          },
+          standards: {
+            url: '/api/admin/standards',
+            methods: ['GET', 'POST'],
+            description: 'List or create heavy metal standards. Every change is kept as an immutable version with its author and reason, and the calculator picks it up immediately. Changes (POST, PUT, DELETE, activate and deactivate) need the ADMIN_API_TOKEN as "Authorization: Bearer <token>" or in the X-Admin-Token header, and are refused while ADMIN_API_TOKEN is not set.',
+            parameters: {
+              page: 'Page number (default: 1)',
+              limit: 'Standards per page (default: 10)',
+              category: 'WHO, EPA, BIS, CPCB or Custom',
+              metal: 'Metal symbol',
+              active: 'true or false'
+            },
+            body: {
+              author: 'Who makes the change (required for every change)',
+              reason: 'Why the change is made (required for every change)',
+              metal: 'Metal symbol (required)',
+              category: 'WHO, EPA, BIS, CPCB or Custom (default: BIS)',
+              standardValue: 'Permissible limit (required)',
+              unit: 'ppm, ppb, mg/L or μg/L (required)',
+              source: 'Source of the standard (required)',
+              fields: 'idealValue, weightage, backgroundConcentration, toxicResponseFactor, referenceDose, slopeFactor (oral cancer slope factor, carcinogens only), permeabilityCoefficient (dermal Kp, cm/h), gastrointestinalAbsorption (0-1), description, isActive'
+            }
+          },
+          standard: {
+            url: '/api/admin/standards/:id',
+            methods: ['GET', 'PUT', 'DELETE'],
+            description: 'Get, update or delete a heavy metal standard. PUT takes author, reason and the fields to change (metal and category cannot change); a change to a value used in the calculations raises the standard version. DELETE takes author and reason and keeps the history.'
+          },
+          standardActivation: {
+            url: '/api/admin/standards/:id/activate, /api/admin/standards/:id/deactivate',
+            method: 'POST',
+            description: 'Activate or deactivate a heavy metal standard',
+            body: {
+              author: 'Who makes the change (required)',
+              reason: 'Why the change is made (required)'
+            }
+          },
+          standardVersions: {
+            url: '/api/admin/standards/:id/versions, /api/admin/standards/:id/versions/:revision',
+            method: 'GET',
+            description: 'Version history of a heavy metal standard, also after deletion. Each version holds its revision, action (created, updated, activated, deactivated or deleted), configVersion, author, reason, changed fields and a full snapshot.'
+          },
+          standardDiff: {
+            url: '/api/admin/standards/:id/diff',
+            method: 'GET',
+            description: 'Fields that differ between two versions of a heavy metal standard',
+            parameters: {
+              from: 'Older revision (default: the revision before `to`)',
+              to: 'Newer revision (default: the latest)'
+            },
+            response: 'from and to describe the compared versions; changes lists { field, from, to } per changed field.'
+          },
+          formulas: {
+            url: '/api/admin/formulas',
+            methods: ['GET', 'POST'],
+            description: 'List or create formula configurations. Expressions are checked before they are saved; every change is kept as an immutable version with its author and reason. Changes need the admin token, as for standards.',
+            parameters: {
+              page: 'Page number (default: 1)',
+              limit: 'Formulas per page (default: 10)',
+              type: 'HMPI, contamination_factor, pollution_index or custom',
+              active: 'true or false'
+            },
+            body: {
+              author: 'Who makes the change (required for every change)',
+              reason: 'Why the change is made (required for every change)',
+              name: 'Unique name, the key of pollutionIndices.customIndices (required)',
+              formula: 'Expression (required)',
+              description: 'Description (required)',
+              fields: 'type, variables ({ name, description, unit, value }), thresholds ({ safe, mid, unsafe } ranges), isActive'
+            }
+          },
+          formula: {
+            url: '/api/admin/formulas/:id',
+            methods: ['GET', 'PUT', 'DELETE'],
+            description: 'Get, update or delete a formula configuration. PUT takes author, reason and the fields to change (the name cannot change); a change to the expression, type, variables or thresholds raises the version (1.0.0 to 1.1.0). DELETE takes author and reason and keeps the history.'
+          },
+          formulaActivation: {
+            url: '/api/admin/formulas/:id/activate, /api/admin/formulas/:id/deactivate',
+            method: 'POST',
+            description: 'Activate or deactivate a formula configuration',
+            body: {
+              author: 'Who makes the change (required)',
+              reason: 'Why the change is made (required)'
+            }
+          },
+          formulaVersions: {
+            url: '/api/admin/formulas/:id/versions, /api/admin/formulas/:id/versions/:revision',
+            method: 'GET',
+            description: 'Version history of a formula configuration, as for standards'
+          },
+          formulaDiff: {
+            url: '/api/admin/formulas/:id/diff',
+            method: 'GET',
+            description: 'Fields that differ between two versions of a formula configuration',
+            parameters: {
+              from: 'Older revision (default: the revision before `to`)',
+              to: 'Newer revision (default: the latest)'
+            }
+          },
+          recalculations: {
+            url: '/api/recalculations',
+            methods: ['GET', 'POST'],
+            description: 'Queue a background job that recalculates the stored indices (HPI, Nemerow, PLI, ERI, custom indices) of existing records with the current standards and formulas, or list jobs (GET takes page, limit and status). Records keep their own health risk exposure parameters, and their own standard category unless standardCategory is given; records the current standards cannot assess keep their values and are listed in recordErrors.',
+            body: {
+              batchId: 'Only records of this upload batch',
+              state: 'Only records of this state',
+              year: 'Only records of this sample year',
+              all: 'Set to true to recalculate every record (one of batchId, state, year or all is required)',
+              standardCategory: 'Recalculate under this standard category instead',
+              requestedBy: 'Who requested the recalculation (optional)',
+              reason: 'Reason for the recalculation (optional)'
+            },
+            response: '202 with the jobId and the number of matched records.'
+          },
+          recalculation: {
+            url: '/api/recalculations/:id',
+            method: 'GET',
+            description: 'Status and report of a recalculation job',
+            response: 'progress counts totalRecords, processed, updated, unchanged, failed and categoryChanged (records whose HMPI category changed); categoryChanges counts each transition, e.g. "Safe → Unsafe".'
+          },
+          recalculatedRecords: {
+            url: '/api/recalculations/:id/records',
+            method: 'GET',
+            description: 'Records changed by a recalculation job with their previous values (from recalculationHistory) next to their current values',
+            parameters: {
+              categoryChanged: 'Set to true to list only records whose HMPI category changed',
+              page: 'Page number (default: 1)',
+              limit: 'Records per page (default: 10, max: 100)'
+            }
+          },
+          assessScenario: {
+            url: '/api/calculator/assess',
+            method: 'POST',
+            description: 'What-if scoring: run the full assessment on ad hoc metal concentrations with the current standards and formulas. Nothing is stored.',
+            body: {
+              metals: 'Concentration per metal: a number, a lab value like "<0.001" or "BDL (0.5)", or { value, unit, detectionLimit } (required)',
+              unit: 'ppm, ppb, mg/L or μg/L (ug/L accepted) for values that do not state one (default: ppm)',
+              bodyWeight: 'kg (default: 70)',
+              waterIntake: 'L/day (default: 2)',
+              standardCategory: 'Standard category to assess under (default: STANDARD_CATEGORY or BIS)',
+              detectionLimitPolicy: 'zero, half_lod or lod for values below the detection limit (default: DETECTION_LIMIT_POLICY or half_lod)',
+              exposure: 'Health risk exposure parameters: { ageGroups: { adult: {...}, child: {...} }, pathways, lifetime, conversionFactor }, as exposureParameters of /api/data/upload. bodyWeight and waterIntake apply to adults unless exposure sets them.',
+              samples: 'For batch scoring: an array of up to 1000 samples, each with metals, an optional id and its own options (the options above apply to every sample). The body may also be a plain array of samples.'
+            },
+            response: 'One sample: the assessment (hpi, nemerowIndex, contaminationFactors, pollutionLoadIndex, geoaccumulationIndex, ecologicalRiskIndex, healthRiskIndex, healthRiskAssessment, customIndices, overallAssessment and calculationParameters), the inputs used and unassessedMetals (metals without a standard in the category). Batch: results holds { id, success, assessment or error } per sample (a failing sample does not fail the batch) and summary counts the samples scored and failed and the HPI levels.'
+          },
+          calculatorMetals: {
+            url: '/api/calculator/metals',
+            method: 'GET',
+            description: 'Metals with a standard in a category, with their permissible limit (mg/L), ideal value, weightage and whether a cancer slope factor is set',
+            parameters: {
+              standardCategory: 'Standard category (default: STANDARD_CATEGORY or BIS)'
+            }
           }
         },
         sampleExcelFormat: {
@@ -278,6 +731,20 @@ class Server {
     this.app.use(globalErrorHandler);
   }
 
+  /**
+   * Start the background workers
+   */
+  async startWorkers() {
+    // Pick up queued and interrupted ingestion jobs
+    await ingestionWorker.start();
+
+    // Pick up queued and interrupted index recalculations
+    await recalculationWorker.start();
+
+    // Remove the files of expired and abandoned upload previews
+    previewSweeper.start();
+  }
+
   /**
    * Initialize database connection for serverless environments.
    */
@@ -286,6 +753,12 @@ class Server {
       // Connect to database
       await dbConnection.connect();
       console.log('✅ Database connected for serverless function.');
+
+      // State and district polygons used to check uploaded locations
+      await boundaryService.load();
+
+      // Queued jobs are processed while the function instance is alive
+      await this.startWorkers();
       return this.app;
     } catch (error) {
       console.error('❌ Failed to initialize server for serverless function:', error);
@@ -301,6 +774,11 @@ class Server {
       // Connect to database first
       await dbConnection.connect();
 
+      // State and district polygons used to check uploaded locations
+      await boundaryService.load();
+
+      await this.startWorkers();
+
       // Start server
       const server = this.app.listen(this.port, () => {
         console.log(`🚀 Server running on port ${this.port}`);
@@ -317,6 +795,10 @@ class Server {
       const gracefulShutdown = async (signal) => {
         console.log(`\n🛑 Received ${signal}, shutting down gracefully...`);
         
+        ingestionWorker.stop();
+        recalculationWorker.stop();
+        previewSweeper.stop();
+
         server.close(async () => {
           console.log('📤 HTTP server closed');
           
@@ -1,9 +1,38 @@
-import { HeavyMetalStandard, FormulaConfig } from '../models/index.js';
+import { HeavyMetalStandard, FormulaConfig, ConfigVersion } from '../models/index.js';
+import configHistory from '../utils/configHistory.js';
+import hmpiCalculator from '../utils/hmpiCalculator.js';
 
 /**
  * Initial configuration data for the HMPI system
  */
 
+// Calculation parameters of each metal, the same under every standard category:
+// HPI weightage, crustal background concentration (Igeo), toxic response factor (ERI), oral reference dose (mg/kg/day),
+// and for the health risk assessment the dermal permeability coefficient (cm/h), gastrointestinal absorption
+// and, for the carcinogens As, Cd, Cr and Pb, the oral cancer slope factor ((mg/kg/day)⁻¹)
+export const metalCalculationParameters = {
+  AS: { weightage: 5, backgroundConcentration: 1.5, toxicResponseFactor: 10, referenceDose: 0.0003, slopeFactor: 1.5, permeabilityCoefficient: 0.001, gastrointestinalAbsorption: 1 },
+  CD: { weightage: 5, backgroundConcentration: 0.1, toxicResponseFactor: 30, referenceDose: 0.001, slopeFactor: 6.1, permeabilityCoefficient: 0.001, gastrointestinalAbsorption: 0.025 },
+  CR: { weightage: 4, backgroundConcentration: 100, toxicResponseFactor: 2, referenceDose: 0.003, slopeFactor: 0.5, permeabilityCoefficient: 0.002, gastrointestinalAbsorption: 0.025 },
+  CU: { weightage: 1, backgroundConcentration: 50, toxicResponseFactor: 5, referenceDose: 0.04, permeabilityCoefficient: 0.001, gastrointestinalAbsorption: 1 },
+  PB: { weightage: 5, backgroundConcentration: 20, toxicResponseFactor: 5, referenceDose: 0.0036, slopeFactor: 0.0085, permeabilityCoefficient: 0.0001, gastrointestinalAbsorption: 1 },
+  HG: { weightage: 5, backgroundConcentration: 0.08, toxicResponseFactor: 40, referenceDose: 0.0003, permeabilityCoefficient: 0.001, gastrointestinalAbsorption: 0.07 },
+  NI: { weightage: 2, backgroundConcentration: 75, toxicResponseFactor: 5, referenceDose: 0.02, permeabilityCoefficient: 0.0002, gastrointestinalAbsorption: 0.04 },
+  ZN: { weightage: 1, backgroundConcentration: 70, toxicResponseFactor: 1, referenceDose: 0.3, permeabilityCoefficient: 0.0006, gastrointestinalAbsorption: 1 },
+  FE: { weightage: 2, backgroundConcentration: 35000, toxicResponseFactor: 1, referenceDose: 0.7, permeabilityCoefficient: 0.001, gastrointestinalAbsorption: 1 },
+  U: { weightage: 4, backgroundConcentration: 2.7, toxicResponseFactor: 5, referenceDose: 0.003, permeabilityCoefficient: 0.001, gastrointestinalAbsorption: 1 },
+  MN: { weightage: 1, backgroundConcentration: 850, toxicResponseFactor: 1, referenceDose: 0.14, permeabilityCoefficient: 0.001, gastrointestinalAbsorption: 0.04 }
+};
+
+// Ideal value Iᵢ of the HPI quality rating (mg/L), stored in the unit of each standard; metals not listed have 0
+export const metalIdealValues = {
+  AS: 0.01,
+  CD: 0.003,
+  HG: 0.001,
+  NI: 0.02,
+  ZN: 5
+};
+
 // Default heavy metal standards (WHO/EPA guidelines)
 export const defaultHeavyMetalStandards = [
   {
@@ -269,6 +298,56 @@ export const defaultFormulaConfigs = [
   }
 ];
 
+/**
+ * HPI ideal value of a standard, in the unit of its standard value
+ */
+function idealValueFor(standard) {
+  const idealValue = metalIdealValues[standard.metal];
+  if (!idealValue) return 0;
+
+  const value = Number((idealValue / hmpiCalculator.normalizeToMgL(1, standard.unit)).toPrecision(12));
+  // An ideal value at or above the standard value would leave the quality rating undefined
+  return value < standard.standardValue ? value : 0;
+}
+
+/**
+ * Calculation parameters of a seeded standard
+ */
+function calculationParametersFor(standard) {
+  return { ...metalCalculationParameters[standard.metal], idealValue: idealValueFor(standard) };
+}
+
+/**
+ * Calculation parameters a stored standard does not have yet
+ */
+function missingCalculationParameters(standard) {
+  return Object.fromEntries(Object.entries(metalCalculationParameters[standard.metal] || {})
+    .filter(([field]) => standard[field] === undefined));
+}
+
+/**
+ * Give a stored standard its ideal value if it was seeded without one and no admin has changed it since,
+ * so HPI quality ratings keep the ideal values they were calculated with before standards were stored
+ */
+async function backfillIdealValue(standard) {
+  const idealValue = idealValueFor(standard);
+  if (standard.idealValue || !idealValue) return false;
+
+  const changed = await ConfigVersion.exists({
+    configType: 'HeavyMetalStandard',
+    configId: standard._id,
+    action: 'updated',
+    'changes.field': 'idealValue'
+  });
+  if (changed) return false;
+
+  await configHistory.update(standard, { idealValue }, {
+    author: 'system',
+    reason: 'HPI ideal value of the seeded standard'
+  });
+  return true;
+}
+
 /**
  * Initialize heavy metal standards in database
  */
@@ -284,11 +363,20 @@ export async function initializeHeavyMetalStandards() {
       });
       
       if (!existing) {
-        await HeavyMetalStandard.create(standard);
+        await HeavyMetalStandard.create({ ...calculationParametersFor(standard), ...standard });
         console.log(`Created WHO standard for ${standard.metal}`);
+      } else if (Object.keys(missingCalculationParameters(existing)).length > 0) {
+        // Seeded before (some of) the calculation parameters were stored
+        existing.set(missingCalculationParameters(existing));
+        await existing.save();
+        console.log(`Added calculation parameters to WHO standard for ${standard.metal}`);
       } else {
         console.log(`WHO standard for ${standard.metal} already exists`);
       }
+
+      if (existing && await backfillIdealValue(existing)) {
+        console.log(`Added the HPI ideal value to WHO standard for ${standard.metal}`);
+      }
     }
     
     // Initialize BIS standards
@@ -299,11 +387,20 @@ export async function initializeHeavyMetalStandards() {
       });
       
       if (!existing) {
-        await HeavyMetalStandard.create(standard);
+        await HeavyMetalStandard.create({ ...calculationParametersFor(standard), ...standard });
         console.log(`Created BIS standard for ${standard.metal}`);
+      } else if (Object.keys(missingCalculationParameters(existing)).length > 0) {
+        // Seeded before (some of) the calculation parameters were stored
+        existing.set(missingCalculationParameters(existing));
+        await existing.save();
+        console.log(`Added calculation parameters to BIS standard for ${standard.metal}`);
       } else {
         console.log(`BIS standard for ${standard.metal} already exists`);
       }
+
+      if (existing && await backfillIdealValue(existing)) {
+        console.log(`Added the HPI ideal value to BIS standard for ${standard.metal}`);
+      }
     }
     
     console.log('Heavy metal standards initialization completed');
@@ -373,9 +470,9 @@ export async function initializeAllConfigurations() {
 }
 
 /**
- * Update heavy metal standard
+ * Update heavy metal standard (recorded as a new version, see configHistory)
  */
-export async function updateHeavyMetalStandard(metal, newValue, updatedBy) {
+export async function updateHeavyMetalStandard(metal, newValue, updatedBy, reason = 'Standard value updated') {
   try {
     const standard = await HeavyMetalStandard.findOne({ metal: metal.toUpperCase() });
     
@@ -383,7 +480,10 @@ export async function updateHeavyMetalStandard(metal, newValue, updatedBy) {
       throw new Error(`Standard for metal ${metal} not found`);
     }
     
-    await standard.updateStandard(newValue, updatedBy);
+    await configHistory.update(standard, { standardValue: newValue }, {
+      author: String(updatedBy || 'system'),
+      reason
+    });
     
     return { 
       success: true, 
@@ -429,6 +529,8 @@ export async function getConfigurationSummary() {
 }
 
 export default {
+  metalCalculationParameters,
+  metalIdealValues,
   defaultHeavyMetalStandards,
   defaultFormulaConfigs,
   initializeHeavyMetalStandards,
@@ -0,0 +1,106 @@
+/**
+ * Indian states and union territories, as used for the State column of uploads
+ */
+export const indianStates = [
+  'Andhra Pradesh',
+  'Arunachal Pradesh',
+  'Assam',
+  'Bihar',
+  'Chhattisgarh',
+  'Goa',
+  'Gujarat',
+  'Haryana',
+  'Himachal Pradesh',
+  'Jharkhand',
+  'Karnataka',
+  'Kerala',
+  'Madhya Pradesh',
+  'Maharashtra',
+  'Manipur',
+  'Meghalaya',
+  'Mizoram',
+  'Nagaland',
+  'Odisha',
+  'Punjab',
+  'Rajasthan',
+  'Sikkim',
+  'Tamil Nadu',
+  'Telangana',
+  'Tripura',
+  'Uttar Pradesh',
+  'Uttarakhand',
+  'West Bengal',
+  'Andaman and Nicobar Islands',
+  'Chandigarh',
+  'Dadra and Nagar Haveli and Daman and Diu',
+  'Delhi',
+  'Jammu and Kashmir',
+  'Ladakh',
+  'Lakshadweep',
+  'Puducherry'
+];
+
+/**
+ * Approximate bounding boxes of the states and union territories, as [minLat, maxLat, minLng, maxLng].
+ * Coarse on purpose: they are used to spot coordinates entered in the wrong order, not to place samples.
+ */
+export const stateBounds = {
+  'Andhra Pradesh': [12.6, 19.9, 76.7, 84.8],
+  'Arunachal Pradesh': [26.6, 29.5, 91.5, 97.4],
+  'Assam': [24.1, 28.0, 89.7, 96.1],
+  'Bihar': [24.3, 27.6, 83.3, 88.3],
+  'Chhattisgarh': [17.8, 24.1, 80.2, 84.4],
+  'Goa': [14.9, 15.8, 73.6, 74.4],
+  'Gujarat': [20.1, 24.7, 68.1, 74.5],
+  'Haryana': [27.6, 31.0, 74.4, 77.6],
+  'Himachal Pradesh': [30.4, 33.3, 75.6, 79.0],
+  'Jharkhand': [21.9, 25.4, 83.3, 87.9],
+  'Karnataka': [11.5, 18.5, 74.0, 78.6],
+  'Kerala': [8.2, 12.8, 74.8, 77.5],
+  'Madhya Pradesh': [21.0, 26.9, 74.0, 82.8],
+  'Maharashtra': [15.6, 22.1, 72.6, 80.9],
+  'Manipur': [23.8, 25.7, 93.0, 94.8],
+  'Meghalaya': [25.0, 26.1, 89.8, 92.8],
+  'Mizoram': [21.9, 24.6, 92.2, 93.5],
+  'Nagaland': [25.2, 27.1, 93.3, 95.3],
+  'Odisha': [17.8, 22.6, 81.3, 87.5],
+  'Punjab': [29.5, 32.5, 73.8, 77.0],
+  'Rajasthan': [23.0, 30.2, 69.4, 78.3],
+  'Sikkim': [27.0, 28.2, 88.0, 88.9],
+  'Tamil Nadu': [8.0, 13.6, 76.2, 80.4],
+  'Telangana': [15.8, 19.9, 77.2, 81.8],
+  'Tripura': [22.9, 24.6, 91.1, 92.4],
+  'Uttar Pradesh': [23.8, 30.5, 77.0, 84.7],
+  'Uttarakhand': [28.7, 31.5, 77.5, 81.1],
+  'West Bengal': [21.5, 27.3, 85.8, 89.9],
+  'Andaman and Nicobar Islands': [6.7, 13.7, 92.2, 94.0],
+  'Chandigarh': [30.6, 30.8, 76.6, 76.9],
+  'Dadra and Nagar Haveli and Daman and Diu': [20.3, 20.8, 70.8, 73.3],
+  'Delhi': [28.4, 28.9, 76.8, 77.4],
+  'Jammu and Kashmir': [32.2, 35.1, 73.2, 76.8],
+  'Ladakh': [32.3, 36.0, 75.3, 80.4],
+  'Lakshadweep': [8.2, 12.4, 71.6, 74.0],
+  'Puducherry': [10.8, 16.8, 75.5, 82.3]
+};
+
+// Whole country, used when a sample has no recognised state
+export const indiaBounds = [6.5, 37.2, 68.0, 97.5];
+
+// Former and informal names found in older datasets
+export const stateAliases = {
+  'orissa': 'Odisha',
+  'pondicherry': 'Puducherry',
+  'uttaranchal': 'Uttarakhand',
+  'nct of delhi': 'Delhi',
+  'new delhi': 'Delhi',
+  'j&k': 'Jammu and Kashmir',
+  'andaman & nicobar islands': 'Andaman and Nicobar Islands',
+  'jammu & kashmir': 'Jammu and Kashmir'
+};
+
+export default {
+  indianStates,
+  stateBounds,
+  indiaBounds,
+  stateAliases
+};
\ No newline at end of file
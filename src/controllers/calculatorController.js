@@ -0,0 +1,47 @@
+import { asyncHandler } from '../middleware/errorHandler.js';
+import hmpiCalculator from '../utils/hmpiCalculator.js';
+import scenarioCalculator from '../utils/scenarioCalculator.js';
+
+/**
+ * @desc    Score ad hoc metal concentrations (one sample or a batch) without storing anything
+ * @route   POST /api/calculator/assess
+ * @access  Public
+ */
+export const assessScenario = asyncHandler(async (req, res, next) => {
+  const result = await scenarioCalculator.assess(req.body);
+
+  if (!result.batch) {
+    return res.status(200).json({
+      success: true,
+      data: result.assessment
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Scored ${result.summary.scored} of ${result.summary.total} samples`,
+    data: {
+      summary: result.summary,
+      results: result.results
+    }
+  });
+});
+
+/**
+ * @desc    List the metals the calculator can assess under a standard category
+ * @route   GET /api/calculator/metals
+ * @access  Public
+ */
+export const getCalculatorMetals = asyncHandler(async (req, res, next) => {
+  const category = req.query.standardCategory
+    ? hmpiCalculator.resolveStandardCategory(req.query.standardCategory)
+    : hmpiCalculator.standardCategory;
+  const metals = await hmpiCalculator.getAvailableMetals(category);
+
+  res.status(200).json({
+    success: true,
+    standardCategory: category,
+    count: metals.length,
+    data: metals
+  });
+});
\ No newline at end of file
@@ -1,11 +1,219 @@
-import { PollutionData } from '../models/index.js';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { PollutionData, UploadPreview, MappingTemplate, IngestionJob } from '../models/index.js';
 import { AppError, asyncHandler } from '../middleware/errorHandler.js';
-import ExcelParser from '../utils/excelParser.js';
+import { exposureSchema } from '../middleware/validation.js';
 import fileUploader from '../utils/fileUploader.js';
+import ingestionPipeline from '../utils/ingestionPipeline.js';
+import ingestionWorker from '../utils/ingestionWorker.js';
+import duplicateDetector from '../utils/duplicateDetector.js';
+import templateGenerator from '../utils/templateGenerator.js';
 import hmpiCalculator from '../utils/hmpiCalculator.js';
+import healthRiskAssessor from '../utils/healthRiskAssessor.js';
+import stationMatcher from '../utils/stationMatcher.js';
+import timeSeriesBuilder from '../utils/timeSeriesBuilder.js';
+import trendAnalyzer from '../utils/trendAnalyzer.js';
+import sampleInfoParser from '../utils/sampleInfoParser.js';
+import standardComparator from '../utils/standardComparator.js';
 
 /**
- * @desc    Upload and process Excel file with pollution data
+ * Helper function to read the sheet selection of an upload request.
+ * Accepts 'first' (default), 'all', a JSON array of sheet names or a
+ * comma-separated list of sheet names.
+ * @param {string|Array} value - The `sheets` form field.
+ * @returns {string|Array} Sheet selection understood by ExcelParser.
+ */
+const parseSheetSelection = (value) => {
+  if (!value) return 'first';
+  if (Array.isArray(value)) return value.map(name => String(name).trim());
+
+  const trimmed = String(value).trim();
+  if (trimmed === 'first' || trimmed === 'all') return trimmed;
+
+  if (trimmed.startsWith('[')) {
+    try {
+      const names = JSON.parse(trimmed);
+      if (Array.isArray(names)) return names.map(name => String(name).trim());
+    } catch (error) {
+      // Fall through to comma-separated parsing
+    }
+  }
+
+  return trimmed.split(',').map(name => name.trim()).filter(Boolean);
+};
+
+/**
+ * Helper function to build the ExcelParser options of an upload request.
+ * Resolves the `template` form field to a saved column mapping template
+ * and checks the `detectionLimitPolicy`, `standardCategory` and `exposureParameters` form fields.
+ * @param {object} body - The request body (multipart form fields).
+ * @returns {Promise<object>} Options for ExcelParser.processFile.
+ */
+const resolveParseOptions = async (body = {}) => {
+  const parseOptions = { sheets: parseSheetSelection(body.sheets) };
+
+  if (body.detectionLimitPolicy) {
+    const policy = String(body.detectionLimitPolicy).trim().toLowerCase();
+    if (!hmpiCalculator.detectionLimitPolicies.includes(policy)) {
+      throw new AppError(`detectionLimitPolicy must be one of: ${hmpiCalculator.detectionLimitPolicies.join(', ')}`, 400);
+    }
+    parseOptions.detectionLimitPolicy = policy;
+  }
+
+  if (body.standardCategory) {
+    parseOptions.standardCategory = hmpiCalculator.resolveStandardCategory(body.standardCategory);
+    // Fails early when the category has no active standards
+    await hmpiCalculator.getStandardSet(parseOptions.standardCategory);
+  }
+
+  // Exposure parameters of the health risk assessment, as JSON (e.g. {"ageGroups":{"child":{"bodyWeight":20}}})
+  if (body.exposureParameters) {
+    let overrides = body.exposureParameters;
+    if (typeof overrides === 'string') {
+      try {
+        overrides = JSON.parse(overrides);
+      } catch (error) {
+        throw new AppError('exposureParameters must be a JSON object', 400);
+      }
+    }
+    if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new AppError('exposureParameters must be a JSON object', 400);
+    }
+
+    // Same bounds as the exposure of what-if scenarios
+    const { error } = exposureSchema.validate(overrides, { abortEarly: false });
+    if (error) {
+      const messages = error.details.map(detail => detail.message.replace(/"/g, ''));
+      throw new AppError(`Invalid exposureParameters: ${messages.join('; ')}`, 400);
+    }
+    parseOptions.exposure = healthRiskAssessor.resolveParameters(overrides);
+  }
+
+  if (body.template) {
+    const template = await MappingTemplate.getActiveTemplate(String(body.template).trim());
+    if (!template) {
+      throw new AppError(`Mapping template '${body.template}' not found`, 404);
+    }
+    parseOptions.template = template.toObject();
+  }
+
+  return parseOptions;
+};
+
+/**
+ * Helper function to read who is uploading a file (free text until authentication exists).
+ * @param {object} req - Express request.
+ * @returns {string|undefined} The `uploadedBy` form field, if given.
+ */
+const getUploader = (req) => {
+  const uploadedBy = req.body?.uploadedBy;
+  return uploadedBy ? String(uploadedBy).trim().slice(0, 100) : undefined;
+};
+
+/**
+ * Helper function to read the batch a corrected file replaces.
+ * Checks up front that the batch exists and can be replaced.
+ * @param {object} req - Express request (`replaceBatch` form field or body property).
+ * @returns {Promise<string|undefined>} Id of the batch to replace, if given.
+ */
+const resolveReplaceBatch = async (req) => {
+  const replaceBatchId = req.body?.replaceBatch ? String(req.body.replaceBatch).trim() : undefined;
+
+  if (replaceBatchId) {
+    await ingestionPipeline.findReplaceableBatch(replaceBatchId);
+  }
+
+  return replaceBatchId;
+};
+
+/**
+ * Helper function to read the duplicate handling of an upload request.
+ * @param {object} body - The request body (`duplicates`, `duplicateDistance`, `duplicateYearWindow`).
+ * @returns {object} Resolved duplicate policy, distance in meters and year window.
+ */
+const resolveDuplicateOptions = (body = {}) => duplicateDetector.resolveOptions({
+  policy: body.duplicates,
+  distanceMeters: body.duplicateDistance,
+  yearWindow: body.duplicateYearWindow
+});
+
+/**
+ * Helper function to check whether the client asked for background processing.
+ * Without a running ingestion worker the upload is ingested right away, since a queued job would never run.
+ * @param {object} req - Express request (`async` may be a form field or query parameter).
+ * @returns {boolean} True when the upload should be queued as an ingestion job.
+ */
+const isAsyncRequest = (req) => {
+  const value = req.body?.async ?? req.query?.async;
+  return (value === true || String(value).toLowerCase() === 'true') && ingestionWorker.running;
+};
+
+/**
+ * Helper function to queue an uploaded file as a background ingestion job.
+ * The file stays on disk until the worker has processed it.
+ * @param {string} filePath - Path of the uploaded file.
+ * @param {object} fileMetadata - Metadata of the uploaded file.
+ * @param {object} parseOptions - Options for ExcelParser.processFile.
+ * @param {object} options - Job options.
+ * @param {string} options.uploadedBy - Who uploaded the file.
+ * @param {string} options.replaceBatchId - Batch the file replaces, if any.
+ * @param {object} options.duplicateOptions - Duplicate policy of the batch.
+ * @returns {Promise<object>} The created IngestionJob.
+ */
+const enqueueIngestionJob = async (filePath, fileMetadata, parseOptions, { uploadedBy, replaceBatchId, duplicateOptions } = {}) => {
+  const pendingJob = await IngestionJob.findOne({
+    'fileMetadata.hash': fileMetadata.hash,
+    status: { $in: ['queued', 'processing'] }
+  });
+
+  if (pendingJob) {
+    throw new AppError(`This file is already being processed by job ${pendingJob._id}`, 409);
+  }
+
+  const job = await IngestionJob.create({
+    filePath,
+    fileMetadata: {
+      originalName: fileMetadata.originalName,
+      filename: fileMetadata.filename,
+      size: fileMetadata.size,
+      mimeType: fileMetadata.mimeType,
+      extension: fileMetadata.extension,
+      hash: fileMetadata.hash
+    },
+    parseOptions,
+    uploadedBy,
+    replaceBatchId,
+    duplicateOptions
+  });
+
+  console.log(`📥 Queued ingestion job ${job._id} for ${fileMetadata.originalName}`);
+  ingestionWorker.notify();
+
+  return job;
+};
+
+/**
+ * Helper function to build the 202 response for a queued ingestion job.
+ * @param {object} job - The created IngestionJob.
+ * @returns {object} Response body.
+ */
+const buildJobAcceptedResponse = (job) => ({
+  success: true,
+  message: 'File queued for processing',
+  data: {
+    jobId: job._id,
+    status: job.status,
+    statusUrl: `/api/data/jobs/${job._id}`,
+    fileInfo: {
+      originalName: job.fileMetadata.originalName,
+      size: job.fileMetadata.size,
+      hash: job.fileMetadata.hash
+    }
+  }
+});
+
+/**
+ * @desc    Upload and process spreadsheet file (Excel, ODS, CSV or TSV) with pollution data
  * @route   POST /api/data/upload
  * @access  Public
  */
@@ -36,424 +244,411 @@ export const uploadPollutionData = asyncHandler(async (req, res, next) => {
 
     // Get file metadata
     const fileMetadata = await fileUploader.getFileMetadata(req.file);
+    await ingestionPipeline.assertFileNotProcessed(fileMetadata.hash);
 
-    // Check if file was already processed (by hash)
-    const existingData = await PollutionData.findOne({ 
-      'processing.fileHash': fileMetadata.hash 
-    });
+    const parseOptions = await resolveParseOptions(req.body);
+    const options = {
+      uploadedBy: getUploader(req),
+      replaceBatchId: await resolveReplaceBatch(req),
+      duplicateOptions: resolveDuplicateOptions(req.body)
+    };
 
-    if (existingData) {
-      await fileUploader.cleanupFile(filePath);
-      return next(new AppError('This file has already been processed', 409));
+    // Large files can be handed to the background worker instead
+    if (isAsyncRequest(req)) {
+      const job = await enqueueIngestionJob(filePath, fileMetadata, parseOptions, options);
+      return res.status(202).json(buildJobAcceptedResponse(job));
     }
 
-    // Parse Excel file
-    console.log('📊 Starting Excel file parsing...');
-    const parser = new ExcelParser();
-    const parseResult = await parser.processFile(filePath);
-    
-    console.log('📊 Parse result:', {
-      success: parseResult.success,
-      dataLength: parseResult.data?.length || 0,
-      error: parseResult.error || 'none'
-    });
+    const { response } = await ingestionPipeline.run(filePath, fileMetadata, parseOptions, options);
 
-    if (!parseResult.success) {
-      console.log('❌ File parsing failed:', parseResult.error);
-      await fileUploader.cleanupFile(filePath);
-      return next(new AppError(`File parsing failed: ${parseResult.error}`, 400));
-    }
+    // Clean up uploaded file
+    await fileUploader.cleanupFile(filePath);
+
+    res.status(201).json(response);
 
-    if (parseResult.data.length === 0) {
-      console.log('❌ No valid data found in file');
+  } catch (error) {
+    // Clean up file in case of error
+    try {
       await fileUploader.cleanupFile(filePath);
-      return next(new AppError('No valid data found in file', 400));
+    } catch (cleanupError) {
+      console.error('File cleanup failed:', cleanupError.message);
     }
+    
+    next(error);
+  }
+});
 
-    // Process each record
-    console.log(`🔄 Processing ${parseResult.data.length} records...`);
-    const processedRecords = [];
-    const processingErrors = [];
+/**
+ * @desc    Preview (dry-run) a spreadsheet upload without saving any records
+ * @route   POST /api/data/upload/preview
+ * @access  Public
+ */
+export const previewPollutionData = asyncHandler(async (req, res, next) => {
+  if (!req.file) {
+    return next(new AppError('No file uploaded', 400));
+  }
 
-    for (const record of parseResult.data) {
-      try {
-        console.log(`📝 Processing record ${record.rowNumber}:`, {
-          location: record.location?.name,
-          heavyMetalsCount: Object.keys(record.heavyMetals || {}).length,
-          sampleHeavyMetal: Object.entries(record.heavyMetals || {})[0],
-          environmentalParamsCount: Object.keys(record.environmentalParams || {}).length
-        });
-        // Validate record
-        const recordValidation = parser.validateRecord(record);
-        
-        // Convert to heavy metals map format expected by calculator
-        const heavyMetalsForCalculation = {};
-        for (const [metal, data] of Object.entries(record.heavyMetals)) {
-          heavyMetalsForCalculation[metal] = {
-            value: data.value,
-            unit: data.unit
-          };
-        }
+  const filePath = req.file.path;
+  const sampleSize = Math.min(Math.max(parseInt(req.body?.sampleSize) || 10, 1), 100);
 
-        // Calculate comprehensive pollution indices if heavy metals are present
-        let pollutionIndices = {};
-        if (Object.keys(heavyMetalsForCalculation).length > 0) {
-          try {
-            const assessment = hmpiCalculator.calculateComprehensiveAssessment(heavyMetalsForCalculation);
-            
-            pollutionIndices = {
-              // Primary HPI
-              hpi: {
-                value: assessment.hpi.value,
-                interpretation: assessment.hpi.interpretation,
-                metalCount: assessment.hpi.metalCount,
-                calculatedAt: new Date()
-              },
-              
-              // Nemerow Pollution Index
-              nemerowIndex: {
-                value: assessment.nemerowIndex.value,
-                interpretation: assessment.nemerowIndex.interpretation,
-                maxRatio: assessment.nemerowIndex.maxRatio,
-                meanRatio: assessment.nemerowIndex.meanRatio,
-                calculatedAt: new Date()
-              },
-              
-              // Pollution Load Index
-              pollutionLoadIndex: {
-                value: assessment.pollutionLoadIndex.value,
-                interpretation: assessment.pollutionLoadIndex.interpretation,
-                metalCount: assessment.pollutionLoadIndex.metalCount,
-                calculatedAt: new Date()
-              },
-              
-              // Ecological Risk Index
-              ecologicalRiskIndex: {
-                totalValue: assessment.ecologicalRiskIndex.totalValue,
-                interpretation: assessment.ecologicalRiskIndex.interpretation,
-                metalCount: assessment.ecologicalRiskIndex.metalCount,
-                calculatedAt: new Date()
-              },
-              
-              // Overall Assessment
-              overallAssessment: assessment.overallAssessment,
-              
-              // Individual metal details
-              metalAnalysis: {
-                contaminationFactors: assessment.contaminationFactors,
-                geoaccumulationIndex: assessment.geoaccumulationIndex,
-                healthRiskIndex: assessment.healthRiskIndex
-              },
-              
-              // Legacy HMPI for compatibility
-              hmpi: {
-                value: assessment.hpi.value,
-                category: assessment.hpi.interpretation.level,
-                metalCount: assessment.hpi.metalCount,
-                calculatedAt: new Date()
-              }
-            };
-            
-          } catch (calcError) {
-            console.warn(`Pollution indices calculation failed for record ${record.rowNumber}:`, calcError.message);
-            pollutionIndices = {
-              hmpi: {
-                value: null,
-                category: 'Unknown',
-                calculatedAt: new Date()
-              },
-              error: calcError.message
-            };
-          }
-        } else {
-          pollutionIndices = {
-            hmpi: {
-              value: null,
-              category: 'No Heavy Metals',
-              calculatedAt: new Date()
-            }
-          };
-        }
+  try {
+    // Validate uploaded file
+    const fileValidation = await fileUploader.validateFile(req.file);
+    if (!fileValidation.isValid) {
+      throw new AppError(fileValidation.errors.join(', '), 400);
+    }
 
-        // Create PollutionData document as plain object first
-        // Filter environmental params to exclude non-environmental data and ensure proper format
-        const environmentalParams = {};
-        if (record.environmentalParams) {
-          const validEnvParams = ['pH', 'EC', 'CO3', 'HCO3', 'Cl', 'F', 'SO4', 'NO3', 'PO4', 'Total Hardness', 'Ca', 'Mg', 'Na', 'K'];
-          for (const [key, value] of Object.entries(record.environmentalParams)) {
-            // Check if it's a valid environmental parameter and not metadata
-            if (validEnvParams.some(param => key.toLowerCase().includes(param.toLowerCase())) && 
-                typeof value === 'number' && !isNaN(value)) {
-              environmentalParams[key] = {
-                value: value,
-                unit: key.includes('pH') ? 'pH units' : 
-                      key.includes('EC') ? 'µS/cm' :
-                      key.includes('Hardness') ? 'mg/L as CaCO3' : 'mg/L'
-              };
-            }
-          }
-        }
+    const fileMetadata = await fileUploader.getFileMetadata(req.file);
+    await ingestionPipeline.assertFileNotProcessed(fileMetadata.hash);
+
+    const parseOptions = await resolveParseOptions(req.body);
+    const { parser, parseResult } = await ingestionPipeline.parseFile(filePath, parseOptions);
+    const { processedRecords, processingErrors } = ingestionPipeline.buildRecords(parseResult.data, fileMetadata, parser, {}, {
+      detectionLimitPolicy: parseOptions.detectionLimitPolicy,
+      exposure: parseOptions.exposure,
+      standardSet: await hmpiCalculator.getStandardSet(parseOptions.standardCategory),
+      formulas: await hmpiCalculator.getCustomFormulas()
+    });
 
-        const pollutionDataDoc = {
-          location: record.location,
-          coordinates: record.coordinates,
-          sampleInfo: record.sampleInfo,
-          heavyMetals: record.heavyMetals, // Keep as plain object initially
-          environmentalParams: environmentalParams,
-          pollutionIndices,
-          originalData: record.originalData,
-          processing: {
-            uploadedAt: new Date(),
-            fileName: fileMetadata.originalName,
-            fileHash: fileMetadata.hash,
-            processingStatus: 'processed',
-            processingErrors: recordValidation.errors.map(error => ({
-              field: 'validation',
-              message: error,
-              timestamp: new Date()
-            })),
-            lastCalculated: new Date()
-          },
-          qualityFlags: {
-            isValidated: recordValidation.isValid,
-            hasAnomalies: !recordValidation.isValid,
-            anomalies: recordValidation.errors,
-            confidence: recordValidation.isValid ? 1 : 0.5
-          }
-        };
-
-        processedRecords.push(pollutionDataDoc);
-        
-        if (processedRecords.length <= 3) {
-          console.log(`📋 Sample record ${processedRecords.length}:`, {
-            location: pollutionDataDoc.location,
-            coordinates: pollutionDataDoc.coordinates,
-            heavyMetalsCount: Object.keys(pollutionDataDoc.heavyMetals).length,
-            hmpiValue: pollutionDataDoc.pollutionIndices?.hmpi?.value
-          });
-        }
+    // Show which rows look like samples that are already stored
+    const { report: duplicates } = await duplicateDetector.resolve(processedRecords, resolveDuplicateOptions(req.body), {
+      fileName: fileMetadata.originalName
+    });
 
-      } catch (error) {
-        processingErrors.push({
-          rowNumber: record.rowNumber,
-          error: error.message
-        });
-      }
-    }
+    // Show which stations the rows would be linked to (nothing is created yet)
+    const stations = await stationMatcher.assignStations(processedRecords, { dryRun: true });
+
+    // Every row-level error, from parsing and from index calculation
+    const errors = [...parseResult.errors, ...processingErrors].map(error => ingestionPipeline.toRowError(error));
+
+    // Keep the file on disk so the commit call doesn't need it uploaded again
+    const ttlMinutes = parseInt(process.env.UPLOAD_PREVIEW_TTL_MINUTES) || 60;
+    const preview = await UploadPreview.create({
+      token: crypto.randomBytes(24).toString('hex'),
+      filePath,
+      fileMetadata: {
+        originalName: fileMetadata.originalName,
+        filename: fileMetadata.filename,
+        size: fileMetadata.size,
+        mimeType: fileMetadata.mimeType,
+        extension: fileMetadata.extension,
+        hash: fileMetadata.hash
+      },
+      parseOptions,
+      summary: {
+        totalRows: parseResult.metadata.totalRows,
+        processedRows: processedRecords.length,
+        errorRows: errors.length,
+        detectedMetals: parseResult.metadata.detectedMetals
+      },
+      expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+    });
 
-    // Save all records to database
-    console.log(`💾 Attempting to save ${processedRecords.length} records to database...`);
-    
-    // Test validation on first record
-    if (processedRecords.length > 0) {
-      console.log('🧪 Testing validation on first record...');
-      try {
-        const testDoc = new PollutionData(processedRecords[0]);
-        await testDoc.validate();
-        console.log('✅ First record validation passed');
-      } catch (validationError) {
-        console.log('❌ First record validation failed:', validationError.message);
-        console.log('📋 Validation errors:');
-        if (validationError.errors) {
-          Object.keys(validationError.errors).forEach(key => {
-            console.log(`  - ${key}: ${validationError.errors[key].message}`);
-          });
-        }
-        console.log('📋 First record structure (simplified):');
-        const simplified = {
-          location: processedRecords[0].location,
-          coordinates: processedRecords[0].coordinates,
-          heavyMetalsKeys: Object.keys(processedRecords[0].heavyMetals),
-          processingStatus: processedRecords[0].processing?.processingStatus
-        };
-        console.log(JSON.stringify(simplified, null, 2));
+    const units = {};
+    const columns = parseResult.metadata.sheets.map(sheet => {
+      const metalColumns = {};
+      for (const [metal, column] of Object.entries(sheet.metalColumns)) {
+        metalColumns[metal] = { header: column.originalHeader, unit: column.unit };
+        units[metal] = units[metal] || column.unit;
       }
-    }
-    
-    let savedRecords = [];
-    if (processedRecords.length > 0) {
-      console.log('🔬 Detailed debugging before insert:');
-      console.log('📊 processedRecords.length:', processedRecords.length);
-      console.log('📊 First record keys:', Object.keys(processedRecords[0]));
-      console.log('📊 First record location:', processedRecords[0].location);
-      console.log('📊 First record heavyMetals:', processedRecords[0].heavyMetals);
-      
-      try {
-        // Bulk insert all records at once
-        console.log(`💾 Attempting bulk insert of ${processedRecords.length} records...`);
-        
-        const insertResult = await PollutionData.insertMany(processedRecords, { 
-          ordered: false // Continue on error
-        });
-        
-        savedRecords = insertResult;
-        console.log(`✅ Successfully saved ${savedRecords.length} records to database`);
-        console.log('📊 Sample saved record ID:', savedRecords[0]?._id);
-        
-        // Double-check the actual count in database
-        const verifyCount = await PollutionData.countDocuments({
-          'processing.fileHash': fileMetadata.hash
-        });
-        console.log(`🔍 Database verification: ${verifyCount} records with this file hash`);
-        
-      } catch (insertError) {
-        console.log('❌ Database insert error:', insertError.message);
-        console.log('📋 Error details:', insertError);
-        
-        // Handle partial insert success
-        if (insertError.writeErrors) {
-          savedRecords = insertError.insertedDocs || [];
-          console.log(`⚠️ Partial success: ${savedRecords.length} records saved despite errors`);
-          console.log('📋 First few write errors:');
-          insertError.writeErrors.slice(0, 5).forEach((writeError, index) => {
-            console.log(`  ${index + 1}. ${writeError.err.message}`);
-            console.log(`      Code: ${writeError.err.code}`);
-            console.log(`      Index: ${writeError.index}`);
-          });
-          
-          // Log the full error for debugging
-          console.log('📋 Full insertError details:');
-          console.log(`  - writeErrors count: ${insertError.writeErrors.length}`);
-          console.log(`  - insertedDocs count: ${insertError.insertedDocs?.length || 0}`);
-          console.log(`  - nInserted: ${insertError.result?.nInserted || 'unknown'}`);
-          
-          // Verify actual count in database
-          console.log('🔍 Verifying actual database count...');
-          const actualCount = await PollutionData.countDocuments({
-            'processing.fileHash': fileMetadata.hash
-          });
-          console.log(`📊 Actual records in database: ${actualCount}`);
-          
-          if (actualCount === 0) {
-            console.log('❌ CRITICAL: No records actually saved despite insertedDocs reporting success');
-            console.log('🔍 Attempting single record insertion to diagnose...');
-            
-            try {
-              // Try to save just the first record to see what the real error is
-              const testRecord = await PollutionData.create(processedRecords[0]);
-              console.log('✅ Single record save successful:', testRecord._id);
-              
-              // If single save works, try smaller batches
-              console.log('🔄 Attempting batch insertion with smaller chunks...');
-              const batchSize = 100;
-              const batches = [];
-              
-              for (let i = 0; i < processedRecords.length; i += batchSize) {
-                batches.push(processedRecords.slice(i, i + batchSize));
-              }
-              
-              console.log(`📦 Split into ${batches.length} batches of ${batchSize} records each`);
-              
-              let totalSaved = 0;
-              for (let i = 0; i < batches.length; i++) { // Process all batches
-                try {
-                  const batchResult = await PollutionData.insertMany(batches[i], { ordered: false });
-                  totalSaved += batchResult.length;
-                  console.log(`✅ Batch ${i + 1}: ${batchResult.length} records saved`);
-                } catch (batchError) {
-                  console.log(`⚠️ Batch ${i + 1} had errors: ${batchError.message}`);
-                  if (batchError.insertedDocs) {
-                    totalSaved += batchError.insertedDocs.length;
-                  }
-                }
-              }
-              
-              savedRecords = [testRecord]; // At least we have one record
-              console.log(`🎯 Batch insertion test: ${totalSaved} records saved from first 3 batches`);
-              
-            } catch (singleError) {
-              console.log('❌ Single record save also failed:', singleError.message);
-              console.log('📋 Single record error details:', singleError);
-              
-              // Let's examine the actual record structure
-              console.log('🔍 Examining problematic record structure:');
-              console.log('📋 Keys:', Object.keys(processedRecords[0]));
-              console.log('📋 Location:', processedRecords[0].location);
-              console.log('📋 Heavy metals type:', typeof processedRecords[0].heavyMetals);
-              console.log('📋 Environmental params type:', typeof processedRecords[0].environmentalParams);
-              console.log('📋 Pollution indices:', processedRecords[0].pollutionIndices);
-            }
-          } else {
-            // Query some records to confirm they exist
-            const sampleRecords = await PollutionData.find({
-              'processing.fileHash': fileMetadata.hash
-            }).limit(5);
-            savedRecords = sampleRecords;
-            console.log(`✅ Found ${actualCount} records in database, using sample for response`);
-          }
-        } else if (insertError.insertedDocs) {
-          savedRecords = insertError.insertedDocs;
-          console.log(`⚠️ Partial success: ${savedRecords.length} records saved`);
-        } else {
-          // Try one record at a time to identify the issue
-          console.log('🔍 Trying single record insertion to identify issue...');
-          try {
-            const singleRecord = await PollutionData.create(processedRecords[0]);
-            console.log('✅ Single record save successful:', singleRecord._id);
-            savedRecords = [singleRecord];
-          } catch (singleError) {
-            console.log('❌ Single record save also failed:', singleError.message);
-            throw insertError; // Re-throw original error
-          }
-        }
+
+      const locationColumns = {};
+      for (const [field, column] of Object.entries(sheet.locationColumns)) {
+        locationColumns[field] = column.originalHeader;
       }
-    } else {
-      console.log('⚠️ No records to save to database');
-    }
 
-    // Clean up uploaded file
-    await fileUploader.cleanupFile(filePath);
+      return {
+        sheetName: sheet.sheetName,
+        headerRow: sheet.headerRow,
+        metalColumns,
+        locationColumns,
+        unmappedHeaders: sheet.unmappedHeaders,
+        missingHeaders: sheet.missingHeaders
+      };
+    });
 
-    // Prepare response
-    const response = {
+    res.status(200).json({
       success: true,
-      message: 'File processed successfully',
+      message: 'File previewed successfully. No records were saved.',
       data: {
+        token: preview.token,
+        expiresAt: preview.expiresAt,
         fileInfo: {
           originalName: fileMetadata.originalName,
           size: fileMetadata.size,
           hash: fileMetadata.hash,
-          processedAt: new Date()
+          format: parseResult.metadata.format,
+          encoding: parseResult.metadata.encoding,
+          delimiter: parseResult.metadata.delimiter
         },
         processing: {
-          totalRows: parseResult.metadata.totalRows,
-          processedRows: savedRecords.length,
-          errorRows: processingErrors.length,
+          ...preview.toObject().summary,
           detectedMetals: parseResult.metadata.detectedMetals,
-          metalColumns: parseResult.metadata.metalColumns
+          template: parseResult.metadata.template,
+          sheets: parseResult.metadata.sheetNames,
+          skippedSheets: parseResult.metadata.skippedSheets
+        },
+        columns,
+        units,
+        duplicates: {
+          ...duplicates,
+          details: duplicates.details.slice(0, 100)
         },
-        results: savedRecords.slice(0, 5).map(record => ({
-          id: record._id,
-          location: record.location.name,
+        stations,
+        sampleRecords: processedRecords.slice(0, sampleSize).map(record => ({
+          sheet: record.processing.sheetName,
+          location: record.location,
+          stationMatch: record.processing.stationMatch,
           coordinates: record.coordinates,
-          heavyMetals: Object.fromEntries(record.heavyMetals),
-          hmpi: record.pollutionIndices.hmpi?.value || null,
-          category: record.pollutionIndices.hmpi?.category || 'Unknown'
-        }))
+          sampleInfo: record.sampleInfo,
+          heavyMetals: record.heavyMetals,
+          environmentalParams: record.environmentalParams,
+          pollutionIndices: record.pollutionIndices,
+          qualityFlags: record.qualityFlags
+        })),
+        errors
       }
-    };
+    });
 
-    if (processingErrors.length > 0) {
-      response.warnings = {
-        message: `${processingErrors.length} rows had errors`,
-        errors: processingErrors.slice(0, 10) // Limit error details
-      };
-    }
+  } catch (error) {
+    await fileUploader.cleanupFile(filePath);
+    next(error);
+  }
+});
 
+/**
+ * @desc    Commit a previously previewed upload using its preview token
+ * @route   POST /api/data/upload/commit
+ * @access  Public
+ */
+export const commitPollutionData = asyncHandler(async (req, res, next) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return next(new AppError('Preview token is required', 400));
+  }
+
+  const preview = await UploadPreview.findActiveByToken(token);
+
+  if (!preview) {
+    return next(new AppError('Preview not found or expired', 404));
+  }
+
+  try {
+    await fs.access(preview.filePath);
+  } catch (error) {
+    await preview.deleteOne();
+    return next(new AppError('Previewed file is no longer available, please upload it again', 410));
+  }
+
+  const { fileMetadata } = preview.toObject();
+
+  // Checked before the preview is used, so a mistake in the request keeps the preview valid
+  await ingestionPipeline.assertFileNotProcessed(fileMetadata.hash);
+
+  const options = {
+    uploadedBy: getUploader(req),
+    replaceBatchId: await resolveReplaceBatch(req),
+    duplicateOptions: resolveDuplicateOptions(req.body)
+  };
+
+  // Hand the previewed file over to the background worker, which cleans it up
+  if (isAsyncRequest(req)) {
+    const job = await enqueueIngestionJob(preview.filePath, fileMetadata, preview.parseOptions, options);
+    await preview.deleteOne();
+    return res.status(202).json(buildJobAcceptedResponse(job));
+  }
+
+  // The preview is consumed as ingestion starts, so it cannot be committed twice
+  await preview.deleteOne();
+
+  try {
+    const { response } = await ingestionPipeline.run(preview.filePath, fileMetadata, preview.parseOptions, options);
     res.status(201).json(response);
 
   } catch (error) {
-    // Clean up file in case of error
-    try {
-      await fileUploader.cleanupFile(filePath);
-    } catch (cleanupError) {
-      console.error('File cleanup failed:', cleanupError.message);
-    }
-    
     next(error);
+
+  } finally {
+    await fileUploader.cleanupFile(preview.filePath);
+  }
+});
+
+/**
+ * @desc    Download an upload template built from the active standards
+ * @route   GET /api/data/template
+ * @access  Public
+ */
+export const downloadUploadTemplate = asyncHandler(async (req, res, next) => {
+  const { type = 'blank', standard } = req.query;
+
+  if (!['blank', 'example'].includes(type)) {
+    return next(new AppError('Template type must be blank or example', 400));
   }
+
+  // Without a standard the template prefers the default category
+  const category = standard ? hmpiCalculator.resolveStandardCategory(standard, 'standard') : undefined;
+
+  const template = await templateGenerator.generate({ example: type === 'example', category });
+
+  res.set({
+    'Content-Type': template.contentType,
+    'Content-Disposition': `attachment; filename="${template.fileName}"`
+  });
+  res.status(200).send(template.buffer);
 });
 
+/**
+ * @desc    List background ingestion jobs
+ * @route   GET /api/data/jobs
+ * @access  Public
+ */
+export const getIngestionJobs = asyncHandler(async (req, res, next) => {
+  const { status, page = 1, limit = 10 } = req.query;
+
+  const filter = {};
+  if (status) {
+    filter.status = status;
+  }
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+  const skip = (pageNum - 1) * limitNum;
+
+  const [jobs, totalCount] = await Promise.all([
+    IngestionJob.find(filter)
+      .select('-rowErrors -result')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum),
+    IngestionJob.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: jobs,
+    pagination: {
+      currentPage: pageNum,
+      totalPages: Math.ceil(totalCount / limitNum),
+      totalCount,
+      limit: limitNum
+    }
+  });
+});
+
+/**
+ * @desc    Get status, progress and row errors of a background ingestion job
+ * @route   GET /api/data/jobs/:id
+ * @access  Public
+ */
+export const getIngestionJobById = asyncHandler(async (req, res, next) => {
+  const job = await IngestionJob.findById(req.params.id);
+
+  if (!job) {
+    return next(new AppError('Ingestion job not found', 404));
+  }
+
+  const { totalRows, rowsParsed, rowsInserted, rowsFailed } = job.progress;
+  const percentComplete = job.status === 'completed'
+    ? 100
+    : rowsParsed > 0 ? Math.floor((rowsInserted / rowsParsed) * 100) : 0;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...job.toJSON(),
+      progress: { totalRows, rowsParsed, rowsInserted, rowsFailed, percentComplete }
+    }
+  });
+});
+
+/**
+ * Helper function to build filters on the sampling date, month, season, campaign and depth.
+ * It parses queries like:
+ * dateFrom=2023-03-01&dateTo=2023-05-31&season=pre-monsoon,post-monsoon&minDepth=30
+ * @param {object} queryParams - The req.query object.
+ * @returns {object} A MongoDB filter object.
+ */
+const buildSampleFilters = (queryParams) => {
+  const filter = {};
+  const { dateFrom, dateTo, month, season, campaign, minDepth, maxDepth } = queryParams;
+
+  if (dateFrom || dateTo) {
+    filter['sampleInfo.date'] = {};
+    for (const [operator, value] of [['$gte', dateFrom], ['$lte', dateTo]]) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (isNaN(date)) {
+        throw new AppError(`Invalid date '${value}', use YYYY-MM-DD`, 400);
+      }
+      filter['sampleInfo.date'][operator] = date;
+    }
+  }
+
+  if (month) {
+    const months = String(month).split(',').map(value => parseInt(value));
+    if (months.some(value => isNaN(value) || value < 1 || value > 12)) {
+      throw new AppError('month must be between 1 and 12', 400);
+    }
+    filter['sampleInfo.month'] = { $in: months };
+  }
+
+  if (season) {
+    const seasons = String(season).split(',').map(value => sampleInfoParser.parseSeason(value));
+    if (seasons.some(value => !value)) {
+      throw new AppError(`season must be one of: ${sampleInfoParser.seasons.join(', ')}`, 400);
+    }
+    filter['sampleInfo.season'] = { $in: seasons };
+  }
+
+  if (campaign) {
+    filter['sampleInfo.campaign'] = { $regex: campaign, $options: 'i' };
+  }
+
+  if (minDepth || maxDepth) {
+    filter['sampleInfo.depth'] = {};
+    if (minDepth) filter['sampleInfo.depth'].$gte = parseFloat(minDepth);
+    if (maxDepth) filter['sampleInfo.depth'].$lte = parseFloat(maxDepth);
+  }
+
+  return filter;
+};
+
+/**
+ * Helper function to build the group key of a groupBy query, e.g. groupBy=year,season.
+ * Depths are grouped in bands of depthBand meters (default: 10).
+ * @param {object} queryParams - The req.query object.
+ * @returns {object|null} Aggregation _id expression keyed by group field, null without groupBy.
+ */
+const buildGroupKey = (queryParams) => {
+  if (!queryParams.groupBy) return null;
+
+  const depthBand = parseFloat(queryParams.depthBand) || 10;
+  const expressions = {
+    year: '$sampleInfo.year',
+    month: '$sampleInfo.month',
+    season: '$sampleInfo.season',
+    campaign: '$sampleInfo.campaign',
+    depth: {
+      $cond: [
+        { $isNumber: '$sampleInfo.depth' },
+        { $multiply: [{ $floor: { $divide: ['$sampleInfo.depth', depthBand] } }, depthBand] },
+        null
+      ]
+    }
+  };
+
+  const groupKey = {};
+  for (const field of String(queryParams.groupBy).split(',').map(value => value.trim())) {
+    if (!expressions[field]) {
+      throw new AppError(`groupBy must be a comma-separated list of: ${Object.keys(expressions).join(', ')}`, 400);
+    }
+    groupKey[field] = expressions[field];
+  }
+
+  return groupKey;
+};
+
 /**
  * @desc    Get pollution data with filtering and pagination
  * @route   GET /api/data
@@ -475,7 +670,8 @@ export const getPollutionData = asyncHandler(async (req, res, next) => {
   } = req.query;
 
   // Build filter query
-  const filter = {};
+  const filter = buildSampleFilters(req.query);
+  const groupKey = buildGroupKey(req.query);
 
   if (location) {
     filter['location.name'] = { $regex: location, $options: 'i' };
@@ -506,8 +702,11 @@ export const getPollutionData = asyncHandler(async (req, res, next) => {
   // Calculate pagination
   const skip = (parseInt(page) - 1) * parseInt(limit);
   
-  // Build sort object
+  // Build sort object, keeping the records of a group together
   const sort = {};
+  for (const field of Object.keys(groupKey || {})) {
+    sort[`sampleInfo.${field}`] = 1;
+  }
   sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
   try {
@@ -521,12 +720,22 @@ export const getPollutionData = asyncHandler(async (req, res, next) => {
       .limit(parseInt(limit))
       .select('-originalData -__v');
 
+    // Record counts per group across all pages
+    const groups = groupKey
+      ? await PollutionData.aggregate([
+        { $match: filter },
+        { $group: { _id: groupKey, count: { $sum: 1 }, avgHMPI: { $avg: '$pollutionIndices.hmpi.value' } } },
+        { $sort: { _id: 1 } }
+      ])
+      : undefined;
+
     // Calculate pagination info
     const totalPages = Math.ceil(totalRecords / parseInt(limit));
 
     res.status(200).json({
       success: true,
       data: records,
+      ...(groups && { groups }),
       pagination: {
         currentPage: parseInt(page),
         totalPages,
@@ -577,7 +786,8 @@ export const getPollutionStats = asyncHandler(async (req, res, next) => {
   } = req.query;
 
   // Build filter
-  const filter = {};
+  const filter = buildSampleFilters(req.query);
+  const groupKey = buildGroupKey(req.query);
   if (state) filter['location.state'] = { $regex: state, $options: 'i' };
   if (year) filter['sampleInfo.year'] = parseInt(year);
 
@@ -631,12 +841,37 @@ export const getPollutionStats = asyncHandler(async (req, res, next) => {
       { $sort: { _id: 1 } }
     ]);
 
+    // Statistics per groupBy key, e.g. per year and season
+    const groupedStats = groupKey
+      ? await PollutionData.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: groupKey,
+            count: { $sum: 1 },
+            avgHMPI: { $avg: '$pollutionIndices.hmpi.value' },
+            minHMPI: { $min: '$pollutionIndices.hmpi.value' },
+            maxHMPI: { $max: '$pollutionIndices.hmpi.value' },
+            unsafeCount: { $sum: { $cond: [{ $eq: ['$pollutionIndices.hmpi.category', 'Unsafe'] }, 1, 0] } }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ])
+      : undefined;
+
     res.status(200).json({
       success: true,
       data: {
         categoryDistribution: categoryStats,
         metalStatistics: metalStats,
         yearlyTrends: yearlyStats,
+        // Mann-Kendall test of the yearly average HMPI
+        hmpiTrend: trendAnalyzer.analyze(
+          yearlyStats
+            .filter(stat => stat._id && stat.avgHMPI !== null)
+            .map(stat => ({ year: stat._id, value: stat.avgHMPI }))
+        ),
+        ...(groupedStats && { groupedStats }),
         generatedAt: new Date()
       }
     });
@@ -646,6 +881,169 @@ export const getPollutionStats = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * @desc    Get the yearly history of every metal, environmental parameter and index within a radius of a point
+ * @route   GET /api/data/timeseries
+ * @access  Public
+ */
+export const getTimeSeries = asyncHandler(async (req, res, next) => {
+  const { lat, lng, radius = 5 } = req.query;
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+  const radiusKm = parseFloat(radius);
+
+  if (isNaN(latitude) || isNaN(longitude) || latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+    return next(new AppError('lat and lng must be valid decimal degrees', 400));
+  }
+  if (isNaN(radiusKm) || radiusKm <= 0 || radiusKm > 100) {
+    return next(new AppError('radius must be between 0 and 100 km', 400));
+  }
+
+  const { from, to } = timeSeriesBuilder.resolveOptions(req.query);
+
+  // Uses the 2dsphere index on coordinates; $centerSphere takes the radius in radians (km / 6378.1 km equatorial radius)
+  const filter = {
+    coordinates: { $geoWithin: { $centerSphere: [[longitude, latitude], radiusKm / 6378.1] } }
+  };
+  if (from || to) {
+    filter['sampleInfo.year'] = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+  }
+
+  const records = await PollutionData.find(filter)
+    .select(`${timeSeriesBuilder.fields} processing.stationMatch`)
+    .sort({ 'sampleInfo.year': 1 })
+    .lean();
+
+  // Stations (or location names for records without one) contributing to the series
+  const sources = new Map();
+  for (const record of records) {
+    const key = record.processing?.stationMatch?.stationId || record.location?.name;
+    if (!sources.has(key)) {
+      sources.set(key, {
+        stationId: record.processing?.stationMatch?.stationId || null,
+        name: record.location?.name,
+        distanceMeters: Math.round(duplicateDetector.distanceBetween([longitude, latitude], record.coordinates.coordinates)),
+        sampleCount: 0
+      });
+    }
+    sources.get(key).sampleCount++;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      center: { latitude, longitude },
+      radiusKm,
+      sources: [...sources.values()].sort((a, b) => a.distanceMeters - b.distanceMeters),
+      ...timeSeriesBuilder.build(records, { from, to })
+    }
+  });
+});
+
+/**
+ * Helper function to describe a record in a standards comparison.
+ * @param {object} record - Lean PollutionData document.
+ * @returns {object} Id, location, sample information and station.
+ */
+const describeComparedRecord = (record) => ({
+  _id: record._id,
+  location: {
+    name: record.location?.name,
+    state: record.location?.state,
+    district: record.location?.district
+  },
+  sampleInfo: record.sampleInfo,
+  station: record.station || null
+});
+
+/**
+ * @desc    Assess a record under every active standard category side by side
+ * @route   GET /api/data/:id/standards-comparison
+ * @access  Public
+ */
+export const compareRecordStandards = asyncHandler(async (req, res, next) => {
+  const categories = await standardComparator.resolveCategories(req.query);
+  const record = await PollutionData.findById(req.params.id)
+    .select('location sampleInfo station heavyMetals processing.detectionLimitPolicy')
+    .lean();
+
+  if (!record) {
+    return next(new AppError('Pollution data record not found', 404));
+  }
+
+  const standardSets = await standardComparator.loadStandardSets(categories);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      record: describeComparedRecord(record),
+      categories,
+      standardSets: standardSets.map(standardSet => hmpiCalculator.describeStandardSet(standardSet)),
+      ...standardComparator.compare(record.heavyMetals, standardSets, {
+        detectionLimitPolicy: record.processing?.detectionLimitPolicy
+      })
+    }
+  });
+});
+
+/**
+ * @desc    Assess a filtered set of records under every active standard category side by side
+ * @route   GET /api/data/standards-comparison
+ * @access  Public
+ */
+export const compareStandards = asyncHandler(async (req, res, next) => {
+  const { location, state, district, year, disagreements } = req.query;
+  const { page, limit, skip } = req.pagination;
+
+  const categories = await standardComparator.resolveCategories(req.query);
+  const standardSets = await standardComparator.loadStandardSets(categories);
+
+  const filter = buildSampleFilters(req.query);
+  if (location) filter['location.name'] = { $regex: location, $options: 'i' };
+  if (state) filter['location.state'] = { $regex: state, $options: 'i' };
+  if (district) filter['location.district'] = { $regex: district, $options: 'i' };
+  if (year) filter['sampleInfo.year'] = parseInt(year);
+
+  // Records are streamed; the summary covers all of them, only the requested page is kept
+  const summary = standardComparator.createSummary(categories);
+  const data = [];
+  let matched = 0;
+
+  const cursor = PollutionData.find(filter)
+    .select('location sampleInfo station heavyMetals processing.detectionLimitPolicy')
+    .sort({ _id: 1 })
+    .lean()
+    .cursor();
+
+  for await (const record of cursor) {
+    const comparison = standardComparator.compare(record.heavyMetals, standardSets, {
+      detectionLimitPolicy: record.processing?.detectionLimitPolicy
+    });
+    standardComparator.addToSummary(summary, comparison);
+
+    if (disagreements === 'true' && comparison.agree) continue;
+
+    if (matched >= skip && matched < skip + limit) {
+      data.push({ record: describeComparedRecord(record), ...comparison });
+    }
+    matched++;
+  }
+
+  res.status(200).json({
+    success: true,
+    data,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(matched / limit),
+      totalCount: matched,
+      limit
+    },
+    categories,
+    standardSets: standardSets.map(standardSet => hmpiCalculator.describeStandardSet(standardSet)),
+    summary: standardComparator.finishSummary(summary)
+  });
+});
+
 /**
  * @desc    Delete pollution data record
  * @route   DELETE /api/data/:id
@@ -777,9 +1175,12 @@ export const getHeatmapData = asyncHandler(async (req, res, next) => {
     filter[`heavyMetals.${metric.toUpperCase()}`] = { $exists: true };
   }
 
-  // Build and merge dynamic filters for metals and env params
+  // Build and merge dynamic filters for metals, env params and sampling details
   const dynamicFilters = buildDynamicFilters(req.query);
-  filter = { ...filter, ...dynamicFilters };
+  filter = { ...filter, ...dynamicFilters, ...buildSampleFilters(req.query) };
+
+  // Optional grouping (e.g. by season), so one map layer can be drawn per group
+  const groupKey = buildGroupKey(req.query);
 
   if (aggregate === 'true') {
     // --- AGGREGATED DATA PIPELINE ---
@@ -808,7 +1209,8 @@ export const getHeatmapData = asyncHandler(async (req, res, next) => {
                 { $floor: { $divide: [{ $arrayElemAt: ['$coordinates.coordinates', 1] }, LATITUDE_WIDTH_CONST] } },
                 LATITUDE_WIDTH_CONST
               ]
-            }
+            },
+            ...(groupKey && { group: groupKey })
           },
           // Calculate the average value for the metric in each grid cell
           avgValue: { $avg: valueExpression }
@@ -829,7 +1231,8 @@ export const getHeatmapData = asyncHandler(async (req, res, next) => {
           properties: {
             value: '$avgValue',
             category: { $literal: 'Aggregated' },
-            point_count: '$pointCount'
+            point_count: '$pointCount',
+            ...(groupKey && { group: '$_id.group' })
           }
         }
       }
@@ -855,6 +1258,7 @@ export const getHeatmapData = asyncHandler(async (req, res, next) => {
             location: '$location.name',
             value: metric.toLowerCase() === 'hmpi' ? '$pollutionIndices.hmpi.value' : { $ifNull: [`$heavyMetals.${metric.toUpperCase()}.value`, null] },
             category: '$pollutionIndices.hmpi.category',
+            ...(groupKey && { group: groupKey })
           }
         }
       },
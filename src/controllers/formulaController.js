@@ -0,0 +1,197 @@
+import { FormulaConfig } from '../models/index.js';
+import { AppError, asyncHandler } from '../middleware/errorHandler.js';
+import configHistory from '../utils/configHistory.js';
+
+/**
+ * Helper function to load a formula configuration by id.
+ * @param {string} id - Formula configuration id from the URL.
+ * @returns {Promise<object>} Formula configuration document.
+ */
+const findFormula = async (id) => {
+  const formula = await FormulaConfig.findById(id);
+  if (!formula) {
+    throw new AppError('Formula configuration not found', 404);
+  }
+  return formula;
+};
+
+/**
+ * @desc    List formula configurations
+ * @route   GET /api/admin/formulas
+ * @access  Public
+ */
+export const getFormulas = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = req.pagination;
+  const { type, active } = req.query;
+
+  const filter = {};
+
+  if (type) {
+    filter.type = type;
+  }
+
+  if (active !== undefined) {
+    filter.isActive = active === 'true';
+  }
+
+  const [formulas, totalCount] = await Promise.all([
+    FormulaConfig.find(filter)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limit),
+    FormulaConfig.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: formulas,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(totalCount / limit),
+      totalCount,
+      limit
+    }
+  });
+});
+
+/**
+ * @desc    Get a formula configuration
+ * @route   GET /api/admin/formulas/:id
+ * @access  Public
+ */
+export const getFormula = asyncHandler(async (req, res, next) => {
+  const formula = await findFormula(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: formula
+  });
+});
+
+/**
+ * @desc    Create a formula configuration
+ * @route   POST /api/admin/formulas
+ * @access  Admin (ADMIN_API_TOKEN)
+ */
+export const createFormula = asyncHandler(async (req, res, next) => {
+  const { author, reason, ...fields } = req.body;
+  const { config, version } = await configHistory.create(FormulaConfig, fields, { author, reason });
+
+  res.status(201).json({
+    success: true,
+    message: 'Formula configuration created successfully',
+    data: config,
+    version
+  });
+});
+
+/**
+ * @desc    Update a formula configuration (the name cannot change)
+ * @route   PUT /api/admin/formulas/:id
+ * @access  Admin (ADMIN_API_TOKEN)
+ */
+export const updateFormula = asyncHandler(async (req, res, next) => {
+  const { author, reason, ...fields } = req.body;
+  const formula = await findFormula(req.params.id);
+  const { config, version } = await configHistory.update(formula, fields, { author, reason });
+
+  res.status(200).json({
+    success: true,
+    message: `Formula configuration updated to version ${config.version}`,
+    data: config,
+    version
+  });
+});
+
+/**
+ * @desc    Activate a formula configuration
+ * @route   POST /api/admin/formulas/:id/activate
+ * @access  Admin (ADMIN_API_TOKEN)
+ */
+export const activateFormula = asyncHandler(async (req, res, next) => {
+  const formula = await findFormula(req.params.id);
+  const { config, version } = await configHistory.setActive(formula, true, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Formula configuration activated successfully',
+    data: config,
+    version
+  });
+});
+
+/**
+ * @desc    Deactivate a formula configuration
+ * @route   POST /api/admin/formulas/:id/deactivate
+ * @access  Admin (ADMIN_API_TOKEN)
+ */
+export const deactivateFormula = asyncHandler(async (req, res, next) => {
+  const formula = await findFormula(req.params.id);
+  const { config, version } = await configHistory.setActive(formula, false, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Formula configuration deactivated successfully',
+    data: config,
+    version
+  });
+});
+
+/**
+ * @desc    Delete a formula configuration (its version history is kept)
+ * @route   DELETE /api/admin/formulas/:id
+ * @access  Admin (ADMIN_API_TOKEN)
+ */
+export const deleteFormula = asyncHandler(async (req, res, next) => {
+  const formula = await findFormula(req.params.id);
+  const version = await configHistory.remove(formula, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Formula configuration deleted successfully',
+    version
+  });
+});
+
+/**
+ * @desc    List the versions of a formula configuration
+ * @route   GET /api/admin/formulas/:id/versions
+ * @access  Public
+ */
+export const getFormulaVersions = asyncHandler(async (req, res, next) => {
+  const versions = await configHistory.getHistory('FormulaConfig', req.params.id);
+
+  res.status(200).json({
+    success: true,
+    count: versions.length,
+    data: versions
+  });
+});
+
+/**
+ * @desc    Get one version of a formula configuration
+ * @route   GET /api/admin/formulas/:id/versions/:revision
+ * @access  Public
+ */
+export const getFormulaVersion = asyncHandler(async (req, res, next) => {
+  const version = await configHistory.getRevision('FormulaConfig', req.params.id, req.params.revision);
+
+  res.status(200).json({
+    success: true,
+    data: version
+  });
+});
+
+/**
+ * @desc    Compare two versions of a formula configuration (?from=&to=, default: the latest change)
+ * @route   GET /api/admin/formulas/:id/diff
+ * @access  Public
+ */
+export const getFormulaDiff = asyncHandler(async (req, res, next) => {
+  const diff = await configHistory.compare('FormulaConfig', req.params.id, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: diff
+  });
+});
\ No newline at end of file
@@ -0,0 +1,96 @@
+import { MappingTemplate } from '../models/index.js';
+import { AppError, asyncHandler } from '../middleware/errorHandler.js';
+
+/**
+ * @desc    Create a column mapping template
+ * @route   POST /api/mapping-templates
+ * @access  Public
+ */
+export const createMappingTemplate = asyncHandler(async (req, res, next) => {
+  const template = await MappingTemplate.create(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Mapping template created successfully',
+    data: template
+  });
+});
+
+/**
+ * @desc    List column mapping templates
+ * @route   GET /api/mapping-templates
+ * @access  Public
+ */
+export const getMappingTemplates = asyncHandler(async (req, res, next) => {
+  const filter = {};
+  if (req.query.active !== undefined) {
+    filter.isActive = req.query.active === 'true';
+  }
+
+  const templates = await MappingTemplate.find(filter).sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: templates.length,
+    data: templates
+  });
+});
+
+/**
+ * @desc    Get a column mapping template by name
+ * @route   GET /api/mapping-templates/:name
+ * @access  Public
+ */
+export const getMappingTemplate = asyncHandler(async (req, res, next) => {
+  const template = await MappingTemplate.findOne({ name: req.params.name });
+
+  if (!template) {
+    return next(new AppError('Mapping template not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: template
+  });
+});
+
+/**
+ * @desc    Replace a column mapping template
+ * @route   PUT /api/mapping-templates/:name
+ * @access  Public
+ */
+export const updateMappingTemplate = asyncHandler(async (req, res, next) => {
+  const template = await MappingTemplate.findOneAndReplace(
+    { name: req.params.name },
+    req.body,
+    { new: true, runValidators: true }
+  );
+
+  if (!template) {
+    return next(new AppError('Mapping template not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Mapping template updated successfully',
+    data: template
+  });
+});
+
+/**
+ * @desc    Delete a column mapping template
+ * @route   DELETE /api/mapping-templates/:name
+ * @access  Public
+ */
+export const deleteMappingTemplate = asyncHandler(async (req, res, next) => {
+  const template = await MappingTemplate.findOneAndDelete({ name: req.params.name });
+
+  if (!template) {
+    return next(new AppError('Mapping template not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Mapping template deleted successfully'
+  });
+});
\ No newline at end of file
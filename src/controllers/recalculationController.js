@@ -0,0 +1,169 @@
+import { PollutionData, RecalculationJob, UploadBatch } from '../models/index.js';
+import { AppError, asyncHandler } from '../middleware/errorHandler.js';
+import hmpiCalculator from '../utils/hmpiCalculator.js';
+import indexRecalculator from '../utils/indexRecalculator.js';
+import recalculationWorker from '../utils/recalculationWorker.js';
+
+/**
+ * @desc    Queue a recalculation of the stored indices of a filtered set of records
+ * @route   POST /api/recalculations
+ * @access  Public
+ */
+export const createRecalculationJob = asyncHandler(async (req, res, next) => {
+  const { batchId, state, year, all, requestedBy, reason } = req.body;
+
+  let standardCategory;
+  if (req.body.standardCategory) {
+    standardCategory = hmpiCalculator.resolveStandardCategory(req.body.standardCategory);
+    // Fails early when the category has no active standards
+    await hmpiCalculator.getStandardSet(standardCategory);
+  }
+
+  if (batchId && !(await UploadBatch.exists({ _id: batchId }))) {
+    return next(new AppError('Upload batch not found', 404));
+  }
+
+  const filter = { batchId, state, year, all };
+  const totalRecords = await PollutionData.countDocuments(indexRecalculator.buildQuery(filter));
+
+  if (totalRecords === 0) {
+    return next(new AppError('No records match the recalculation filter', 400));
+  }
+
+  const job = await RecalculationJob.create({
+    filter,
+    standardCategory,
+    progress: { totalRecords },
+    requestedBy,
+    reason
+  });
+
+  console.log(`📥 Queued recalculation job ${job._id} for ${totalRecords} records`);
+  recalculationWorker.notify();
+
+  res.status(202).json({
+    success: true,
+    message: `Recalculation of ${totalRecords} records queued`,
+    data: {
+      jobId: job._id,
+      status: job.status,
+      statusUrl: `/api/recalculations/${job._id}`,
+      totalRecords
+    }
+  });
+});
+
+/**
+ * @desc    List recalculation jobs
+ * @route   GET /api/recalculations
+ * @access  Public
+ */
+export const getRecalculationJobs = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = req.pagination;
+
+  const filter = {};
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  const [jobs, totalCount] = await Promise.all([
+    RecalculationJob.find(filter)
+      .select('-recordErrors')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    RecalculationJob.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: jobs,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(totalCount / limit),
+      totalCount,
+      limit
+    }
+  });
+});
+
+/**
+ * @desc    Get status, progress and category changes of a recalculation job
+ * @route   GET /api/recalculations/:id
+ * @access  Public
+ */
+export const getRecalculationJob = asyncHandler(async (req, res, next) => {
+  const job = await RecalculationJob.findById(req.params.id);
+
+  if (!job) {
+    return next(new AppError('Recalculation job not found', 404));
+  }
+
+  const { totalRecords, processed } = job.progress;
+  const percentComplete = job.status === 'completed'
+    ? 100
+    : totalRecords > 0 ? Math.min(Math.floor((processed / totalRecords) * 100), 99) : 0;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...job.toJSON(),
+      progress: { ...job.toJSON().progress, percentComplete }
+    }
+  });
+});
+
+/**
+ * @desc    List the records a recalculation job changed, with their previous and current values
+ * @route   GET /api/recalculations/:id/records
+ * @access  Public
+ */
+export const getRecalculatedRecords = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = req.pagination;
+  const job = await RecalculationJob.findById(req.params.id).select('_id');
+
+  if (!job) {
+    return next(new AppError('Recalculation job not found', 404));
+  }
+
+  const entryFilter = { jobId: job._id };
+  if (req.query.categoryChanged === 'true') {
+    entryFilter.categoryChanged = true;
+  }
+  const filter = { recalculationHistory: { $elemMatch: entryFilter } };
+
+  const [records, totalCount] = await Promise.all([
+    PollutionData.find(filter)
+      .select('location sampleInfo.year sampleInfo.season pollutionIndices recalculationHistory')
+      .sort({ _id: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    PollutionData.countDocuments(filter)
+  ]);
+
+  const data = records.map(record => {
+    const entry = record.recalculationHistory.find(item => item.jobId.equals(job._id));
+    return {
+      _id: record._id,
+      location: record.location,
+      sampleInfo: record.sampleInfo,
+      recalculatedAt: entry.recalculatedAt,
+      changedFields: entry.changedFields,
+      categoryChanged: entry.categoryChanged,
+      previous: entry.previousValues,
+      current: indexRecalculator.summarize(record.pollutionIndices)
+    };
+  });
+
+  res.status(200).json({
+    success: true,
+    data,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(totalCount / limit),
+      totalCount,
+      limit
+    }
+  });
+});
\ No newline at end of file
@@ -0,0 +1,201 @@
+import { HeavyMetalStandard } from '../models/index.js';
+import { AppError, asyncHandler } from '../middleware/errorHandler.js';
+import configHistory from '../utils/configHistory.js';
+
+/**
+ * Helper function to load a heavy metal standard by id.
+ * @param {string} id - Standard id from the URL.
+ * @returns {Promise<object>} Standard document.
+ */
+const findStandard = async (id) => {
+  const standard = await HeavyMetalStandard.findById(id);
+  if (!standard) {
+    throw new AppError('Heavy metal standard not found', 404);
+  }
+  return standard;
+};
+
+/**
+ * @desc    List heavy metal standards
+ * @route   GET /api/admin/standards
+ * @access  Public
+ */
+export const getStandards = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = req.pagination;
+  const { category, metal, active } = req.query;
+
+  const filter = {};
+
+  if (category) {
+    filter.category = category;
+  }
+
+  if (metal) {
+    filter.metal = String(metal).toUpperCase();
+  }
+
+  if (active !== undefined) {
+    filter.isActive = active === 'true';
+  }
+
+  const [standards, totalCount] = await Promise.all([
+    HeavyMetalStandard.find(filter)
+      .sort({ category: 1, metal: 1 })
+      .skip(skip)
+      .limit(limit),
+    HeavyMetalStandard.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: standards,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(totalCount / limit),
+      totalCount,
+      limit
+    }
+  });
+});
+
+/**
+ * @desc    Get a heavy metal standard
+ * @route   GET /api/admin/standards/:id
+ * @access  Public
+ */
+export const getStandard = asyncHandler(async (req, res, next) => {
+  const standard = await findStandard(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: standard
+  });
+});
+
+/**
+ * @desc    Create a heavy metal standard
+ * @route   POST /api/admin/standards
+ * @access  Admin (ADMIN_API_TOKEN)
+ */
+export const createStandard = asyncHandler(async (req, res, next) => {
+  const { author, reason, ...fields } = req.body;
+  const { config, version } = await configHistory.create(HeavyMetalStandard, fields, { author, reason });
+
+  res.status(201).json({
+    success: true,
+    message: 'Heavy metal standard created successfully',
+    data: config,
+    version
+  });
+});
+
+/**
+ * @desc    Update the values of a heavy metal standard (metal and category cannot change)
+ * @route   PUT /api/admin/standards/:id
+ * @access  Admin (ADMIN_API_TOKEN)
+ */
+export const updateStandard = asyncHandler(async (req, res, next) => {
+  const { author, reason, ...fields } = req.body;
+  const standard = await findStandard(req.params.id);
+  const { config, version } = await configHistory.update(standard, fields, { author, reason });
+
+  res.status(200).json({
+    success: true,
+    message: `Heavy metal standard updated to version ${config.version}`,
+    data: config,
+    version
+  });
+});
+
+/**
+ * @desc    Activate a heavy metal standard
+ * @route   POST /api/admin/standards/:id/activate
+ * @access  Admin (ADMIN_API_TOKEN)
+ */
+export const activateStandard = asyncHandler(async (req, res, next) => {
+  const standard = await findStandard(req.params.id);
+  const { config, version } = await configHistory.setActive(standard, true, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Heavy metal standard activated successfully',
+    data: config,
+    version
+  });
+});
+
+/**
+ * @desc    Deactivate a heavy metal standard
+ * @route   POST /api/admin/standards/:id/deactivate
+ * @access  Admin (ADMIN_API_TOKEN)
+ */
+export const deactivateStandard = asyncHandler(async (req, res, next) => {
+  const standard = await findStandard(req.params.id);
+  const { config, version } = await configHistory.setActive(standard, false, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Heavy metal standard deactivated successfully',
+    data: config,
+    version
+  });
+});
+
+/**
+ * @desc    Delete a heavy metal standard (its version history is kept)
+ * @route   DELETE /api/admin/standards/:id
+ * @access  Admin (ADMIN_API_TOKEN)
+ */
+export const deleteStandard = asyncHandler(async (req, res, next) => {
+  const standard = await findStandard(req.params.id);
+  const version = await configHistory.remove(standard, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Heavy metal standard deleted successfully',
+    version
+  });
+});
+
+/**
+ * @desc    List the versions of a heavy metal standard
+ * @route   GET /api/admin/standards/:id/versions
+ * @access  Public
+ */
+export const getStandardVersions = asyncHandler(async (req, res, next) => {
+  const versions = await configHistory.getHistory('HeavyMetalStandard', req.params.id);
+
+  res.status(200).json({
+    success: true,
+    count: versions.length,
+    data: versions
+  });
+});
+
+/**
+ * @desc    Get one version of a heavy metal standard
+ * @route   GET /api/admin/standards/:id/versions/:revision
+ * @access  Public
+ */
+export const getStandardVersion = asyncHandler(async (req, res, next) => {
+  const version = await configHistory.getRevision('HeavyMetalStandard', req.params.id, req.params.revision);
+
+  res.status(200).json({
+    success: true,
+    data: version
+  });
+});
+
+/**
+ * @desc    Compare two versions of a heavy metal standard (?from=&to=, default: the latest change)
+ * @route   GET /api/admin/standards/:id/diff
+ * @access  Public
+ */
+export const getStandardDiff = asyncHandler(async (req, res, next) => {
+  const diff = await configHistory.compare('HeavyMetalStandard', req.params.id, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: diff
+  });
+});
\ No newline at end of file
@@ -0,0 +1,312 @@
+import { PollutionData, Station } from '../models/index.js';
+import { AppError, asyncHandler } from '../middleware/errorHandler.js';
+import stationMatcher from '../utils/stationMatcher.js';
+import timeSeriesBuilder from '../utils/timeSeriesBuilder.js';
+
+/**
+ * Helper function to turn a station request body into model fields.
+ * Latitude and longitude become the GeoJSON point.
+ * @param {object} body - Validated request body.
+ * @returns {object} Station fields.
+ */
+const toStationFields = ({ latitude, longitude, ...fields }) => {
+  if (latitude !== undefined && longitude !== undefined) {
+    fields.coordinates = { type: 'Point', coordinates: [Number(longitude), Number(latitude)] };
+  }
+  return fields;
+};
+
+/**
+ * Helper function to load a station by stationId or database id.
+ * @param {string} identifier - Station identifier from the URL.
+ * @returns {Promise<object>} Station document.
+ */
+const findStation = async (identifier) => {
+  const station = await Station.findByIdentifier(identifier);
+  if (!station) {
+    throw new AppError('Station not found', 404);
+  }
+  return station;
+};
+
+/**
+ * @desc    List stations
+ * @route   GET /api/stations
+ * @access  Public
+ */
+export const getStations = asyncHandler(async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 10,
+    q,
+    state,
+    district,
+    stationType,
+    source,
+    active
+  } = req.query;
+
+  const filter = {};
+
+  if (q) {
+    filter.$or = [
+      { name: { $regex: q, $options: 'i' } },
+      { aliases: { $regex: q, $options: 'i' } },
+      { stationId: String(q).toUpperCase() }
+    ];
+  }
+
+  if (state) {
+    filter.state = { $regex: state, $options: 'i' };
+  }
+
+  if (district) {
+    filter.district = { $regex: district, $options: 'i' };
+  }
+
+  if (stationType) {
+    filter.stationType = stationType;
+  }
+
+  if (source) {
+    filter.source = source;
+  }
+
+  if (active !== undefined) {
+    filter.isActive = active === 'true';
+  }
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const [stations, totalCount] = await Promise.all([
+    Station.find(filter)
+      .sort({ state: 1, district: 1, name: 1 })
+      .skip(skip)
+      .limit(limitNum),
+    Station.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: stations,
+    pagination: {
+      currentPage: pageNum,
+      totalPages: Math.ceil(totalCount / limitNum),
+      totalCount,
+      limit: limitNum
+    }
+  });
+});
+
+/**
+ * @desc    Create a station
+ * @route   POST /api/stations
+ * @access  Public
+ */
+export const createStation = asyncHandler(async (req, res, next) => {
+  const station = await Station.create(toStationFields(req.body));
+
+  res.status(201).json({
+    success: true,
+    message: 'Station created successfully',
+    data: station
+  });
+});
+
+/**
+ * @desc    Link records that have no station yet to matching stations (creating stations as needed)
+ * @route   POST /api/stations/assign
+ * @access  Public
+ */
+export const assignStations = asyncHandler(async (req, res, next) => {
+  const summary = { processed: 0, matched: 0, created: 0, aliasesAdded: 0, unassigned: 0 };
+  let lastId = null;
+
+  // In chunks, so stations created for one chunk are matched by the next
+  while (true) {
+    const records = await PollutionData.find({
+      station: { $exists: false },
+      ...(lastId && { _id: { $gt: lastId } })
+    })
+      .select('location coordinates processing')
+      .sort({ _id: 1 })
+      .limit(stationMatcher.chunkSize)
+      .lean();
+
+    if (records.length === 0) break;
+    lastId = records[records.length - 1]._id;
+
+    const result = await stationMatcher.assignStations(records);
+    const updates = records
+      .filter(record => record.station)
+      .map(record => ({
+        updateOne: {
+          filter: { _id: record._id },
+          update: { $set: { station: record.station, 'processing.stationMatch': record.processing.stationMatch } }
+        }
+      }));
+
+    if (updates.length > 0) {
+      await PollutionData.bulkWrite(updates, { ordered: false });
+    }
+
+    summary.processed += records.length;
+    for (const key of ['matched', 'created', 'aliasesAdded', 'unassigned']) {
+      summary[key] += result[key];
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Linked ${summary.matched + summary.created} of ${summary.processed} records to stations`,
+    data: summary
+  });
+});
+
+/**
+ * @desc    Get a station with a summary of its records
+ * @route   GET /api/stations/:id
+ * @access  Public
+ */
+export const getStation = asyncHandler(async (req, res, next) => {
+  const station = await findStation(req.params.id);
+
+  const [records] = await PollutionData.aggregate([
+    { $match: { station: station._id } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        firstYear: { $min: '$sampleInfo.year' },
+        lastYear: { $max: '$sampleInfo.year' },
+        names: { $addToSet: '$location.name' }
+      }
+    }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...station.toJSON(),
+      records: {
+        count: records?.count || 0,
+        firstYear: records?.firstYear ?? null,
+        lastYear: records?.lastYear ?? null,
+        names: records?.names || [] // Spellings used by the linked records
+      }
+    }
+  });
+});
+
+/**
+ * @desc    Get the yearly history of every metal, environmental parameter and index at a station
+ * @route   GET /api/stations/:id/timeseries
+ * @access  Public
+ */
+export const getStationTimeSeries = asyncHandler(async (req, res, next) => {
+  const station = await findStation(req.params.id);
+  const { from, to } = timeSeriesBuilder.resolveOptions(req.query);
+
+  const filter = { station: station._id };
+  if (from || to) {
+    filter['sampleInfo.year'] = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+  }
+
+  const records = await PollutionData.find(filter)
+    .select(timeSeriesBuilder.fields)
+    .sort({ 'sampleInfo.year': 1 })
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      station: {
+        stationId: station.stationId,
+        name: station.name,
+        state: station.state,
+        district: station.district,
+        coordinates: station.coordinates
+      },
+      ...timeSeriesBuilder.build(records, { from, to })
+    }
+  });
+});
+
+/**
+ * @desc    Update a station
+ * @route   PUT /api/stations/:id
+ * @access  Public
+ */
+export const updateStation = asyncHandler(async (req, res, next) => {
+  const station = await findStation(req.params.id);
+
+  station.set(toStationFields(req.body));
+  await station.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Station updated successfully',
+    data: station
+  });
+});
+
+/**
+ * @desc    Merge other stations into this one: their names become aliases and their records move over
+ * @route   POST /api/stations/:id/merge
+ * @access  Public
+ */
+export const mergeStations = asyncHandler(async (req, res, next) => {
+  const target = await findStation(req.params.id);
+  const sources = await Promise.all(req.body.stations.map(identifier => findStation(identifier)));
+
+  if (sources.some(source => source._id.equals(target._id))) {
+    return next(new AppError('A station cannot be merged into itself', 400));
+  }
+
+  for (const source of sources) {
+    for (const name of [source.name, ...source.aliases]) {
+      target.addAlias(name);
+    }
+  }
+  await target.save();
+
+  const sourceIds = sources.map(source => source._id);
+  const { modifiedCount } = await PollutionData.updateMany(
+    { station: { $in: sourceIds } },
+    { $set: { station: target._id, 'processing.stationMatch.stationId': target.stationId } }
+  );
+  await Station.deleteMany({ _id: { $in: sourceIds } });
+
+  res.status(200).json({
+    success: true,
+    message: `Merged ${sources.length} stations into ${target.stationId}`,
+    data: {
+      station: target,
+      mergedStations: sources.map(source => source.stationId),
+      reassignedRecords: modifiedCount
+    }
+  });
+});
+
+/**
+ * @desc    Delete a station that no record refers to
+ * @route   DELETE /api/stations/:id
+ * @access  Public
+ */
+export const deleteStation = asyncHandler(async (req, res, next) => {
+  const station = await findStation(req.params.id);
+
+  const recordCount = await PollutionData.countDocuments({ station: station._id });
+  if (recordCount > 0) {
+    return next(new AppError(`Station has ${recordCount} records; merge it into another station or deactivate it instead`, 409));
+  }
+
+  await station.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Station deleted successfully'
+  });
+});
\ No newline at end of file
@@ -0,0 +1,190 @@
+import { PollutionData, Station } from '../models/index.js';
+import { AppError, asyncHandler } from '../middleware/errorHandler.js';
+import trendAnalyzer from '../utils/trendAnalyzer.js';
+import timeSeriesBuilder from '../utils/timeSeriesBuilder.js';
+
+/**
+ * Helper function to run the trend analysis over groups of records.
+ * Records are streamed in group order, so only one group is held in memory at a time.
+ * @param {object} filter - PollutionData filter.
+ * @param {object} sort - Sort that keeps the records of a group together.
+ * @param {Function} keyOf - Group key of a record.
+ * @param {object} options - trendAnalyzer.analyzeRecords options.
+ * @returns {Promise<Array>} Analysis per group, with the group's first record.
+ */
+const analyzeGroups = async (filter, sort, keyOf, options) => {
+  const groups = [];
+  let buffer = [];
+  let currentKey = null;
+
+  const flush = () => {
+    if (buffer.length === 0) return;
+    groups.push({ key: currentKey, record: buffer[0], ...trendAnalyzer.analyzeRecords(buffer, options) });
+    buffer = [];
+  };
+
+  const cursor = PollutionData.find(filter)
+    .select(timeSeriesBuilder.fields)
+    .sort(sort)
+    .lean()
+    .cursor();
+
+  for await (const record of cursor) {
+    const key = keyOf(record);
+    if (key !== currentKey) {
+      flush();
+      currentKey = key;
+    }
+    buffer.push(record);
+  }
+  flush();
+
+  return groups;
+};
+
+/**
+ * Helper function to page through computed results.
+ * @param {Array} items - Results.
+ * @param {object} pagination - req.pagination.
+ * @returns {object} Page of data and pagination info.
+ */
+const paginate = (items, { page, limit, skip }) => ({
+  data: items.slice(skip, skip + limit),
+  pagination: {
+    currentPage: page,
+    totalPages: Math.ceil(items.length / limit),
+    totalCount: items.length,
+    limit
+  }
+});
+
+/**
+ * Helper function to build the location filter shared by the trend listings.
+ * @param {object} query - The req.query object.
+ * @returns {object} A MongoDB filter object.
+ */
+const buildLocationFilter = ({ state, district }) => {
+  const filter = {};
+  if (state) filter['location.state'] = { $regex: state, $options: 'i' };
+  if (district) filter['location.district'] = { $regex: district, $options: 'i' };
+  return filter;
+};
+
+/**
+ * @desc    Mann-Kendall trend and Sen's slope of every metal, parameter and index at a station
+ * @route   GET /api/trends/stations/:id
+ * @access  Public
+ */
+export const getStationTrends = asyncHandler(async (req, res, next) => {
+  const alpha = trendAnalyzer.resolveAlpha(req.query);
+  const station = await Station.findByIdentifier(req.params.id);
+
+  if (!station) {
+    return next(new AppError('Station not found', 404));
+  }
+
+  const records = await PollutionData.find({ station: station._id })
+    .select(timeSeriesBuilder.fields)
+    .sort({ 'sampleInfo.year': 1 })
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      station: {
+        stationId: station.stationId,
+        name: station.name,
+        state: station.state,
+        district: station.district
+      },
+      ...trendAnalyzer.analyzeRecords(records, { alpha, metal: req.query.metal })
+    }
+  });
+});
+
+/**
+ * @desc    Trends of every station, optionally only those significantly worsening
+ * @route   GET /api/trends/stations
+ * @access  Public
+ */
+export const getStationsTrends = asyncHandler(async (req, res, next) => {
+  const { metal, worsening } = req.query;
+  const alpha = trendAnalyzer.resolveAlpha(req.query);
+
+  const filter = { station: { $exists: true }, ...buildLocationFilter(req.query) };
+  const groups = await analyzeGroups(
+    filter,
+    { station: 1, 'sampleInfo.year': 1 },
+    record => String(record.station),
+    { alpha, metal }
+  );
+
+  const stations = await Station.find({ _id: { $in: groups.map(group => group.record.station) } })
+    .select('stationId name state district')
+    .lean();
+  const stationsById = new Map(stations.map(station => [String(station._id), station]));
+
+  const results = groups
+    .filter(group => worsening !== 'true' || group.worsening.length > 0)
+    .map(({ key, record, ...analysis }) => {
+      const station = stationsById.get(key);
+      return {
+        station: {
+          stationId: station?.stationId || null,
+          name: station?.name || record.location?.name,
+          state: station?.state || record.location?.state,
+          district: station?.district || record.location?.district
+        },
+        ...analysis
+      };
+    })
+    // Most worsening series first
+    .sort((a, b) => b.worsening.length - a.worsening.length);
+
+  res.status(200).json({
+    success: true,
+    ...paginate(results, req.pagination),
+    summary: {
+      stationsAnalyzed: groups.length,
+      worseningStations: groups.filter(group => group.worsening.length > 0).length,
+      alpha
+    }
+  });
+});
+
+/**
+ * @desc    Trends of the yearly district averages
+ * @route   GET /api/trends/districts
+ * @access  Public
+ */
+export const getDistrictTrends = asyncHandler(async (req, res, next) => {
+  const { metal, worsening } = req.query;
+  const alpha = trendAnalyzer.resolveAlpha(req.query);
+
+  const filter = { 'location.district': { $exists: true, $ne: '' }, ...buildLocationFilter(req.query) };
+  const groups = await analyzeGroups(
+    filter,
+    { 'location.state': 1, 'location.district': 1, 'sampleInfo.year': 1 },
+    record => `${record.location?.state || ''}|${record.location.district}`,
+    { alpha, metal }
+  );
+
+  const results = groups
+    .filter(group => worsening !== 'true' || group.worsening.length > 0)
+    .map(({ key, record, ...analysis }) => ({
+      state: record.location?.state || null,
+      district: record.location.district,
+      ...analysis
+    }))
+    .sort((a, b) => b.worsening.length - a.worsening.length);
+
+  res.status(200).json({
+    success: true,
+    ...paginate(results, req.pagination),
+    summary: {
+      districtsAnalyzed: groups.length,
+      worseningDistricts: groups.filter(group => group.worsening.length > 0).length,
+      alpha
+    }
+  });
+});
\ No newline at end of file
@@ -0,0 +1,170 @@
+import { PollutionData, UploadBatch, UploadErrorRow } from '../models/index.js';
+import { AppError, asyncHandler } from '../middleware/errorHandler.js';
+import errorReportBuilder from '../utils/errorReportBuilder.js';
+import duplicateDetector from '../utils/duplicateDetector.js';
+
+/**
+ * @desc    List upload batches, newest first
+ * @route   GET /api/batches
+ * @access  Public
+ */
+export const getUploadBatches = asyncHandler(async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 10,
+    status,
+    fileName,
+    uploadedBy
+  } = req.query;
+
+  const filter = {};
+
+  if (status) {
+    filter.status = status;
+  }
+
+  if (fileName) {
+    filter['file.originalName'] = { $regex: fileName, $options: 'i' };
+  }
+
+  if (uploadedBy) {
+    filter.uploadedBy = { $regex: uploadedBy, $options: 'i' };
+  }
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const [batches, totalCount] = await Promise.all([
+    UploadBatch.find(filter)
+      .select('-warnings -sheets')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum),
+    UploadBatch.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: batches,
+    pagination: {
+      currentPage: pageNum,
+      totalPages: Math.ceil(totalCount / limitNum),
+      totalCount,
+      limit: limitNum
+    }
+  });
+});
+
+/**
+ * @desc    Get an upload batch with its per-sheet breakdown and parse warnings
+ * @route   GET /api/batches/:id
+ * @access  Public
+ */
+export const getUploadBatchById = asyncHandler(async (req, res, next) => {
+  const batch = await UploadBatch.findById(req.params.id);
+
+  if (!batch) {
+    return next(new AppError('Upload batch not found', 404));
+  }
+
+  // Records can also be deleted one by one, so count what is left
+  const currentRecords = await PollutionData.countDocuments({ 'processing.batchId': batch._id });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...batch.toJSON(),
+      currentRecords
+    }
+  });
+});
+
+/**
+ * @desc    Download the error report of an upload batch: every failed row with its original values,
+ *          row number, failure reason and suggested fix, laid out so it can be fixed and uploaded again
+ * @route   GET /api/batches/:id/error-report
+ * @access  Public
+ */
+export const getUploadBatchErrorReport = asyncHandler(async (req, res, next) => {
+  const format = String(req.query.format || 'xlsx').toLowerCase();
+
+  if (!['xlsx', 'csv'].includes(format)) {
+    return next(new AppError('Format must be xlsx or csv', 400));
+  }
+
+  const batch = await UploadBatch.findById(req.params.id);
+
+  if (!batch) {
+    return next(new AppError('Upload batch not found', 404));
+  }
+
+  const errorRows = await UploadErrorRow.find({ batchId: batch._id })
+    .sort({ sheet: 1, rowNumber: 1 })
+    .lean();
+
+  if (errorRows.length === 0) {
+    return next(new AppError('This upload has no failed rows', 404));
+  }
+
+  const report = errorReportBuilder.build(batch, errorRows, format);
+
+  res.set({
+    'Content-Type': report.contentType,
+    'Content-Disposition': `attachment; filename="${report.fileName.replace(/"/g, '')}"`,
+    'Content-Length': report.buffer.length
+  });
+  res.status(200).send(report.buffer);
+});
+
+/**
+ * @desc    Roll back an upload batch, deleting every record it created
+ * @route   POST /api/batches/:id/rollback
+ * @access  Public
+ */
+export const rollbackUploadBatch = asyncHandler(async (req, res, next) => {
+  const batch = await UploadBatch.findById(req.params.id);
+
+  if (!batch) {
+    return next(new AppError('Upload batch not found', 404));
+  }
+
+  if (batch.status === 'rolled_back') {
+    return next(new AppError('Upload batch has already been rolled back', 409));
+  }
+
+  if (batch.status === 'processing') {
+    return next(new AppError('Upload batch is still being processed', 409));
+  }
+
+  if (batch.status === 'replaced') {
+    return next(new AppError('Upload batch has been replaced by a newer version', 409));
+  }
+
+  // A replacement also owns the unchanged records it took over, deleting them would lose data
+  if (batch.replaces) {
+    return next(new AppError('Replacement batches cannot be rolled back; upload the previous file as a replacement instead', 409));
+  }
+
+  // Values merged into records of other batches are removed again, then the batch's own records
+  const revertedMerges = await duplicateDetector.revertMerges(batch._id);
+  const { deletedCount } = await PollutionData.deleteMany({ 'processing.batchId': batch._id });
+
+  batch.status = 'rolled_back';
+  batch.rollback = {
+    rolledBackAt: new Date(),
+    rolledBackBy: req.body?.rolledBackBy,
+    reason: req.body?.reason,
+    deletedRecords: deletedCount,
+    revertedMerges: revertedMerges.records
+  };
+  await batch.save();
+
+  console.log(`↩️ Rolled back upload batch ${batch._id}: ${deletedCount} records deleted, merges reverted on ${revertedMerges.records} records`);
+
+  res.status(200).json({
+    success: true,
+    message: `Upload batch rolled back, ${deletedCount} records deleted, merged values removed from ${revertedMerges.records} records`,
+    data: batch
+  });
+});
\ No newline at end of file
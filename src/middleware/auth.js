@@ -0,0 +1,35 @@
+import crypto from 'crypto';
+import { AppError } from './errorHandler.js';
+
+/**
+ * Authentication middleware
+ */
+
+/**
+ * Admin token check for configuration changes. The token is sent as "Authorization: Bearer <token>" or in the
+ * X-Admin-Token header and must match ADMIN_API_TOKEN; admin changes are refused while ADMIN_API_TOKEN is not set.
+ */
+export const requireAdmin = (req, res, next) => {
+  const adminToken = process.env.ADMIN_API_TOKEN;
+  if (!adminToken) {
+    return next(new AppError('Configuration changes are disabled. Set ADMIN_API_TOKEN to enable them', 403));
+  }
+
+  const authorization = req.get('authorization') || '';
+  const token = req.get('x-admin-token') || (authorization.startsWith('Bearer ') ? authorization.slice(7) : '');
+  if (!token) {
+    return next(new AppError('Admin token required', 401));
+  }
+
+  // Hashed first, so tokens of any length compare in constant time
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  if (!crypto.timingSafeEqual(digest(token), digest(adminToken))) {
+    return next(new AppError('Invalid admin token', 401));
+  }
+
+  next();
+};
+
+export default {
+  requireAdmin
+};
\ No newline at end of file
@@ -1,11 +1,15 @@
 import Joi from 'joi';
+import { HeavyMetalStandard } from '../models/index.js';
+import fileUploader from '../utils/fileUploader.js';
 
 /**
  * Generic validation middleware
+ * @param {Object} schema - Joi schema
+ * @param {string} property - Part of the request to validate: 'body' (default) or 'query'
  */
-export const validate = (schema) => {
+export const validate = (schema, property = 'body') => {
   return (req, res, next) => {
-    const { error } = schema.validate(req.body, { abortEarly: false });
+    const { error } = schema.validate(req[property], { abortEarly: false });
     
     if (error) {
       const validationErrors = error.details.map(detail => ({
@@ -106,6 +110,400 @@ export const userLoginSchema = Joi.object({
     })
 });
 
+/**
+ * Column mapping template validation schema
+ */
+const templateHeader = Joi.string().trim().max(200);
+
+export const mappingTemplateSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .max(100)
+    .required()
+    .messages({
+      'string.max': 'Template name cannot exceed 100 characters',
+      'any.required': 'Template name is required'
+    }),
+
+  description: Joi.string()
+    .max(500)
+    .allow('')
+    .optional(),
+
+  laboratory: Joi.string()
+    .max(200)
+    .allow('')
+    .optional(),
+
+  columns: Joi.object({
+    name: templateHeader,
+    state: templateHeader,
+    district: templateHeader,
+    latitude: templateHeader,
+    longitude: templateHeader,
+    utmZone: templateHeader,
+    easting: templateHeader,
+    northing: templateHeader,
+    hemisphere: templateHeader,
+    year: templateHeader,
+    date: templateHeader,
+    season: templateHeader,
+    campaign: templateHeader,
+    depth: templateHeader,
+    serialNumber: templateHeader
+  }).optional(),
+
+  metals: Joi.array()
+    .items(Joi.object({
+      metal: Joi.string().trim().max(10).required(),
+      header: templateHeader.required(),
+      unit: Joi.string()
+        .valid('ppm', 'ppb', 'mg/L', 'μg/L')
+        .optional()
+        .messages({
+          'any.only': 'Unit must be one of: ppm, ppb, mg/L, μg/L'
+        }),
+      detectionLimit: Joi.number()
+        .min(0)
+        .optional()
+        .messages({
+          'number.min': 'Detection limit must be non-negative'
+        })
+    }))
+    .optional(),
+
+  environmentalHeaders: Joi.array().items(templateHeader).optional(),
+
+  ignoredHeaders: Joi.array().items(templateHeader).optional(),
+
+  isActive: Joi.boolean().optional()
+});
+
+/**
+ * Upload batch rollback validation schema
+ */
+export const batchRollbackSchema = Joi.object({
+  rolledBackBy: Joi.string()
+    .trim()
+    .max(100)
+    .optional(),
+
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .allow('')
+    .optional()
+});
+
+/**
+ * Station validation schemas
+ */
+const stationFields = {
+  name: Joi.string().trim().max(200),
+  aliases: Joi.array().items(Joi.string().trim().max(200)),
+  latitude: Joi.number()
+    .min(-90)
+    .max(90)
+    .messages({
+      'number.min': 'Latitude must be between -90 and 90',
+      'number.max': 'Latitude must be between -90 and 90'
+    }),
+  longitude: Joi.number()
+    .min(-180)
+    .max(180)
+    .messages({
+      'number.min': 'Longitude must be between -180 and 180',
+      'number.max': 'Longitude must be between -180 and 180'
+    }),
+  stationType: Joi.string()
+    .valid('well', 'borewell', 'river', 'handpump')
+    .messages({
+      'any.only': 'Station type must be one of: well, borewell, river, handpump'
+    }),
+  state: Joi.string().trim().max(100).allow(''),
+  district: Joi.string().trim().max(100).allow(''),
+  description: Joi.string().trim().max(500).allow(''),
+  isActive: Joi.boolean()
+};
+
+export const stationSchema = Joi.object({
+  ...stationFields,
+  name: stationFields.name.required().messages({ 'any.required': 'Station name is required' }),
+  latitude: stationFields.latitude.required(),
+  longitude: stationFields.longitude.required()
+});
+
+export const stationUpdateSchema = Joi.object(stationFields)
+  .and('latitude', 'longitude')
+  .min(1)
+  .messages({
+    'object.min': 'Provide at least one field to update',
+    'object.and': 'Latitude and longitude must be updated together'
+  });
+
+export const stationMergeSchema = Joi.object({
+  stations: Joi.array()
+    .items(Joi.string().trim())
+    .min(1)
+    .required()
+    .messages({
+      'array.min': 'List at least one station to merge',
+      'any.required': 'stations is required'
+    })
+});
+
+/**
+ * Admin configuration validation schemas (heavy metal standards and formula configurations)
+ */
+const configChangeFields = {
+  author: Joi.string()
+    .trim()
+    .max(100)
+    .required()
+    .messages({ 'any.required': 'author is required' }),
+
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .required()
+    .messages({ 'any.required': 'reason is required' })
+};
+
+export const configChangeSchema = Joi.object(configChangeFields);
+
+const standardFields = {
+  standardValue: Joi.number().min(0),
+  unit: Joi.string()
+    .valid('ppm', 'ppb', 'mg/L', 'μg/L')
+    .messages({
+      'any.only': 'Unit must be one of: ppm, ppb, mg/L, μg/L'
+    }),
+  idealValue: Joi.number().min(0),
+  weightage: Joi.number().min(0),
+  backgroundConcentration: Joi.number().min(0),
+  toxicResponseFactor: Joi.number().min(0),
+  referenceDose: Joi.number().min(0),
+  slopeFactor: Joi.number().min(0),
+  permeabilityCoefficient: Joi.number().min(0),
+  gastrointestinalAbsorption: Joi.number().min(0).max(1),
+  source: Joi.string().trim().max(200),
+  description: Joi.string().trim().max(500).allow('')
+};
+
+const standardCategories = HeavyMetalStandard.schema.path('category').enumValues;
+
+export const standardSchema = Joi.object({
+  ...configChangeFields,
+  ...standardFields,
+  metal: Joi.string()
+    .trim()
+    .max(10)
+    .required()
+    .messages({ 'any.required': 'Metal is required' }),
+  category: Joi.string()
+    .valid(...standardCategories)
+    .messages({
+      'any.only': `Category must be one of: ${standardCategories.join(', ')}`
+    }),
+  standardValue: standardFields.standardValue.required().messages({ 'any.required': 'Standard value is required' }),
+  unit: standardFields.unit.required(),
+  source: standardFields.source.required().messages({ 'any.required': 'Source is required' }),
+  isActive: Joi.boolean()
+});
+
+// Metal and category identify the standard and cannot change; activation has its own routes
+export const standardUpdateSchema = Joi.object({ ...configChangeFields, ...standardFields })
+  .min(3)
+  .messages({
+    'object.min': 'Provide at least one field to update'
+  });
+
+const thresholdRange = Joi.object({
+  min: Joi.number().required(),
+  max: Joi.number().required()
+});
+
+const formulaFields = {
+  type: Joi.string()
+    .valid('HMPI', 'contamination_factor', 'pollution_index', 'custom')
+    .messages({
+      'any.only': 'Formula type must be one of: HMPI, contamination_factor, pollution_index, custom'
+    }),
+  formula: Joi.string().trim().max(1000),
+  description: Joi.string().trim().max(500),
+  variables: Joi.array().items(Joi.object({
+    name: Joi.string().trim().required(),
+    description: Joi.string().trim().required(),
+    unit: Joi.string().trim().allow(''),
+    value: Joi.number()
+  })),
+  // All three ranges are given together
+  thresholds: Joi.object({
+    safe: thresholdRange.required(),
+    mid: thresholdRange.required(),
+    unsafe: Joi.object({
+      min: Joi.number().required(),
+      max: Joi.number()
+    }).required()
+  })
+};
+
+export const formulaSchema = Joi.object({
+  ...configChangeFields,
+  ...formulaFields,
+  name: Joi.string()
+    .trim()
+    .max(100)
+    .pattern(/^[^.$]+$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Formula name cannot contain . or $',
+      'any.required': 'Formula name is required'
+    }),
+  formula: formulaFields.formula.required().messages({ 'any.required': 'Formula expression is required' }),
+  description: formulaFields.description.required().messages({ 'any.required': 'Formula description is required' }),
+  isActive: Joi.boolean()
+});
+
+// The name is the key of stored custom indices and cannot change
+export const formulaUpdateSchema = Joi.object({ ...configChangeFields, ...formulaFields })
+  .min(3)
+  .messages({
+    'object.min': 'Provide at least one field to update'
+  });
+
+/**
+ * Time series query validation schema: years stored on records range from 1900 to next year,
+ * so the year axis stays short
+ */
+const sampleYear = Joi.number()
+  .integer()
+  .min(1900)
+  .max(new Date().getFullYear() + 1)
+  .messages({
+    'number.base': '{#label} must be a year',
+    'number.integer': '{#label} must be a year',
+    'number.min': '{#label} cannot be before 1900',
+    'number.max': '{#label} cannot be after {#limit}'
+  });
+
+export const timeSeriesQuerySchema = Joi.object({
+  from: sampleYear,
+  to: sampleYear.when('from', {
+    is: Joi.exist(),
+    then: Joi.number().min(Joi.ref('from')).messages({ 'number.min': 'from cannot be after to' })
+  })
+}).unknown(true);
+
+/**
+ * Index recalculation validation schema
+ */
+export const recalculationSchema = Joi.object({
+  batchId: Joi.string()
+    .hex()
+    .length(24)
+    .messages({
+      'string.hex': 'batchId must be a valid id',
+      'string.length': 'batchId must be a valid id'
+    }),
+  state: Joi.string().trim().max(100),
+  year: Joi.number().integer().min(1900).max(2100),
+  all: Joi.boolean().valid(true),
+  standardCategory: Joi.string().trim(),
+  requestedBy: Joi.string().trim().max(100),
+  reason: Joi.string().trim().max(500).allow('')
+})
+  .or('batchId', 'state', 'year', 'all')
+  .messages({
+    'object.missing': 'Choose the records to recalculate: batchId, state, year or all: true'
+  });
+
+/**
+ * What-if calculator validation schemas
+ */
+const exposureAgeGroupSchema = Joi.object({
+  bodyWeight: Joi.number().positive().max(500),
+  ingestionRate: Joi.number().positive().max(50),
+  exposureFrequency: Joi.number().positive().max(366),
+  exposureDuration: Joi.number().positive().max(120),
+  skinSurfaceArea: Joi.number().positive().max(50000),
+  exposureTime: Joi.number().positive().max(24)
+});
+
+// Overrides of the health risk exposure parameters (healthRiskAssessor.defaults), of uploads and scenarios alike
+export const exposureSchema = Joi.object({
+  ageGroups: Joi.object().pattern(Joi.string(), exposureAgeGroupSchema),
+  pathways: Joi.array()
+    .items(Joi.string().valid('ingestion', 'dermal'))
+    .min(1)
+    .unique()
+    .messages({
+      'any.only': 'Exposure pathways must be ingestion or dermal'
+    }),
+  lifetime: Joi.number().positive().max(120),
+  conversionFactor: Joi.number().positive()
+});
+
+const scenarioOptionFields = {
+  bodyWeight: Joi.number()
+    .positive()
+    .max(500)
+    .messages({ 'number.positive': 'bodyWeight must be a positive number of kg' }),
+  waterIntake: Joi.number()
+    .positive()
+    .max(50)
+    .messages({ 'number.positive': 'waterIntake must be a positive number of L/day' }),
+  standardCategory: Joi.string().trim(),
+  detectionLimitPolicy: Joi.string()
+    .valid('zero', 'half_lod', 'lod')
+    .messages({
+      'any.only': 'Detection limit policy must be one of: zero, half_lod, lod'
+    }),
+  exposure: exposureSchema,
+  // Unit of the values that do not state one
+  unit: Joi.string().trim()
+};
+
+const concentration = Joi.alternatives().try(Joi.number().min(0), Joi.string().trim().allow(''));
+
+const scenarioSampleSchema = Joi.object({
+  ...scenarioOptionFields,
+  id: Joi.alternatives().try(Joi.string(), Joi.number()),
+  metals: Joi.object()
+    .pattern(Joi.string(), Joi.alternatives().try(
+      concentration,
+      Joi.object({
+        value: concentration.required(),
+        unit: Joi.string().trim(),
+        detectionLimit: Joi.number().min(0)
+      })
+    ))
+    .min(1)
+    .required()
+    .messages({
+      'object.min': 'metals must hold at least one concentration',
+      'any.required': 'metals is required'
+    })
+});
+
+const scenarioSamplesSchema = Joi.array()
+  .items(scenarioSampleSchema)
+  .min(1)
+  .max(1000)
+  .messages({
+    'array.min': 'List at least one sample',
+    'array.max': 'A batch can hold at most 1000 samples'
+  });
+
+// One sample, { samples: [...] } with options shared by every sample, or an array of samples
+export const scenarioSchema = Joi.alternatives().conditional(Joi.array(), {
+  then: scenarioSamplesSchema,
+  otherwise: Joi.alternatives().conditional(Joi.object({ samples: Joi.exist() }).unknown(), {
+    then: Joi.object({ ...scenarioOptionFields, samples: scenarioSamplesSchema }),
+    otherwise: scenarioSampleSchema
+  })
+});
+
 /**
  * File upload validation
  */
@@ -117,7 +515,7 @@ export const validateFileUpload = (req, res, next) => {
     });
   }
 
-  const allowedTypes = process.env.ALLOWED_FILE_TYPES?.split(',') || ['.xlsx', '.xls'];
+  const allowedTypes = fileUploader.allowedTypes;
   const fileExtension = req.file.originalname.toLowerCase().substr(req.file.originalname.lastIndexOf('.'));
 
   if (!allowedTypes.includes(fileExtension)) {
@@ -135,6 +533,13 @@ export const validateFileUpload = (req, res, next) => {
     });
   }
 
+  if (fileUploader.exceedsWorkbookSize(req.file)) {
+    return res.status(413).json({
+      success: false,
+      message: fileUploader.workbookSizeMessage()
+    });
+  }
+
   next();
 };
 
@@ -172,6 +577,20 @@ export default {
   validate,
   userRegistrationSchema,
   userLoginSchema,
+  mappingTemplateSchema,
+  batchRollbackSchema,
+  stationSchema,
+  stationUpdateSchema,
+  stationMergeSchema,
+  configChangeSchema,
+  standardSchema,
+  standardUpdateSchema,
+  formulaSchema,
+  formulaUpdateSchema,
+  timeSeriesQuerySchema,
+  exposureSchema,
+  recalculationSchema,
+  scenarioSchema,
   validateFileUpload,
   validatePagination
 };
\ No newline at end of file
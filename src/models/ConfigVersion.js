@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+
+// Immutable record of one change to a heavy metal standard or formula configuration
+const configVersionSchema = new mongoose.Schema({
+  configType: {
+    type: String,
+    required: [true, 'Configuration type is required'],
+    enum: ['HeavyMetalStandard', 'FormulaConfig'],
+    immutable: true
+  },
+  configId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Configuration id is required'],
+    refPath: 'configType',
+    immutable: true
+  },
+  // Sequential per configuration, starting at 1
+  revision: {
+    type: Number,
+    required: [true, 'Revision is required'],
+    min: [1, 'Revision must be at least 1'],
+    immutable: true
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: ['created', 'updated', 'activated', 'deactivated', 'deleted'],
+    immutable: true
+  },
+  // Version of the configuration after the change (standard version number or formula version)
+  configVersion: {
+    type: String,
+    immutable: true
+  },
+  // Full configuration after the change (before it, for deletions)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Snapshot is required'],
+    immutable: true
+  },
+  changes: {
+    type: [{
+      _id: false,
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed
+    }],
+    immutable: true
+  },
+  author: {
+    type: String,
+    required: [true, 'Author is required'],
+    trim: true,
+    maxlength: [100, 'Author cannot exceed 100 characters'],
+    immutable: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// One entry per revision of a configuration
+configVersionSchema.index({ configType: 1, configId: 1, revision: 1 }, { unique: true });
+
+// Versions are written once and never changed or removed
+configVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Configuration versions cannot be changed'));
+  }
+  next();
+});
+
+configVersionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Configuration versions cannot be changed'));
+  }
+);
+
+// Static method to get the history of a configuration, oldest first
+configVersionSchema.statics.getHistory = function(configType, configId) {
+  return this.find({ configType, configId }).sort({ revision: 1 });
+};
+
+// Static method to get one revision of a configuration
+configVersionSchema.statics.getRevision = function(configType, configId, revision) {
+  return this.findOne({ configType, configId, revision });
+};
+
+// Static method to get the latest revision of a configuration
+configVersionSchema.statics.getLatest = function(configType, configId) {
+  return this.findOne({ configType, configId }).sort({ revision: -1 });
+};
+
+const ConfigVersion = mongoose.model('ConfigVersion', configVersionSchema);
+
+export default ConfigVersion;
\ No newline at end of file
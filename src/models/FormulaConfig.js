@@ -6,7 +6,9 @@ const formulaConfigSchema = new mongoose.Schema({
     required: [true, 'Formula name is required'],
     unique: true,
     trim: true,
-    maxlength: [100, 'Formula name cannot exceed 100 characters']
+    maxlength: [100, 'Formula name cannot exceed 100 characters'],
+    // Used as the key of pollutionIndices.customIndices
+    match: [/^[^.$]+$/, 'Formula name cannot contain . or $']
   },
   type: {
     type: String,
@@ -39,6 +41,10 @@ const formulaConfigSchema = new mongoose.Schema({
     unit: {
       type: String,
       trim: true
+    },
+    // Constant used in the formula; variables without one must be built in (see formulaEvaluator)
+    value: {
+      type: Number
     }
   }],
   thresholds: {
@@ -79,6 +85,19 @@ const formulaConfigSchema = new mongoose.Schema({
 formulaConfigSchema.index({ type: 1 });
 formulaConfigSchema.index({ isActive: 1 });
 
+// Values that make a new version of the formula when changed
+export const FORMULA_VALUE_FIELDS = ['type', 'formula', 'variables', 'thresholds'];
+
+// Pre-save middleware to version changed formulas (1.0.0 -> 1.1.0)
+formulaConfigSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified(FORMULA_VALUE_FIELDS)) {
+    const [major = 1, minor = 0] = String(this.version).split('.').map(part => parseInt(part) || 0);
+    this.version = `${major}.${minor + 1}.0`;
+    this.lastUpdated = new Date();
+  }
+  next();
+});
+
 // Method to categorize value based on thresholds
 formulaConfigSchema.methods.categorizeValue = function(value) {
   if (value >= this.thresholds.safe.min && value < this.thresholds.safe.max) {
@@ -18,6 +18,55 @@ const heavyMetalStandardSchema = new mongoose.Schema({
     enum: ['ppm', 'ppb', 'mg/L', 'μg/L'],
     trim: true
   },
+  // Ideal value of the HPI quality rating, in the unit of the standard value
+  idealValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Ideal value must be positive'],
+    validate: {
+      validator: function(value) {
+        return value < this.standardValue;
+      },
+      message: 'Ideal value must be below the standard value'
+    }
+  },
+  // Weight of the metal in the HPI
+  weightage: {
+    type: Number,
+    default: 1,
+    min: [0, 'Weightage must be positive']
+  },
+  // Background concentration for the geoaccumulation index (crustal average)
+  backgroundConcentration: {
+    type: Number,
+    min: [0, 'Background concentration must be positive']
+  },
+  // Toxic response factor for the ecological risk index
+  toxicResponseFactor: {
+    type: Number,
+    min: [0, 'Toxic response factor must be positive']
+  },
+  // Oral reference dose for the health risk index (mg/kg/day)
+  referenceDose: {
+    type: Number,
+    min: [0, 'Reference dose must be positive']
+  },
+  // Oral cancer slope factor for the carcinogenic risk ((mg/kg/day)⁻¹), set for carcinogens only
+  slopeFactor: {
+    type: Number,
+    min: [0, 'Slope factor must be positive']
+  },
+  // Dermal permeability coefficient in water (cm/h)
+  permeabilityCoefficient: {
+    type: Number,
+    min: [0, 'Permeability coefficient must be positive']
+  },
+  // Fraction absorbed in the gastrointestinal tract, adjusts the oral toxicity values to dermal doses
+  gastrointestinalAbsorption: {
+    type: Number,
+    min: [0, 'Gastrointestinal absorption must be between 0 and 1'],
+    max: [1, 'Gastrointestinal absorption must be between 0 and 1']
+  },
   source: {
     type: String,
     required: [true, 'Source is required'],
@@ -38,6 +87,11 @@ const heavyMetalStandardSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Raised whenever a value used in the calculations changes
+  version: {
+    type: Number,
+    default: 1
+  },
   lastUpdated: {
     type: Date,
     default: Date.now
@@ -56,6 +110,19 @@ heavyMetalStandardSchema.index({ metal: 1, category: 1 }, { unique: true });
 // Index for performance
 heavyMetalStandardSchema.index({ isActive: 1 });
 
+// Values that make a new version of the standard when changed
+export const STANDARD_VALUE_FIELDS = ['standardValue', 'unit', 'idealValue', 'weightage', 'backgroundConcentration', 'toxicResponseFactor', 'referenceDose',
+  'slopeFactor', 'permeabilityCoefficient', 'gastrointestinalAbsorption'];
+
+// Pre-save middleware to version changed values
+heavyMetalStandardSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified(STANDARD_VALUE_FIELDS)) {
+    this.version += 1;
+    this.lastUpdated = new Date();
+  }
+  next();
+});
+
 // Method to update standard value
 heavyMetalStandardSchema.methods.updateStandard = function(newValue, updatedBy) {
   this.standardValue = newValue;
@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+
+// Upper bound on stored row errors, keeps job documents well under the 16MB limit
+export const MAX_JOB_ROW_ERRORS = 5000;
+
+const ingestionJobSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  filePath: {
+    type: String,
+    required: [true, 'File path is required']
+  },
+  fileMetadata: {
+    originalName: String,
+    filename: String,
+    size: Number,
+    mimeType: String,
+    extension: String,
+    hash: String
+  },
+  parseOptions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  progress: {
+    totalRows: { type: Number, default: 0 },
+    rowsParsed: { type: Number, default: 0 },
+    rowsInserted: { type: Number, default: 0 },
+    rowsFailed: { type: Number, default: 0 }
+  },
+  rowErrors: [{
+    _id: false,
+    sheet: String,
+    row: Number,
+    error: String
+  }],
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UploadBatch'
+  },
+  replaceBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UploadBatch'
+  },
+  duplicateOptions: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  failureReason: {
+    type: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  workerId: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  heartbeatAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  uploadedBy: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.filePath;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+ingestionJobSchema.index({ status: 1, createdAt: 1 });
+ingestionJobSchema.index({ 'fileMetadata.hash': 1 });
+
+// Static method to atomically claim the oldest queued job
+ingestionJobSchema.statics.claimNextJob = function(workerId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { status: 'queued' },
+    {
+      $set: { status: 'processing', workerId, startedAt: now, heartbeatAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+// Static method to requeue jobs whose worker stopped sending heartbeats (e.g. server restart)
+ingestionJobSchema.statics.recoverStaleJobs = async function(staleBefore) {
+  const staleFilter = { status: 'processing', heartbeatAt: { $lt: staleBefore } };
+
+  const failed = await this.updateMany(
+    { ...staleFilter, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+    { $set: { status: 'failed', failureReason: 'Job was interrupted too many times', completedAt: new Date() } }
+  );
+
+  const requeued = await this.updateMany(
+    staleFilter,
+    { $set: { status: 'queued' }, $unset: { workerId: 1 } }
+  );
+
+  return { requeued: requeued.modifiedCount, failed: failed.modifiedCount };
+};
+
+// Static method to update progress counters and append row errors
+ingestionJobSchema.statics.recordProgress = function(jobId, { set = {}, inc = {}, errors = [] } = {}) {
+  const update = {
+    $set: { ...set, heartbeatAt: new Date() }
+  };
+
+  if (Object.keys(inc).length > 0) {
+    update.$inc = Object.fromEntries(
+      Object.entries(inc).map(([key, value]) => [`progress.${key}`, value])
+    );
+  }
+
+  if (errors.length > 0) {
+    update.$push = { rowErrors: { $each: errors, $slice: MAX_JOB_ROW_ERRORS } };
+  }
+
+  return this.updateOne({ _id: jobId }, update);
+};
+
+const IngestionJob = mongoose.model('IngestionJob', ingestionJobSchema);
+
+export default IngestionJob;
\ No newline at end of file
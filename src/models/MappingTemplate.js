@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+
+// Header of a lab's spreadsheet column, matched case-insensitively
+const headerField = {
+  type: String,
+  trim: true,
+  maxlength: [200, 'Header name cannot exceed 200 characters']
+};
+
+const mappingTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  laboratory: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Laboratory name cannot exceed 200 characters']
+  },
+  // Location, coordinate, sampling (year, date, season, campaign, depth) and serial number columns
+  // (latitude/longitude in decimal degrees or DMS, or UTM zone, easting and northing)
+  columns: {
+    name: headerField,
+    state: headerField,
+    district: headerField,
+    latitude: headerField,
+    longitude: headerField,
+    utmZone: headerField,
+    easting: headerField,
+    northing: headerField,
+    hemisphere: headerField,
+    year: headerField,
+    date: headerField,
+    season: headerField,
+    campaign: headerField,
+    depth: headerField,
+    serialNumber: headerField
+  },
+  // Heavy metal columns with their units
+  metals: [{
+    metal: {
+      type: String,
+      required: [true, 'Metal symbol is required'],
+      trim: true
+    },
+    header: {
+      ...headerField,
+      required: [true, 'Metal column header is required']
+    },
+    unit: {
+      type: String,
+      enum: ['ppm', 'ppb', 'mg/L', 'μg/L']
+    },
+    // Used for cells like 'BDL' that do not state the limit
+    detectionLimit: {
+      type: Number,
+      min: [0, 'Detection limit must be non-negative']
+    }
+  }],
+  // Columns kept as environmental parameters
+  environmentalHeaders: [headerField],
+  // Columns deliberately left out of ingestion
+  ignoredHeaders: [headerField],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for performance (name index removed since unique: true already creates it)
+mappingTemplateSchema.index({ isActive: 1 });
+
+// Static method to get an active template by name
+mappingTemplateSchema.statics.getActiveTemplate = function(name) {
+  return this.findOne({ name, isActive: true });
+};
+
+const MappingTemplate = mongoose.model('MappingTemplate', mappingTemplateSchema);
+
+export default MappingTemplate;
\ No newline at end of file
@@ -42,6 +42,12 @@ const pollutionDataSchema = new mongoose.Schema({
     }
   },
 
+  // Sampling station the row was matched to during ingestion
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station'
+  },
+
   // Legacy coordinate fields for easy access (virtual fields)
   latitude: {
     type: Number,
@@ -67,6 +73,37 @@ const pollutionDataSchema = new mongoose.Schema({
     serialNumber: {
       type: String,
       trim: true
+    },
+    // Sampling date; only the month or year is known when datePrecision says so
+    date: {
+      type: Date
+    },
+    datePrecision: {
+      type: String,
+      enum: ['day', 'month', 'year']
+    },
+    month: {
+      type: Number,
+      min: [1, 'Month must be between 1 and 12'],
+      max: [12, 'Month must be between 1 and 12']
+    },
+    // IMD season, from the season column or else the sampling month
+    season: {
+      type: String,
+      enum: {
+        values: ['pre-monsoon', 'monsoon', 'post-monsoon', 'winter'],
+        message: 'Season must be one of: pre-monsoon, monsoon, post-monsoon, winter'
+      }
+    },
+    campaign: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Campaign cannot exceed 100 characters']
+    },
+    // Meters below ground level
+    depth: {
+      type: Number,
+      min: [0, 'Depth must be non-negative']
     }
   },
 
@@ -82,6 +119,16 @@ const pollutionDataSchema = new mongoose.Schema({
         type: String,
         enum: ['ppm', 'ppb', 'mg/L', 'μg/L'],
         default: 'ppm'
+      },
+      // How the lab reported the value; censored values hold the substitute used for the indices
+      qualifier: {
+        type: String,
+        enum: ['detected', '<LOD', 'BDL', 'ND', 'estimated'],
+        default: 'detected'
+      },
+      detectionLimit: {
+        type: Number,
+        min: [0, 'Detection limit must be non-negative']
       }
     }
   },
@@ -109,11 +156,15 @@ const pollutionDataSchema = new mongoose.Schema({
         default: Date.now
       }
     },
+    // Results of the active FormulaConfig expressions, keyed by formula name
     customIndices: {
       type: Map,
       of: {
         value: Number,
         category: String,
+        metals: mongoose.Schema.Types.Mixed, // Value per metal of a per-metal formula
+        version: String,
+        error: String,
         calculatedAt: Date
       }
     }
@@ -143,6 +194,54 @@ const pollutionDataSchema = new mongoose.Schema({
       type: String,
       trim: true
     },
+    sheetName: {
+      type: String,
+      trim: true
+    },
+    rowNumber: {
+      type: Number
+    },
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'IngestionJob'
+    },
+    batchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'UploadBatch'
+    },
+    // How the coordinates were written in the upload
+    coordinateFormat: {
+      type: String,
+      enum: ['decimal', 'dms', 'utm']
+    },
+    // How the row was linked to its station
+    stationMatch: {
+      stationId: String,
+      method: {
+        type: String,
+        enum: ['exact', 'alias', 'fuzzy', 'created']
+      },
+      score: Number,
+      distanceMeters: Number
+    },
+    // State and district the coordinates fall in, according to the boundary files
+    boundaryCheck: {
+      state: String,
+      district: String,
+      stateStatus: {
+        type: String,
+        enum: ['matched', 'filled', 'mismatch', 'outside', 'skipped']
+      },
+      districtStatus: {
+        type: String,
+        enum: ['matched', 'filled', 'mismatch', 'outside', 'skipped']
+      },
+      checkedAt: Date
+    },
+    detectionLimitPolicy: {
+      type: String,
+      enum: ['zero', 'half_lod', 'lod']
+    },
     processingStatus: {
       type: String,
       enum: ['pending', 'processed', 'failed'],
@@ -158,6 +257,46 @@ const pollutionDataSchema = new mongoose.Schema({
     }
   },
 
+  // Record version, bumped each time a replacement upload changes its values
+  version: {
+    type: Number,
+    default: 1
+  },
+
+  // Values this record had before each replacement upload changed them
+  versionHistory: [{
+    _id: false,
+    version: Number,
+    batchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'UploadBatch'
+    },
+    fileName: String,
+    fileHash: String,
+    replacedAt: {
+      type: Date,
+      default: Date.now
+    },
+    changedFields: [String],
+    previousValues: mongoose.Schema.Types.Mixed
+  }],
+
+  // Index values this record had before each recalculation job changed them (latest entries only)
+  recalculationHistory: [{
+    _id: false,
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RecalculationJob'
+    },
+    recalculatedAt: {
+      type: Date,
+      default: Date.now
+    },
+    changedFields: [String],
+    categoryChanged: Boolean,
+    previousValues: mongoose.Schema.Types.Mixed
+  }],
+
   // Quality control flags
   qualityFlags: {
     isValidated: {
@@ -174,7 +313,41 @@ const pollutionDataSchema = new mongoose.Schema({
       min: 0,
       max: 1,
       default: 1
-    }
+    },
+    possibleDuplicate: {
+      type: Boolean,
+      default: false
+    },
+    // Every keep/skip/merge decision taken for a duplicate of this sample
+    duplicateDecisions: [{
+      _id: false,
+      decision: {
+        type: String,
+        enum: ['kept', 'skipped', 'merged']
+      },
+      matchedRecord: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PollutionData'
+      },
+      batchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'UploadBatch'
+      },
+      fileName: String,
+      sheetName: String,
+      rowNumber: Number,
+      distanceMeters: Number,
+      mergedFields: [String],
+      // Values filled into a stored record, e.g. { heavyMetals: { Cu: {...} } }, so a rollback can remove them
+      mergedValues: mongoose.Schema.Types.Mixed,
+      conflictingFields: [String],
+      decidedAt: {
+        type: Date,
+        default: Date.now
+      },
+      // Set when the batch of a merge was rolled back and its values were removed again
+      revertedAt: Date
+    }]
   }
 }, {
   timestamps: true,
@@ -190,6 +363,14 @@ pollutionDataSchema.index({ 'processing.uploadedBy': 1 });
 pollutionDataSchema.index({ 'processing.uploadedAt': 1 });
 pollutionDataSchema.index({ 'pollutionIndices.hmpi.category': 1 });
 pollutionDataSchema.index({ 'processing.processingStatus': 1 });
+pollutionDataSchema.index({ 'processing.fileHash': 1 });
+pollutionDataSchema.index({ 'processing.jobId': 1 });
+pollutionDataSchema.index({ 'processing.batchId': 1 });
+pollutionDataSchema.index({ 'recalculationHistory.jobId': 1 });
+pollutionDataSchema.index({ 'sampleInfo.serialNumber': 1 });
+pollutionDataSchema.index({ 'sampleInfo.date': 1 });
+pollutionDataSchema.index({ 'sampleInfo.year': 1, 'sampleInfo.season': 1 });
+pollutionDataSchema.index({ station: 1, 'sampleInfo.year': 1 });
 
 // Proper GeoJSON 2dsphere index for accurate geospatial queries
 pollutionDataSchema.index({ coordinates: '2dsphere' });
@@ -0,0 +1,144 @@
+import mongoose from 'mongoose';
+
+// Upper bound on stored record errors, keeps job documents well under the 16MB limit
+export const MAX_RECALCULATION_ERRORS = 5000;
+
+const recalculationJobSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // Records to recalculate; an empty filter with all: true means every record
+  filter: {
+    batchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'UploadBatch'
+    },
+    state: String,
+    year: Number,
+    all: Boolean
+  },
+  // Standard category to recalculate under; by default each record keeps its own
+  standardCategory: {
+    type: String
+  },
+  progress: {
+    totalRecords: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    categoryChanged: { type: Number, default: 0 }
+  },
+  // Records per HMPI category transition, e.g. { 'Safe → Unsafe': 12 }
+  categoryChanges: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  recordErrors: [{
+    _id: false,
+    recordId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PollutionData'
+    },
+    error: String
+  }],
+  // Last record handled, so an interrupted job resumes after it
+  lastRecordId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  failureReason: {
+    type: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  workerId: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  heartbeatAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  requestedBy: {
+    type: String,
+    trim: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+recalculationJobSchema.index({ status: 1, createdAt: 1 });
+
+// Static method to atomically claim the oldest queued job
+recalculationJobSchema.statics.claimNextJob = function(workerId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { status: 'queued' },
+    {
+      $set: { status: 'processing', workerId, startedAt: now, heartbeatAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+// Static method to requeue jobs whose worker stopped sending heartbeats (e.g. server restart)
+recalculationJobSchema.statics.recoverStaleJobs = async function(staleBefore) {
+  const staleFilter = { status: 'processing', heartbeatAt: { $lt: staleBefore } };
+
+  const failed = await this.updateMany(
+    { ...staleFilter, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+    { $set: { status: 'failed', failureReason: 'Job was interrupted too many times', completedAt: new Date() } }
+  );
+
+  const requeued = await this.updateMany(
+    staleFilter,
+    { $set: { status: 'queued' }, $unset: { workerId: 1 } }
+  );
+
+  return { requeued: requeued.modifiedCount, failed: failed.modifiedCount };
+};
+
+// Static method to update progress counters, category transitions and record errors
+recalculationJobSchema.statics.recordProgress = function(jobId, { set = {}, inc = {}, categoryChanges = {}, errors = [] } = {}) {
+  const update = {
+    $set: { ...set, heartbeatAt: new Date() }
+  };
+
+  const increments = {
+    ...Object.fromEntries(Object.entries(inc).map(([key, value]) => [`progress.${key}`, value])),
+    ...Object.fromEntries(Object.entries(categoryChanges).map(([key, value]) => [`categoryChanges.${key}`, value]))
+  };
+  if (Object.keys(increments).length > 0) {
+    update.$inc = increments;
+  }
+
+  if (errors.length > 0) {
+    update.$push = { recordErrors: { $each: errors, $slice: MAX_RECALCULATION_ERRORS } };
+  }
+
+  return this.updateOne({ _id: jobId }, update);
+};
+
+const RecalculationJob = mongoose.model('RecalculationJob', recalculationJobSchema);
+
+export default RecalculationJob;
\ No newline at end of file
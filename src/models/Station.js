@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// A sampling station: one well, borewell, river point or handpump, however its name is spelled in uploads
+const stationSchema = new mongoose.Schema({
+  // Stable public identifier, e.g. STN-3F9A1C2B
+  stationId: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Station name is required'],
+    trim: true,
+    maxlength: [200, 'Station name cannot exceed 200 characters']
+  },
+  // Other spellings found in uploads, matched exactly (case-insensitive) during ingestion
+  aliases: [{
+    type: String,
+    trim: true,
+    maxlength: [200, 'Alias cannot exceed 200 characters']
+  }],
+  coordinates: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: [true, 'Station coordinates are required'],
+      validate: {
+        validator: function(coords) {
+          return coords.length === 2 &&
+            coords[0] >= -180 && coords[0] <= 180 && // longitude
+            coords[1] >= -90 && coords[1] <= 90;     // latitude
+        },
+        message: 'Coordinates must be [longitude, latitude] with valid ranges'
+      }
+    }
+  },
+  stationType: {
+    type: String,
+    enum: {
+      values: ['well', 'borewell', 'river', 'handpump'],
+      message: 'Station type must be one of: well, borewell, river, handpump'
+    }
+  },
+  state: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'State name cannot exceed 100 characters']
+  },
+  district: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'District name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // 'ingestion' stations were created for an unmatched row and may still need curating
+  source: {
+    type: String,
+    enum: ['manual', 'ingestion'],
+    default: 'manual'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance (stationId index removed since unique: true already creates it)
+stationSchema.index({ name: 1 });
+stationSchema.index({ aliases: 1 });
+stationSchema.index({ state: 1, district: 1 });
+stationSchema.index({ isActive: 1 });
+stationSchema.index({ 'coordinates.coordinates.1': 1, 'coordinates.coordinates.0': 1 });
+
+// Give new stations a stable identifier
+stationSchema.pre('validate', function(next) {
+  if (!this.stationId) {
+    this.stationId = this.constructor.generateStationId();
+  }
+  next();
+});
+
+// Static method to generate a station identifier
+stationSchema.statics.generateStationId = function() {
+  return `STN-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+};
+
+// Static method to find a station by its stationId or database id
+stationSchema.statics.findByIdentifier = function(identifier) {
+  const value = String(identifier || '').trim();
+  return mongoose.Types.ObjectId.isValid(value) && /^[0-9a-f]{24}$/i.test(value)
+    ? this.findById(value)
+    : this.findOne({ stationId: value.toUpperCase() });
+};
+
+// Method to add an alias unless it is the name or already known
+stationSchema.methods.addAlias = function(alias) {
+  const value = String(alias || '').trim();
+  const known = [this.name, ...this.aliases].map(name => name.toLowerCase());
+
+  if (value && !known.includes(value.toLowerCase())) {
+    this.aliases.push(value);
+  }
+  return this;
+};
+
+const Station = mongoose.model('Station', stationSchema);
+
+export default Station;
\ No newline at end of file
@@ -0,0 +1,190 @@
+import mongoose from 'mongoose';
+
+// Upper bound on stored parse warnings per batch
+export const MAX_BATCH_WARNINGS = 1000;
+
+// Upper bound on stored added/changed/removed and duplicate details per batch
+export const MAX_BATCH_CHANGE_DETAILS = 1000;
+
+const uploadBatchSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'failed', 'rolled_back', 'replaced'],
+    default: 'processing'
+  },
+  uploadedBy: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Uploader cannot exceed 100 characters']
+  },
+  file: {
+    originalName: { type: String, trim: true },
+    size: Number,
+    hash: { type: String, trim: true },
+    format: String,
+    encoding: String,
+    delimiter: String
+  },
+  template: {
+    type: String,
+    trim: true
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IngestionJob'
+  },
+  // Replacement chain: a corrected file replaces the batch of the previous version
+  version: {
+    type: Number,
+    default: 1
+  },
+  replaces: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UploadBatch'
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UploadBatch'
+  },
+  changes: {
+    added: Number,
+    changed: Number,
+    unchanged: Number,
+    removed: Number,
+    details: {
+      added: [mongoose.Schema.Types.Mixed],
+      changed: [mongoose.Schema.Types.Mixed],
+      removed: [mongoose.Schema.Types.Mixed]
+    }
+  },
+  duplicates: {
+    policy: {
+      type: String,
+      enum: ['keep', 'skip', 'merge']
+    },
+    distanceMeters: Number,
+    yearWindow: Number,
+    detected: Number,
+    kept: Number,
+    skipped: Number,
+    merged: Number,
+    details: [mongoose.Schema.Types.Mixed]
+  },
+  counts: {
+    totalRows: { type: Number, default: 0 },
+    insertedRows: { type: Number, default: 0 },
+    errorRows: { type: Number, default: 0 }
+  },
+  detectedMetals: [{
+    type: String
+  }],
+  sheets: [{
+    _id: false,
+    sheetName: String,
+    headerRow: Number,
+    headers: [String],
+    totalRows: Number,
+    errorRows: Number,
+    detectedMetals: [String],
+    unmappedHeaders: [String],
+    missingHeaders: [String]
+  }],
+  skippedSheets: [{
+    _id: false,
+    sheetName: String,
+    reason: String
+  }],
+  warnings: [{
+    _id: false,
+    sheet: String,
+    row: Number,
+    error: String
+  }],
+  completedAt: {
+    type: Date
+  },
+  failureReason: {
+    type: String
+  },
+  rollback: {
+    rolledBackAt: Date,
+    rolledBackBy: { type: String, trim: true },
+    reason: { type: String, trim: true },
+    deletedRecords: Number,
+    // Records of other batches whose merged values were removed again
+    revertedMerges: Number
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for listing batches
+uploadBatchSchema.index({ createdAt: -1 });
+uploadBatchSchema.index({ status: 1 });
+uploadBatchSchema.index({ 'file.hash': 1 });
+uploadBatchSchema.index({ jobId: 1 });
+uploadBatchSchema.index({ replaces: 1 });
+
+// Method to record the outcome of a finished ingestion
+uploadBatchSchema.methods.markCompleted = function(metadata, { insertedRows, errorRows, warnings }) {
+  this.status = 'completed';
+  this.file.format = metadata.format;
+  this.file.encoding = metadata.encoding;
+  this.file.delimiter = metadata.delimiter;
+  this.counts = {
+    totalRows: metadata.totalRows,
+    insertedRows,
+    errorRows
+  };
+  this.detectedMetals = metadata.detectedMetals;
+  this.sheets = metadata.sheets.map(sheet => ({
+    sheetName: sheet.sheetName,
+    headerRow: sheet.headerRow,
+    headers: sheet.headers,
+    totalRows: sheet.totalRows,
+    errorRows: sheet.errorRows,
+    detectedMetals: sheet.detectedMetals,
+    unmappedHeaders: sheet.unmappedHeaders,
+    missingHeaders: sheet.missingHeaders
+  }));
+  this.skippedSheets = metadata.skippedSheets;
+  this.warnings = warnings.slice(0, MAX_BATCH_WARNINGS);
+  this.completedAt = new Date();
+
+  return this.save();
+};
+
+// Method to record the added/changed/removed report of a replacement upload
+uploadBatchSchema.methods.setChanges = function(changes) {
+  this.changes = {
+    added: changes.added,
+    changed: changes.changed,
+    unchanged: changes.unchanged,
+    removed: changes.removed,
+    details: {
+      added: changes.details.added.slice(0, MAX_BATCH_CHANGE_DETAILS),
+      changed: changes.details.changed.slice(0, MAX_BATCH_CHANGE_DETAILS),
+      removed: changes.details.removed.slice(0, MAX_BATCH_CHANGE_DETAILS)
+    }
+  };
+  return this;
+};
+
+// Method to record the duplicate policy and its decisions
+uploadBatchSchema.methods.setDuplicates = function(duplicates) {
+  this.duplicates = {
+    ...duplicates,
+    details: duplicates.details.slice(0, MAX_BATCH_CHANGE_DETAILS)
+  };
+  return this;
+};
+
+const UploadBatch = mongoose.model('UploadBatch', uploadBatchSchema);
+
+export default UploadBatch;
\ No newline at end of file
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// A spreadsheet row that could not be ingested, kept for the batch's error report
+const uploadErrorRowSchema = new mongoose.Schema({
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UploadBatch',
+    required: [true, 'Batch id is required']
+  },
+  sheet: {
+    type: String,
+    trim: true
+  },
+  rowNumber: {
+    type: Number
+  },
+  reason: {
+    type: String,
+    required: [true, 'Failure reason is required']
+  },
+  suggestedFix: {
+    type: String
+  },
+  originalData: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Report rows are read per batch in spreadsheet order
+uploadErrorRowSchema.index({ batchId: 1, sheet: 1, rowNumber: 1 });
+
+const UploadErrorRow = mongoose.model('UploadErrorRow', uploadErrorRowSchema);
+
+export default UploadErrorRow;
\ No newline at end of file
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// Dry-run uploads waiting to be committed. The uploaded file stays on disk
+// until the preview is committed or expires.
+const uploadPreviewSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: [true, 'Preview token is required'],
+    unique: true
+  },
+  filePath: {
+    type: String,
+    required: [true, 'File path is required']
+  },
+  fileMetadata: {
+    originalName: String,
+    filename: String,
+    size: Number,
+    mimeType: String,
+    extension: String,
+    hash: String
+  },
+  parseOptions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  summary: {
+    totalRows: Number,
+    processedRows: Number,
+    errorRows: Number,
+    detectedMetals: [String]
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB remove expired previews automatically
+uploadPreviewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to find a preview that has not expired yet
+uploadPreviewSchema.statics.findActiveByToken = function(token) {
+  return this.findOne({ token, expiresAt: { $gt: new Date() } });
+};
+
+const UploadPreview = mongoose.model('UploadPreview', uploadPreviewSchema);
+
+export default UploadPreview;
\ No newline at end of file
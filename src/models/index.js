@@ -2,10 +2,26 @@ import User from './User.js';
 import PollutionData from './PollutionData.js';
 import HeavyMetalStandard from './HeavyMetalStandard.js';
 import FormulaConfig from './FormulaConfig.js';
+import UploadPreview from './UploadPreview.js';
+import MappingTemplate from './MappingTemplate.js';
+import IngestionJob from './IngestionJob.js';
+import UploadBatch from './UploadBatch.js';
+import UploadErrorRow from './UploadErrorRow.js';
+import Station from './Station.js';
+import ConfigVersion from './ConfigVersion.js';
+import RecalculationJob from './RecalculationJob.js';
 
 export {
   User,
   PollutionData,
   HeavyMetalStandard,
-  FormulaConfig
+  FormulaConfig,
+  UploadPreview,
+  MappingTemplate,
+  IngestionJob,
+  UploadBatch,
+  UploadErrorRow,
+  Station,
+  ConfigVersion,
+  RecalculationJob
 };
\ No newline at end of file
@@ -0,0 +1,13 @@
+import express from 'express';
+import { assessScenario, getCalculatorMetals } from '../controllers/calculatorController.js';
+import { validate, scenarioSchema } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// What-if scoring of ad hoc values, nothing is stored
+router.post('/assess', validate(scenarioSchema), assessScenario);
+
+// Metals with a standard in a category
+router.get('/metals', getCalculatorMetals);
+
+export default router;
\ No newline at end of file
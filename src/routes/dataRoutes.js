@@ -1,14 +1,22 @@
 import express from 'express';
 import {
   uploadPollutionData,
+  previewPollutionData,
+  commitPollutionData,
+  downloadUploadTemplate,
+  getIngestionJobs,
+  getIngestionJobById,
   getPollutionData,
   getPollutionDataById,
   getPollutionStats,
+  getTimeSeries,
+  compareStandards,
+  compareRecordStandards,
   deletePollutionData,  
   getHeatmapData,
   getRelatedDataById
 } from '../controllers/dataController.js';
-import { validateFileUpload, validatePagination } from '../middleware/validation.js';
+import { validate, timeSeriesQuerySchema, validateFileUpload, validatePagination } from '../middleware/validation.js';
 import fileUploader from '../utils/fileUploader.js';
 
 const router = express.Router();
@@ -20,6 +28,23 @@ router.post('/upload',
   uploadPollutionData
 );
 
+// Dry-run an upload and get a token to commit it later
+router.post('/upload/preview',
+  fileUploader.createUploadMiddleware('file'),
+  validateFileUpload,
+  previewPollutionData
+);
+
+// Commit a previewed upload without sending the file again
+router.post('/upload/commit', commitPollutionData);
+
+// Download a blank or example upload template
+router.get('/template', downloadUploadTemplate);
+
+// Track background ingestion jobs
+router.get('/jobs', getIngestionJobs);
+router.get('/jobs/:id', getIngestionJobById);
+
 // Get heatmap data
 router.get('/heatmap', getHeatmapData);
 
@@ -32,6 +57,15 @@ router.get('/', validatePagination, getPollutionData);
 // Get pollution statistics
 router.get('/stats', getPollutionStats);
 
+// Get yearly series of every metal, parameter and index around a point
+router.get('/timeseries', validate(timeSeriesQuerySchema, 'query'), getTimeSeries);
+
+// Assess a filtered set of records under every active standard category
+router.get('/standards-comparison', validatePagination, compareStandards);
+
+// Assess a single record under every active standard category
+router.get('/:id/standards-comparison', compareRecordStandards);
+
 // Get single pollution data record
 router.get('/:id', getPollutionDataById);
 
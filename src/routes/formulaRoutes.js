@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  getFormulas,
+  getFormula,
+  createFormula,
+  updateFormula,
+  activateFormula,
+  deactivateFormula,
+  deleteFormula,
+  getFormulaVersions,
+  getFormulaVersion,
+  getFormulaDiff
+} from '../controllers/formulaController.js';
+import { validate, formulaSchema, formulaUpdateSchema, configChangeSchema, validatePagination } from '../middleware/validation.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// List and create formula configurations (creating needs the admin token)
+router.get('/', validatePagination, getFormulas);
+router.post('/', requireAdmin, validate(formulaSchema), createFormula);
+
+// Single formula configuration by id; every change needs the admin token, an author and a reason
+router.get('/:id', getFormula);
+router.put('/:id', requireAdmin, validate(formulaUpdateSchema), updateFormula);
+router.delete('/:id', requireAdmin, validate(configChangeSchema), deleteFormula);
+router.post('/:id/activate', requireAdmin, validate(configChangeSchema), activateFormula);
+router.post('/:id/deactivate', requireAdmin, validate(configChangeSchema), deactivateFormula);
+
+// Version history
+router.get('/:id/versions', getFormulaVersions);
+router.get('/:id/versions/:revision', getFormulaVersion);
+router.get('/:id/diff', getFormulaDiff);
+
+export default router;
\ No newline at end of file
@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  createMappingTemplate,
+  getMappingTemplates,
+  getMappingTemplate,
+  updateMappingTemplate,
+  deleteMappingTemplate
+} from '../controllers/mappingTemplateController.js';
+import { validate, mappingTemplateSchema } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// List and create templates
+router.get('/', getMappingTemplates);
+router.post('/', validate(mappingTemplateSchema), createMappingTemplate);
+
+// Single template by name
+router.get('/:name', getMappingTemplate);
+router.put('/:name', validate(mappingTemplateSchema), updateMappingTemplate);
+router.delete('/:name', deleteMappingTemplate);
+
+export default router;
\ No newline at end of file
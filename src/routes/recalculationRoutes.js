@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  createRecalculationJob,
+  getRecalculationJobs,
+  getRecalculationJob,
+  getRecalculatedRecords
+} from '../controllers/recalculationController.js';
+import { validate, recalculationSchema, validatePagination } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// List and queue recalculation jobs
+router.get('/', validatePagination, getRecalculationJobs);
+router.post('/', validate(recalculationSchema), createRecalculationJob);
+
+// Job status and the records it changed
+router.get('/:id', getRecalculationJob);
+router.get('/:id/records', validatePagination, getRecalculatedRecords);
+
+export default router;
\ No newline at end of file
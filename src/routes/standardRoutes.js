@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  getStandards,
+  getStandard,
+  createStandard,
+  updateStandard,
+  activateStandard,
+  deactivateStandard,
+  deleteStandard,
+  getStandardVersions,
+  getStandardVersion,
+  getStandardDiff
+} from '../controllers/standardController.js';
+import { validate, standardSchema, standardUpdateSchema, configChangeSchema, validatePagination } from '../middleware/validation.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// List and create standards (creating needs the admin token)
+router.get('/', validatePagination, getStandards);
+router.post('/', requireAdmin, validate(standardSchema), createStandard);
+
+// Single standard by id; every change needs the admin token, an author and a reason
+router.get('/:id', getStandard);
+router.put('/:id', requireAdmin, validate(standardUpdateSchema), updateStandard);
+router.delete('/:id', requireAdmin, validate(configChangeSchema), deleteStandard);
+router.post('/:id/activate', requireAdmin, validate(configChangeSchema), activateStandard);
+router.post('/:id/deactivate', requireAdmin, validate(configChangeSchema), deactivateStandard);
+
+// Version history
+router.get('/:id/versions', getStandardVersions);
+router.get('/:id/versions/:revision', getStandardVersion);
+router.get('/:id/diff', getStandardDiff);
+
+export default router;
\ No newline at end of file
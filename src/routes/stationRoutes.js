@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  getStations,
+  createStation,
+  assignStations,
+  getStation,
+  getStationTimeSeries,
+  updateStation,
+  mergeStations,
+  deleteStation
+} from '../controllers/stationController.js';
+import { validate, stationSchema, stationUpdateSchema, stationMergeSchema, timeSeriesQuerySchema, validatePagination } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// List and create stations
+router.get('/', validatePagination, getStations);
+router.post('/', validate(stationSchema), createStation);
+
+// Link records without a station
+router.post('/assign', assignStations);
+
+// Single station by stationId or database id
+router.get('/:id', getStation);
+router.put('/:id', validate(stationUpdateSchema), updateStation);
+router.delete('/:id', deleteStation);
+
+// Yearly series of every metal, parameter and index at the station
+router.get('/:id/timeseries', validate(timeSeriesQuerySchema, 'query'), getStationTimeSeries);
+
+// Fold duplicate stations into this one
+router.post('/:id/merge', validate(stationMergeSchema), mergeStations);
+
+export default router;
\ No newline at end of file
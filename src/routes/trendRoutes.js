@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getStationTrends,
+  getStationsTrends,
+  getDistrictTrends
+} from '../controllers/trendController.js';
+import { validatePagination } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Trends of every station, flagging significantly worsening ones
+router.get('/stations', validatePagination, getStationsTrends);
+
+// Trends of a single station
+router.get('/stations/:id', getStationTrends);
+
+// Trends of the yearly district averages
+router.get('/districts', validatePagination, getDistrictTrends);
+
+export default router;
\ No newline at end of file
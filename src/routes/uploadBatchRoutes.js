@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  getUploadBatches,
+  getUploadBatchById,
+  getUploadBatchErrorReport,
+  rollbackUploadBatch
+} from '../controllers/uploadBatchController.js';
+import { validate, batchRollbackSchema, validatePagination } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// List upload batches
+router.get('/', validatePagination, getUploadBatches);
+
+// Inspect a single batch
+router.get('/:id', getUploadBatchById);
+
+// Download failed rows as .xlsx or .csv
+router.get('/:id/error-report', getUploadBatchErrorReport);
+
+// Delete every record a batch created
+router.post('/:id/rollback', validate(batchRollbackSchema), rollbackUploadBatch);
+
+export default router;
\ No newline at end of file
@@ -0,0 +1,52 @@
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Download the state and district boundaries used to check uploaded locations (npm run download-boundaries).
+ * Files are written to BOUNDARY_STATES_FILE and BOUNDARY_DISTRICTS_FILE; set BOUNDARY_STATES_URL and
+ * BOUNDARY_DISTRICTS_URL to download other GeoJSON FeatureCollections.
+ */
+const { default: boundaryService } = await import('../utils/boundaryService.js');
+
+const downloads = [
+  {
+    level: 'state',
+    url: process.env.BOUNDARY_STATES_URL || 'https://raw.githubusercontent.com/geohacker/india/master/state/india_state.geojson',
+    file: boundaryService.statesFile
+  },
+  {
+    level: 'district',
+    url: process.env.BOUNDARY_DISTRICTS_URL || 'https://raw.githubusercontent.com/geohacker/india/master/district/india_district.geojson',
+    file: boundaryService.districtsFile
+  }
+];
+
+let failed = false;
+
+for (const { level, url, file } of downloads) {
+  try {
+    console.log(`⬇️ Downloading ${level} boundaries from ${url}...`);
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const text = await response.text();
+    const collection = JSON.parse(text);
+    if (!Array.isArray(collection.features) || collection.features.length === 0) {
+      throw new Error('not a GeoJSON FeatureCollection');
+    }
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, text);
+    console.log(`✅ Saved ${collection.features.length} ${level} boundaries to ${file}`);
+  } catch (error) {
+    console.error(`❌ Failed to download ${level} boundaries:`, error.message);
+    failed = true;
+  }
+}
+
+process.exit(failed ? 1 : 0);
\ No newline at end of file
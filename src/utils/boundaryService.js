@@ -0,0 +1,260 @@
+import fs from 'fs/promises';
+import nameMatcher from './nameMatcher.js';
+
+/**
+ * Checks sample locations against local administrative boundaries.
+ * State and district polygons are read from GeoJSON files on disk (BOUNDARY_STATES_FILE and
+ * BOUNDARY_DISTRICTS_FILE, downloaded with `npm run download-boundaries`); without them the check is skipped.
+ */
+class BoundaryService {
+  constructor() {
+    this.statesFile = process.env.BOUNDARY_STATES_FILE || './data/boundaries/india_states.geojson';
+    this.districtsFile = process.env.BOUNDARY_DISTRICTS_FILE || './data/boundaries/india_districts.geojson';
+
+    // Feature properties holding the names, first one present wins (covers Census, GADM and datameet files)
+    this.stateProperties = process.env.BOUNDARY_STATE_PROPERTY?.split(',') ||
+      ['ST_NM', 'STATE', 'State', 'state', 'STATE_NAME', 'st_nm', 'stname', 'NAME_1'];
+    this.districtProperties = process.env.BOUNDARY_DISTRICT_PROPERTY?.split(',') ||
+      ['DISTRICT', 'District', 'district', 'DIST_NAME', 'dtname', 'district_name', 'NAME_2'];
+
+    this.setupHint = 'Run "npm run download-boundaries" or set BOUNDARY_STATES_FILE and BOUNDARY_DISTRICTS_FILE';
+
+    this.states = [];
+    this.districts = [];
+    this.loading = null;
+  }
+
+  /**
+   * Load the boundary files once
+   * @returns {Promise<Object>} Boundary status
+   */
+  async load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        this.states = await this.readBoundaries(this.statesFile, 'state');
+        this.districts = await this.readBoundaries(this.districtsFile, 'district');
+
+        if (this.states.length === 0) {
+          console.warn(`⚠️ State check is disabled: no state boundaries in ${this.statesFile}. ${this.setupHint}`);
+        }
+        if (this.districts.length === 0) {
+          console.warn(`⚠️ District check is disabled: no district boundaries in ${this.districtsFile}. ${this.setupHint}`);
+        }
+        return this.getStatus();
+      })();
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Read one GeoJSON file into searchable boundaries
+   * @param {string} filePath - GeoJSON FeatureCollection
+   * @param {string} level - 'state' or 'district'
+   * @returns {Promise<Array>} { name, state, bbox, polygons } entries
+   */
+  async readBoundaries(filePath, level) {
+    let collection;
+
+    try {
+      collection = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      // A missing file is reported by load()
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ Failed to read ${level} boundaries from ${filePath}:`, error.message);
+      }
+      return [];
+    }
+
+    const boundaries = [];
+    for (const feature of collection.features || []) {
+      const polygons = this.toPolygons(feature.geometry);
+      const properties = feature.properties || {};
+      const name = this.readProperty(properties, level === 'state' ? this.stateProperties : this.districtProperties);
+
+      if (!name || polygons.length === 0) continue;
+
+      boundaries.push({
+        name,
+        state: level === 'district' ? this.readProperty(properties, this.stateProperties) : name,
+        bbox: this.getBoundingBox(polygons),
+        polygons
+      });
+    }
+
+    console.log(`🗺️ Loaded ${boundaries.length} ${level} boundaries from ${filePath}`);
+    return boundaries;
+  }
+
+  /**
+   * First non-empty property of a feature
+   * @param {Object} properties - Feature properties
+   * @param {Array} names - Candidate property names
+   * @returns {string|null} Property value
+   */
+  readProperty(properties, names) {
+    for (const name of names) {
+      const value = properties[name];
+      if (value !== null && value !== undefined && String(value).trim() !== '') {
+        return String(value).trim();
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Polygons of a geometry, each as [outerRing, ...holes]
+   * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+   * @returns {Array} Polygons
+   */
+  toPolygons(geometry) {
+    if (geometry?.type === 'Polygon') return [geometry.coordinates];
+    if (geometry?.type === 'MultiPolygon') return geometry.coordinates;
+    return [];
+  }
+
+  /**
+   * Bounding box of a set of polygons
+   * @param {Array} polygons - Polygons as [outerRing, ...holes]
+   * @returns {Array} [minLng, minLat, maxLng, maxLat]
+   */
+  getBoundingBox(polygons) {
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+
+    for (const [outerRing] of polygons) {
+      for (const [lng, lat] of outerRing) {
+        if (lng < bbox[0]) bbox[0] = lng;
+        if (lat < bbox[1]) bbox[1] = lat;
+        if (lng > bbox[2]) bbox[2] = lng;
+        if (lat > bbox[3]) bbox[3] = lat;
+      }
+    }
+
+    return bbox;
+  }
+
+  /**
+   * Ray casting test of a point against one ring
+   * @param {number} lng - Longitude
+   * @param {number} lat - Latitude
+   * @param {Array} ring - [lng, lat] positions
+   * @returns {boolean} True when inside
+   */
+  isInRing(lng, lat, ring) {
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+
+      if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+
+    return inside;
+  }
+
+  /**
+   * Find the boundary containing a point
+   * @param {Array} boundaries - Loaded boundaries
+   * @param {number} lng - Longitude
+   * @param {number} lat - Latitude
+   * @returns {Object|null} Matching boundary
+   */
+  findContaining(boundaries, lng, lat) {
+    return boundaries.find(({ bbox, polygons }) => (
+      lng >= bbox[0] && lat >= bbox[1] && lng <= bbox[2] && lat <= bbox[3] &&
+      polygons.some(([outerRing, ...holes]) => (
+        this.isInRing(lng, lat, outerRing) && !holes.some(hole => this.isInRing(lng, lat, hole))
+      ))
+    )) || null;
+  }
+
+  /**
+   * Reverse geocode a point to its state and district
+   * @param {number} longitude - Longitude
+   * @param {number} latitude - Latitude
+   * @returns {Object} { state, district } (null where no boundary contains the point)
+   */
+  locate(longitude, latitude) {
+    const district = this.findContaining(this.districts, longitude, latitude);
+    const state = this.findContaining(this.states, longitude, latitude);
+
+    return {
+      state: state?.name || district?.state || null,
+      district: district?.name || null
+    };
+  }
+
+  /**
+   * Check a record's state and district against its coordinates, filling in missing names
+   * @param {Object} location - { name, state, district } as uploaded
+   * @param {Array} coordinates - [longitude, latitude]
+   * @returns {Object|null} Location with filled-in names, the check result and mismatch anomalies;
+   * null when no boundaries are loaded
+   */
+  checkLocation(location, coordinates) {
+    if (this.states.length === 0 && this.districts.length === 0) return null;
+
+    const [longitude, latitude] = coordinates || [];
+    if (typeof longitude !== 'number' || typeof latitude !== 'number') return null;
+
+    const found = this.locate(longitude, latitude);
+    const checkedLocation = { ...location };
+    const anomalies = [];
+
+    const compare = (level, given, actual, available) => {
+      if (!available) return 'skipped';
+      if (!actual) return 'outside';
+      if (!given) {
+        checkedLocation[level] = actual;
+        return 'filled';
+      }
+      if (nameMatcher.matches(given, actual, { state: level === 'state' })) return 'matched';
+
+      anomalies.push(`${level === 'state' ? 'State' : 'District'} '${given}' does not match the coordinates, which fall in ${actual}`);
+      return 'mismatch';
+    };
+
+    // Without a state file, the state comes from the district's properties (if it has one)
+    const stateStatus = compare('state', location.state, found.state, this.states.length > 0 || Boolean(found.state));
+    const districtStatus = compare('district', location.district, found.district, this.districts.length > 0);
+
+    if (stateStatus === 'outside') {
+      anomalies.push('Coordinates fall outside every state boundary');
+    } else if (districtStatus === 'outside') {
+      anomalies.push(`Coordinates fall outside every district boundary${found.state ? ` of ${found.state}` : ''}`);
+    }
+
+    return {
+      location: checkedLocation,
+      anomalies,
+      boundaryCheck: {
+        state: found.state,
+        district: found.district,
+        stateStatus,
+        districtStatus,
+        checkedAt: new Date()
+      }
+    };
+  }
+
+  /**
+   * Loaded boundaries, for the health check
+   * @returns {Object} Boundary counts and files
+   */
+  getStatus() {
+    return {
+      states: this.states.length,
+      districts: this.districts.length,
+      statesFile: this.statesFile,
+      districtsFile: this.districtsFile
+    };
+  }
+}
+
+// Create singleton instance
+const boundaryService = new BoundaryService();
+
+export default boundaryService;
\ No newline at end of file
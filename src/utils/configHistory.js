@@ -0,0 +1,305 @@
+import { ConfigVersion } from '../models/index.js';
+import hmpiCalculator from './hmpiCalculator.js';
+import formulaEvaluator from './formulaEvaluator.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+/**
+ * Applies admin changes to heavy metal standards and formula configurations. Every change is kept as an
+ * immutable ConfigVersion (full snapshot, changed fields, author and reason), and the calculator caches
+ * are cleared so the next calculation uses it.
+ */
+class ConfigHistory {
+  constructor() {
+    // Bookkeeping fields that are not part of a configuration's content
+    this.ignoredFields = ['_id', '__v', 'createdAt', 'updatedAt', 'lastUpdated', 'updatedBy'];
+    // Attempts at writing the next revision when concurrent changes take it first
+    this.revisionAttempts = 5;
+  }
+
+  /**
+   * Model name of a configuration document
+   * @param {Object} doc - HeavyMetalStandard or FormulaConfig document
+   * @returns {string} Configuration type
+   */
+  typeOf(doc) {
+    return doc.constructor.modelName;
+  }
+
+  /**
+   * Plain copy of a configuration without bookkeeping fields or subdocument ids
+   * @param {Object} doc - Configuration document
+   * @returns {Object} Snapshot
+   */
+  snapshot(doc) {
+    const strip = (value) => {
+      if (Array.isArray(value)) return value.map(strip);
+      if (value && typeof value === 'object' && !(value instanceof Date) && !value._bsontype) {
+        return Object.fromEntries(Object.entries(value)
+          .filter(([key]) => key !== '_id')
+          .map(([key, entry]) => [key, strip(entry)]));
+      }
+      return value;
+    };
+
+    const copy = strip(doc.toObject({ depopulate: true }));
+    for (const field of this.ignoredFields) delete copy[field];
+    return copy;
+  }
+
+  /**
+   * Flatten nested objects to dotted paths; arrays are compared as a whole
+   * @param {Object} value - Snapshot
+   * @param {string} prefix - Path so far
+   * @param {Object} paths - Collected paths
+   * @returns {Object} Value per path
+   */
+  flatten(value, prefix = '', paths = {}) {
+    for (const [key, entry] of Object.entries(value || {})) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (entry && typeof entry === 'object' && !Array.isArray(entry) && !(entry instanceof Date)) {
+        this.flatten(entry, path, paths);
+      } else {
+        paths[path] = entry;
+      }
+    }
+    return paths;
+  }
+
+  /**
+   * Fields that differ between two snapshots
+   * @param {Object} before - Older snapshot
+   * @param {Object} after - Newer snapshot
+   * @returns {Array} Changes ({ field, from, to }), sorted by field
+   */
+  diff(before, after) {
+    const from = this.flatten(before);
+    const to = this.flatten(after);
+
+    return [...new Set([...Object.keys(from), ...Object.keys(to)])]
+      .sort()
+      .filter(field => JSON.stringify(from[field] ?? null) !== JSON.stringify(to[field] ?? null))
+      .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+  }
+
+  /**
+   * Write the next version of a configuration. Revisions are unique per configuration, so a revision taken
+   * by a concurrent change is retried with the one after it
+   * @param {Object} doc - Configuration document
+   * @param {string} action - created, updated, activated, deactivated or deleted
+   * @param {Object} change - Who changed it and why
+   * @param {string} change.author - Author of the change
+   * @param {string} change.reason - Reason for the change
+   * @param {Array} changes - Changed fields
+   * @param {Object} snapshot - State to keep (default: the document as it is)
+   * @returns {Promise<Object>} ConfigVersion document
+   */
+  async record(doc, action, { author, reason }, changes = [], snapshot = this.snapshot(doc)) {
+    const configType = this.typeOf(doc);
+
+    for (let attempt = 1; ; attempt++) {
+      const latest = await ConfigVersion.getLatest(configType, doc._id);
+
+      try {
+        return await ConfigVersion.create({
+          configType,
+          configId: doc._id,
+          revision: (latest?.revision || 0) + 1,
+          action,
+          configVersion: String(snapshot.version),
+          snapshot,
+          changes,
+          author,
+          reason
+        });
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= this.revisionAttempts) throw error;
+      }
+    }
+  }
+
+  /**
+   * Record the current state of a configuration that has no history yet (seeded before versioning), so
+   * the first change can be diffed against it
+   * @param {Object} doc - Configuration document
+   * @param {Object} before - Snapshot taken before the change
+   * @returns {Promise<void>}
+   */
+  async ensureBaseline(doc, before = this.snapshot(doc)) {
+    if (await ConfigVersion.getLatest(this.typeOf(doc), doc._id)) return;
+
+    await this.record(doc, 'created', {
+      author: 'system',
+      reason: 'State before the first recorded change'
+    }, [], before);
+  }
+
+  /**
+   * Reject formulas that do not compile, before they reach the calculator
+   * @param {Object} doc - Configuration document
+   */
+  checkFormula(doc) {
+    if (this.typeOf(doc) === 'FormulaConfig') {
+      formulaEvaluator.compile(doc);
+    }
+  }
+
+  /**
+   * Create a configuration
+   * @param {Object} Model - HeavyMetalStandard or FormulaConfig
+   * @param {Object} fields - Configuration fields
+   * @param {Object} change - Author and reason
+   * @returns {Promise<Object>} { config, version }
+   */
+  async create(Model, fields, change) {
+    const config = new Model(fields);
+    this.checkFormula(config);
+    await config.save();
+
+    const version = await this.record(config, 'created', change, this.diff({}, this.snapshot(config)));
+    hmpiCalculator.clearCache();
+
+    return { config, version };
+  }
+
+  /**
+   * Update a configuration
+   * @param {Object} config - Configuration document
+   * @param {Object} fields - Changed fields
+   * @param {Object} change - Author and reason
+   * @returns {Promise<Object>} { config, version }
+   */
+  async update(config, fields, change) {
+    const before = this.snapshot(config);
+
+    // Only fields that actually change are set, so unchanged values do not raise the version
+    for (const [field, value] of Object.entries(fields)) {
+      if (JSON.stringify(before[field]) !== JSON.stringify(value)) {
+        config.set(field, value);
+      }
+    }
+
+    const changes = this.diff(before, this.snapshot(config));
+    if (changes.length === 0) {
+      throw new AppError('The update does not change the configuration', 400);
+    }
+
+    this.checkFormula(config);
+    await this.ensureBaseline(config, before);
+    await config.save();
+
+    // Include the version raised on save
+    const version = await this.record(config, 'updated', change, this.diff(before, this.snapshot(config)));
+    hmpiCalculator.clearCache();
+
+    return { config, version };
+  }
+
+  /**
+   * Activate or deactivate a configuration
+   * @param {Object} config - Configuration document
+   * @param {boolean} isActive - New state
+   * @param {Object} change - Author and reason
+   * @returns {Promise<Object>} { config, version }
+   */
+  async setActive(config, isActive, change) {
+    if (config.isActive === isActive) {
+      throw new AppError(`The configuration is already ${isActive ? 'active' : 'inactive'}`, 400);
+    }
+
+    // Reactivated formulas must still compile
+    if (isActive) this.checkFormula(config);
+
+    await this.ensureBaseline(config);
+    config.isActive = isActive;
+    await config.save();
+
+    const version = await this.record(config, isActive ? 'activated' : 'deactivated', change, [
+      { field: 'isActive', from: !isActive, to: isActive }
+    ]);
+    hmpiCalculator.clearCache();
+
+    return { config, version };
+  }
+
+  /**
+   * Delete a configuration; its history is kept and ends with the deleted state
+   * @param {Object} config - Configuration document
+   * @param {Object} change - Author and reason
+   * @returns {Promise<Object>} ConfigVersion of the deletion
+   */
+  async remove(config, change) {
+    await this.ensureBaseline(config);
+    const version = await this.record(config, 'deleted', change);
+    await config.deleteOne();
+    hmpiCalculator.clearCache();
+
+    return version;
+  }
+
+  /**
+   * Get the versions of a configuration, also after it was deleted
+   * @param {string} configType - HeavyMetalStandard or FormulaConfig
+   * @param {string} configId - Configuration id
+   * @returns {Promise<Array>} ConfigVersion documents, oldest first
+   */
+  async getHistory(configType, configId) {
+    const versions = await ConfigVersion.getHistory(configType, configId);
+    if (versions.length === 0) {
+      throw new AppError('Configuration has no recorded versions', 404);
+    }
+    return versions;
+  }
+
+  /**
+   * Get one version of a configuration
+   * @param {string} configType - HeavyMetalStandard or FormulaConfig
+   * @param {string} configId - Configuration id
+   * @param {*} revision - Revision number
+   * @returns {Promise<Object>} ConfigVersion document
+   */
+  async getRevision(configType, configId, revision) {
+    const number = Number(revision);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new AppError(`Invalid revision '${revision}'`, 400);
+    }
+
+    const version = await ConfigVersion.getRevision(configType, configId, number);
+    if (!version) {
+      throw new AppError(`Revision ${number} not found`, 404);
+    }
+    return version;
+  }
+
+  /**
+   * Compare two versions of a configuration
+   * @param {string} configType - HeavyMetalStandard or FormulaConfig
+   * @param {string} configId - Configuration id
+   * @param {Object} query - Revisions to compare ({ from, to }); by default the latest against the one before it
+   * @returns {Promise<Object>} { from, to, changes }
+   */
+  async compare(configType, configId, { from, to } = {}) {
+    const latest = await ConfigVersion.getLatest(configType, configId);
+    if (!latest) {
+      throw new AppError('Configuration has no recorded versions', 404);
+    }
+
+    const toVersion = to !== undefined ? await this.getRevision(configType, configId, to) : latest;
+    const fromRevision = from !== undefined ? from : Math.max(toVersion.revision - 1, 1);
+    const fromVersion = await this.getRevision(configType, configId, fromRevision);
+
+    const describe = ({ revision, action, configVersion, author, reason, createdAt }) => ({
+      revision, action, configVersion, author, reason, createdAt
+    });
+
+    return {
+      from: describe(fromVersion),
+      to: describe(toVersion),
+      changes: this.diff(fromVersion.snapshot, toVersion.snapshot)
+    };
+  }
+}
+
+// Create singleton instance
+const configHistory = new ConfigHistory();
+
+export default configHistory;
\ No newline at end of file
@@ -0,0 +1,319 @@
+import { indianStates, stateBounds, indiaBounds, stateAliases } from '../config/regions.js';
+
+/**
+ * Reads sample coordinates given as decimal degrees, degrees-minutes-seconds or UTM,
+ * and puts latitude and longitude back in order when they were entered the wrong way round
+ */
+class CoordinateParser {
+  constructor() {
+    // WGS84 ellipsoid and UTM scale factor
+    this.semiMajorAxis = 6378137;
+    this.flattening = 1 / 298.257223563;
+    this.scaleFactor = 0.9996;
+
+    // Degrees added around a state's box, so samples on the border are not treated as outside it
+    this.boundsMargin = 0.25;
+
+    // UTM hemisphere when neither a hemisphere column nor a latitude band says otherwise
+    this.defaultHemisphere = (process.env.UTM_DEFAULT_HEMISPHERE || 'N').toUpperCase().startsWith('S') ? 'S' : 'N';
+
+    this.statesByName = new Map(indianStates.map(state => [state.toLowerCase(), state]));
+  }
+
+  /**
+   * Parse one coordinate: decimal degrees (26.9124, '26.9124 N', '-12.5') or
+   * degrees-minutes-seconds ('26°54\'44.6"N', '26 54 44.6 N', '26:54:44.6', '26d 54m 44.6s', '26°54.743\'N')
+   * @param {*} value - Cell value
+   * @returns {Object|null|undefined} { value, format, axis } where axis is 'latitude' for N/S and
+   * 'longitude' for E/W; null when the cell is empty, undefined when it is not a coordinate
+   */
+  parseDegrees(value) {
+    if (value === null || value === undefined) return null;
+
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? { value, format: 'decimal', axis: null } : undefined;
+    }
+
+    let text = String(value).trim()
+      .replace(/[º˚]/g, '°')
+      .replace(/[′’‘`´]/g, "'")
+      .replace(/[″”“]|''/g, '"');
+
+    if (text === '') return null;
+
+    // Hemisphere letter before or after the value
+    let hemisphere = null;
+    const hemisphereMatch = text.match(/^([NSEW])\.?\s*(?=[\d+-])|(?<=[\d°'"\s.msd])\s*([NSEW])\.?$/i);
+    // ...unless it is the seconds marker of '26d 54m 44.6s'
+    const isSecondsMarker = hemisphereMatch?.[2] === 's' && /\d\s*m/i.test(text);
+    if (hemisphereMatch && !isSecondsMarker) {
+      hemisphere = (hemisphereMatch[1] || hemisphereMatch[2]).toUpperCase();
+      text = (text.slice(0, hemisphereMatch.index) + text.slice(hemisphereMatch.index + hemisphereMatch[0].length)).trim();
+    }
+
+    // Decimal comma ('26,9124')
+    if (/^[-+]?\d+,\d+$/.test(text)) {
+      text = text.replace(',', '.');
+    }
+
+    let degrees;
+    let format;
+
+    if (/^[-+]?(\d+\.?\d*|\.\d+)\s*°?$/.test(text)) {
+      degrees = parseFloat(text);
+      format = 'decimal';
+    } else {
+      const parts = text.match(/\d+(?:\.\d+)?/g);
+      const separators = text.replace(/^[-+]/, '').replace(/\d+(?:\.\d+)?/g, ' ');
+
+      if (!parts || parts.length > 3 || !/^(\s|°|deg|d|'|min|m|"|sec|s|:)*$/i.test(separators)) {
+        return undefined;
+      }
+
+      const [whole, minutes = 0, seconds = 0] = parts.map(Number);
+      if (minutes >= 60 || seconds >= 60) return undefined;
+
+      degrees = (whole + minutes / 60 + seconds / 3600) * (text.startsWith('-') ? -1 : 1);
+      format = 'dms';
+    }
+
+    if (hemisphere === 'S' || hemisphere === 'W') {
+      degrees = -Math.abs(degrees);
+    }
+
+    return {
+      value: degrees,
+      format,
+      axis: hemisphere === 'N' || hemisphere === 'S' ? 'latitude' : hemisphere ? 'longitude' : null
+    };
+  }
+
+  /**
+   * Read a UTM zone such as 43, '43N', '43 Q' or '44R'.
+   * A trailing letter is a latitude band (C-M south of the equator, N-X north), as in MGRS.
+   * @param {*} value - Zone cell value
+   * @returns {Object|null} { zone, hemisphere } (hemisphere null without a band)
+   */
+  parseUtmZone(value) {
+    const match = String(value ?? '').trim().match(/^(\d{1,2})\s*([C-HJ-NP-X])?$/i);
+    if (!match) return null;
+
+    const zone = parseInt(match[1]);
+    if (zone < 1 || zone > 60) return null;
+
+    const band = match[2]?.toUpperCase();
+    return { zone, hemisphere: band ? (band < 'N' ? 'S' : 'N') : null };
+  }
+
+  /**
+   * Convert UTM (WGS84) to latitude and longitude
+   * @param {number} zone - UTM zone (1-60)
+   * @param {number} easting - Easting in meters
+   * @param {number} northing - Northing in meters
+   * @param {string} hemisphere - 'N' or 'S'
+   * @returns {Object} { latitude, longitude } in decimal degrees
+   */
+  utmToLatLng(zone, easting, northing, hemisphere = 'N') {
+    const a = this.semiMajorAxis;
+    const e2 = this.flattening * (2 - this.flattening);
+    const ep2 = e2 / (1 - e2);
+    const k0 = this.scaleFactor;
+
+    const x = easting - 500000;
+    const y = hemisphere === 'S' ? northing - 10000000 : northing;
+
+    // Footpoint latitude
+    const mu = y / k0 / (a * (1 - e2 / 4 - 3 * e2 ** 2 / 64 - 5 * e2 ** 3 / 256));
+    const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+    const phi1 = mu +
+      (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu) +
+      (21 * e1 ** 2 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu) +
+      (151 * e1 ** 3 / 96) * Math.sin(6 * mu) +
+      (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+
+    const sinPhi = Math.sin(phi1);
+    const cosPhi = Math.cos(phi1);
+    const n1 = a / Math.sqrt(1 - e2 * sinPhi ** 2);
+    const t1 = Math.tan(phi1) ** 2;
+    const c1 = ep2 * cosPhi ** 2;
+    const r1 = a * (1 - e2) / (1 - e2 * sinPhi ** 2) ** 1.5;
+    const d = x / (n1 * k0);
+
+    const latitude = phi1 - (n1 * Math.tan(phi1) / r1) * (
+      d ** 2 / 2 -
+      (5 + 3 * t1 + 10 * c1 - 4 * c1 ** 2 - 9 * ep2) * d ** 4 / 24 +
+      (61 + 90 * t1 + 298 * c1 + 45 * t1 ** 2 - 252 * ep2 - 3 * c1 ** 2) * d ** 6 / 720
+    );
+    const longitude = (
+      d -
+      (1 + 2 * t1 + c1) * d ** 3 / 6 +
+      (5 - 2 * c1 + 28 * t1 - 3 * c1 ** 2 + 8 * ep2 + 24 * t1 ** 2) * d ** 5 / 120
+    ) / cosPhi;
+
+    const centralMeridian = (zone - 1) * 6 - 180 + 3;
+
+    return {
+      latitude: this.round(latitude * 180 / Math.PI),
+      longitude: this.round(centralMeridian + longitude * 180 / Math.PI)
+    };
+  }
+
+  /**
+   * Round converted coordinates to 7 decimals (about 1 cm)
+   * @param {number} value - Degrees
+   * @returns {number} Rounded degrees
+   */
+  round(value) {
+    return Math.round(value * 1e7) / 1e7;
+  }
+
+  /**
+   * Bounding box of a state, accepting former names and any letter case
+   * @param {string} state - State as written in the upload
+   * @returns {Object|null} { name, bounds }
+   */
+  getStateBounds(state) {
+    if (!state) return null;
+
+    const key = String(state).toLowerCase().trim().replace(/\s+/g, ' ');
+    const name = this.statesByName.get(key) || this.statesByName.get(key.replace(/&/g, 'and')) || stateAliases[key];
+
+    return name && stateBounds[name] ? { name, bounds: stateBounds[name] } : null;
+  }
+
+  /**
+   * Check whether a point lies in a bounding box (with the margin)
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @param {Array} bounds - [minLat, maxLat, minLng, maxLng]
+   * @returns {boolean} True when inside
+   */
+  isWithin(latitude, longitude, [minLat, maxLat, minLng, maxLng]) {
+    const margin = this.boundsMargin;
+    return latitude >= minLat - margin && latitude <= maxLat + margin &&
+      longitude >= minLng - margin && longitude <= maxLng + margin;
+  }
+
+  /**
+   * Detect latitude and longitude entered the wrong way round.
+   * The point is checked against the sample's state, or against India when the state is unknown.
+   * @param {number} latitude - Latitude as read
+   * @param {number} longitude - Longitude as read
+   * @param {string} state - Sample state
+   * @returns {string|null} Why the values look swapped, or null
+   */
+  detectSwap(latitude, longitude, state) {
+    // Only one order is a valid coordinate
+    if (Math.abs(latitude) > 90 && Math.abs(longitude) <= 90) {
+      return 'latitude is outside -90 to 90';
+    }
+
+    const stateBox = this.getStateBounds(state);
+    const bounds = stateBox ? stateBox.bounds : indiaBounds;
+    const region = stateBox ? stateBox.name : 'India';
+
+    if (!this.isWithin(latitude, longitude, bounds) && this.isWithin(longitude, latitude, bounds)) {
+      return `only the swapped values fall within ${region}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve the coordinates of a row
+   * @param {Object} input - Raw cell values
+   * @param {*} input.latitude - Latitude cell
+   * @param {*} input.longitude - Longitude cell
+   * @param {*} input.utmZone - UTM zone cell
+   * @param {*} input.easting - UTM easting cell
+   * @param {*} input.northing - UTM northing cell
+   * @param {*} input.hemisphere - UTM hemisphere cell ('N', 'S', 'North', 'South')
+   * @param {string} input.state - Sample state, used to detect swapped values
+   * @returns {Object} { latitude, longitude, format, warnings } or { error } when the row has no usable coordinates
+   */
+  resolve({ latitude, longitude, utmZone, easting, northing, hemisphere, state } = {}) {
+    const isBlank = value => value === null || value === undefined || String(value).trim() === '';
+    const warnings = [];
+
+    if (isBlank(latitude) && isBlank(longitude)) {
+      if (isBlank(utmZone) && isBlank(easting) && isBlank(northing)) {
+        return { error: 'Missing coordinates: enter latitude and longitude, or UTM zone, easting and northing' };
+      }
+      return this.resolveUtm({ utmZone, easting, northing, hemisphere });
+    }
+
+    if (isBlank(latitude) || isBlank(longitude)) {
+      return { error: `Missing ${isBlank(latitude) ? 'latitude' : 'longitude'}` };
+    }
+
+    const parsedLatitude = this.parseDegrees(latitude);
+    const parsedLongitude = this.parseDegrees(longitude);
+
+    if (!parsedLatitude) {
+      return { error: `Unrecognised latitude '${latitude}'` };
+    }
+    if (!parsedLongitude) {
+      return { error: `Unrecognised longitude '${longitude}'` };
+    }
+
+    let lat = parsedLatitude.value;
+    let lng = parsedLongitude.value;
+
+    // An E/W value in the latitude column (and N/S in the longitude column) says so explicitly
+    let swapReason = null;
+    if (parsedLatitude.axis === 'longitude' || parsedLongitude.axis === 'latitude') {
+      swapReason = 'their hemisphere letters are in the other column';
+    } else if (!parsedLatitude.axis && !parsedLongitude.axis) {
+      swapReason = this.detectSwap(lat, lng, state);
+    }
+
+    if (swapReason) {
+      [lat, lng] = [lng, lat];
+      warnings.push(`Latitude and longitude swapped (${swapReason})`);
+    }
+
+    return {
+      latitude: lat,
+      longitude: lng,
+      format: parsedLatitude.format === 'dms' || parsedLongitude.format === 'dms' ? 'dms' : 'decimal',
+      warnings
+    };
+  }
+
+  /**
+   * Resolve UTM zone, easting and northing cells
+   * @param {Object} input - Raw cell values (utmZone, easting, northing, hemisphere)
+   * @returns {Object} { latitude, longitude, format, warnings } or { error }
+   */
+  resolveUtm({ utmZone, easting, northing, hemisphere }) {
+    const zone = this.parseUtmZone(utmZone);
+    if (!zone) {
+      return { error: utmZone === null || utmZone === undefined || utmZone === '' ? 'Missing UTM zone' : `Unrecognised UTM zone '${utmZone}'` };
+    }
+
+    const x = parseFloat(easting);
+    const y = parseFloat(northing);
+    if (!Number.isFinite(x) || x < 100000 || x > 900000) {
+      return { error: `UTM easting must be between 100000 and 900000 meters (got '${easting ?? ''}')` };
+    }
+    if (!Number.isFinite(y) || y < 0 || y > 10000000) {
+      return { error: `UTM northing must be between 0 and 10000000 meters (got '${northing ?? ''}')` };
+    }
+
+    const hemisphereText = String(hemisphere ?? '').trim().toUpperCase();
+    const resolvedHemisphere = hemisphereText.startsWith('S') ? 'S'
+      : hemisphereText.startsWith('N') ? 'N'
+      : zone.hemisphere || this.defaultHemisphere;
+
+    return {
+      ...this.utmToLatLng(zone.zone, x, y, resolvedHemisphere),
+      format: 'utm',
+      warnings: []
+    };
+  }
+}
+
+// Create singleton instance
+const coordinateParser = new CoordinateParser();
+
+export default coordinateParser;
\ No newline at end of file
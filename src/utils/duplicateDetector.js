@@ -0,0 +1,507 @@
+import mongoose from 'mongoose';
+import { PollutionData } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import hmpiCalculator from './hmpiCalculator.js';
+import recordBuilder from './recordBuilder.js';
+
+/**
+ * Detects samples that already arrived through another upload (or earlier in the same file)
+ * and applies the batch's duplicate policy: keep, skip or merge
+ */
+class DuplicateDetector {
+  constructor() {
+    this.policies = ['keep', 'skip', 'merge'];
+    this.defaultPolicy = process.env.DUPLICATE_POLICY || 'keep';
+    this.defaultDistanceMeters = parseFloat(process.env.DUPLICATE_DISTANCE_METERS) || 50;
+    this.defaultYearWindow = parseInt(process.env.DUPLICATE_YEAR_WINDOW) || 0;
+    this.chunkSize = 500;
+  }
+
+  /**
+   * Resolve and validate the duplicate options of an upload
+   * @param {Object} options - Raw options (policy, distanceMeters, yearWindow)
+   * @returns {Object} Options with defaults applied
+   */
+  resolveOptions({ policy, distanceMeters, yearWindow } = {}) {
+    const resolved = {
+      policy: policy ? String(policy).trim().toLowerCase() : this.defaultPolicy,
+      distanceMeters: distanceMeters !== undefined && distanceMeters !== '' ? parseFloat(distanceMeters) : this.defaultDistanceMeters,
+      yearWindow: yearWindow !== undefined && yearWindow !== '' ? parseInt(yearWindow) : this.defaultYearWindow
+    };
+
+    if (!this.policies.includes(resolved.policy)) {
+      throw new AppError(`Duplicate policy must be one of: ${this.policies.join(', ')}`, 400);
+    }
+
+    if (isNaN(resolved.distanceMeters) || resolved.distanceMeters < 0) {
+      throw new AppError('Duplicate distance must be a non-negative number of meters', 400);
+    }
+
+    if (isNaN(resolved.yearWindow) || resolved.yearWindow < 0) {
+      throw new AppError('Duplicate year window must be a non-negative number of years', 400);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Great-circle distance between two [longitude, latitude] points
+   * @param {Array} a - First point
+   * @param {Array} b - Second point
+   * @returns {number} Distance in meters
+   */
+  distanceBetween(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const [lon1, lat1] = a;
+    const [lon2, lat2] = b;
+
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * 6371000 * Math.asin(Math.sqrt(h));
+  }
+
+  /**
+   * Serial numbers generated from the row position (ROW_12) say nothing about the sample
+   * @param {string} serialNumber - Sample serial number
+   * @returns {boolean} True for a real serial number
+   */
+  isMeaningfulSerial(serialNumber) {
+    return Boolean(serialNumber) && !/^ROW_\d+$/.test(serialNumber);
+  }
+
+  /**
+   * Lookup keys of a record: its location name and, if meaningful, its serial number
+   * @param {Object} record - PollutionData document (plain or lean)
+   * @returns {Array} Lookup keys
+   */
+  lookupKeys(record) {
+    const keys = [`name:${String(record.location?.name || '').trim().toLowerCase()}`];
+    if (this.isMeaningfulSerial(record.sampleInfo?.serialNumber)) {
+      keys.push(`serial:${record.sampleInfo.serialNumber}`);
+    }
+    return keys;
+  }
+
+  /**
+   * Add a record to a lookup map under each of its keys
+   * @param {Map} lookup - Lookup map
+   * @param {Object} record - PollutionData document (plain or lean)
+   */
+  addToLookup(lookup, record) {
+    for (const key of this.lookupKeys(record)) {
+      if (!lookup.has(key)) lookup.set(key, []);
+      lookup.get(key).push(record);
+    }
+  }
+
+  /**
+   * Check whether two samples are likely the same sample
+   * @param {Object} record - Incoming record
+   * @param {Object} candidate - Existing or earlier record
+   * @param {Object} options - Resolved duplicate options
+   * @returns {number|null} Distance in meters when they match, otherwise null
+   */
+  matchDistance(record, candidate, options) {
+    const sameName = String(record.location?.name || '').trim().toLowerCase() ===
+      String(candidate.location?.name || '').trim().toLowerCase();
+    const sameSerial = this.isMeaningfulSerial(record.sampleInfo?.serialNumber) &&
+      record.sampleInfo.serialNumber === candidate.sampleInfo?.serialNumber;
+
+    if (!sameName && !sameSerial) return null;
+
+    if (Math.abs((record.sampleInfo?.year || 0) - (candidate.sampleInfo?.year || 0)) > options.yearWindow) {
+      return null;
+    }
+
+    // Different campaigns at one place (pre- and post-monsoon, or another date or depth) are different samples
+    if (!this.sameCampaign(record.sampleInfo, candidate.sampleInfo)) {
+      return null;
+    }
+
+    const distance = this.distanceBetween(record.coordinates.coordinates, candidate.coordinates.coordinates);
+    return distance <= options.distanceMeters ? distance : null;
+  }
+
+  /**
+   * Check whether two samples could come from the same campaign.
+   * Fields missing on either side do not tell them apart.
+   * @param {Object} a - sampleInfo of one record
+   * @param {Object} b - sampleInfo of the other record
+   * @returns {boolean} False when their season, date or depth differ
+   */
+  sameCampaign(a = {}, b = {}) {
+    const differs = (x, y) => x !== null && x !== undefined && y !== null && y !== undefined && x !== y;
+    const day = date => (date && a.datePrecision === 'day' && b.datePrecision === 'day' ? new Date(date).getTime() : null);
+
+    return !differs(a.season, b.season) &&
+      !differs(day(a.date), day(b.date)) &&
+      !differs(a.depth, b.depth);
+  }
+
+  /**
+   * Load stored records that could duplicate a chunk of incoming records
+   * @param {Array} records - Incoming records
+   * @param {Object} options - Resolved duplicate options
+   * @param {ObjectId} excludeBatchId - Batch whose records are not candidates (e.g. the batch being replaced)
+   * @returns {Promise<Array>} Lean candidate records
+   */
+  async findStoredCandidates(records, options, excludeBatchId) {
+    const years = records.map(record => record.sampleInfo?.year).filter(Boolean);
+    const names = [...new Set(records.map(record => record.location?.name).filter(Boolean))];
+    const serialNumbers = [...new Set(records.map(record => record.sampleInfo?.serialNumber).filter(serial => this.isMeaningfulSerial(serial)))];
+
+    const filter = {
+      'sampleInfo.year': {
+        $gte: Math.min(...years) - options.yearWindow,
+        $lte: Math.max(...years) + options.yearWindow
+      },
+      $or: [
+        { 'location.name': { $in: names } },
+        { 'sampleInfo.serialNumber': { $in: serialNumbers } }
+      ]
+    };
+
+    if (excludeBatchId) {
+      filter['processing.batchId'] = { $ne: excludeBatchId };
+    }
+
+    return PollutionData.find(filter)
+      .select('location coordinates sampleInfo heavyMetals environmentalParams processing.detectionLimitPolicy pollutionIndices.standardSet.category pollutionIndices.healthRiskAssessment.parameters')
+      .lean();
+  }
+
+  /**
+   * Merge an incoming record into the record it duplicates.
+   * Values the duplicate lacks are filled in; conflicting values keep the existing value.
+   * @param {Object} target - Existing record (lean or plain)
+   * @param {Object} record - Incoming record
+   * @returns {Object} Filled-in values, merged field paths and conflicting field paths
+   */
+  mergeValues(target, record) {
+    const filled = {};
+    const mergedFields = [];
+    const conflictingFields = [];
+
+    for (const field of ['heavyMetals', 'environmentalParams']) {
+      const existing = target[field] || {};
+
+      for (const [key, data] of Object.entries(record[field] || {})) {
+        if (!existing[key]) {
+          filled[`${field}.${key}`] = data;
+          mergedFields.push(`${field}.${key}`);
+        } else if (!this.sameValue(existing[key], data)) {
+          conflictingFields.push(`${field}.${key}`);
+        }
+      }
+    }
+
+    return { filled, mergedFields, conflictingFields };
+  }
+
+  /**
+   * Detect duplicates among records about to be inserted and apply the duplicate policy
+   * @param {Array} records - Plain PollutionData documents about to be inserted
+   * @param {Object} options - Resolved duplicate options
+   * @param {Object} context - Upload context
+   * @param {ObjectId} context.batchId - Batch the records belong to
+   * @param {string} context.fileName - Original file name
+   * @param {ObjectId} context.excludeBatchId - Batch whose records are not candidates
+   * @returns {Promise<Object>} Records to insert, bulk updates for stored records and the duplicate report
+   */
+  async resolve(records, options, { batchId, fileName, excludeBatchId } = {}) {
+    const recordsToInsert = [];
+    const storedUpdates = new Map(); // stored record id -> { filled, decisions }
+    const report = { ...options, detected: 0, kept: 0, skipped: 0, merged: 0, details: [] };
+    const decidedAt = new Date();
+    const incomingRecords = new Set(records);
+
+    // Earlier rows of this upload, grouped by name and serial number for quick lookup
+    const earlierRecords = new Map();
+
+    for (let start = 0; start < records.length; start += this.chunkSize) {
+      const chunk = records.slice(start, start + this.chunkSize);
+      const storedCandidates = new Map();
+      for (const candidate of await this.findStoredCandidates(chunk, options, excludeBatchId)) {
+        this.addToLookup(storedCandidates, candidate);
+      }
+
+      for (const record of chunk) {
+        const candidates = new Set();
+        for (const key of this.lookupKeys(record)) {
+          for (const candidate of storedCandidates.get(key) || []) candidates.add(candidate);
+          for (const candidate of earlierRecords.get(key) || []) candidates.add(candidate);
+        }
+
+        // Nearest matching candidate wins
+        let match = null;
+        for (const candidate of candidates) {
+          const distance = this.matchDistance(record, candidate, options);
+          if (distance !== null && (!match || distance < match.distance)) {
+            match = { candidate, distance };
+          }
+        }
+
+        if (!match) {
+          recordsToInsert.push(record);
+          this.addToLookup(earlierRecords, record);
+          continue;
+        }
+
+        report.detected++;
+
+        // Earlier rows of this file get their id now so decisions can point at them
+        const { candidate } = match;
+        const isStored = !incomingRecords.has(candidate);
+        if (!candidate._id) {
+          candidate._id = new mongoose.Types.ObjectId();
+        }
+
+        const decision = {
+          decision: options.policy === 'keep' ? 'kept' : options.policy === 'skip' ? 'skipped' : 'merged',
+          matchedRecord: candidate._id,
+          batchId,
+          fileName,
+          sheetName: record.processing?.sheetName,
+          rowNumber: record.processing?.rowNumber,
+          distanceMeters: Math.round(match.distance * 100) / 100,
+          decidedAt
+        };
+
+        if (options.policy === 'keep') {
+          record.qualityFlags.possibleDuplicate = true;
+          record.qualityFlags.hasAnomalies = true;
+          record.qualityFlags.anomalies.push(`Possible duplicate of record ${candidate._id} (${decision.distanceMeters} m away)`);
+          record.qualityFlags.duplicateDecisions = [decision];
+          recordsToInsert.push(record);
+          this.addToLookup(earlierRecords, record);
+          report.kept++;
+
+          // Flag the matched sample as well
+          if (isStored) {
+            storedUpdates.set(String(candidate._id), storedUpdates.get(String(candidate._id)) || { candidate, filled: {}, decisions: [] });
+          } else {
+            candidate.qualityFlags.possibleDuplicate = true;
+          }
+
+        } else {
+          let merge = { filled: {}, mergedFields: [], conflictingFields: [] };
+
+          if (options.policy === 'merge') {
+            merge = this.mergeValues(candidate, record);
+            decision.mergedFields = merge.mergedFields;
+            decision.conflictingFields = merge.conflictingFields;
+            report.merged++;
+          } else {
+            report.skipped++;
+          }
+
+          if (isStored) {
+            if (options.policy === 'merge') {
+              decision.mergedValues = this.nestValues(merge.filled);
+            }
+            const update = storedUpdates.get(String(candidate._id)) || { candidate, filled: {}, decisions: [] };
+            Object.assign(update.filled, merge.filled);
+            update.decisions.push(decision);
+            storedUpdates.set(String(candidate._id), update);
+          } else {
+            // The duplicate is an earlier row of this file, so change it before it is inserted
+            for (const [path, data] of Object.entries(merge.filled)) {
+              const [field, key] = this.splitPath(path);
+              candidate[field] = { ...candidate[field], [key]: data };
+            }
+            if (merge.mergedFields.some(path => path.startsWith('heavyMetals.'))) {
+              candidate.pollutionIndices = recordBuilder.buildPollutionIndices(candidate.heavyMetals, {
+                detectionLimitPolicy: candidate.processing?.detectionLimitPolicy,
+                exposure: candidate.pollutionIndices?.healthRiskAssessment?.parameters,
+                standardSet: await hmpiCalculator.getStandardSet(candidate.pollutionIndices?.standardSet?.category),
+                formulas: await hmpiCalculator.getCustomFormulas()
+              });
+            }
+            candidate.qualityFlags.possibleDuplicate = true;
+            candidate.qualityFlags.duplicateDecisions = [...(candidate.qualityFlags.duplicateDecisions || []), decision];
+          }
+        }
+
+        report.details.push({
+          sheet: decision.sheetName,
+          rowNumber: decision.rowNumber,
+          decision: decision.decision,
+          matchedRecord: decision.matchedRecord,
+          distanceMeters: decision.distanceMeters,
+          ...(decision.mergedFields && { mergedFields: decision.mergedFields, conflictingFields: decision.conflictingFields })
+        });
+      }
+    }
+
+    return {
+      recordsToInsert,
+      storedUpdates: await Promise.all([...storedUpdates.values()].map(update => this.buildStoredUpdate(update))),
+      report
+    };
+  }
+
+  /**
+   * Split a merged field path into its map field and key
+   * @param {string} path - e.g. 'heavyMetals.Cu'
+   * @returns {Array} [field, key]
+   */
+  splitPath(path) {
+    const separator = path.indexOf('.');
+    return [path.slice(0, separator), path.slice(separator + 1)];
+  }
+
+  /**
+   * Nest values keyed by field path, e.g. { 'heavyMetals.Cu': data } -> { heavyMetals: { Cu: data } }
+   * @param {Object} values - Values keyed by field path
+   * @returns {Object} Nested values
+   */
+  nestValues(values) {
+    const nested = {};
+    for (const [path, data] of Object.entries(values)) {
+      const [field, key] = this.splitPath(path);
+      nested[field] = { ...nested[field], [key]: data };
+    }
+    return nested;
+  }
+
+  /**
+   * Remove the values a batch merged into records of other batches, e.g. when the batch is rolled back.
+   * A value is only removed while it is still the one merged in; indices are recalculated without it.
+   * @param {ObjectId} batchId - Batch whose merges are reverted
+   * @returns {Promise<Object>} { records, fields } reverted
+   */
+  async revertMerges(batchId) {
+    const pendingMerge = { batchId, decision: 'merged', revertedAt: { $exists: false } };
+    const cursor = PollutionData.find({
+      'processing.batchId': { $ne: batchId },
+      'qualityFlags.duplicateDecisions': { $elemMatch: pendingMerge }
+    })
+      .select('heavyMetals environmentalParams pollutionIndices processing.detectionLimitPolicy qualityFlags.duplicateDecisions')
+      .lean()
+      .cursor();
+
+    const reverted = { records: 0, fields: 0 };
+    let operations = [];
+
+    const flush = async () => {
+      if (operations.length === 0) return;
+      await PollutionData.bulkWrite(operations, { ordered: false });
+      operations = [];
+    };
+
+    for await (const record of cursor) {
+      const merges = record.qualityFlags.duplicateDecisions
+        .filter(decision => decision.decision === 'merged' && !decision.revertedAt && String(decision.batchId) === String(batchId));
+
+      const $unset = {};
+      for (const decision of merges) {
+        for (const path of decision.mergedFields || []) {
+          const [field, key] = this.splitPath(path);
+          const current = record[field]?.[key];
+          const merged = decision.mergedValues?.[field]?.[key];
+
+          // Decisions recorded before merged values were kept are reverted as they are
+          if (current && (!merged || this.sameValue(current, merged))) {
+            $unset[path] = 1;
+          }
+        }
+      }
+
+      const update = {
+        $set: { 'qualityFlags.duplicateDecisions.$[merge].revertedAt': new Date() }
+      };
+
+      if (Object.keys($unset).length > 0) {
+        update.$unset = $unset;
+        reverted.records++;
+        reverted.fields += Object.keys($unset).length;
+
+        const heavyMetals = { ...record.heavyMetals };
+        for (const path of Object.keys($unset)) {
+          const [field, key] = this.splitPath(path);
+          if (field === 'heavyMetals') delete heavyMetals[key];
+        }
+
+        if (Object.keys($unset).some(path => path.startsWith('heavyMetals.'))) {
+          update.$set.pollutionIndices = recordBuilder.buildPollutionIndices(heavyMetals, {
+            detectionLimitPolicy: record.processing?.detectionLimitPolicy,
+            exposure: record.pollutionIndices?.healthRiskAssessment?.parameters,
+            standardSet: await hmpiCalculator.getStandardSet(record.pollutionIndices?.standardSet?.category),
+            formulas: await hmpiCalculator.getCustomFormulas()
+          });
+          update.$set['processing.lastCalculated'] = new Date();
+        }
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { _id: record._id },
+          update,
+          arrayFilters: [{ 'merge.batchId': batchId, 'merge.decision': 'merged' }]
+        }
+      });
+
+      if (operations.length >= this.chunkSize) {
+        await flush();
+      }
+    }
+    await flush();
+
+    return reverted;
+  }
+
+  /**
+   * Whether two stored values (value, unit, qualifier) are the same
+   */
+  sameValue(a, b) {
+    return a.value === b.value && a.unit === b.unit && (a.qualifier || 'detected') === (b.qualifier || 'detected');
+  }
+
+  /**
+   * Build the bulkWrite operation recording decisions (and merged values) on a stored record
+   * @param {Object} update - Candidate, filled-in values and decisions
+   * @returns {Promise<Object>} updateOne operation
+   */
+  async buildStoredUpdate({ candidate, filled, decisions }) {
+    const $set = { 'qualityFlags.possibleDuplicate': true };
+
+    for (const [path, data] of Object.entries(filled)) {
+      $set[path] = data;
+    }
+
+    // New metal values change the indices
+    if (Object.keys(filled).some(path => path.startsWith('heavyMetals.'))) {
+      const heavyMetals = { ...candidate.heavyMetals };
+      for (const [path, data] of Object.entries(filled)) {
+        const [field, key] = this.splitPath(path);
+        if (field === 'heavyMetals') heavyMetals[key] = data;
+      }
+      // Recalculated under the standard category the record was calculated with
+      $set.pollutionIndices = recordBuilder.buildPollutionIndices(heavyMetals, {
+        detectionLimitPolicy: candidate.processing?.detectionLimitPolicy,
+        exposure: candidate.pollutionIndices?.healthRiskAssessment?.parameters,
+        standardSet: await hmpiCalculator.getStandardSet(candidate.pollutionIndices?.standardSet?.category),
+        formulas: await hmpiCalculator.getCustomFormulas()
+      });
+      $set['processing.lastCalculated'] = new Date();
+    }
+
+    return {
+      updateOne: {
+        filter: { _id: candidate._id },
+        update: {
+          $set,
+          $push: { 'qualityFlags.duplicateDecisions': { $each: decisions } }
+        }
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const duplicateDetector = new DuplicateDetector();
+
+export default duplicateDetector;
\ No newline at end of file
@@ -0,0 +1,166 @@
+import XLSX from 'xlsx';
+import path from 'path';
+
+/**
+ * Builds the downloadable error report of an upload batch.
+ * Each report sheet repeats the original header row, so the file can be fixed and uploaded again.
+ */
+class ErrorReportBuilder {
+  constructor() {
+    // Appended after the original columns; text values, so ingestion leaves them out
+    this.errorColumns = ['Error Sheet', 'Error Row', 'Error Reason', 'Suggested Fix'];
+
+    this.formats = {
+      xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      csv: 'text/csv; charset=utf-8'
+    };
+
+    // First matching rule wins
+    this.fixRules = [
+      { pattern: /missing essential location data/i, fix: 'Fill in the location name and both latitude and longitude' },
+      { pattern: /location name is required/i, fix: 'Fill in the location name' },
+      { pattern: /utm/i, fix: 'Enter the UTM zone (e.g. 43 or 43Q), easting (100000-900000) and northing in meters' },
+      { pattern: /coordinates|latitude|longitude/i, fix: 'Enter latitude (-90 to 90) and longitude (-180 to 180) in decimal degrees or as degrees-minutes-seconds (e.g. 26°54\'44.6"N)' },
+      { pattern: /year/i, fix: 'Enter the sampling year as a four-digit number between 1900 and next year' },
+      { pattern: /non-negative|negative value/i, fix: 'Replace negative concentrations with the measured value or leave the cell blank' },
+      { pattern: /cannot exceed/i, fix: 'Shorten the value to the allowed length' },
+      { pattern: /duplicate key/i, fix: 'This row is already stored; remove it from the file' },
+      { pattern: /cast to number failed|must be a number/i, fix: 'Enter plain numbers without units or text in numeric columns' }
+    ];
+  }
+
+  /**
+   * Suggest how to fix a failed row
+   * @param {string} reason - Failure reason
+   * @returns {string} Suggested fix
+   */
+  suggestFix(reason) {
+    const rule = this.fixRules.find(({ pattern }) => pattern.test(reason || ''));
+    return rule ? rule.fix : 'Correct the value named in the reason and upload the row again';
+  }
+
+  /**
+   * Build the rows of one report sheet
+   * @param {Array} headers - Original header row
+   * @param {Array} errorRows - UploadErrorRow documents
+   * @returns {Array} Array of rows, header first
+   */
+  buildSheetData(headers, errorRows) {
+    const data = [[...headers, ...this.errorColumns]];
+
+    for (const errorRow of errorRows) {
+      const original = errorRow.originalData || {};
+      data.push([
+        ...headers.map(header => original[header] ?? null),
+        errorRow.sheet || null,
+        errorRow.rowNumber ?? null,
+        errorRow.reason,
+        errorRow.suggestedFix || this.suggestFix(errorRow.reason)
+      ]);
+    }
+
+    return data;
+  }
+
+  /**
+   * Original headers of a sheet, falling back to the keys of its failed rows
+   * @param {Object} batch - UploadBatch document
+   * @param {string} sheetName - Source sheet name
+   * @param {Array} errorRows - Failed rows of that sheet
+   * @returns {Array} Header row
+   */
+  resolveHeaders(batch, sheetName, errorRows) {
+    const sheet = batch.sheets?.find(entry => entry.sheetName === sheetName);
+    if (sheet?.headers?.length) {
+      return [...sheet.headers];
+    }
+
+    const headers = [];
+    for (const errorRow of errorRows) {
+      for (const header of Object.keys(errorRow.originalData || {})) {
+        if (!headers.includes(header)) headers.push(header);
+      }
+    }
+    return headers;
+  }
+
+  /**
+   * Excel sheet names are limited to 31 characters and may not contain []:*?/\
+   * @param {string} name - Source sheet name
+   * @param {Set} usedNames - Names already in the workbook
+   * @returns {string} Valid, unique sheet name
+   */
+  toSheetName(name, usedNames) {
+    const base = String(name || 'Errors').replace(/[[\]:*?/\\]/g, ' ').slice(0, 31).trim() || 'Errors';
+    let sheetName = base;
+    let counter = 2;
+
+    while (usedNames.has(sheetName.toLowerCase())) {
+      const suffix = ` (${counter++})`;
+      sheetName = base.slice(0, 31 - suffix.length) + suffix;
+    }
+
+    usedNames.add(sheetName.toLowerCase());
+    return sheetName;
+  }
+
+  /**
+   * Generate the error report file
+   * @param {Object} batch - UploadBatch document
+   * @param {Array} errorRows - UploadErrorRow documents, in sheet/row order
+   * @param {string} format - 'xlsx' (one sheet per source sheet) or 'csv' (single table)
+   * @returns {Object} File buffer, download name and content type
+   */
+  build(batch, errorRows, format = 'xlsx') {
+    const baseName = path.parse(batch.file?.originalName || 'upload').name;
+    const fileName = `${baseName}-errors.${format}`;
+
+    // Group failed rows by the sheet they came from
+    const rowsBySheet = new Map();
+    for (const errorRow of errorRows) {
+      const sheetName = errorRow.sheet || '';
+      if (!rowsBySheet.has(sheetName)) rowsBySheet.set(sheetName, []);
+      rowsBySheet.get(sheetName).push(errorRow);
+    }
+
+    if (format === 'csv') {
+      // One table: the union of every sheet's headers
+      const headers = [];
+      for (const [sheetName, rows] of rowsBySheet) {
+        for (const header of this.resolveHeaders(batch, sheetName, rows)) {
+          if (!headers.includes(header)) headers.push(header);
+        }
+      }
+
+      const worksheet = XLSX.utils.aoa_to_sheet(this.buildSheetData(headers, errorRows));
+      const csv = XLSX.utils.sheet_to_csv(worksheet);
+
+      // BOM so spreadsheet programs read units like μg/L correctly
+      return {
+        buffer: Buffer.from(`\uFEFF${csv}`, 'utf8'),
+        fileName,
+        contentType: this.formats.csv
+      };
+    }
+
+    const workbook = XLSX.utils.book_new();
+    const usedNames = new Set();
+
+    for (const [sheetName, rows] of rowsBySheet) {
+      const headers = this.resolveHeaders(batch, sheetName, rows);
+      const worksheet = XLSX.utils.aoa_to_sheet(this.buildSheetData(headers, rows));
+      XLSX.utils.book_append_sheet(workbook, worksheet, this.toSheetName(sheetName, usedNames));
+    }
+
+    return {
+      buffer: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }),
+      fileName,
+      contentType: this.formats.xlsx
+    };
+  }
+}
+
+// Create singleton instance
+const errorReportBuilder = new ErrorReportBuilder();
+
+export default errorReportBuilder;
\ No newline at end of file
@@ -1,60 +1,496 @@
 import XLSX from 'xlsx';
 import path from 'path';
 import fs from 'fs/promises';
+import { createReadStream } from 'fs';
 import crypto from 'crypto';
+import coordinateParser from './coordinateParser.js';
+import sampleInfoParser from './sampleInfoParser.js';
 
 /**
- * Excel file parser utility
+ * Spreadsheet file parser utility (Excel, ODS, CSV and TSV)
  */
 class ExcelParser {
   constructor() {
     this.heavyMetals = process.env.HEAVY_METALS?.split(',') || 
       ['Fe', 'As', 'U', 'Pb', 'Hg', 'Cd', 'Cr', 'Ni', 'Zn', 'Cu', 'Mn'];
+    this.delimitedExtensions = ['.csv', '.tsv'];
+    this.chunkSize = 500; // Rows per chunk when streaming
+    this.headerScanRows = 10; // Rows searched for the header row
+    this.coordinateFields = ['latitude', 'longitude', 'utmZone', 'easting', 'northing', 'hemisphere'];
+    this.sampleFields = ['date', 'season', 'campaign', 'depth'];
   }
 
   /**
-   * Parse Excel file and extract data
-   * @param {string} filePath - Path to Excel file
-   * @returns {Object} Parsed data with headers and rows
+   * Parse spreadsheet file (Excel, ODS, CSV or TSV) and extract data
+   * @param {string} filePath - Path to spreadsheet file
+   * @param {Object} options - Parse options
+   * @param {string|Array} options.sheets - 'first' (default), 'all' or a list of sheet names
+   * @returns {Object} Parsed data with headers and rows of the first selected sheet, plus every selected sheet
    */
-  async parseFile(filePath) {
+  async parseFile(filePath, options = {}) {
     try {
       // Read the file
-      const workbook = XLSX.readFile(filePath);
-      const sheetName = workbook.SheetNames[0]; // Use first sheet
-      const worksheet = workbook.Sheets[sheetName];
+      const { workbook, format, encoding, delimiter, fileHash } = await this.readWorkbook(filePath);
+      const sheetNames = this.selectSheets(workbook.SheetNames, options.sheets);
 
-      // Convert to JSON
-      const jsonData = XLSX.utils.sheet_to_json(worksheet, { 
-        header: 1, // Return array of arrays
-        defval: null // Use null for empty cells
-      });
+      const sheets = [];
+      const skippedSheets = [];
+
+      for (const sheetName of sheetNames) {
+        const sheet = this.parseSheet(workbook.Sheets[sheetName], delimiter);
+
+        if (!sheet) {
+          skippedSheets.push({
+            sheetName,
+            reason: 'Sheet must contain at least a header row and one data row'
+          });
+          continue;
+        }
 
-      if (jsonData.length < 2) {
-        throw new Error('Excel file must contain at least a header row and one data row');
+        sheets.push({ sheetName, ...sheet });
       }
 
-      const headers = jsonData[0];
-      const rows = jsonData.slice(1);
+      if (sheets.length === 0) {
+        throw new Error('File must contain at least a header row and one data row');
+      }
 
-      // Clean headers (remove extra spaces, handle special characters)
-      const cleanedHeaders = headers.map(header => 
-        typeof header === 'string' ? header.trim() : String(header || '').trim()
-      );
+      const [firstSheet] = sheets;
 
       return {
-        headers: cleanedHeaders,
-        rows: rows,
-        totalRows: rows.length,
+        headers: firstSheet.headers,
+        rows: firstSheet.rows,
+        totalRows: sheets.reduce((sum, sheet) => sum + sheet.rows.length, 0),
+        sheets,
         metadata: {
-          sheetName,
+          sheetName: firstSheet.sheetName,
+          sheetNames: sheets.map(sheet => sheet.sheetName),
+          availableSheets: workbook.SheetNames,
+          skippedSheets,
+          format,
+          encoding,
+          delimiter,
+          fileHash,
           originalFileName: path.basename(filePath)
         }
       };
 
     } catch (error) {
-      throw new Error(`Failed to parse Excel file: ${error.message}`);
+      throw new Error(`Failed to parse spreadsheet file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve which sheets of a workbook should be ingested
+   * @param {Array} availableSheets - Sheet names in workbook order
+   * @param {string|Array} selection - 'first', 'all' or a list of sheet names
+   * @returns {Array} Sheet names to parse
+   */
+  selectSheets(availableSheets, selection = 'first') {
+    if (!selection || selection === 'first') {
+      return availableSheets.slice(0, 1);
+    }
+
+    if (selection === 'all') {
+      return [...availableSheets];
+    }
+
+    const requested = Array.isArray(selection) ? selection : [selection];
+    const missing = requested.filter(name => !availableSheets.includes(name));
+
+    if (missing.length > 0) {
+      throw new Error(`Sheet(s) not found: ${missing.join(', ')}. Available sheets: ${availableSheets.join(', ')}`);
+    }
+
+    return requested;
+  }
+
+  /**
+   * Convert a single worksheet to headers and data rows
+   * @param {Object} worksheet - SheetJS worksheet
+   * @param {string|null} delimiter - Delimiter for delimited text files
+   * @returns {Object|null} Headers, rows and header row number, or null if the sheet has no data
+   */
+  parseSheet(worksheet, delimiter) {
+    // Convert to JSON
+    let jsonData = XLSX.utils.sheet_to_json(worksheet, { 
+      header: 1, // Return array of arrays
+      defval: null // Use null for empty cells
+    });
+
+    // Delimited text is read raw, so convert numeric strings ourselves
+    if (delimiter) {
+      jsonData = jsonData.map(row => row.map(value => this.normalizeDelimitedValue(value, delimiter)));
+    }
+
+    const headerIndex = this.detectHeaderRow(jsonData);
+
+    if (jsonData.length - headerIndex < 2) {
+      return null;
+    }
+
+    const headers = jsonData[headerIndex];
+    const rows = jsonData.slice(headerIndex + 1);
+
+    // Clean headers (remove extra spaces, handle special characters)
+    const cleanedHeaders = headers.map(header => 
+      typeof header === 'string' ? header.trim() : String(header || '').trim()
+    );
+
+    return {
+      headers: cleanedHeaders,
+      rows,
+      headerRow: headerIndex + 1 // 1-based, as shown in the spreadsheet
+    };
+  }
+
+  /**
+   * Detect the header row of a sheet
+   * Title rows and notes above the table are skipped by scoring the first rows
+   * on how many text cells they have and how many of them look like known columns
+   * @param {Array} jsonData - Sheet rows as arrays
+   * @returns {number} 0-based index of the header row
+   */
+  detectHeaderRow(jsonData) {
+    const knownColumns = ['location', 'state', 'district', 'latitude', 'longitude', 'easting', 'northing', 'year', 'date', 'season', 'depth', 's.no', 'sno'];
+    const candidateRows = jsonData.slice(0, this.headerScanRows);
+
+    let bestIndex = 0;
+    let bestScore = -1;
+
+    candidateRows.forEach((row, index) => {
+      const textCells = row.filter(cell => typeof cell === 'string' && cell.trim() !== '');
+      if (textCells.length < 2) return;
+
+      const knownMatches = textCells.filter(cell => {
+        const cleanCell = cell.toLowerCase().trim();
+        return knownColumns.some(column => cleanCell.includes(column)) ||
+          this.detectHeavyMetalColumns([cell]).totalDetected > 0;
+      }).length;
+
+      const score = textCells.length + knownMatches * 2;
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+
+    return bestIndex;
+  }
+
+  /**
+   * Read a workbook from disk, decoding delimited text files ourselves
+   * @param {string} filePath - Path to spreadsheet file
+   * @param {Object} readOptions - Extra SheetJS read options for binary workbooks
+   * @returns {Object} Workbook with detected format, encoding, delimiter and the SHA-256 hash of the file
+   */
+  async readWorkbook(filePath, readOptions = {}) {
+    const extension = path.extname(filePath).toLowerCase();
+    const buffer = await fs.readFile(filePath);
+    const fileHash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    if (!this.delimitedExtensions.includes(extension)) {
+      // XLSX, XLS and ODS are all handled natively by SheetJS
+      return {
+        workbook: XLSX.read(buffer, { type: 'buffer', ...readOptions }),
+        format: extension.replace('.', '') || 'xlsx',
+        encoding: null,
+        delimiter: null,
+        fileHash
+      };
+    }
+
+    const { text, encoding } = this.decodeTextBuffer(buffer);
+    const delimiter = extension === '.tsv' ? '\t' : this.detectDelimiter(text);
+
+    return {
+      workbook: XLSX.read(text, { type: 'string', FS: delimiter, raw: true }),
+      format: extension.replace('.', ''),
+      encoding,
+      delimiter,
+      fileHash
+    };
+  }
+
+  /**
+   * Stream the rows of a delimited text file, hashing the bytes as they are read.
+   * The encoding is detected like decodeTextBuffer: a file is read as UTF-8 until a byte
+   * sequence proves otherwise, and switches to Windows-1252 if nothing but ASCII came before it.
+   * @param {string} filePath - Path to the CSV or TSV file
+   * @param {Object} file - Receives the detected encoding and delimiter
+   * @param {Hash} hash - SHA-256 hash updated with every byte of the file
+   * @yields {Array} Row values, numeric strings converted to numbers
+   */
+  async *readDelimitedRows(filePath, file, hash) {
+    const extension = path.extname(filePath).toLowerCase();
+    let decoder = null;
+    let sawNonAscii = false;
+    let tokenizer = null;
+    let sample = '';
+
+    const normalizeRow = row => row.map(value => this.normalizeDelimitedValue(value, file.delimiter));
+
+    // Delimiter detection needs the first lines of the file
+    const startTokenizer = () => {
+      file.delimiter = extension === '.tsv' ? '\t' : this.detectDelimiter(sample);
+      tokenizer = this.createDelimitedTokenizer(file.delimiter);
+      const rows = tokenizer.push(sample);
+      sample = '';
+      return rows;
+    };
+
+    for await (const bytes of createReadStream(filePath)) {
+      hash.update(bytes);
+
+      if (!decoder) {
+        const byteOrderMark = this.detectByteOrderMark(bytes);
+        file.encoding = byteOrderMark || 'utf-8';
+        decoder = new TextDecoder(file.encoding, { fatal: !byteOrderMark });
+      }
+
+      let text;
+      try {
+        text = decoder.decode(bytes, { stream: true });
+      } catch (error) {
+        // Not valid UTF-8: a legacy export if everything so far was ASCII, otherwise a few broken bytes
+        if (!sawNonAscii) file.encoding = 'windows-1252';
+        decoder = new TextDecoder(file.encoding);
+        text = decoder.decode(bytes, { stream: true });
+      }
+      if (!sawNonAscii) sawNonAscii = bytes.some(byte => byte > 0x7F);
+
+      if (!tokenizer) {
+        sample += text;
+        if (sample.split(/\r?\n/, 22).length <= 21) continue;
+        yield* startTokenizer().map(normalizeRow);
+        continue;
+      }
+
+      yield* tokenizer.push(text).map(normalizeRow);
+    }
+
+    const remainder = decoder ? decoder.decode() : '';
+    let rows;
+    if (tokenizer) {
+      rows = tokenizer.push(remainder);
+    } else {
+      // The whole file was shorter than the delimiter sample
+      sample += remainder;
+      rows = startTokenizer();
     }
+
+    yield* [...rows, ...tokenizer.flush()].map(normalizeRow);
+  }
+
+  /**
+   * Detect a byte order mark at the start of a file
+   * @param {Buffer} bytes - First bytes of the file
+   * @returns {string|null} Encoding named by the byte order mark
+   */
+  detectByteOrderMark(bytes) {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+    return null;
+  }
+
+  /**
+   * Split delimited text into rows, fed one piece at a time.
+   * Handles quoted fields, including delimiters, line breaks and doubled quotes inside them.
+   * @param {string} delimiter - Column delimiter
+   * @returns {Object} push(text) and flush() functions returning the completed rows
+   */
+  createDelimitedTokenizer(delimiter) {
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let afterQuote = false; // Just closed a quoted section, a second quote means a literal one
+    let afterCarriageReturn = false;
+    let rows = [];
+
+    const endRow = () => {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    };
+
+    const push = (text) => {
+      rows = [];
+
+      for (const char of text) {
+        const closedQuote = afterQuote;
+        const carriageReturn = afterCarriageReturn;
+        afterQuote = false;
+        afterCarriageReturn = false;
+
+        if (inQuotes) {
+          if (char === '"') {
+            inQuotes = false;
+            afterQuote = true;
+          } else {
+            field += char;
+          }
+        } else if (char === '"') {
+          if (closedQuote) field += '"';
+          if (closedQuote || field === '') {
+            inQuotes = true;
+          } else {
+            field += char;
+          }
+        } else if (char === delimiter) {
+          row.push(field);
+          field = '';
+        } else if (char === '\n') {
+          if (!carriageReturn) endRow();
+        } else if (char === '\r') {
+          endRow();
+          afterCarriageReturn = true;
+        } else {
+          field += char;
+        }
+      }
+
+      return rows;
+    };
+
+    const flush = () => {
+      rows = [];
+      if (field !== '' || row.length > 0 || inQuotes) endRow();
+      return rows;
+    };
+
+    return { push, flush };
+  }
+
+  /**
+   * Rows of a worksheet, converted a chunk at a time instead of all at once
+   * @param {Object} worksheet - SheetJS worksheet
+   * @param {number} chunkSize - Rows converted per step
+   * @yields {Array} Row values
+   */
+  *readWorksheetRows(worksheet, chunkSize) {
+    if (!worksheet?.['!ref']) return;
+
+    const range = XLSX.utils.decode_range(worksheet['!ref']);
+
+    for (let start = range.s.r; start <= range.e.r; start += chunkSize) {
+      yield* XLSX.utils.sheet_to_json(worksheet, {
+        header: 1, // Return array of arrays
+        defval: null, // Use null for empty cells
+        range: {
+          s: { r: start, c: range.s.c },
+          e: { r: Math.min(start + chunkSize - 1, range.e.r), c: range.e.c }
+        }
+      });
+    }
+  }
+
+  /**
+   * Decode a text file buffer, detecting its encoding
+   * Checks for a byte order mark first, then falls back from UTF-8 to Windows-1252
+   * @param {Buffer} buffer - Raw file contents
+   * @returns {Object} Decoded text and detected encoding
+   */
+  decodeTextBuffer(buffer) {
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+      return { text: new TextDecoder('utf-8').decode(buffer.subarray(3)), encoding: 'utf-8' };
+    }
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+      return { text: new TextDecoder('utf-16le').decode(buffer.subarray(2)), encoding: 'utf-16le' };
+    }
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+      return { text: new TextDecoder('utf-16be').decode(buffer.subarray(2)), encoding: 'utf-16be' };
+    }
+
+    try {
+      return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+    } catch (error) {
+      // Not valid UTF-8, most likely a legacy Excel/Windows export
+      return { text: new TextDecoder('windows-1252').decode(buffer), encoding: 'windows-1252' };
+    }
+  }
+
+  /**
+   * Detect the column delimiter of delimited text
+   * Picks the candidate that splits the first lines into the most, and most consistent, columns. The count
+   * most lines agree on is used rather than the first line's, so title or notes lines above the header do not matter.
+   * @param {string} text - Decoded file contents
+   * @returns {string} Detected delimiter (defaults to comma)
+   */
+  detectDelimiter(text) {
+    const candidates = [',', ';', '\t', '|'];
+    const sampleLines = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, 20);
+
+    let bestDelimiter = ',';
+    let bestScore = 0;
+
+    for (const delimiter of candidates) {
+      const frequency = new Map();
+      for (const line of sampleLines) {
+        const count = this.countDelimiter(line, delimiter);
+        if (count > 0) frequency.set(count, (frequency.get(count) || 0) + 1);
+      }
+      if (frequency.size === 0) continue;
+
+      // Score by the most common column count, weighted by how many lines have it
+      const [columnCount, consistentLines] = [...frequency].reduce((best, entry) => (
+        entry[1] > best[1] || (entry[1] === best[1] && entry[0] > best[0]) ? entry : best
+      ));
+      const score = columnCount * (consistentLines / sampleLines.length);
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestDelimiter = delimiter;
+      }
+    }
+
+    return bestDelimiter;
+  }
+
+  /**
+   * Count delimiter occurrences in a line, ignoring quoted sections
+   * @param {string} line - Line of delimited text
+   * @param {string} delimiter - Delimiter character
+   * @returns {number} Number of delimiters outside quotes
+   */
+  countDelimiter(line, delimiter) {
+    let count = 0;
+    let inQuotes = false;
+
+    for (const char of line) {
+      if (char === '"') {
+        inQuotes = !inQuotes;
+      } else if (char === delimiter && !inQuotes) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Convert a raw delimited-text cell to a number where it looks numeric
+   * Decimal commas are accepted when the file is not comma-delimited
+   * @param {*} value - Raw cell value
+   * @param {string} delimiter - Delimiter the file was parsed with
+   * @returns {*} Number, trimmed string or null
+   */
+  normalizeDelimitedValue(value, delimiter) {
+    if (typeof value !== 'string') return value;
+
+    const trimmed = value.trim();
+    if (trimmed === '') return null;
+
+    let numeric = trimmed;
+    if (delimiter !== ',' && /^-?\d+,\d+$/.test(numeric)) {
+      numeric = numeric.replace(',', '.');
+    }
+
+    if (/^-?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(numeric)) {
+      return parseFloat(numeric);
+    }
+
+    return trimmed;
   }
 
   /**
@@ -73,37 +509,28 @@ class ExcelParser {
       
       // Check for exact matches first
       for (const metal of this.heavyMetals) {
+        // The first column found for a metal wins
+        if (metalColumns[metal]) continue;
+
         const metalUpper = metal.toUpperCase();
         
-        // Exact match
-        if (cleanHeader === metalUpper) {
-          metalColumns[metal] = {
-            index,
-            originalHeader: header,
-            unit: this.extractUnit(header)
-          };
-          detectedMetals.push(metal);
-          break;
-        }
-        
         // Pattern matching for metals with units
         const patterns = [
+          new RegExp(`^${metalUpper}$`), // Exact match
           new RegExp(`^${metalUpper}\\s*\\(.*\\)$`), // Fe (ppm)
           new RegExp(`^${metalUpper}\\s*-.*$`), // Fe-ppm
           new RegExp(`^${metalUpper}\\s+.*$`), // Fe ppm
-          new RegExp(`.*${metalUpper}.*\\(.*\\).*`) // any Fe (ppm) any
+          new RegExp(`(^|[^A-Z])${metalUpper}([^A-Z].*)?\\(.*\\).*`) // any Fe (ppm) any, but not the U in Cu (ppm)
         ];
 
-        for (const pattern of patterns) {
-          if (pattern.test(cleanHeader)) {
-            metalColumns[metal] = {
-              index,
-              originalHeader: header,
-              unit: this.extractUnit(header)
-            };
-            detectedMetals.push(metal);
-            break;
-          }
+        if (patterns.some(pattern => pattern.test(cleanHeader))) {
+          metalColumns[metal] = {
+            index,
+            originalHeader: header,
+            unit: this.extractUnit(header)
+          };
+          detectedMetals.push(metal);
+          break; // A column holds a single metal
         }
       }
     });
@@ -136,6 +563,8 @@ class ExcelParser {
         // Normalize units
         switch (unit) {
           case 'ug/l':
+          case 'μg/l':
+          case 'µg/l':
             return 'μg/L';
           case 'mg/l':
             return 'mg/L';
@@ -153,45 +582,83 @@ class ExcelParser {
   }
 
   /**
-   * Extract location information from row
-   * @param {Array} row - Data row
+   * Detect location, coordinate, sampling (year, date, season, campaign, depth) and serial number columns in headers
    * @param {Array} headers - Header array
-   * @returns {Object} Location information
+   * @returns {Object} Mapping of location fields to column indices
    */
-  extractLocationInfo(row, headers) {
-    const location = {};
+  detectLocationColumns(headers) {
+    const locationColumns = {};
     
     // Common location column patterns
+    // UTM columns come first, so 'UTM Zone' and 'UTM X' are not taken for district and longitude
     const locationPatterns = {
+      utmZone: ['utm_zone'],
+      easting: ['easting', 'utm_x'],
+      northing: ['northing', 'utm_y'],
+      hemisphere: ['hemisphere'],
       name: ['location', 'place', 'site', 'area', 'locality'],
       state: ['state', 'province', 'region'],
       district: ['district', 'county', 'zone'],
       latitude: ['latitude', 'lat', 'y', 'coord_y'],
       longitude: ['longitude', 'lon', 'lng', 'x', 'coord_x'],
       year: ['year', 'sampling_year', 'collection_year'],
+      date: ['sampling_date', 'sample_date', 'collection_date', 'date_of_sampling', 'date'],
+      season: ['season'],
+      campaign: ['campaign', 'sampling_round', 'survey'],
+      depth: ['depth'],
       serialNumber: ['s.no', 'sno', 'serial', 'id', 'sample_id']
     };
 
     // Find matching columns
+    const claimedIndices = new Set();
     for (const [key, patterns] of Object.entries(locationPatterns)) {
-      const columnIndex = headers.findIndex(header => {
-        if (!header || typeof header !== 'string') return false;
+      const columnIndex = headers.findIndex((header, index) => {
+        if (!header || typeof header !== 'string' || claimedIndices.has(index)) return false;
         const cleanHeader = header.toLowerCase().trim();
-        return patterns.some(pattern => 
-          cleanHeader.includes(pattern) || 
-          cleanHeader === pattern ||
-          cleanHeader.replace(/[^a-z0-9]/g, '').includes(pattern.replace(/[^a-z0-9]/g, ''))
-        );
+        const strippedHeader = cleanHeader.replace(/[^a-z0-9]/g, '');
+        const tokens = cleanHeader.split(/[^a-z0-9]+/).filter(Boolean);
+
+        return patterns.some(pattern => {
+          const strippedPattern = pattern.replace(/[^a-z0-9]/g, '');
+
+          // Short patterns ('x', 'id', 'lat') must be a whole word, so 'id' doesn't match 'Fluoride'
+          if (strippedPattern.length <= 3) {
+            return tokens.includes(strippedPattern) || strippedHeader === strippedPattern;
+          }
+
+          return cleanHeader.includes(pattern) || strippedHeader.includes(strippedPattern);
+        });
       });
 
-      if (columnIndex !== -1 && row[columnIndex] !== null && row[columnIndex] !== undefined) {
+      if (columnIndex !== -1) {
+        claimedIndices.add(columnIndex);
+        locationColumns[key] = {
+          index: columnIndex,
+          originalHeader: headers[columnIndex]
+        };
+      }
+    }
+
+    return locationColumns;
+  }
+
+  /**
+   * Extract location information from row
+   * @param {Array} row - Data row
+   * @param {Array} headers - Header array
+   * @param {Object} locationColumns - Location column mapping (detected from headers if omitted)
+   * @returns {Object} Location information
+   */
+  extractLocationInfo(row, headers, locationColumns = this.detectLocationColumns(headers)) {
+    const location = {};
+
+    for (const [key, { index: columnIndex }] of Object.entries(locationColumns)) {
+      if (row[columnIndex] !== null && row[columnIndex] !== undefined) {
         const value = row[columnIndex];
         
-        if (key === 'latitude' || key === 'longitude') {
-          const numValue = parseFloat(value);
-          if (!isNaN(numValue)) {
-            location[key] = numValue;
-          }
+        if (this.coordinateFields.includes(key) || this.sampleFields.includes(key)) {
+          // Kept as written; resolved together by resolveCoordinates and resolveSampleInfo
+          location[key] = typeof value === 'string' ? value.trim() : value;
         } else if (key === 'year') {
           const numValue = parseInt(value);
           if (!isNaN(numValue) && numValue > 1900 && numValue <= new Date().getFullYear() + 1) {
@@ -206,26 +673,62 @@ class ExcelParser {
     return location;
   }
 
+  /**
+   * Resolve the coordinates of a row from decimal degrees, DMS or UTM columns
+   * @param {Object} locationInfo - Location information extracted from the row
+   * @returns {Object} { latitude, longitude, format, warnings } or { error }
+   */
+  resolveCoordinates(locationInfo) {
+    return coordinateParser.resolve({
+      latitude: locationInfo.latitude,
+      longitude: locationInfo.longitude,
+      utmZone: locationInfo.utmZone,
+      easting: locationInfo.easting,
+      northing: locationInfo.northing,
+      hemisphere: locationInfo.hemisphere,
+      state: locationInfo.state
+    });
+  }
+
+  /**
+   * Resolve the sampling year, date, season, campaign and depth of a row
+   * @param {Object} locationInfo - Location information extracted from the row
+   * @param {Object} locationColumns - Location column mapping
+   * @returns {Object} { sampleInfo, warnings }
+   */
+  resolveSampleInfo(locationInfo, locationColumns = {}) {
+    return sampleInfoParser.resolve({
+      date: locationInfo.date,
+      year: locationInfo.year,
+      season: locationInfo.season,
+      campaign: locationInfo.campaign,
+      depth: locationInfo.depth
+    }, { depthHeader: locationColumns.depth?.originalHeader });
+  }
+
   /**
    * Extract heavy metal values from row
    * @param {Array} row - Data row
    * @param {Object} metalColumns - Metal column mapping
+   * @param {Array} unrecognisedValues - Receives { metal, value } for cells that are not a concentration
    * @returns {Object} Heavy metal values
    */
-  extractHeavyMetalValues(row, metalColumns) {
+  extractHeavyMetalValues(row, metalColumns, unrecognisedValues = []) {
     const metalValues = {};
 
     for (const [metal, columnInfo] of Object.entries(metalColumns)) {
       const value = row[columnInfo.index];
       
       if (value !== null && value !== undefined && value !== '') {
-        const numericValue = parseFloat(value);
-        
-        if (!isNaN(numericValue) && numericValue >= 0) {
+        const concentration = this.parseConcentration(value, columnInfo.detectionLimit);
+
+        if (concentration) {
           metalValues[metal] = {
-            value: numericValue,
+            ...concentration,
             unit: columnInfo.unit || 'ppm'
           };
+        } else if (concentration === undefined) {
+          unrecognisedValues.push({ metal, value });
         }
       }
     }
@@ -233,17 +736,79 @@ class ExcelParser {
     return metalValues;
   }
 
+  /**
+   * Parse a concentration cell, including values reported against a detection limit
+   * ('<0.001', 'BDL', 'ND', '<LOD', 'BDL (0.001)') and flagged estimates ('0.002*')
+   * @param {*} value - Cell value
+   * @param {number} columnDetectionLimit - Detection limit of the column, used when the cell does not state one
+   * @returns {Object|null|undefined} { value, qualifier, detectionLimit }; null when nothing was measured,
+   * undefined when the cell is not a concentration
+   */
+  parseConcentration(value, columnDetectionLimit) {
+    const detectionLimit = columnDetectionLimit ?? null;
+
+    if (typeof value === 'number') {
+      return Number.isFinite(value) && value >= 0 ? { value, qualifier: 'detected', detectionLimit } : undefined;
+    }
+
+    const text = String(value).trim().replace(/\s+/g, ' ');
+    const number = '(\\d+(?:[.,]\\d+)?|[.,]\\d+)(?:e[-+]?\\d+)?';
+    const toNumber = match => parseFloat(match.replace(',', '.'));
+
+    // Not measured
+    if (text === '' || /^(-+|n\/?a|nm|not measured|not analy[sz]ed)$/i.test(text)) {
+      return null;
+    }
+
+    let match = text.match(new RegExp(`^${number}$`, 'i'));
+    if (match) {
+      return { value: toNumber(match[0]), qualifier: 'detected', detectionLimit };
+    }
+
+    // Flagged by the lab, usually an estimate near the detection limit
+    match = text.match(new RegExp(`^(${number})\\s*\\*+$`, 'i'));
+    if (match) {
+      return { value: toNumber(match[1]), qualifier: 'estimated', detectionLimit };
+    }
+
+    // Below a stated limit: '<0.001', '< 0.5'
+    match = text.match(new RegExp(`^<\\s*(${number})$`, 'i'));
+    if (match) {
+      return { value: null, qualifier: '<LOD', detectionLimit: toNumber(match[1]) };
+    }
+
+    // Named non-detects, optionally with the limit: 'BDL', 'ND', '<LOD', 'BDL (0.001)', 'ND<0.5'
+    match = text.match(new RegExp(
+      `^(<\\s*)?(b\\.?d\\.?l\\.?|below detection(?: limit)?|n\\.?d\\.?|not detected|l\\.?o\\.?d\\.?|m?dl|b\\.?l\\.?q\\.?|l\\.?o\\.?q\\.?)` +
+      `(?:\\s*[(:<=]?\\s*(${number})\\s*\\)?)?$`,
+      'i'
+    ));
+    if (match) {
+      const token = match[2].replace(/\./g, '').toLowerCase();
+      const qualifier = token.startsWith('n') ? 'ND' : token === 'lod' || token === 'dl' || token === 'mdl' ? '<LOD' : 'BDL';
+
+      return {
+        value: null,
+        qualifier,
+        detectionLimit: match[3] !== undefined ? toNumber(match[3]) : detectionLimit
+      };
+    }
+
+    return undefined;
+  }
+
   /**
    * Extract other environmental parameters
    * @param {Array} row - Data row
    * @param {Array} headers - Header array
    * @param {Object} metalColumns - Metal column mapping (to exclude)
+   * @param {Set} excludedIndices - Column indices to exclude instead of guessing location columns by name
    * @returns {Object} Environmental parameters
    */
-  extractEnvironmentalParams(row, headers, metalColumns) {
+  extractEnvironmentalParams(row, headers, metalColumns, excludedIndices = null) {
     const params = {};
     const metalIndices = new Set(Object.values(metalColumns).map(col => col.index));
-    const locationPatterns = ['location', 'place', 'site', 'state', 'district', 'latitude', 'longitude', 'year', 's.no', 'sno', 'serial'];
+    const locationPatterns = ['location', 'place', 'site', 'state', 'district', 'latitude', 'longitude', 'easting', 'northing', 'utm', 'hemisphere', 'year', 'date', 'season', 'campaign', 'depth', 's.no', 'sno', 'serial'];
 
     headers.forEach((header, index) => {
       if (!header || typeof header !== 'string') return;
@@ -252,7 +817,11 @@ class ExcelParser {
       
       // Skip if it's a metal column or location column
       if (metalIndices.has(index)) return;
-      if (locationPatterns.some(pattern => cleanHeader.includes(pattern))) return;
+      if (excludedIndices) {
+        if (excludedIndices.has(index)) return;
+      } else if (locationPatterns.some(pattern => cleanHeader.includes(pattern))) {
+        return;
+      }
 
       const value = row[index];
       if (value !== null && value !== undefined && value !== '') {
@@ -266,96 +835,157 @@ class ExcelParser {
   }
 
   /**
-   * Process entire Excel file and return structured data
-   * @param {string} filePath - Path to Excel file
+   * Normalize a header for comparison with mapping template headers
+   * @param {*} header - Header value
+   * @returns {string} Lowercase header with collapsed whitespace
+   */
+  normalizeHeader(header) {
+    return String(header ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  /**
+   * Resolve a metal symbol to the casing used in heavyMetals (e.g. 'FE' -> 'Fe')
+   * @param {string} metal - Metal symbol
+   * @returns {string} Normalized metal symbol
+   */
+  normalizeMetalSymbol(metal) {
+    const symbol = String(metal).trim();
+    const configured = this.heavyMetals.find(known => known.toUpperCase() === symbol.toUpperCase());
+    return configured || symbol.charAt(0).toUpperCase() + symbol.slice(1).toLowerCase();
+  }
+
+  /**
+   * Build column mappings from a saved mapping template instead of guessing them
+   * @param {Array} headers - Header array
+   * @param {Object} template - Mapping template (plain object)
+   * @returns {Object} Metal and location column mappings, plus template headers missing from the sheet
+   */
+  applyMappingTemplate(headers, template) {
+    const headerIndices = new Map();
+    headers.forEach((header, index) => {
+      const key = this.normalizeHeader(header);
+      if (key && !headerIndices.has(key)) headerIndices.set(key, index);
+    });
+
+    const locationColumns = {};
+    const metalColumns = {};
+    const detectedMetals = [];
+    const environmentalIndices = new Set();
+    const ignoredIndices = new Set();
+    const missingHeaders = [];
+
+    const findHeader = (header) => {
+      const index = headerIndices.get(this.normalizeHeader(header));
+      if (index === undefined) missingHeaders.push(header);
+      return index;
+    };
+
+    for (const [field, header] of Object.entries(template.columns || {})) {
+      if (!header) continue;
+      const index = findHeader(header);
+      if (index !== undefined) {
+        locationColumns[field] = { index, originalHeader: headers[index] };
+      }
+    }
+
+    for (const mapping of template.metals || []) {
+      const index = findHeader(mapping.header);
+      if (index === undefined) continue;
+
+      const metal = this.normalizeMetalSymbol(mapping.metal);
+      metalColumns[metal] = {
+        index,
+        originalHeader: headers[index],
+        unit: mapping.unit || this.extractUnit(headers[index]),
+        detectionLimit: mapping.detectionLimit
+      };
+      detectedMetals.push(metal);
+    }
+
+    for (const header of template.environmentalHeaders || []) {
+      const index = findHeader(header);
+      if (index !== undefined) environmentalIndices.add(index);
+    }
+
+    // Ignored headers are optional, so a missing one is not worth reporting
+    for (const header of template.ignoredHeaders || []) {
+      const index = headerIndices.get(this.normalizeHeader(header));
+      if (index !== undefined) ignoredIndices.add(index);
+    }
+
+    return {
+      metalColumns,
+      detectedMetals,
+      locationColumns,
+      environmentalIndices,
+      ignoredIndices,
+      missingHeaders
+    };
+  }
+
+  /**
+   * List headers not covered by any column mapping, for review
+   * @param {Array} headers - Header array
+   * @param {Set} mappedIndices - Indices of mapped columns
+   * @returns {Array} Unmapped header names
+   */
+  findUnmappedHeaders(headers, mappedIndices) {
+    return headers.filter((header, index) => header && !mappedIndices.has(index));
+  }
+
+  /**
+   * Process entire spreadsheet file and return structured data
+   * @param {string} filePath - Path to spreadsheet file
+   * @param {Object} options - Parse options (see parseFile)
    * @returns {Object} Processed data
    */
-  async processFile(filePath) {
+  async processFile(filePath, options = {}) {
     try {
       // Parse the file
-      const { headers, rows, metadata } = await this.parseFile(filePath);
-
-      // Detect heavy metal columns
-      const { metalColumns, detectedMetals } = this.detectHeavyMetalColumns(headers);
+      const { sheets, metadata } = await this.parseFile(filePath, options);
 
-      // Process each row
       const processedData = [];
       const errors = [];
+      const sheetSummaries = [];
+      const detectedMetals = new Set();
+      const metalColumnNames = new Set();
 
-      for (let i = 0; i < rows.length; i++) {
-        const row = rows[i];
-        const rowNumber = i + 2; // +2 because of 0-indexing and header row
-
-        try {
-          // Extract location information
-          const locationInfo = this.extractLocationInfo(row, headers);
-
-          // Skip row if essential data is missing
-          if (!locationInfo.name || (!locationInfo.latitude && !locationInfo.longitude)) {
-            errors.push({
-              row: rowNumber,
-              error: 'Missing essential location data (name or coordinates)'
-            });
-            continue;
-          }
-
-          // Extract heavy metal values
-          const metalValues = this.extractHeavyMetalValues(row, metalColumns);
-
-          // Extract other environmental parameters
-          const environmentalParams = this.extractEnvironmentalParams(row, headers, metalColumns);
-
-          // Create processed record
-          const record = {
-            location: {
-              name: locationInfo.name,
-              state: locationInfo.state || '',
-              district: locationInfo.district || ''
-            },
-            coordinates: {
-              type: "Point",
-              coordinates: [
-                parseFloat(locationInfo.longitude) || 0,  // longitude first in GeoJSON
-                parseFloat(locationInfo.latitude) || 0    // latitude second in GeoJSON
-              ]
-            },
-            sampleInfo: {
-              year: locationInfo.year || new Date().getFullYear(),
-              serialNumber: locationInfo.serialNumber || `ROW_${rowNumber}`
-            },
-            heavyMetals: metalValues,
-            environmentalParams,
-            originalData: Object.fromEntries(
-              headers.map((header, index) => [header, row[index]])
-            ),
-            rowNumber
-          };
+      for (const sheet of sheets) {
+        const result = this.processSheet(sheet, options);
 
-          processedData.push(record);
+        processedData.push(...result.data);
+        errors.push(...result.errors);
+        result.detectedMetals.forEach(metal => detectedMetals.add(metal));
+        Object.keys(result.metalColumns).forEach(metal => metalColumnNames.add(metal));
 
-        } catch (error) {
-          errors.push({
-            row: rowNumber,
-            error: error.message
-          });
-        }
+        sheetSummaries.push({
+          sheetName: sheet.sheetName,
+          headerRow: sheet.headerRow,
+          headers: sheet.headers,
+          totalRows: sheet.rows.length,
+          processedRows: result.data.length,
+          errorRows: result.errors.length,
+          detectedMetals: result.detectedMetals,
+          metalColumns: result.metalColumns,
+          locationColumns: result.locationColumns,
+          unmappedHeaders: result.unmappedHeaders,
+          missingHeaders: result.missingHeaders,
+          errors: result.errors
+        });
       }
 
-      // Generate file hash for deduplication
-      const fileBuffer = await fs.readFile(filePath);
-      const fileHash = crypto.createHash('sha256').update(fileBuffer).digest('hex');
-
       return {
         success: true,
         data: processedData,
         metadata: {
           ...metadata,
-          fileHash,
-          totalRows: rows.length,
+          totalRows: sheets.reduce((sum, sheet) => sum + sheet.rows.length, 0),
           processedRows: processedData.length,
           errorRows: errors.length,
-          detectedMetals,
-          metalColumns: Object.keys(metalColumns)
+          detectedMetals: [...detectedMetals],
+          metalColumns: [...metalColumnNames],
+          template: options.template?.name || null,
+          sheets: sheetSummaries
         },
         errors
       };
@@ -371,6 +1001,346 @@ class ExcelParser {
     }
   }
 
+  /**
+   * Parse and process a spreadsheet a chunk of rows at a time, so memory use does not grow with the file.
+   * Delimited text is streamed from disk and hashed as it is read; workbooks are read and hashed once,
+   * then converted to rows a chunk at a time.
+   * @param {string} filePath - Path to spreadsheet file
+   * @param {Object} options - Parse options (see parseFile and processSheet)
+   * @param {number} options.chunkSize - Rows per chunk
+   * @yields {Object} { sheetName, rowCount, records, errors } for each chunk, then { metadata } once the whole file is read
+   */
+  async *streamFile(filePath, options = {}) {
+    const chunkSize = options.chunkSize || this.chunkSize;
+    const extension = path.extname(filePath).toLowerCase();
+    const file = { format: extension.replace('.', '') || 'xlsx', encoding: null, delimiter: null };
+    const sheets = [];
+    const skippedSheets = [];
+    let availableSheets;
+    let fileHash;
+
+    try {
+      if (this.delimitedExtensions.includes(extension)) {
+        // Delimited text is a single sheet, named like SheetJS names it
+        availableSheets = ['Sheet1'];
+        const hash = crypto.createHash('sha256');
+
+        for (const sheetName of this.selectSheets(availableSheets, options.sheets)) {
+          yield* this.streamSheet(sheetName, this.readDelimitedRows(filePath, file, hash), options, chunkSize, { sheets, skippedSheets });
+        }
+        fileHash = hash.digest('hex');
+
+      } else {
+        // SheetJS cannot read workbooks incrementally; dense sheets keep the cells compact
+        const { workbook, ...read } = await this.readWorkbook(filePath, { dense: true });
+        availableSheets = workbook.SheetNames;
+        fileHash = read.fileHash;
+
+        for (const sheetName of this.selectSheets(availableSheets, options.sheets)) {
+          yield* this.streamSheet(sheetName, this.readWorksheetRows(workbook.Sheets[sheetName], chunkSize), options, chunkSize, { sheets, skippedSheets });
+          delete workbook.Sheets[sheetName]; // Done with this sheet's cells
+        }
+      }
+
+      if (sheets.length === 0) {
+        throw new Error('File must contain at least a header row and one data row');
+      }
+
+    } catch (error) {
+      throw new Error(`Failed to parse spreadsheet file: ${error.message}`);
+    }
+
+    const detectedMetals = new Set(sheets.flatMap(sheet => sheet.detectedMetals));
+    const metalColumns = new Set(sheets.flatMap(sheet => Object.keys(sheet.metalColumns)));
+
+    yield {
+      metadata: {
+        sheetName: sheets[0].sheetName,
+        sheetNames: sheets.map(sheet => sheet.sheetName),
+        availableSheets,
+        skippedSheets,
+        ...file,
+        fileHash,
+        originalFileName: path.basename(filePath),
+        totalRows: sheets.reduce((sum, sheet) => sum + sheet.totalRows, 0),
+        processedRows: sheets.reduce((sum, sheet) => sum + sheet.processedRows, 0),
+        errorRows: sheets.reduce((sum, sheet) => sum + sheet.errorRows, 0),
+        detectedMetals: [...detectedMetals],
+        metalColumns: [...metalColumns],
+        template: options.template?.name || null,
+        sheets
+      }
+    };
+  }
+
+  /**
+   * Process the rows of one sheet in chunks, detecting its header row from the first rows
+   * @param {string} sheetName - Sheet name
+   * @param {Iterable|AsyncIterable} rows - Raw sheet rows
+   * @param {Object} options - Processing options (see processSheet)
+   * @param {number} chunkSize - Rows per chunk
+   * @param {Object} summaries - Receives the sheet summary, or the reason the sheet was skipped
+   * @yields {Object} { sheetName, rowCount, records, errors } for each chunk
+   */
+  async *streamSheet(sheetName, rows, options, chunkSize, { sheets, skippedSheets }) {
+    const leadingRows = [];
+    let summary = null;
+    let columns = null;
+    let chunk = [];
+    let nextRowNumber;
+
+    // Header row found: resolve the columns and keep the rows after it
+    const start = () => {
+      const headerIndex = this.detectHeaderRow(leadingRows);
+      const headers = leadingRows[headerIndex].map(header =>
+        typeof header === 'string' ? header.trim() : String(header || '').trim()
+      );
+      columns = this.resolveColumns(headers, options);
+      chunk = leadingRows.slice(headerIndex + 1);
+      nextRowNumber = headerIndex + 2;
+
+      summary = {
+        sheetName,
+        headerRow: headerIndex + 1, // 1-based, as shown in the spreadsheet
+        headers,
+        totalRows: 0,
+        processedRows: 0,
+        errorRows: 0,
+        detectedMetals: columns.detectedMetals,
+        metalColumns: columns.metalColumns,
+        locationColumns: columns.locationColumns,
+        unmappedHeaders: this.findUnmappedHeaders(headers, columns.mappedIndices),
+        missingHeaders: columns.missingHeaders,
+        errors: [] // First errors only
+      };
+    };
+
+    const processChunk = () => {
+      const { data, errors } = this.processRows(chunk, summary.headers, columns, {
+        sheetName,
+        firstRowNumber: nextRowNumber
+      });
+
+      summary.totalRows += chunk.length;
+      summary.processedRows += data.length;
+      summary.errorRows += errors.length;
+      summary.errors.push(...errors.slice(0, 10 - summary.errors.length).map(({ originalData, ...error }) => error));
+      nextRowNumber += chunk.length;
+
+      const result = { sheetName, rowCount: chunk.length, records: data, errors };
+      chunk = [];
+      return result;
+    };
+
+    for await (const row of rows) {
+      if (!columns) {
+        leadingRows.push(row);
+        if (leadingRows.length === this.headerScanRows) start();
+      } else {
+        chunk.push(row);
+      }
+
+      if (columns && chunk.length >= chunkSize) {
+        yield processChunk();
+      }
+    }
+
+    if (!columns && leadingRows.length > 0) {
+      start();
+    }
+
+    if (chunk.length > 0) {
+      yield processChunk();
+    }
+
+    if (!summary || summary.totalRows === 0) {
+      skippedSheets.push({
+        sheetName,
+        reason: 'Sheet must contain at least a header row and one data row'
+      });
+      return;
+    }
+
+    sheets.push(summary);
+  }
+
+  /**
+   * Process the rows of a single parsed sheet
+   * @param {Object} sheet - Parsed sheet from parseFile
+   * @param {Object} options - Processing options
+   * @param {Object} options.template - Mapping template to use instead of guessing columns
+   * @returns {Object} Processed records, row errors, column mappings and unmapped headers
+   */
+  processSheet(sheet, options = {}) {
+    const { sheetName, headers, rows, headerRow = 1 } = sheet;
+
+    // Detect heavy metal and location columns once per sheet
+    const columns = this.resolveColumns(headers, options);
+    const { data, errors } = this.processRows(rows, headers, columns, {
+      sheetName,
+      firstRowNumber: headerRow + 1 // Spreadsheet row number, counting from the header row
+    });
+
+    return {
+      data,
+      errors,
+      metalColumns: columns.metalColumns,
+      locationColumns: columns.locationColumns,
+      detectedMetals: columns.detectedMetals,
+      unmappedHeaders: this.findUnmappedHeaders(headers, columns.mappedIndices),
+      missingHeaders: columns.missingHeaders
+    };
+  }
+
+  /**
+   * Resolve the column mappings of a sheet, from a mapping template or by guessing from the headers
+   * @param {Array} headers - Header array
+   * @param {Object} options - Processing options
+   * @param {Object} options.template - Mapping template to use instead of guessing columns
+   * @returns {Object} Metal and location columns, excluded and mapped indices, missing template headers
+   */
+  resolveColumns(headers, options = {}) {
+    let metalColumns, detectedMetals, locationColumns;
+    let excludedIndices = null;
+    let mappedIndices;
+    let missingHeaders = [];
+
+    if (options.template) {
+      const mapping = this.applyMappingTemplate(headers, options.template);
+      ({ metalColumns, detectedMetals, locationColumns, missingHeaders } = mapping);
+
+      excludedIndices = new Set([
+        ...Object.values(locationColumns).map(column => column.index),
+        ...mapping.ignoredIndices
+      ]);
+      mappedIndices = new Set([
+        ...excludedIndices,
+        ...Object.values(metalColumns).map(column => column.index),
+        ...mapping.environmentalIndices
+      ]);
+    } else {
+      ({ metalColumns, detectedMetals } = this.detectHeavyMetalColumns(headers));
+      locationColumns = this.detectLocationColumns(headers);
+
+      mappedIndices = new Set([
+        ...Object.values(locationColumns).map(column => column.index),
+        ...Object.values(metalColumns).map(column => column.index)
+      ]);
+    }
+
+    return {
+      metalColumns,
+      detectedMetals,
+      locationColumns,
+      excludedIndices,
+      mappedIndices,
+      missingHeaders
+    };
+  }
+
+  /**
+   * Turn data rows into records using already resolved column mappings
+   * @param {Array} rows - Data rows
+   * @param {Array} headers - Header array
+   * @param {Object} columns - Column mappings from resolveColumns
+   * @param {Object} position - Where the rows come from
+   * @param {string} position.sheetName - Sheet name
+   * @param {number} position.firstRowNumber - Spreadsheet row number of the first row
+   * @returns {Object} Processed records and row errors
+   */
+  processRows(rows, headers, columns, { sheetName, firstRowNumber }) {
+    const { metalColumns, locationColumns, excludedIndices } = columns;
+    const processedData = [];
+    const errors = [];
+
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i];
+      const rowNumber = firstRowNumber + i;
+      const originalData = Object.fromEntries(
+        headers.map((header, index) => [header, row[index] ?? null])
+      );
+
+      try {
+        // Extract location information
+        const locationInfo = this.extractLocationInfo(row, headers, locationColumns);
+
+        // Skip row if essential data is missing
+        if (!locationInfo.name) {
+          errors.push({
+            sheet: sheetName,
+            row: rowNumber,
+            error: 'Missing essential location data (name or coordinates)',
+            originalData
+          });
+          continue;
+        }
+
+        // Rows without usable coordinates are rejected rather than placed at [0, 0]
+        const coordinates = this.resolveCoordinates(locationInfo);
+        if (coordinates.error) {
+          errors.push({
+            sheet: sheetName,
+            row: rowNumber,
+            error: coordinates.error,
+            originalData
+          });
+          continue;
+        }
+
+        const { sampleInfo, warnings: sampleWarnings } = this.resolveSampleInfo(locationInfo, locationColumns);
+
+        // Extract heavy metal values
+        const unrecognisedValues = [];
+        const metalValues = this.extractHeavyMetalValues(row, metalColumns, unrecognisedValues);
+
+        // Extract other environmental parameters
+        const environmentalParams = this.extractEnvironmentalParams(row, headers, metalColumns, excludedIndices);
+
+        // Create processed record
+        const record = {
+          location: {
+            name: locationInfo.name,
+            state: locationInfo.state || '',
+            district: locationInfo.district || ''
+          },
+          coordinates: {
+            type: "Point",
+            coordinates: [
+              coordinates.longitude,  // longitude first in GeoJSON
+              coordinates.latitude    // latitude second in GeoJSON
+            ]
+          },
+          coordinateFormat: coordinates.format,
+          coordinateWarnings: coordinates.warnings,
+          sampleInfo: {
+            ...sampleInfo,
+            year: sampleInfo.year || new Date().getFullYear(),
+            serialNumber: locationInfo.serialNumber || `ROW_${rowNumber}`
+          },
+          sampleWarnings,
+          heavyMetals: metalValues,
+          environmentalParams,
+          unrecognisedValues,
+          originalData,
+          sheetName,
+          rowNumber
+        };
+
+        processedData.push(record);
+
+      } catch (error) {
+        errors.push({
+          sheet: sheetName,
+          row: rowNumber,
+          error: error.message,
+          originalData
+        });
+      }
+    }
+
+    return { data: processedData, errors };
+  }
+
   /**
    * Validate processed data
    * @param {Object} record - Processed record
@@ -396,6 +1366,17 @@ class ExcelParser {
       }
     }
 
+    // Coordinates that were corrected while parsing (e.g. swapped latitude and longitude)
+    errors.push(...(record.coordinateWarnings || []));
+
+    // Sampling dates and depths that could not be read, or a date outside the sample year
+    errors.push(...(record.sampleWarnings || []));
+
+    // Cells that could not be read as a concentration are left out of the record
+    for (const { metal, value } of record.unrecognisedValues || []) {
+      errors.push(`Unrecognised value for ${metal}: '${value}'`);
+    }
+
     // Validate heavy metal values
     for (const [metal, data] of Object.entries(record.heavyMetals)) {
       if (data.value < 0) {
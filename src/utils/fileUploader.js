@@ -1,6 +1,7 @@
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs/promises';
+import { createReadStream } from 'fs';
 import crypto from 'crypto';
 
 /**
@@ -10,7 +11,10 @@ class FileUploader {
   constructor() {
     this.uploadDir = process.env.UPLOAD_DIR || './uploads';
     this.maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 10485760; // 10MB
-    this.allowedTypes = process.env.ALLOWED_FILE_TYPES?.split(',') || ['.xlsx', '.xls'];
+    // Workbooks are read into memory whole, only delimited text is streamed
+    this.delimitedTypes = ['.csv', '.tsv'];
+    this.maxWorkbookSize = Math.min(parseInt(process.env.MAX_WORKBOOK_FILE_SIZE) || 5242880, this.maxFileSize); // 5MB
+    this.allowedTypes = process.env.ALLOWED_FILE_TYPES?.split(',') || ['.xlsx', '.xls', '.ods', '.csv', '.tsv'];
     
     this.initializeUploadDir();
   }
@@ -113,6 +117,10 @@ class FileUploader {
       errors.push(`Invalid file type. Allowed types: ${this.allowedTypes.join(', ')}`);
     }
 
+    if (this.exceedsWorkbookSize(file)) {
+      errors.push(this.workbookSizeMessage());
+    }
+
     // Check if file actually exists on disk
     try {
       await fs.access(file.path);
@@ -136,13 +144,33 @@ class FileUploader {
     };
   }
 
+  /**
+   * Whether a workbook (not CSV or TSV) is too large to be read into memory
+   */
+  exceedsWorkbookSize(file) {
+    const fileExtension = path.extname(file.originalname).toLowerCase();
+    return !this.delimitedTypes.includes(fileExtension) && file.size > this.maxWorkbookSize;
+  }
+
+  /**
+   * Error message of a workbook over the workbook size limit
+   */
+  workbookSizeMessage() {
+    return `Workbook too large. .xlsx, .xls and .ods files are read into memory whole and are limited to ${this.maxWorkbookSize / 1024 / 1024}MB; ` +
+      `save the sheet as CSV or TSV to upload files up to ${this.maxFileSize / 1024 / 1024}MB`;
+  }
+
   /**
    * Generate file hash for deduplication
    */
   async generateFileHash(filePath) {
     try {
-      const fileBuffer = await fs.readFile(filePath);
-      return crypto.createHash('sha256').update(fileBuffer).digest('hex');
+      // Streamed, so large files are not held in memory
+      const hash = crypto.createHash('sha256');
+      for await (const chunk of createReadStream(filePath)) {
+        hash.update(chunk);
+      }
+      return hash.digest('hex');
     } catch (error) {
       throw new Error(`Failed to generate file hash: ${error.message}`);
     }
@@ -0,0 +1,428 @@
+import { FormulaConfig } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Thrown when a metal lacks a per-metal variable, so aggregates leave that metal out
+class MissingMetalValueError extends Error {}
+
+/**
+ * Evaluates FormulaConfig expressions without eval: the expression is tokenized and parsed into a tree
+ * that can only do arithmetic, call the functions listed here and read known variables.
+ *
+ * Per-metal variables (Ci, Si, CFi...) are read inside aggregates like sum(CFi^2), which run their argument
+ * once per metal that has a standard. A formula using them outside an aggregate ('Ci / Si') is evaluated
+ * per metal. Other names must be built-in (n, HPI...) or declared in the formula's variables with a value.
+ */
+class FormulaEvaluator {
+  constructor() {
+    this.maxLength = 1000;
+    this.maxDepth = 50;
+
+    // Per-metal variables, concentrations in mg/L
+    this.metalVariables = {
+      Ci: 'Measured concentration of metal i',
+      Si: 'Standard (permissible) value of metal i',
+      Ii: 'Ideal value of metal i',
+      Wi: 'HPI weightage of metal i',
+      CFi: 'Contamination factor of metal i (Ci / Si)',
+      Qi: 'HPI quality rating of metal i',
+      Bi: 'Background concentration of metal i',
+      TRFi: 'Toxic response factor of metal i',
+      RfDi: 'Oral reference dose of metal i (mg/kg/day)'
+    };
+
+    this.globalVariables = {
+      n: 'Number of metals with a standard',
+      HPI: 'Heavy Metal Pollution Index',
+      PN: 'Nemerow Pollution Index',
+      PLI: 'Pollution Load Index',
+      ERI: 'Ecological Risk Index',
+      bodyWeight: 'Body weight used for the health risk (kg)',
+      waterIntake: 'Daily water intake used for the health risk (L/day)'
+    };
+
+    // name -> [minimum arguments, maximum arguments, implementation]
+    this.functions = {
+      sqrt: [1, 1, Math.sqrt],
+      abs: [1, 1, Math.abs],
+      exp: [1, 1, Math.exp],
+      log: [1, 1, Math.log], // Natural logarithm
+      ln: [1, 1, Math.log],
+      log10: [1, 1, Math.log10],
+      log2: [1, 1, Math.log2],
+      pow: [2, 2, Math.pow],
+      round: [1, 2, (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits],
+      min: [1, Infinity, Math.min],
+      max: [1, Infinity, Math.max]
+    };
+
+    // Aggregates over the metals; min and max aggregate when their single argument is per metal
+    this.aggregates = {
+      sum: values => values.reduce((total, value) => total + value, 0),
+      product: values => values.reduce((total, value) => total * value, 1),
+      mean: values => values.reduce((total, value) => total + value, 0) / values.length,
+      avg: values => values.reduce((total, value) => total + value, 0) / values.length,
+      geomean: values => Math.pow(values.reduce((total, value) => total * value, 1), 1 / values.length),
+      count: values => values.length,
+      min: values => Math.min(...values),
+      max: values => Math.max(...values)
+    };
+  }
+
+  /**
+   * Split an expression into tokens
+   * @param {string} expression - Formula expression
+   * @returns {Array} { type ('number', 'name', 'operator'), value, position } tokens
+   */
+  tokenize(expression) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d*)?(?:[eE][-+]?\d+)?|\.\d+(?:[eE][-+]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(\*\*|[-+*/%^(),]))/y;
+
+    while (pattern.lastIndex < expression.length) {
+      const position = pattern.lastIndex;
+      const match = pattern.exec(expression);
+
+      if (!match) {
+        if (expression.slice(position).trim() === '') break;
+        throw new AppError(`Unexpected character '${expression.slice(position).trim()[0]}' at position ${position + 1}`, 400);
+      }
+
+      if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]), position });
+      else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2], position });
+      else tokens.push({ type: 'operator', value: match[3] === '**' ? '^' : match[3], position });
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse an expression into a syntax tree
+   * @param {string} expression - Formula expression, e.g. 'sqrt(sum(CFi^2) / n)'
+   * @returns {Object} Root node
+   */
+  parse(expression) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+      throw new AppError('Formula expression is required', 400);
+    }
+    if (expression.length > this.maxLength) {
+      throw new AppError(`Formula expression cannot exceed ${this.maxLength} characters`, 400);
+    }
+
+    const tokens = this.tokenize(expression);
+    let index = 0;
+    let depth = 0;
+
+    const peek = () => tokens[index];
+    const isOperator = (...values) => peek()?.type === 'operator' && values.includes(peek().value);
+    const fail = (message) => {
+      const token = peek();
+      throw new AppError(token ? `${message} at position ${token.position + 1}` : `${message} at the end of the formula`, 400);
+    };
+    const expect = (value) => {
+      if (!isOperator(value)) fail(`Expected '${value}'`);
+      index++;
+    };
+    const nested = (parseNode) => {
+      if (++depth > this.maxDepth) fail('Formula is nested too deeply');
+      const node = parseNode();
+      depth--;
+      return node;
+    };
+
+    // Lowest precedence first: + -, then * / %, then unary minus, then ^ (right associative)
+    const parseAdditive = () => {
+      let node = parseMultiplicative();
+      while (isOperator('+', '-')) {
+        const operator = tokens[index++].value;
+        node = { type: 'binary', operator, left: node, right: parseMultiplicative() };
+      }
+      return node;
+    };
+
+    const parseMultiplicative = () => {
+      let node = parseUnary();
+      while (isOperator('*', '/', '%')) {
+        const operator = tokens[index++].value;
+        node = { type: 'binary', operator, left: node, right: parseUnary() };
+      }
+      return node;
+    };
+
+    const parseUnary = () => {
+      if (isOperator('-', '+')) {
+        const operator = tokens[index++].value;
+        return nested(() => ({ type: 'unary', operator, argument: parseUnary() }));
+      }
+      return parsePower();
+    };
+
+    const parsePower = () => {
+      const base = parsePrimary();
+      if (isOperator('^')) {
+        index++;
+        return { type: 'binary', operator: '^', left: base, right: nested(parseUnary) };
+      }
+      return base;
+    };
+
+    const parsePrimary = () => {
+      const token = peek();
+      if (!token) fail('Expected a value');
+
+      if (token.type === 'number') {
+        index++;
+        return { type: 'number', value: token.value };
+      }
+
+      if (token.type === 'name') {
+        index++;
+        if (!isOperator('(')) {
+          return { type: 'variable', name: token.value };
+        }
+
+        index++;
+        const args = [];
+        if (!isOperator(')')) {
+          args.push(nested(parseAdditive));
+          while (isOperator(',')) {
+            index++;
+            args.push(nested(parseAdditive));
+          }
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args };
+      }
+
+      if (isOperator('(')) {
+        index++;
+        const node = nested(parseAdditive);
+        expect(')');
+        return node;
+      }
+
+      return fail(`Unexpected '${token.value}'`);
+    };
+
+    const root = parseAdditive();
+    if (index < tokens.length) fail(`Unexpected '${peek().value}'`);
+
+    return root;
+  }
+
+  /**
+   * Whether a subtree reads a per-metal variable
+   * @param {Object} node - Syntax tree node
+   * @returns {boolean} True when the value depends on the metal
+   */
+  readsMetalVariable(node) {
+    if (node.type === 'variable') return Object.hasOwn(this.metalVariables, node.name);
+    if (node.type === 'unary') return this.readsMetalVariable(node.argument);
+    if (node.type === 'binary') return this.readsMetalVariable(node.left) || this.readsMetalVariable(node.right);
+    if (node.type === 'call') return !this.isAggregate(node) && node.args.some(arg => this.readsMetalVariable(arg));
+    return false;
+  }
+
+  /**
+   * Whether a call aggregates over the metals
+   * @param {Object} node - Call node
+   * @returns {boolean} True for sum(), mean()... and for min() or max() of a per-metal value
+   */
+  isAggregate(node) {
+    if (!Object.hasOwn(this.aggregates, node.name)) return false;
+    if (!Object.hasOwn(this.functions, node.name)) return true;
+    return node.args.length === 1 && this.readsMetalVariable(node.args[0]);
+  }
+
+  /**
+   * Check the functions and variables of a syntax tree
+   * @param {Object} node - Syntax tree node
+   * @param {Object} constants - Declared variables with a value
+   * @param {boolean} inAggregate - Whether the node is inside an aggregate
+   */
+  check(node, constants, inAggregate = false) {
+    if (node.type === 'variable') {
+      if (!Object.hasOwn(this.metalVariables, node.name) && !Object.hasOwn(this.globalVariables, node.name) && !Object.hasOwn(constants, node.name)) {
+        throw new AppError(`Unknown variable '${node.name}'. Declare it in the formula's variables with a value`, 400);
+      }
+      return;
+    }
+
+    if (node.type === 'unary') return this.check(node.argument, constants, inAggregate);
+    if (node.type === 'binary') {
+      this.check(node.left, constants, inAggregate);
+      return this.check(node.right, constants, inAggregate);
+    }
+    if (node.type !== 'call') return;
+
+    if (this.isAggregate(node)) {
+      if (inAggregate) {
+        throw new AppError(`Aggregates cannot be nested: ${node.name}() inside another aggregate`, 400);
+      }
+      if (node.args.length !== 1) {
+        throw new AppError(`${node.name}() takes one per-metal expression`, 400);
+      }
+      return this.check(node.args[0], constants, true);
+    }
+
+    const definition = Object.hasOwn(this.functions, node.name) ? this.functions[node.name] : null;
+    if (!definition) {
+      throw new AppError(`Unknown function '${node.name}'. Available: ${[...new Set([...Object.keys(this.functions), ...Object.keys(this.aggregates)])].join(', ')}`, 400);
+    }
+    const [minArgs, maxArgs] = definition;
+    if (node.args.length < minArgs || node.args.length > maxArgs) {
+      throw new AppError(`${node.name}() takes ${minArgs === maxArgs ? minArgs : `${minArgs} or more`} argument(s)`, 400);
+    }
+    node.args.forEach(arg => this.check(arg, constants, inAggregate));
+  }
+
+  /**
+   * Parse and check a formula configuration
+   * @param {Object} config - FormulaConfig document or plain object
+   * @returns {Object} { name, type, version, expression, tree, perMetal, constants, categorize }
+   */
+  compile(config) {
+    const constants = {};
+    for (const variable of config.variables || []) {
+      if (typeof variable.value === 'number') {
+        constants[variable.name] = variable.value;
+      } else if (!Object.hasOwn(this.metalVariables, variable.name) && !Object.hasOwn(this.globalVariables, variable.name)) {
+        throw new AppError(`Variable '${variable.name}' is not built in and needs a value`, 400);
+      }
+    }
+
+    const tree = this.parse(config.formula);
+    this.check(tree, constants);
+
+    // Thresholds are read the same way as the model does
+    const document = config instanceof FormulaConfig ? config : FormulaConfig.hydrate(config);
+
+    return {
+      name: config.name,
+      type: config.type,
+      version: config.version,
+      expression: config.formula,
+      tree,
+      perMetal: this.readsMetalVariable(tree),
+      constants,
+      categorize: value => document.categorizeValue(value)
+    };
+  }
+
+  /**
+   * Evaluate a syntax tree node
+   * @param {Object} node - Syntax tree node
+   * @param {Object} scope - { globals, metals, metal } where metal is set inside aggregates
+   * @returns {number} Value
+   */
+  evaluateNode(node, scope) {
+    switch (node.type) {
+      case 'number':
+        return node.value;
+
+      case 'variable': {
+        if (Object.hasOwn(this.metalVariables, node.name)) {
+          const value = scope.metal?.[node.name];
+          if (typeof value !== 'number' || isNaN(value)) {
+            throw new MissingMetalValueError(`${node.name} is not known for ${scope.metal?.metal}`);
+          }
+          return value;
+        }
+
+        const value = scope.globals[node.name];
+        if (typeof value !== 'number' || isNaN(value)) {
+          throw new Error(`${node.name} is not known for this sample`);
+        }
+        return value;
+      }
+
+      case 'unary': {
+        const value = this.evaluateNode(node.argument, scope);
+        return node.operator === '-' ? -value : value;
+      }
+
+      case 'binary': {
+        const left = this.evaluateNode(node.left, scope);
+        const right = this.evaluateNode(node.right, scope);
+        switch (node.operator) {
+          case '+': return left + right;
+          case '-': return left - right;
+          case '*': return left * right;
+          case '/': return left / right;
+          case '%': return left % right;
+          default: return Math.pow(left, right);
+        }
+      }
+
+      default: {
+        if (!this.isAggregate(node)) {
+          return this.functions[node.name][2](...node.args.map(arg => this.evaluateNode(arg, scope)));
+        }
+
+        // Metals lacking a variable of the argument are left out
+        const values = [];
+        for (const metal of scope.metals) {
+          try {
+            values.push(this.evaluateNode(node.args[0], { ...scope, metal }));
+          } catch (error) {
+            if (!(error instanceof MissingMetalValueError)) throw error;
+          }
+        }
+
+        if (values.length === 0) {
+          throw new Error(`No metal has every variable used in ${node.name}()`);
+        }
+        return this.aggregates[node.name](values);
+      }
+    }
+  }
+
+  /**
+   * Round a result, rejecting results that are not finite numbers
+   * @param {number} value - Result
+   * @returns {number} Value rounded to 4 decimals
+   */
+  toResult(value) {
+    if (typeof value !== 'number' || !isFinite(value)) {
+      throw new Error('Formula result is not a finite number');
+    }
+    return Math.round(value * 10000) / 10000;
+  }
+
+  /**
+   * Evaluate a compiled formula for one sample
+   * @param {Object} formula - Result of compile()
+   * @param {Object} context - { globals, metals } from hmpiCalculator.buildFormulaContext
+   * @returns {Object} { value, category } and, for per-metal formulas, the value per metal
+   * (value and category are then those of the highest metal)
+   */
+  evaluate(formula, { globals, metals }) {
+    const scope = { globals: { ...globals, ...formula.constants }, metals, metal: null };
+
+    if (!formula.perMetal) {
+      const value = this.toResult(this.evaluateNode(formula.tree, scope));
+      return { value, category: formula.categorize(value) };
+    }
+
+    const perMetal = {};
+    for (const metal of metals) {
+      try {
+        const value = this.toResult(this.evaluateNode(formula.tree, { ...scope, metal }));
+        perMetal[metal.metal] = { value, category: formula.categorize(value) };
+      } catch (error) {
+        if (!(error instanceof MissingMetalValueError)) throw error;
+      }
+    }
+
+    const values = Object.values(perMetal);
+    if (values.length === 0) {
+      throw new Error('No metal has every variable used in the formula');
+    }
+
+    const highest = values.reduce((top, entry) => (entry.value > top.value ? entry : top));
+    return { value: highest.value, category: highest.category, metals: perMetal };
+  }
+}
+
+// Create singleton instance
+const formulaEvaluator = new FormulaEvaluator();
+
+export default formulaEvaluator;
\ No newline at end of file
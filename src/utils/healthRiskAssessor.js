@@ -0,0 +1,270 @@
+import { AppError } from '../middleware/errorHandler.js';
+
+/**
+ * USEPA-style human health risk assessment of drinking water (RAGS Part A and Part E):
+ * chronic daily intake by age group and exposure pathway, hazard quotients and hazard index
+ * for non-carcinogenic effects and incremental lifetime cancer risk for metals with a slope factor.
+ *
+ * Ingestion:  CDI = (C × IR × EF × ED) / (BW × AT)
+ * Dermal:     DAD = (C × SA × Kp × ET × EF × ED × CF) / (BW × AT)
+ * HQ = CDI / RfD (dermal: RfD × GIABS), HI = ΣHQ, CR = CDI × SF (dermal: SF / GIABS)
+ */
+class HealthRiskAssessor {
+  constructor() {
+    this.pathways = ['ingestion', 'dermal'];
+
+    // Exposure factors of each age group
+    this.ageGroupFields = {
+      bodyWeight: 'Body weight (kg)',
+      ingestionRate: 'Drinking water ingestion rate (L/day)',
+      exposureFrequency: 'Exposure frequency (days/year)',
+      exposureDuration: 'Exposure duration (years)',
+      skinSurfaceArea: 'Skin surface area in contact with water (cm²)',
+      exposureTime: 'Dermal exposure time (hours/day)'
+    };
+
+    this.defaults = {
+      ageGroups: {
+        adult: {
+          bodyWeight: 70,
+          ingestionRate: 2,
+          exposureFrequency: 365,
+          exposureDuration: 30,
+          skinSurfaceArea: 18000,
+          exposureTime: 0.58
+        },
+        child: {
+          bodyWeight: 15,
+          ingestionRate: 1,
+          exposureFrequency: 365,
+          exposureDuration: 6,
+          skinSurfaceArea: 6600,
+          exposureTime: 1
+        }
+      },
+      pathways: this.pathways,
+      // Averaging time of carcinogens (years)
+      lifetime: 70,
+      // Volume conversion of the dermal dose (L/cm³)
+      conversionFactor: 0.001
+    };
+
+    // Incremental lifetime cancer risk above which the risk is not acceptable
+    this.acceptableCancerRisk = 1e-4;
+    this.negligibleCancerRisk = 1e-6;
+  }
+
+  /**
+   * Merge exposure parameters over the defaults
+   * @param {Object} overrides - { ageGroups: { adult: {...}, child: {...} }, pathways, lifetime, conversionFactor }
+   * @param {Object} base - Parameters applied before the overrides (e.g. the adult body weight of the request)
+   * @returns {Object} Complete exposure parameters
+   */
+  resolveParameters(overrides = {}, base = {}) {
+    const layers = [this.defaults, base, overrides || {}];
+    const groupNames = [...new Set(layers.flatMap(layer => Object.keys(layer.ageGroups || {})))];
+
+    const ageGroups = {};
+    for (const group of groupNames) {
+      ageGroups[group] = Object.assign({}, ...layers.map(layer => layer.ageGroups?.[group] || {}));
+
+      for (const field of Object.keys(this.ageGroupFields)) {
+        const value = ageGroups[group][field];
+        if (value === undefined) {
+          throw new AppError(`Exposure parameter ${group}.${field} is required`, 400);
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+          throw new AppError(`Exposure parameter ${group}.${field} must be a positive number`, 400);
+        }
+      }
+      for (const field of Object.keys(ageGroups[group])) {
+        if (!this.ageGroupFields[field]) {
+          throw new AppError(`Unknown exposure parameter ${group}.${field}. Use: ${Object.keys(this.ageGroupFields).join(', ')}`, 400);
+        }
+      }
+    }
+
+    const parameters = { ageGroups };
+    for (const field of ['pathways', 'lifetime', 'conversionFactor']) {
+      parameters[field] = layers.reduce((value, layer) => layer[field] ?? value, undefined);
+    }
+
+    if (!Array.isArray(parameters.pathways) || parameters.pathways.length === 0 ||
+        parameters.pathways.some(pathway => !this.pathways.includes(pathway))) {
+      throw new AppError(`Exposure pathways must be one or more of: ${this.pathways.join(', ')}`, 400);
+    }
+    parameters.pathways = [...new Set(parameters.pathways)];
+
+    for (const field of ['lifetime', 'conversionFactor']) {
+      if (typeof parameters[field] !== 'number' || !Number.isFinite(parameters[field]) || parameters[field] <= 0) {
+        throw new AppError(`Exposure parameter ${field} must be a positive number`, 400);
+      }
+    }
+
+    for (const [group, factors] of Object.entries(ageGroups)) {
+      if (factors.exposureDuration > parameters.lifetime) {
+        throw new AppError(`Exposure duration of ${group} cannot exceed the lifetime of ${parameters.lifetime} years`, 400);
+      }
+    }
+
+    return parameters;
+  }
+
+  /**
+   * Assess the health risk of a sample
+   * @param {Object} concentrations - Concentrations in mg/L keyed by metal
+   * @param {Object} standardSet - Set from hmpiCalculator.getStandardSet (reference doses, slope factors,
+   * permeability coefficients and gastrointestinal absorption of each metal)
+   * @param {Object} parameters - Exposure parameters from resolveParameters
+   * @returns {Object} Per age group: per-metal doses, hazard quotients and cancer risks, the hazard index and
+   * the total cancer risk; with the exposure parameters and toxicity values used
+   */
+  assess(concentrations, standardSet, parameters = this.resolveParameters()) {
+    const toxicity = {};
+    const unassessedMetals = [];
+
+    for (const metal of Object.keys(concentrations)) {
+      const standard = standardSet.metals[metal.toUpperCase()];
+      if (!standard?.referenceDose && !standard?.slopeFactor) {
+        unassessedMetals.push(metal);
+        continue;
+      }
+
+      toxicity[metal] = {
+        referenceDose: standard.referenceDose ?? null,
+        slopeFactor: standard.slopeFactor ?? null,
+        permeabilityCoefficient: standard.permeabilityCoefficient ?? null,
+        gastrointestinalAbsorption: standard.gastrointestinalAbsorption ?? 1
+      };
+    }
+
+    const ageGroups = {};
+    for (const [group, factors] of Object.entries(parameters.ageGroups)) {
+      ageGroups[group] = this.assessAgeGroup(concentrations, toxicity, factors, parameters);
+    }
+
+    return {
+      ageGroups,
+      carcinogens: Object.keys(toxicity).filter(metal => toxicity[metal].slopeFactor),
+      unassessedMetals,
+      parameters,
+      toxicity
+    };
+  }
+
+  /**
+   * Doses, hazard quotients and cancer risks of one age group
+   * @param {Object} concentrations - Concentrations in mg/L keyed by metal
+   * @param {Object} toxicity - Toxicity values keyed by metal
+   * @param {Object} factors - Exposure factors of the age group
+   * @param {Object} parameters - Exposure parameters (pathways, lifetime, conversionFactor)
+   * @returns {Object} { averagingTime, metals, hazardIndex, cancerRisk }
+   */
+  assessAgeGroup(concentrations, toxicity, factors, { pathways, lifetime, conversionFactor }) {
+    const { bodyWeight, ingestionRate, exposureFrequency, exposureDuration, skinSurfaceArea, exposureTime } = factors;
+    const averagingTime = {
+      nonCarcinogenic: exposureDuration * 365,
+      carcinogenic: lifetime * 365
+    };
+
+    // Intake per mg/L, before dividing by the averaging time
+    const intakeFactors = {
+      ingestion: () => (ingestionRate * exposureFrequency * exposureDuration) / bodyWeight,
+      dermal: (kp) => (skinSurfaceArea * kp * exposureTime * exposureFrequency * exposureDuration * conversionFactor) / bodyWeight
+    };
+
+    const metals = {};
+    const hazardIndex = Object.fromEntries(pathways.map(pathway => [pathway, 0]));
+    const cancerRisk = Object.fromEntries(pathways.map(pathway => [pathway, 0]));
+
+    for (const [metal, values] of Object.entries(toxicity)) {
+      const concentration = concentrations[metal];
+      const result = {
+        concentration,
+        chronicDailyIntake: {},
+        hazardQuotient: values.referenceDose ? {} : null,
+        cancerRisk: values.slopeFactor ? {} : null
+      };
+
+      for (const pathway of pathways) {
+        // Metals without a permeability coefficient are not absorbed through the skin
+        if (pathway === 'dermal' && !values.permeabilityCoefficient) continue;
+
+        const intake = concentration * intakeFactors[pathway](values.permeabilityCoefficient);
+        const absorption = pathway === 'dermal' ? values.gastrointestinalAbsorption : 1;
+
+        result.chronicDailyIntake[pathway] = this.round(intake / averagingTime.nonCarcinogenic);
+
+        if (result.hazardQuotient) {
+          const hq = (intake / averagingTime.nonCarcinogenic) / (values.referenceDose * absorption);
+          result.hazardQuotient[pathway] = this.round(hq);
+          hazardIndex[pathway] += hq;
+        }
+
+        if (result.cancerRisk) {
+          const cr = (intake / averagingTime.carcinogenic) * (values.slopeFactor / absorption);
+          result.cancerRisk[pathway] = this.round(cr);
+          cancerRisk[pathway] += cr;
+        }
+      }
+
+      if (result.hazardQuotient) {
+        result.hazardQuotient.total = this.round(this.sum(result.hazardQuotient));
+        result.hazardQuotient.interpretation = this.interpretHazard(result.hazardQuotient.total);
+      }
+      if (result.cancerRisk) {
+        result.cancerRisk.total = this.round(this.sum(result.cancerRisk));
+        result.cancerRisk.interpretation = this.interpretCancerRisk(result.cancerRisk.total);
+      }
+
+      metals[metal] = result;
+    }
+
+    const totalHazard = this.sum(hazardIndex);
+    const totalCancerRisk = this.sum(cancerRisk);
+
+    return {
+      averagingTime,
+      metals,
+      hazardIndex: {
+        ...this.roundAll(hazardIndex),
+        total: this.round(totalHazard),
+        interpretation: this.interpretHazard(totalHazard)
+      },
+      cancerRisk: {
+        ...this.roundAll(cancerRisk),
+        total: this.round(totalCancerRisk),
+        interpretation: this.interpretCancerRisk(totalCancerRisk)
+      }
+    };
+  }
+
+  interpretHazard(value) {
+    if (value < 1) return { category: 'No significant non-carcinogenic risk', level: 'Safe' };
+    return { category: 'Potential non-carcinogenic risk', level: 'Risk' };
+  }
+
+  interpretCancerRisk(value) {
+    if (value <= this.negligibleCancerRisk) return { category: 'Negligible cancer risk', level: 'Safe' };
+    if (value <= this.acceptableCancerRisk) return { category: 'Acceptable cancer risk', level: 'Moderate' };
+    return { category: 'Unacceptable cancer risk', level: 'Risk' };
+  }
+
+  sum(values) {
+    return Object.values(values).filter(value => typeof value === 'number').reduce((total, value) => total + value, 0);
+  }
+
+  roundAll(values) {
+    return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, this.round(value)]));
+  }
+
+  // Four significant digits: cancer risks are often around 1e-6
+  round(value) {
+    return Number(value.toPrecision(4));
+  }
+}
+
+// Create singleton instance
+const healthRiskAssessor = new HealthRiskAssessor();
+
+export default healthRiskAssessor;
\ No newline at end of file
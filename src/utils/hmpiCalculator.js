@@ -1,4 +1,8 @@
+import crypto from 'crypto';
 import { HeavyMetalStandard, FormulaConfig } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import formulaEvaluator from './formulaEvaluator.js';
+import healthRiskAssessor from './healthRiskAssessor.js';
 
 /**
  * Comprehensive Heavy Metal Pollution Indices Calculator
@@ -9,38 +13,15 @@ class HMPICalculator {
     this.standardsCache = new Map();
     this.formulaCache = new Map();
     this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
-    
-    // Standard values for heavy metals in drinking water (IS 10500:2012)
-    this.drinkingWaterStandards = {
-      'AS': { permissible: 0.05, ideal: 0.01, weightage: 5, unit: 'mg/L' },
-      'CD': { permissible: 0.005, ideal: 0.003, weightage: 5, unit: 'mg/L' },
-      'CR': { permissible: 0.05, ideal: 0, weightage: 4, unit: 'mg/L' },
-      'CU': { permissible: 1.5, ideal: 0, weightage: 1, unit: 'mg/L' },
-      'PB': { permissible: 0.01, ideal: 0, weightage: 5, unit: 'mg/L' },
-      'HG': { permissible: 0.002, ideal: 0.001, weightage: 5, unit: 'mg/L' },
-      'NI': { permissible: 0.07, ideal: 0.02, weightage: 2, unit: 'mg/L' },
-      'ZN': { permissible: 15, ideal: 5, weightage: 1, unit: 'mg/L' },
-      'FE': { permissible: 0.3, ideal: 0, weightage: 2, unit: 'mg/L' },
-      'U': { permissible: 0.03, ideal: 0, weightage: 4, unit: 'mg/L' }
-    };
-
-    // Background concentrations for geoaccumulation index (typical crustal averages)
-    this.backgroundConcentrations = {
-      'AS': 1.5, 'CD': 0.1, 'CR': 100, 'CU': 50, 'PB': 20,
-      'HG': 0.08, 'NI': 75, 'ZN': 70, 'FE': 35000, 'U': 2.7
-    };
 
-    // Toxic Response Factors for ERI calculation
-    this.toxicResponseFactors = {
-      'AS': 10, 'CD': 30, 'CR': 2, 'CU': 5, 'PB': 5,
-      'HG': 40, 'NI': 5, 'ZN': 1, 'FE': 1, 'U': 5
-    };
-
-    // Reference doses for health risk assessment (mg/kg/day)
-    this.referenceDoses = {
-      'AS': 0.0003, 'CD': 0.001, 'CR': 0.003, 'CU': 0.04, 'PB': 0.0036,
-      'HG': 0.0003, 'NI': 0.02, 'ZN': 0.3, 'FE': 0.7, 'U': 0.003
-    };
+    // Substitution for values reported below the detection limit (zero, half the limit or the limit itself)
+    this.detectionLimitPolicies = ['zero', 'half_lod', 'lod'];
+    this.detectionLimitPolicy = process.env.DETECTION_LIMIT_POLICY || 'half_lod';
+    this.censoredQualifiers = ['<LOD', 'BDL', 'ND'];
+    
+    // Every index is calculated from the active HeavyMetalStandard documents of one category
+    this.standardCategories = HeavyMetalStandard.schema.path('category').enumValues;
+    this.standardCategory = process.env.STANDARD_CATEGORY || 'BIS';
   }
 
   /**
@@ -80,6 +61,116 @@ class HMPICalculator {
     }
   }
 
+  /**
+   * Read the standard category of a request
+   * @param {string} value - Category as given ('bis', 'WHO', 'custom')
+   * @param {string} field - Request field named in the error
+   * @returns {string} Category as stored (default: STANDARD_CATEGORY or BIS)
+   */
+  resolveStandardCategory(value, field = 'standardCategory') {
+    if (value === undefined || value === null || String(value).trim() === '') return this.standardCategory;
+
+    const category = this.standardCategories.find(name => name.toLowerCase() === String(value).trim().toLowerCase());
+    if (!category) {
+      throw new AppError(`${field} must be one of: ${this.standardCategories.join(', ')}`, 400);
+    }
+    return category;
+  }
+
+  /**
+   * Get the standard set of a category with caching: limits in mg/L with the HPI weightage, background
+   * concentration, toxic response factor, reference dose, slope factor, dermal permeability coefficient
+   * and gastrointestinal absorption of each metal
+   * @param {string} category - Standard category (default: STANDARD_CATEGORY or BIS)
+   * @returns {Promise<Object>} { category, version, sources, standardVersions, metals }
+   */
+  async getStandardSet(category = this.standardCategory) {
+    const cacheKey = `set_${category}`;
+    const cached = this.standardsCache.get(cacheKey);
+
+    if (cached && (Date.now() - cached.timestamp) < this.cacheExpiry) {
+      return cached.data;
+    }
+
+    const standards = await HeavyMetalStandard.find({ isActive: true, category })
+      .sort({ metal: 1 })
+      .lean();
+
+    if (standards.length === 0) {
+      throw new AppError(`No active heavy metal standards for category ${category}`, 400);
+    }
+
+    const metals = {};
+    const standardVersions = {};
+
+    for (const standard of standards) {
+      const version = standard.version || 1;
+      metals[standard.metal] = {
+        permissible: this.normalizeToMgL(standard.standardValue, standard.unit),
+        ideal: this.normalizeToMgL(standard.idealValue || 0, standard.unit),
+        weightage: standard.weightage ?? 1,
+        backgroundConcentration: standard.backgroundConcentration,
+        toxicResponseFactor: standard.toxicResponseFactor,
+        referenceDose: standard.referenceDose,
+        slopeFactor: standard.slopeFactor,
+        permeabilityCoefficient: standard.permeabilityCoefficient,
+        gastrointestinalAbsorption: standard.gastrointestinalAbsorption,
+        unit: 'mg/L',
+        version
+      };
+      standardVersions[standard.metal] = version;
+    }
+
+    // Any edited, added or deactivated standard gives the set a new version
+    const fingerprint = Object.entries(standardVersions).map(([metal, version]) => `${metal}@${version}`).join(',');
+
+    const standardSet = {
+      category,
+      version: crypto.createHash('sha1').update(fingerprint).digest('hex').slice(0, 12),
+      sources: [...new Set(standards.map(standard => standard.source))],
+      standardVersions,
+      metals
+    };
+
+    this.standardsCache.set(cacheKey, {
+      data: standardSet,
+      timestamp: Date.now()
+    });
+
+    return standardSet;
+  }
+
+  /**
+   * Get the categories that have active standards, with caching
+   * @returns {Promise<Array>} Categories in the order of standardCategories
+   */
+  async getActiveStandardCategories() {
+    const cached = this.standardsCache.get('categories');
+
+    if (cached && (Date.now() - cached.timestamp) < this.cacheExpiry) {
+      return cached.data;
+    }
+
+    const active = await HeavyMetalStandard.distinct('category', { isActive: true });
+    const categories = this.standardCategories.filter(category => active.includes(category));
+
+    this.standardsCache.set('categories', {
+      data: categories,
+      timestamp: Date.now()
+    });
+
+    return categories;
+  }
+
+  /**
+   * Describe a standard set as stored with a result
+   * @param {Object} standardSet - Set from getStandardSet
+   * @returns {Object} { category, version, sources, standardVersions }
+   */
+  describeStandardSet({ category, version, sources, standardVersions }) {
+    return { category, version, sources, standardVersions };
+  }
+
   /**
    * Get formula configuration with caching
    */
@@ -109,6 +200,37 @@ class HMPICalculator {
     }
   }
 
+  /**
+   * Get every active formula configuration, compiled for evaluation, with caching.
+   * Formulas that do not compile are left out with a warning.
+   * @returns {Promise<Array>} Compiled formulas (formulaEvaluator.compile)
+   */
+  async getCustomFormulas() {
+    const cached = this.formulaCache.get('custom');
+
+    if (cached && (Date.now() - cached.timestamp) < this.cacheExpiry) {
+      return cached.data;
+    }
+
+    const configs = await FormulaConfig.find({ isActive: true }).sort({ name: 1 });
+    const formulas = [];
+
+    for (const config of configs) {
+      try {
+        formulas.push(formulaEvaluator.compile(config));
+      } catch (error) {
+        console.warn(`⚠️ Formula ${config.name} skipped: ${error.message}`);
+      }
+    }
+
+    this.formulaCache.set('custom', {
+      data: formulas,
+      timestamp: Date.now()
+    });
+
+    return formulas;
+  }
+
   /**
    * Calculate contamination factor for a single metal
    * CF = C_metal / C_standard
@@ -161,14 +283,14 @@ class HMPICalculator {
    * Formula: HPI = (Σ(Wᵢ × Qᵢ)) / (ΣWᵢ)
    * Where: Qᵢ = ((Mᵢ − Iᵢ) / (Sᵢ − Iᵢ)) × 100
    */
-  calculateHPI(heavyMetalValues) {
+  calculateHPI(heavyMetalValues, standardSet) {
     let weightedSum = 0;
     let totalWeight = 0;
     const metalDetails = {};
 
     for (const [metal, data] of Object.entries(heavyMetalValues)) {
       const metalKey = metal.toUpperCase();
-      const standard = this.drinkingWaterStandards[metalKey];
+      const standard = standardSet.metals[metalKey];
 
       if (!standard) {
         console.warn(`No standard found for metal: ${metal}`);
@@ -220,14 +342,14 @@ class HMPICalculator {
    * Calculate Nemerow Pollution Index (PN)
    * Formula: PN = √((C_max / S_max)² + (C_mean / S_mean)²)
    */
-  calculateNemerowIndex(heavyMetalValues) {
+  calculateNemerowIndex(heavyMetalValues, standardSet) {
     const ratios = [];
     const concentrations = [];
     const standards = [];
 
     for (const [metal, data] of Object.entries(heavyMetalValues)) {
       const metalKey = metal.toUpperCase();
-      const standard = this.drinkingWaterStandards[metalKey];
+      const standard = standardSet.metals[metalKey];
 
       if (!standard) continue;
 
@@ -262,12 +384,12 @@ class HMPICalculator {
    * Calculate Contamination Factor (CF) for all metals
    * Formula: CF = Mᵢ / Sᵢ
    */
-  calculateContaminationFactors(heavyMetalValues) {
+  calculateContaminationFactors(heavyMetalValues, standardSet) {
     const factors = {};
 
     for (const [metal, data] of Object.entries(heavyMetalValues)) {
       const metalKey = metal.toUpperCase();
-      const standard = this.drinkingWaterStandards[metalKey];
+      const standard = standardSet.metals[metalKey];
 
       if (!standard) continue;
 
@@ -289,8 +411,8 @@ class HMPICalculator {
    * Calculate Pollution Load Index (PLI)
    * Formula: PLI = (∏CFᵢ)^(1/n)
    */
-  calculatePLI(heavyMetalValues) {
-    const cfs = this.calculateContaminationFactors(heavyMetalValues);
+  calculatePLI(heavyMetalValues, standardSet) {
+    const cfs = this.calculateContaminationFactors(heavyMetalValues, standardSet);
     const cfValues = Object.values(cfs).map(cf => cf.value);
 
     if (cfValues.length === 0) {
@@ -313,12 +435,12 @@ class HMPICalculator {
    * Calculate Geoaccumulation Index (Igeo)
    * Formula: Igeo = log₂(Mᵢ / 1.5 × Bᵢ)
    */
-  calculateGeoaccumulationIndex(heavyMetalValues) {
+  calculateGeoaccumulationIndex(heavyMetalValues, standardSet) {
     const indices = {};
 
     for (const [metal, data] of Object.entries(heavyMetalValues)) {
       const metalKey = metal.toUpperCase();
-      const background = this.backgroundConcentrations[metalKey];
+      const background = standardSet.metals[metalKey]?.backgroundConcentration;
 
       if (!background) continue;
 
@@ -340,12 +462,12 @@ class HMPICalculator {
    * Calculate Health Risk Index (HRI)
    * Formula: HRI = DIMᵢ / RfDᵢ
    */
-  calculateHealthRiskIndex(heavyMetalValues, bodyWeight = 70, waterIntake = 2) {
+  calculateHealthRiskIndex(heavyMetalValues, standardSet, bodyWeight = 70, waterIntake = 2) {
     const indices = {};
 
     for (const [metal, data] of Object.entries(heavyMetalValues)) {
       const metalKey = metal.toUpperCase();
-      const rfd = this.referenceDoses[metalKey];
+      const rfd = standardSet.metals[metalKey]?.referenceDose;
 
       if (!rfd) continue;
 
@@ -365,18 +487,34 @@ class HMPICalculator {
     return indices;
   }
 
+  /**
+   * USEPA health risk assessment by age group and exposure pathway (hazard quotients, hazard index, cancer risk)
+   * @param {Object} heavyMetalValues - { value, unit } keyed by metal
+   * @param {Object} standardSet - Set from getStandardSet
+   * @param {Object} parameters - Exposure parameters from healthRiskAssessor.resolveParameters
+   * @returns {Object} Result of healthRiskAssessor.assess
+   */
+  calculateHealthRiskAssessment(heavyMetalValues, standardSet, parameters) {
+    const concentrations = {};
+    for (const [metal, data] of Object.entries(heavyMetalValues)) {
+      concentrations[metal] = this.normalizeToMgL(data.value, data.unit);
+    }
+
+    return healthRiskAssessor.assess(concentrations, standardSet, parameters);
+  }
+
   /**
    * Calculate Ecological Risk Index (ERI)
    * Formula: ERI = Σ(CFᵢ × TRFᵢ)
    */
-  calculateEcologicalRiskIndex(heavyMetalValues) {
+  calculateEcologicalRiskIndex(heavyMetalValues, standardSet) {
     let totalERI = 0;
     const metalRisks = {};
 
     for (const [metal, data] of Object.entries(heavyMetalValues)) {
       const metalKey = metal.toUpperCase();
-      const standard = this.drinkingWaterStandards[metalKey];
-      const trf = this.toxicResponseFactors[metalKey];
+      const standard = standardSet.metals[metalKey];
+      const trf = standard?.toxicResponseFactor;
 
       if (!standard || !trf) continue;
 
@@ -400,6 +538,81 @@ class HMPICalculator {
     };
   }
 
+  /**
+   * Build the variables formulas are evaluated with
+   * @param {Object} heavyMetalValues - { value, unit } keyed by metal
+   * @param {Object} standardSet - Set from getStandardSet
+   * @param {Object} results - Indices calculated so far (hpi, nemerowIndex, pollutionLoadIndex, ecologicalRiskIndex)
+   * @param {Object} parameters - bodyWeight and waterIntake
+   * @returns {Object} { globals, metals } as read by formulaEvaluator.evaluate
+   */
+  buildFormulaContext(heavyMetalValues, standardSet, results, { bodyWeight, waterIntake }) {
+    const metals = [];
+
+    for (const [metal, data] of Object.entries(heavyMetalValues)) {
+      const standard = standardSet.metals[metal.toUpperCase()];
+      if (!standard) continue;
+
+      const Ci = this.normalizeToMgL(data.value, data.unit);
+      metals.push({
+        metal,
+        Ci,
+        Si: standard.permissible,
+        Ii: standard.ideal,
+        Wi: standard.weightage,
+        CFi: Ci / standard.permissible,
+        Qi: ((Ci - standard.ideal) / (standard.permissible - standard.ideal)) * 100,
+        Bi: standard.backgroundConcentration,
+        TRFi: standard.toxicResponseFactor,
+        RfDi: standard.referenceDose
+      });
+    }
+
+    return {
+      globals: {
+        n: metals.length,
+        HPI: results.hpi.value,
+        PN: results.nemerowIndex.value,
+        PLI: results.pollutionLoadIndex.value,
+        ERI: results.ecologicalRiskIndex.totalValue,
+        bodyWeight,
+        waterIntake
+      },
+      metals
+    };
+  }
+
+  /**
+   * Calculate the custom indices of the configured formulas
+   * @param {Array} formulas - Compiled formulas from getCustomFormulas
+   * @param {Object} context - Variables from buildFormulaContext
+   * @returns {Object} { value, category, version, calculatedAt } keyed by formula name; a formula that cannot be
+   * evaluated for the sample gets a null value and its error
+   */
+  calculateCustomIndices(formulas, context) {
+    const indices = {};
+
+    for (const formula of formulas) {
+      try {
+        indices[formula.name] = {
+          ...formulaEvaluator.evaluate(formula, context),
+          version: formula.version,
+          calculatedAt: new Date()
+        };
+      } catch (error) {
+        indices[formula.name] = {
+          value: null,
+          category: 'Unknown',
+          version: formula.version,
+          error: error.message,
+          calculatedAt: new Date()
+        };
+      }
+    }
+
+    return indices;
+  }
+
   /**
    * Normalize concentration values to mg/L
    */
@@ -466,13 +679,64 @@ class HMPICalculator {
     return { category: 'High ecological risk', level: 'High' };
   }
 
+  /**
+   * Substitute values reported below the detection limit
+   * @param {Object} heavyMetalValues - { value, unit, qualifier, detectionLimit } keyed by metal
+   * @param {string} policy - 'zero', 'half_lod' or 'lod'
+   * @returns {Object} Values ready for calculation and the metals that were substituted
+   */
+  applyDetectionLimitPolicy(heavyMetalValues, policy = this.detectionLimitPolicy) {
+    if (!this.detectionLimitPolicies.includes(policy)) {
+      throw new Error(`Unknown detection limit policy: ${policy}. Use one of ${this.detectionLimitPolicies.join(', ')}`);
+    }
+
+    const values = {};
+    const censoredMetals = [];
+
+    for (const [metal, data] of Object.entries(heavyMetalValues || {})) {
+      if (!data || !this.censoredQualifiers.includes(data.qualifier)) {
+        values[metal] = data;
+        continue;
+      }
+
+      // Without a known limit the only defensible substitute is zero
+      const limit = typeof data.detectionLimit === 'number' ? data.detectionLimit : 0;
+      const value = policy === 'lod' ? limit : policy === 'half_lod' ? limit / 2 : 0;
+
+      values[metal] = { ...data, value };
+      censoredMetals.push(metal);
+    }
+
+    return { values, censoredMetals };
+  }
+
   /**
    * Calculate comprehensive pollution assessment with all indices
+   * @param {Object} measuredValues - { value, unit, qualifier, detectionLimit } keyed by metal
+   * @param {Object} options - bodyWeight, waterIntake, detectionLimitPolicy, the standardSet (from getStandardSet),
+   * the formulas of the custom indices (from getCustomFormulas) and the exposure parameters of the health risk
+   * assessment (overrides of healthRiskAssessor.defaults; bodyWeight and waterIntake apply to adults)
    */
-  calculateComprehensiveAssessment(heavyMetalValues, options = {}) {
+  calculateComprehensiveAssessment(measuredValues, options = {}) {
     try {
+      const { standardSet } = options;
+      if (!standardSet) {
+        throw new Error('A standard set is required');
+      }
+
       const bodyWeight = options.bodyWeight || 70; // kg
       const waterIntake = options.waterIntake || 2; // L/day
+      const detectionLimitPolicy = options.detectionLimitPolicy || this.detectionLimitPolicy;
+      const exposure = healthRiskAssessor.resolveParameters(options.exposure, {
+        ageGroups: {
+          adult: {
+            ...(options.bodyWeight && { bodyWeight: options.bodyWeight }),
+            ...(options.waterIntake && { ingestionRate: options.waterIntake })
+          }
+        }
+      });
+
+      const { values: heavyMetalValues, censoredMetals } = this.applyDetectionLimitPolicy(measuredValues, detectionLimitPolicy);
 
       // Validate input
       const validation = this.validateInputData(heavyMetalValues);
@@ -483,28 +747,37 @@ class HMPICalculator {
       // Calculate all pollution indices
       const results = {
         // Primary pollution indices
-        hpi: this.calculateHPI(heavyMetalValues),
-        nemerowIndex: this.calculateNemerowIndex(heavyMetalValues),
-        contaminationFactors: this.calculateContaminationFactors(heavyMetalValues),
-        pollutionLoadIndex: this.calculatePLI(heavyMetalValues),
+        hpi: this.calculateHPI(heavyMetalValues, standardSet),
+        nemerowIndex: this.calculateNemerowIndex(heavyMetalValues, standardSet),
+        contaminationFactors: this.calculateContaminationFactors(heavyMetalValues, standardSet),
+        pollutionLoadIndex: this.calculatePLI(heavyMetalValues, standardSet),
         
         // Environmental indices
-        geoaccumulationIndex: this.calculateGeoaccumulationIndex(heavyMetalValues),
-        ecologicalRiskIndex: this.calculateEcologicalRiskIndex(heavyMetalValues),
+        geoaccumulationIndex: this.calculateGeoaccumulationIndex(heavyMetalValues, standardSet),
+        ecologicalRiskIndex: this.calculateEcologicalRiskIndex(heavyMetalValues, standardSet),
         
         // Health risk indices
-        healthRiskIndex: this.calculateHealthRiskIndex(heavyMetalValues, bodyWeight, waterIntake),
+        healthRiskIndex: this.calculateHealthRiskIndex(heavyMetalValues, standardSet, bodyWeight, waterIntake),
+        healthRiskAssessment: this.calculateHealthRiskAssessment(heavyMetalValues, standardSet, exposure),
         
         // Metadata
         calculationParameters: {
           bodyWeight,
           waterIntake,
-          standardsUsed: 'IS 10500:2012',
+          standardSet: this.describeStandardSet(standardSet),
+          detectionLimitPolicy,
+          censoredMetals,
           calculatedAt: new Date(),
           metalCount: Object.keys(heavyMetalValues).length
         }
       };
 
+      // Indices of the configured formulas
+      if (options.formulas) {
+        const context = this.buildFormulaContext(heavyMetalValues, standardSet, results, { bodyWeight, waterIntake });
+        results.customIndices = this.calculateCustomIndices(options.formulas, context);
+      }
+
       // Overall risk assessment
       results.overallAssessment = this.generateOverallAssessment(results);
 
@@ -627,14 +900,17 @@ class HMPICalculator {
   /**
    * Get available metals with their standards
    */
-  getAvailableMetals() {
-    return Object.entries(this.drinkingWaterStandards).map(([metal, data]) => ({
+  async getAvailableMetals(category = this.standardCategory) {
+    const standardSet = await this.getStandardSet(category);
+
+    return Object.entries(standardSet.metals).map(([metal, data]) => ({
       symbol: metal,
       name: this.getMetalName(metal),
       permissibleLimit: data.permissible,
       idealValue: data.ideal,
       unit: data.unit,
-      weightage: data.weightage
+      weightage: data.weightage,
+      carcinogenic: Boolean(data.slopeFactor)
     }));
   }
 
@@ -645,7 +921,7 @@ class HMPICalculator {
     const names = {
       'AS': 'Arsenic', 'CD': 'Cadmium', 'CR': 'Chromium', 'CU': 'Copper',
       'PB': 'Lead', 'HG': 'Mercury', 'NI': 'Nickel', 'ZN': 'Zinc',
-      'FE': 'Iron', 'U': 'Uranium'
+      'FE': 'Iron', 'U': 'Uranium', 'MN': 'Manganese'
     };
     return names[symbol] || symbol;
   }
@@ -653,9 +929,10 @@ class HMPICalculator {
   /**
    * Calculate legacy HMPI method for backward compatibility
    */
-  async calculateHMPI(heavyMetalValues, standardCategory = 'BIS') {
+  async calculateHMPI(heavyMetalValues, standardCategory = this.standardCategory) {
     try {
-      const hpiResult = this.calculateHPI(heavyMetalValues);
+      const standardSet = await this.getStandardSet(standardCategory);
+      const hpiResult = this.calculateHPI(heavyMetalValues, standardSet);
       return {
         hmpi: hpiResult.value,
         metalCount: hpiResult.metalCount,
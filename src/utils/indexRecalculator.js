@@ -0,0 +1,221 @@
+import { PollutionData } from '../models/index.js';
+import hmpiCalculator from './hmpiCalculator.js';
+import recordBuilder from './recordBuilder.js';
+
+/**
+ * Recalculates the stored pollution indices of existing records with the current standards and formulas,
+ * e.g. after a BIS limit or a weightage changed. The values a record had before are kept in its
+ * recalculationHistory so the two can be compared.
+ */
+class IndexRecalculator {
+  constructor() {
+    this.batchSize = parseInt(process.env.RECALCULATION_BATCH_SIZE) || 500;
+    // Recalculation entries kept per record, oldest dropped first
+    this.historyLimit = parseInt(process.env.RECALCULATION_HISTORY_LIMIT) || 10;
+  }
+
+  /**
+   * Build the PollutionData query of a recalculation filter
+   * @param {Object} filter - { batchId, state, year, all }
+   * @returns {Object} MongoDB filter
+   */
+  buildQuery({ batchId, state, year } = {}) {
+    const query = {};
+
+    if (batchId) {
+      query['processing.batchId'] = batchId;
+    }
+
+    if (state) {
+      query['location.state'] = { $regex: state, $options: 'i' };
+    }
+
+    if (year) {
+      query['sampleInfo.year'] = Number(year);
+    }
+
+    return query;
+  }
+
+  /**
+   * The compared values of a record's pollution indices
+   * @param {Object} pollutionIndices - Stored pollution indices
+   * @returns {Object} HPI, HMPI category, Nemerow, PLI, ERI, overall risk level, hazard index and cancer risk
+   * per age group, standard set and custom index values
+   */
+  summarize(pollutionIndices = {}) {
+    const { hpi, hmpi, nemerowIndex, pollutionLoadIndex, ecologicalRiskIndex, overallAssessment, healthRiskAssessment, standardSet, customIndices } = pollutionIndices || {};
+    const ageGroups = Object.entries(healthRiskAssessment?.ageGroups || {});
+
+    return {
+      hpi: hpi?.value ?? null,
+      category: hmpi?.category ?? 'Unknown',
+      nemerowIndex: nemerowIndex?.value ?? null,
+      pollutionLoadIndex: pollutionLoadIndex?.value ?? null,
+      ecologicalRiskIndex: ecologicalRiskIndex?.totalValue ?? null,
+      riskLevel: overallAssessment?.riskLevel ?? null,
+      hazardIndex: Object.fromEntries(ageGroups.map(([group, result]) => [group, result.hazardIndex?.total ?? null])),
+      cancerRisk: Object.fromEntries(ageGroups.map(([group, result]) => [group, result.cancerRisk?.total ?? null])),
+      standardSet: standardSet ? { category: standardSet.category, version: standardSet.version } : null,
+      customIndices: Object.fromEntries(Object.entries(customIndices || {}).map(([name, index]) => [name, index?.value ?? null]))
+    };
+  }
+
+  /**
+   * Fields of two summaries that differ
+   * @param {Object} previous - Summary before
+   * @param {Object} current - Summary after
+   * @returns {Array} Changed field names
+   */
+  changedFields(previous, current) {
+    return Object.keys(current).filter(field => JSON.stringify(previous[field]) !== JSON.stringify(current[field]));
+  }
+
+  /**
+   * Recalculate one record
+   * @param {Object} record - Lean PollutionData record
+   * @param {Object} context - Standard sets per category, formulas and the category override
+   * @returns {Promise<Object>} { status: 'updated', 'unchanged' or 'failed', operation, transition, error }
+   */
+  async recalculateRecord(record, { getStandardSet, formulas, standardCategory, jobId }) {
+    const standardSet = await getStandardSet(standardCategory || record.pollutionIndices?.standardSet?.category);
+
+    const pollutionIndices = recordBuilder.buildPollutionIndices(record.heavyMetals, {
+      detectionLimitPolicy: record.processing?.detectionLimitPolicy,
+      // Exposure parameters the record was assessed with, so custom scenarios are kept
+      exposure: record.pollutionIndices?.healthRiskAssessment?.parameters,
+      standardSet,
+      formulas
+    });
+
+    // A record the current standards cannot assess keeps its values
+    if (pollutionIndices.error) {
+      return { status: 'failed', error: pollutionIndices.error };
+    }
+
+    const previous = this.summarize(record.pollutionIndices);
+    const current = this.summarize(pollutionIndices);
+    const changedFields = this.changedFields(previous, current);
+
+    if (changedFields.length === 0) {
+      return { status: 'unchanged' };
+    }
+
+    const categoryChanged = previous.category !== current.category;
+    const now = new Date();
+
+    return {
+      status: 'updated',
+      ...(categoryChanged && { transition: `${previous.category} → ${current.category}` }),
+      operation: {
+        updateOne: {
+          filter: { _id: record._id },
+          update: {
+            $set: {
+              pollutionIndices,
+              'processing.lastCalculated': now
+            },
+            $push: {
+              recalculationHistory: {
+                $each: [{ jobId, recalculatedAt: now, changedFields, categoryChanged, previousValues: previous }],
+                $slice: -this.historyLimit
+              }
+            }
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Recalculate every record of a job, in _id order and in batches
+   * @param {Object} job - RecalculationJob document
+   * @param {Object} hooks - Progress callbacks
+   * @param {Function} hooks.onBatch - Called after each batch with its counts, category transitions, errors and last record id
+   * @returns {Promise<void>}
+   */
+  async run(job, { onBatch } = {}) {
+    // Standards edited straight in the database are picked up too
+    hmpiCalculator.clearCache();
+
+    // Each standard set is loaded once, so the whole job uses the same version
+    const standardSets = new Map();
+    const getStandardSet = (category) => {
+      const key = category || hmpiCalculator.standardCategory;
+      if (!standardSets.has(key)) {
+        standardSets.set(key, hmpiCalculator.getStandardSet(key));
+      }
+      return standardSets.get(key);
+    };
+
+    const context = {
+      getStandardSet,
+      formulas: await hmpiCalculator.getCustomFormulas(),
+      standardCategory: job.standardCategory,
+      jobId: job._id
+    };
+
+    const query = this.buildQuery(job.filter);
+    // An interrupted job resumes after the last record it finished
+    if (job.lastRecordId) {
+      query._id = { $gt: job.lastRecordId };
+    }
+
+    const cursor = PollutionData.find(query)
+      .select('heavyMetals pollutionIndices processing.detectionLimitPolicy')
+      .sort({ _id: 1 })
+      .lean()
+      .cursor({ batchSize: this.batchSize });
+
+    let batch = [];
+    const flush = async () => {
+      if (batch.length === 0) return;
+
+      const counts = { processed: batch.length, updated: 0, unchanged: 0, failed: 0, categoryChanged: 0 };
+      const categoryChanges = {};
+      const errors = [];
+      const operations = [];
+
+      for (const record of batch) {
+        let result;
+        try {
+          result = await this.recalculateRecord(record, context);
+        } catch (error) {
+          result = { status: 'failed', error: error.message };
+        }
+
+        counts[result.status]++;
+        if (result.operation) operations.push(result.operation);
+        if (result.error) errors.push({ recordId: record._id, error: result.error });
+        if (result.transition) {
+          counts.categoryChanged++;
+          categoryChanges[result.transition] = (categoryChanges[result.transition] || 0) + 1;
+        }
+      }
+
+      if (operations.length > 0) {
+        await PollutionData.bulkWrite(operations, { ordered: false });
+      }
+
+      const lastRecordId = batch[batch.length - 1]._id;
+      batch = [];
+
+      if (onBatch) {
+        await onBatch({ counts, categoryChanges, errors, lastRecordId });
+      }
+    };
+
+    for await (const record of cursor) {
+      batch.push(record);
+      if (batch.length >= this.batchSize) {
+        await flush();
+      }
+    }
+    await flush();
+  }
+}
+
+// Create singleton instance
+const indexRecalculator = new IndexRecalculator();
+
+export default indexRecalculator;
\ No newline at end of file
@@ -0,0 +1,907 @@
+import mongoose from 'mongoose';
+import { PollutionData, UploadBatch, UploadErrorRow } from '../models/index.js';
+import { MAX_BATCH_WARNINGS, MAX_BATCH_CHANGE_DETAILS } from '../models/UploadBatch.js';
+import { AppError } from '../middleware/errorHandler.js';
+import ExcelParser from './excelParser.js';
+import hmpiCalculator from './hmpiCalculator.js';
+import recordBuilder from './recordBuilder.js';
+import stationMatcher from './stationMatcher.js';
+import duplicateDetector from './duplicateDetector.js';
+import errorReportBuilder from './errorReportBuilder.js';
+
+/**
+ * Upload ingestion pipeline shared by synchronous uploads and background jobs:
+ * parse -> validate and calculate -> insert, one chunk of rows at a time
+ */
+class IngestionPipeline {
+  constructor() {
+    this.batchSize = parseInt(process.env.INGESTION_BATCH_SIZE) || 500;
+  }
+
+  /**
+   * Reject files that have already been ingested
+   * @param {string} fileHash - SHA-256 hash of the uploaded file
+   */
+  async assertFileNotProcessed(fileHash) {
+    // Check if file was already processed (by hash)
+    const existingData = await PollutionData.findOne({ 
+      'processing.fileHash': fileHash 
+    });
+
+    if (existingData) {
+      throw new AppError('This file has already been processed', 409);
+    }
+  }
+
+  /**
+   * Find the batch a corrected file should replace
+   * @param {string} batchId - Id of the batch to replace
+   * @returns {Promise<Object>} The UploadBatch document
+   */
+  async findReplaceableBatch(batchId) {
+    if (!mongoose.Types.ObjectId.isValid(batchId)) {
+      throw new AppError('Invalid batch id', 400);
+    }
+
+    const batch = await UploadBatch.findById(batchId);
+
+    if (!batch) {
+      throw new AppError('Upload batch to replace not found', 404);
+    }
+
+    if (batch.status !== 'completed') {
+      throw new AppError(`Only completed batches can be replaced (batch is ${batch.status})`, 409);
+    }
+
+    return batch;
+  }
+
+  /**
+   * Parse a whole uploaded spreadsheet into records, for previews
+   * @param {string} filePath - Path of the uploaded file
+   * @param {Object} parseOptions - Options passed to ExcelParser.processFile
+   * @returns {Promise<Object>} The parser and its parse result
+   */
+  async parseFile(filePath, parseOptions) {
+    // Parse spreadsheet file
+    console.log('📊 Starting file parsing...');
+    const parser = new ExcelParser();
+    const parseResult = await parser.processFile(filePath, parseOptions);
+    
+    console.log('📊 Parse result:', {
+      success: parseResult.success,
+      dataLength: parseResult.data?.length || 0,
+      sheets: parseResult.metadata?.sheetNames,
+      error: parseResult.error || 'none'
+    });
+
+    if (!parseResult.success) {
+      console.log('❌ File parsing failed:', parseResult.error);
+      throw new AppError(`File parsing failed: ${parseResult.error}`, 400);
+    }
+
+    if (parseResult.data.length === 0) {
+      console.log('❌ No valid data found in file');
+      throw new AppError('No valid data found in file', 400);
+    }
+
+    return { parser, parseResult };
+  }
+
+  /**
+   * Stream an uploaded spreadsheet as chunks of parsed records, reporting parse failures as bad requests
+   * @param {ExcelParser} parser - Parser reading the file
+   * @param {string} filePath - Path of the uploaded file
+   * @param {Object} parseOptions - Options passed to ExcelParser.streamFile
+   * @yields {Object} Chunks of ExcelParser.streamFile, chunk size matching the insert batch size
+   */
+  async *readChunks(parser, filePath, parseOptions) {
+    console.log('📊 Starting file parsing...');
+    const chunks = parser.streamFile(filePath, { ...parseOptions, chunkSize: this.batchSize });
+
+    try {
+      while (true) {
+        let next;
+        try {
+          next = await chunks.next();
+        } catch (error) {
+          console.log('❌ File parsing failed:', error.message);
+          throw new AppError(`File parsing failed: ${error.message}`, 400);
+        }
+
+        if (next.done) return;
+        yield next.value;
+      }
+    } finally {
+      // Close the file when ingestion stops early
+      await chunks.return();
+    }
+  }
+
+  /**
+   * Validate parsed records and compute their pollution indices
+   * @param {Array} records - Records parsed by ExcelParser
+   * @param {Object} fileMetadata - Metadata of the uploaded file
+   * @param {ExcelParser} parser - Parser used to validate each record
+   * @param {Object} processingExtras - Extra fields stored under `processing` (e.g. jobId)
+   * @param {Object} options - Build options
+   * @param {boolean} options.logSamples - Log the first records built
+   * @param {string} options.detectionLimitPolicy - Substitution for values below the detection limit
+   * @param {Object} options.standardSet - Standard set the indices are calculated from
+   * @param {Array} options.formulas - Formulas of the custom indices
+   * @param {Object} options.exposure - Exposure parameters of the health risk assessment
+   * @returns {Object} Plain PollutionData documents and the rows that failed
+   */
+  buildRecords(records, fileMetadata, parser, processingExtras = {}, { logSamples = true, detectionLimitPolicy, standardSet, formulas, exposure } = {}) {
+    // Process each record
+    console.log(`🔄 Processing ${records.length} records...`);
+    const processedRecords = [];
+    const processingErrors = [];
+
+    for (const record of records) {
+      try {
+        // Validate record
+        const recordValidation = parser.validateRecord(record);
+
+        const pollutionDataDoc = recordBuilder.buildDocument(record, fileMetadata, recordValidation, { detectionLimitPolicy, standardSet, formulas, exposure });
+        Object.assign(pollutionDataDoc.processing, processingExtras);
+
+        processedRecords.push(pollutionDataDoc);
+        
+        if (logSamples && processedRecords.length <= 3) {
+          console.log(`📋 Sample record ${processedRecords.length}:`, {
+            location: pollutionDataDoc.location,
+            coordinates: pollutionDataDoc.coordinates,
+            heavyMetalsCount: Object.keys(pollutionDataDoc.heavyMetals).length,
+            hmpiValue: pollutionDataDoc.pollutionIndices?.hmpi?.value
+          });
+        }
+
+      } catch (error) {
+        processingErrors.push({
+          sheet: record.sheetName,
+          rowNumber: record.rowNumber,
+          error: error.message,
+          originalData: record.originalData
+        });
+      }
+    }
+
+    return { processedRecords, processingErrors };
+  }
+
+  /**
+   * Save processed records in batches, accounting for every row that fails to insert
+   * @param {Array} processedRecords - Plain PollutionData documents
+   * @param {Object} options - Save options
+   * @param {number} options.batchSize - Records per insertMany call
+   * @param {Function} options.onProgress - Called after each batch with { inserted, failed, errors }
+   * @returns {Promise<Object>} Saved records and the rows that failed to insert
+   */
+  async saveRecords(processedRecords, { batchSize = this.batchSize, onProgress } = {}) {
+    // Save all records to database
+    console.log(`💾 Saving ${processedRecords.length} records in batches of ${batchSize}...`);
+
+    const savedRecords = [];
+    const insertErrors = [];
+
+    for (let start = 0; start < processedRecords.length; start += batchSize) {
+      const batch = processedRecords.slice(start, start + batchSize);
+      const batchErrors = [];
+      let inserted = [];
+
+      try {
+        inserted = await PollutionData.insertMany(batch, { 
+          ordered: false, // Continue on error
+          throwOnValidationError: true // Report documents that fail validation instead of dropping them
+        });
+      } catch (insertError) {
+        // Unordered inserts report, per batch index, either the saved document or its error
+        if (!Array.isArray(insertError.results)) {
+          throw insertError;
+        }
+
+        insertError.results.forEach((result, index) => {
+          if (result instanceof PollutionData) {
+            inserted.push(result);
+            return;
+          }
+
+          const record = batch[index];
+          batchErrors.push({
+            sheet: record?.processing?.sheetName,
+            rowNumber: record?.processing?.rowNumber,
+            error: `Database insert failed: ${result?.errmsg || result?.err?.errmsg || result?.message || 'Unknown error'}`,
+            originalData: record?.originalData
+          });
+        });
+      }
+
+      savedRecords.push(...inserted);
+      insertErrors.push(...batchErrors);
+
+      console.log(`✅ Batch ${start / batchSize + 1}: ${inserted.length} saved, ${batchErrors.length} failed`);
+
+      if (onProgress) {
+        await onProgress({ inserted: inserted.length, failed: batchErrors.length, errors: batchErrors });
+      }
+    }
+
+    return { savedRecords, insertErrors };
+  }
+
+  /**
+   * Build the key used to match a row of a corrected file to an existing record
+   * @param {Object} record - PollutionData document (plain or lean)
+   * @returns {string} Lower-cased state|district|location|year|season|serialNumber
+   */
+  buildMatchKey(record) {
+    return [
+      record.location?.state,
+      record.location?.district,
+      record.location?.name,
+      record.sampleInfo?.year,
+      record.sampleInfo?.season,
+      record.sampleInfo?.serialNumber
+    ].map(value => String(value ?? '').trim().toLowerCase()).join('|');
+  }
+
+  /**
+   * Describe the matching fields of a record for change reports
+   * @param {Object} record - PollutionData document (plain or lean)
+   * @returns {Object} State, district, location, year, season and serial number
+   */
+  describeMatch(record) {
+    return {
+      state: record.location?.state,
+      district: record.location?.district,
+      location: record.location?.name,
+      year: record.sampleInfo?.year,
+      season: record.sampleInfo?.season,
+      serialNumber: record.sampleInfo?.serialNumber
+    };
+  }
+
+  /**
+   * Part of a stored value that a corrected file can change
+   * @param {string} field - 'heavyMetals' or 'environmentalParams'
+   * @param {Object} data - Stored value
+   * @returns {Object} Comparable value
+   */
+  comparableValue(field, data) {
+    if (field !== 'heavyMetals') {
+      return { value: data.value, unit: data.unit };
+    }
+
+    // Records stored before detection limits were parsed have neither field
+    return {
+      value: data.value,
+      unit: data.unit,
+      qualifier: data.qualifier || 'detected',
+      detectionLimit: data.detectionLimit ?? null
+    };
+  }
+
+  /**
+   * Compare an existing record with its row in a corrected file
+   * @param {Object} existing - Lean PollutionData document
+   * @param {Object} incoming - Plain document built from the corrected file
+   * @returns {Object} Changed field paths and the previous values of the changed groups
+   */
+  diffRecords(existing, incoming) {
+    const changedFields = [];
+    const previousValues = {};
+    const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+    // Whole-value groups
+    const groups = {
+      location: record => ({ name: record.location?.name, state: record.location?.state, district: record.location?.district }),
+      coordinates: record => record.coordinates?.coordinates,
+      sampleInfo: record => ({
+        year: record.sampleInfo?.year,
+        serialNumber: record.sampleInfo?.serialNumber,
+        date: record.sampleInfo?.date ? new Date(record.sampleInfo.date).toISOString() : undefined,
+        season: record.sampleInfo?.season,
+        campaign: record.sampleInfo?.campaign,
+        depth: record.sampleInfo?.depth
+      })
+    };
+
+    for (const [field, pick] of Object.entries(groups)) {
+      if (!same(pick(existing), pick(incoming))) {
+        changedFields.push(field);
+        previousValues[field] = existing[field];
+      }
+    }
+
+    // Per-key maps
+    for (const field of ['heavyMetals', 'environmentalParams']) {
+      const before = existing[field] || {};
+      const after = incoming[field] || {};
+      const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+      let changed = false;
+
+      for (const key of keys) {
+        const previous = before[key] && this.comparableValue(field, before[key]);
+        const current = after[key] && this.comparableValue(field, after[key]);
+
+        if (!same(previous, current)) {
+          changedFields.push(`${field}.${key}`);
+          changed = true;
+        }
+      }
+
+      if (changed) {
+        previousValues[field] = before;
+      }
+    }
+
+    // Indices follow from the metal values, keep the old ones alongside them
+    if (previousValues.heavyMetals) {
+      previousValues.pollutionIndices = existing.pollutionIndices;
+    }
+
+    return { changedFields, previousValues };
+  }
+
+  /**
+   * Insert new records after applying the batch's duplicate policy to them
+   * @param {Array} records - Plain PollutionData documents to insert
+   * @param {Object} duplicateOptions - Resolved duplicate options (policy, distanceMeters, yearWindow)
+   * @param {Object} context - Batch id, file name and batch excluded from the duplicate search
+   * @param {Object} options - Save options
+   * @param {Function} options.onProgress - Called after each inserted batch
+   * @returns {Promise<Object>} Saved records, insert errors, the duplicate report and the plain records inserted
+   */
+  async insertWithDuplicateCheck(records, duplicateOptions, context, { onProgress } = {}) {
+    const { recordsToInsert, storedUpdates, report } = await duplicateDetector.resolve(records, duplicateOptions, context);
+
+    if (report.detected > 0) {
+      console.log(`🔍 ${report.detected} possible duplicates: ${report.kept} kept, ${report.skipped} skipped, ${report.merged} merged`);
+    }
+
+    const { savedRecords, insertErrors } = await this.saveRecords(recordsToInsert, { onProgress });
+
+    // Record skip/merge decisions (and merged values) on the stored records
+    for (let start = 0; start < storedUpdates.length; start += this.batchSize) {
+      await PollutionData.bulkWrite(storedUpdates.slice(start, start + this.batchSize), { ordered: false });
+    }
+
+    // Rows that were skipped, merged or failed to insert were not added after all
+    const failedRows = new Set(insertErrors.map(error => `${error.sheet}|${error.rowNumber}`));
+    const insertedRecords = recordsToInsert
+      .filter(record => !failedRows.has(`${record.processing.sheetName}|${record.processing.rowNumber}`));
+
+    return { savedRecords, insertErrors, duplicates: report, insertedRecords };
+  }
+
+  /**
+   * Index the records of the batch a corrected file replaces by match key, keeping only their ids
+   * @param {Object} previousBatch - UploadBatch being replaced
+   * @returns {Promise<Map>} Match key -> ids of the records with that key
+   */
+  async loadReplacementIndex(previousBatch) {
+    console.log(`🔁 Replacing batch ${previousBatch._id} (version ${previousBatch.version})...`);
+
+    const replacementIndex = new Map();
+    const cursor = PollutionData.find({ 'processing.batchId': previousBatch._id })
+      .select('location sampleInfo')
+      .lean()
+      .cursor();
+
+    for await (const existing of cursor) {
+      const key = this.buildMatchKey(existing);
+      if (!replacementIndex.has(key)) {
+        replacementIndex.set(key, []);
+      }
+      replacementIndex.get(key).push(existing._id);
+    }
+
+    return replacementIndex;
+  }
+
+  /**
+   * Apply a chunk of a corrected file to the records of the batch it replaces.
+   * Matched rows are updated in place (previous values go to versionHistory) and new rows are inserted;
+   * records never matched are removed once the whole file is read (see removeUnmatched).
+   * @param {Object} previousBatch - UploadBatch being replaced
+   * @param {Map} replacementIndex - Ids of the records not matched yet, from loadReplacementIndex
+   * @param {Array} processedRecords - Plain PollutionData documents of the chunk
+   * @param {Object} options - Save options
+   * @param {Object} options.duplicateOptions - Resolved duplicate options applied to added rows
+   * @param {Object} options.context - Batch id and file name recorded with duplicate decisions
+   * @param {Date} options.replacedAt - When the replacement started
+   * @param {Function} options.onProgress - Called after each written chunk with { inserted, failed, errors }
+   * @returns {Promise<Object>} Inserted records, insert errors, the chunk's added/changed report, the duplicate report
+   * and the plain records written (updated or inserted)
+   */
+  async replaceChunk(previousBatch, replacementIndex, processedRecords, { duplicateOptions, context, replacedAt, onProgress } = {}) {
+    const changes = { added: [], changed: [], unchanged: 0 };
+    const recordsToInsert = [];
+    const matches = [];
+
+    for (const record of processedRecords) {
+      const id = replacementIndex.get(this.buildMatchKey(record))?.shift();
+      if (id) {
+        matches.push({ id, record });
+      } else {
+        recordsToInsert.push(record);
+      }
+    }
+
+    // Only the matched records of this chunk are loaded in full
+    const existingById = new Map();
+    if (matches.length > 0) {
+      const existingRecords = await PollutionData.find({ _id: { $in: matches.map(match => match.id) } })
+        .select('location coordinates sampleInfo heavyMetals environmentalParams pollutionIndices version')
+        .lean();
+
+      for (const existing of existingRecords) {
+        existingById.set(String(existing._id), existing);
+      }
+    }
+
+    const updates = [];
+    const updatedRecords = [];
+
+    for (const { id, record } of matches) {
+      const existing = existingById.get(String(id));
+
+      // Deleted since the index was built
+      if (!existing) {
+        recordsToInsert.push(record);
+        continue;
+      }
+
+      const { changedFields, previousValues } = this.diffRecords(existing, record);
+
+      if (changedFields.length === 0) {
+        // Unchanged rows only move over to the new batch (and pick up their station)
+        changes.unchanged++;
+        updatedRecords.push(record);
+        updates.push({
+          updateOne: {
+            filter: { _id: existing._id },
+            update: { $set: { processing: record.processing, ...(record.station && { station: record.station }) } }
+          }
+        });
+        continue;
+      }
+
+      const { processing, ...values } = record;
+      updatedRecords.push(record);
+      updates.push({
+        updateOne: {
+          filter: { _id: existing._id },
+          update: {
+            $set: { ...values, processing },
+            $inc: { version: 1 },
+            $push: {
+              versionHistory: {
+                version: existing.version || 1,
+                batchId: previousBatch._id,
+                fileName: previousBatch.file?.originalName,
+                fileHash: previousBatch.file?.hash,
+                replacedAt,
+                changedFields,
+                previousValues
+              }
+            }
+          }
+        }
+      });
+
+      changes.changed.push({
+        id: existing._id,
+        sheet: processing.sheetName,
+        rowNumber: processing.rowNumber,
+        match: this.describeMatch(record),
+        changedFields
+      });
+    }
+
+    if (updates.length > 0) {
+      await PollutionData.bulkWrite(updates, { ordered: false });
+
+      if (onProgress) {
+        await onProgress({ inserted: updates.length, failed: 0, errors: [] });
+      }
+    }
+
+    // New rows may duplicate samples of other batches
+    const { savedRecords, insertErrors, duplicates, insertedRecords } = await this.insertWithDuplicateCheck(
+      recordsToInsert,
+      duplicateOptions,
+      { ...context, excludeBatchId: previousBatch._id },
+      { onProgress }
+    );
+
+    changes.added = insertedRecords.map(record => ({
+      sheet: record.processing.sheetName,
+      rowNumber: record.processing.rowNumber,
+      match: this.describeMatch(record)
+    }));
+
+    return { savedRecords, insertErrors, changes, duplicates, writtenRecords: [...updatedRecords, ...insertedRecords] };
+  }
+
+  /**
+   * Remove the records of a replaced batch that no row of the corrected file matched
+   * @param {Map} replacementIndex - Ids of the records still unmatched
+   * @param {Object} changes - Replacement report, receives the removed count and details
+   */
+  async removeUnmatched(replacementIndex, changes) {
+    const removedIds = [...replacementIndex.values()].flat();
+
+    const described = await PollutionData.find({ _id: { $in: removedIds.slice(0, MAX_BATCH_CHANGE_DETAILS) } })
+      .select('location sampleInfo')
+      .lean();
+
+    changes.removed = removedIds.length;
+    changes.details.removed = described.map(existing => ({ id: existing._id, match: this.describeMatch(existing) }));
+
+    for (let start = 0; start < removedIds.length; start += this.batchSize) {
+      await PollutionData.deleteMany({ _id: { $in: removedIds.slice(start, start + this.batchSize) } });
+    }
+  }
+
+  /**
+   * Start the running totals of an upload, so no chunk has to stay in memory
+   * @param {Object} duplicateOptions - Resolved duplicate options
+   * @param {boolean} isReplacement - Whether the upload replaces a batch
+   * @returns {Object} Empty upload summary
+   */
+  createSummary(duplicateOptions, isReplacement) {
+    return {
+      insertedRows: 0,
+      errorRows: 0, // Parse, record and insert errors
+      warnings: [], // First errors of every kind, stored on the batch
+      rowErrors: 0, // Record and insert errors
+      rowErrorSamples: [],
+      sheetRowErrors: new Map(), // Sheet name -> record and insert error count and samples
+      results: [], // First saved records
+      duplicates: { ...duplicateOptions, detected: 0, kept: 0, skipped: 0, merged: 0, details: [] },
+      stations: { matched: 0, created: 0, aliasesAdded: 0, unassigned: 0 },
+      changes: isReplacement
+        ? { added: 0, changed: 0, unchanged: 0, removed: 0, details: { added: [], changed: [], removed: [] } }
+        : null
+    };
+  }
+
+  /**
+   * Append items to a list without letting it grow past a limit
+   * @param {Array} target - List to append to
+   * @param {Array} items - Items to append
+   * @param {number} limit - Maximum list length
+   */
+  appendLimited(target, items, limit) {
+    target.push(...items.slice(0, Math.max(limit - target.length, 0)));
+  }
+
+  /**
+   * Add the outcome of one chunk to the upload summary
+   * @param {Object} summary - Upload summary from createSummary
+   * @param {Object} chunkResult - Parse errors, record and insert errors, saved records, duplicates and changes of the chunk
+   */
+  addToSummary(summary, { parseErrors, rowErrors, savedRecords, duplicates, stations, changes }) {
+    const errors = [...parseErrors, ...rowErrors];
+
+    summary.insertedRows += savedRecords.length;
+    this.appendLimited(summary.results, savedRecords, 5);
+
+    summary.errorRows += errors.length;
+    this.appendLimited(summary.warnings, errors.map(error => this.toRowError(error)), MAX_BATCH_WARNINGS);
+
+    summary.rowErrors += rowErrors.length;
+    this.appendLimited(summary.rowErrorSamples, rowErrors.map(error => this.withoutOriginalData(error)), 10);
+
+    for (const error of rowErrors) {
+      const sheet = summary.sheetRowErrors.get(error.sheet) || { count: 0, samples: [] };
+      sheet.count++;
+      this.appendLimited(sheet.samples, [this.withoutOriginalData(error)], 10);
+      summary.sheetRowErrors.set(error.sheet, sheet);
+    }
+
+    for (const key of ['detected', 'kept', 'skipped', 'merged']) {
+      summary.duplicates[key] += duplicates[key];
+    }
+    this.appendLimited(summary.duplicates.details, duplicates.details, MAX_BATCH_CHANGE_DETAILS);
+
+    for (const key of ['matched', 'created', 'aliasesAdded', 'unassigned']) {
+      summary.stations[key] += stations[key];
+    }
+
+    if (changes) {
+      summary.changes.added += changes.added.length;
+      summary.changes.changed += changes.changed.length;
+      summary.changes.unchanged += changes.unchanged;
+      this.appendLimited(summary.changes.details.added, changes.added, MAX_BATCH_CHANGE_DETAILS);
+      this.appendLimited(summary.changes.details.changed, changes.changed, MAX_BATCH_CHANGE_DETAILS);
+    }
+  }
+
+  /**
+   * Normalize parse errors ({ row }) and record errors ({ rowNumber }) to { sheet, row, error }
+   * @param {Object} error - Row error
+   * @returns {Object} Row error without the original row values
+   */
+  toRowError(error) {
+    return {
+      sheet: error.sheet,
+      row: error.row ?? error.rowNumber,
+      error: error.error
+    };
+  }
+
+  /**
+   * Drop the original row values from an error before it goes into a response
+   * @param {Object} error - Row error
+   * @returns {Object} Row error without originalData
+   */
+  withoutOriginalData({ originalData, ...error }) {
+    return error;
+  }
+
+  /**
+   * Keep every failed row with its original values for the batch's error report
+   * @param {ObjectId} batchId - Upload batch
+   * @param {Array} errors - Parse and record errors
+   */
+  async saveErrorRows(batchId, errors) {
+    for (let start = 0; start < errors.length; start += this.batchSize) {
+      await UploadErrorRow.insertMany(errors.slice(start, start + this.batchSize).map(error => ({
+        batchId,
+        sheet: error.sheet,
+        rowNumber: error.row ?? error.rowNumber,
+        reason: error.error,
+        suggestedFix: errorReportBuilder.suggestFix(error.error),
+        originalData: error.originalData
+      })));
+    }
+  }
+
+  /**
+   * Run the whole pipeline for one file, registering it as an UploadBatch.
+   * Rows are parsed, built and inserted a chunk at a time, so memory use does not grow with the file.
+   * @param {string} filePath - Path of the uploaded file
+   * @param {Object} fileMetadata - Metadata of the uploaded file
+   * @param {Object} parseOptions - Options passed to ExcelParser.streamFile
+   * @param {Object} hooks - Optional hooks
+   * @param {string} hooks.uploadedBy - Who uploaded the file
+   * @param {ObjectId} hooks.jobId - Ingestion job running this upload, if any
+   * @param {string} hooks.replaceBatchId - Batch this file replaces as a corrected version, if any
+   * @param {Object} hooks.duplicateOptions - Duplicate policy, distance and year window (defaults from the environment)
+   * @param {Function} hooks.onParsed - Called for each chunk once its records are built, before inserting
+   * @param {Function} hooks.onProgress - Called after each inserted batch
+   * @returns {Promise<Object>} Batch, parse metadata and the upload response
+   */
+  async run(filePath, fileMetadata, parseOptions, { uploadedBy, jobId, replaceBatchId, duplicateOptions, onParsed, onProgress } = {}) {
+    const resolvedDuplicateOptions = duplicateDetector.resolveOptions(duplicateOptions);
+    const previousBatch = replaceBatchId ? await this.findReplaceableBatch(replaceBatchId) : null;
+
+    // One standard set and formula list for the whole file, even if they change while it is processed
+    const standardSet = await hmpiCalculator.getStandardSet(parseOptions?.standardCategory);
+    const formulas = await hmpiCalculator.getCustomFormulas();
+
+    const batch = await UploadBatch.create({
+      uploadedBy,
+      jobId,
+      version: previousBatch ? previousBatch.version + 1 : 1,
+      replaces: previousBatch?._id,
+      file: {
+        originalName: fileMetadata.originalName,
+        size: fileMetadata.size,
+        hash: fileMetadata.hash
+      },
+      template: parseOptions?.template?.name
+    });
+
+    try {
+      const parser = new ExcelParser();
+      const context = { batchId: batch._id, fileName: fileMetadata.originalName };
+      const processingExtras = { batchId: batch._id, ...(jobId && { jobId }) };
+      const replacementIndex = previousBatch ? await this.loadReplacementIndex(previousBatch) : null;
+      const replacedAt = new Date();
+      const summary = this.createSummary(resolvedDuplicateOptions, Boolean(previousBatch));
+      let metadata = null;
+      let firstChunk = true;
+
+      for await (const chunk of this.readChunks(parser, filePath, parseOptions)) {
+        // The parser reports the file's metadata after the last chunk
+        if (chunk.metadata) {
+          metadata = chunk.metadata;
+          continue;
+        }
+
+        const { processedRecords, processingErrors } = this.buildRecords(chunk.records, fileMetadata, parser, processingExtras, {
+          logSamples: firstChunk,
+          detectionLimitPolicy: parseOptions?.detectionLimitPolicy,
+          exposure: parseOptions?.exposure,
+          standardSet,
+          formulas
+        });
+        firstChunk = false;
+
+        if (onParsed) {
+          await onParsed({ rowCount: chunk.rowCount, processedRecords, errors: [...chunk.errors, ...processingErrors] });
+        }
+
+        // Stations are matched before duplicates are resolved, but only saved for the rows actually written
+        const { created: createdStations } = await stationMatcher.matchStations(processedRecords);
+
+        const { savedRecords, insertErrors, changes, duplicates, writtenRecords, insertedRecords } = previousBatch
+          ? await this.replaceChunk(previousBatch, replacementIndex, processedRecords, {
+            duplicateOptions: resolvedDuplicateOptions,
+            context,
+            replacedAt,
+            onProgress
+          })
+          : await this.insertWithDuplicateCheck(processedRecords, resolvedDuplicateOptions, context, { onProgress });
+        const stations = await stationMatcher.saveAssignedStations(createdStations, writtenRecords || insertedRecords);
+        const rowErrors = [...processingErrors, ...insertErrors];
+
+        await this.saveErrorRows(batch._id, [...chunk.errors, ...rowErrors]);
+        this.addToSummary(summary, { parseErrors: chunk.errors, rowErrors, savedRecords, duplicates, stations, changes });
+      }
+
+      console.log('📊 Parse result:', {
+        totalRows: metadata.totalRows,
+        processedRows: metadata.processedRows,
+        sheets: metadata.sheetNames
+      });
+
+      if (metadata.processedRows === 0) {
+        console.log('❌ No valid data found in file');
+        throw new AppError('No valid data found in file', 400);
+      }
+
+      // Add record and insert errors to the parser's per-sheet counts
+      const parsedMetadata = {
+        ...metadata,
+        sheets: metadata.sheets.map(sheet => {
+          const rowErrors = summary.sheetRowErrors.get(sheet.sheetName) || { count: 0, samples: [] };
+
+          return {
+            ...sheet,
+            processedRows: sheet.processedRows - rowErrors.count,
+            errorRows: sheet.errorRows + rowErrors.count,
+            errors: [...sheet.errors, ...rowErrors.samples].slice(0, 10)
+          };
+        })
+      };
+
+      const { changes, duplicates } = summary;
+      batch.setDuplicates(duplicates);
+
+      if (changes) {
+        await this.removeUnmatched(replacementIndex, changes);
+        console.log(`🔁 Replacement: ${changes.added} added, ${changes.changed} changed, ${changes.unchanged} unchanged, ${changes.removed} removed`);
+
+        batch.setChanges(changes);
+        previousBatch.status = 'replaced';
+        previousBatch.replacedBy = batch._id;
+        await previousBatch.save();
+      }
+
+      await batch.markCompleted(parsedMetadata, summary);
+
+      const response = this.buildUploadResponse(fileMetadata, parsedMetadata, summary);
+      response.data.batchId = batch._id;
+
+      if (summary.errorRows > 0) {
+        response.data.errorReport = {
+          rows: summary.errorRows,
+          xlsx: `/api/batches/${batch._id}/error-report?format=xlsx`,
+          csv: `/api/batches/${batch._id}/error-report?format=csv`
+        };
+      }
+      response.data.duplicates = {
+        ...duplicates,
+        details: duplicates.details.slice(0, 100)
+      };
+      response.data.stations = summary.stations;
+
+      if (changes) {
+        response.message = `File replaced batch ${previousBatch._id} as version ${batch.version}`;
+        response.data.processing.processedRows = summary.insertedRows + changes.changed + changes.unchanged;
+        response.data.replacement = {
+          replacedBatchId: previousBatch._id,
+          version: batch.version,
+          added: changes.added,
+          changed: changes.changed,
+          unchanged: changes.unchanged,
+          removed: changes.removed,
+          details: {
+            added: changes.details.added.slice(0, 100),
+            changed: changes.details.changed.slice(0, 100),
+            removed: changes.details.removed.slice(0, 100)
+          }
+        };
+      }
+
+      return {
+        batch,
+        metadata: parsedMetadata,
+        response
+      };
+
+    } catch (error) {
+      // Keep the batch so any records inserted before the failure can still be rolled back
+      batch.status = 'failed';
+      batch.failureReason = error.message;
+      batch.completedAt = new Date();
+      await batch.save();
+
+      throw error;
+    }
+  }
+
+  /**
+   * Build the upload summary returned to the client
+   * @param {Object} fileMetadata - Metadata of the uploaded file
+   * @param {Object} metadata - Parse metadata, per-sheet counts including record and insert errors
+   * @param {Object} summary - Upload summary from createSummary
+   * @returns {Object} Response body for a committed upload
+   */
+  buildUploadResponse(fileMetadata, metadata, summary) {
+    // Prepare response
+    const response = {
+      success: true,
+      message: 'File processed successfully',
+      data: {
+        fileInfo: {
+          originalName: fileMetadata.originalName,
+          size: fileMetadata.size,
+          hash: fileMetadata.hash,
+          format: metadata.format,
+          encoding: metadata.encoding,
+          delimiter: metadata.delimiter,
+          processedAt: new Date()
+        },
+        processing: {
+          totalRows: metadata.totalRows,
+          processedRows: summary.insertedRows,
+          errorRows: summary.rowErrors,
+          detectedMetals: metadata.detectedMetals,
+          metalColumns: metadata.metalColumns,
+          template: metadata.template,
+          sheets: metadata.sheets.map(sheet => ({
+            sheetName: sheet.sheetName,
+            headerRow: sheet.headerRow,
+            totalRows: sheet.totalRows,
+            processedRows: sheet.processedRows,
+            errorRows: sheet.errorRows,
+            detectedMetals: sheet.detectedMetals,
+            unmappedHeaders: sheet.unmappedHeaders,
+            missingHeaders: sheet.missingHeaders,
+            errors: sheet.errors // First errors only
+          })),
+          skippedSheets: metadata.skippedSheets
+        },
+        results: summary.results.map(record => ({
+          id: record._id,
+          location: record.location.name,
+          coordinates: record.coordinates,
+          heavyMetals: Object.fromEntries(record.heavyMetals),
+          station: record.processing?.stationMatch?.stationId || null,
+          hmpi: record.pollutionIndices.hmpi?.value || null,
+          category: record.pollutionIndices.hmpi?.category || 'Unknown'
+        }))
+      }
+    };
+
+    if (summary.rowErrors > 0) {
+      response.warnings = {
+        message: `${summary.rowErrors} rows had errors`,
+        errors: summary.rowErrorSamples // Limit error details
+      };
+    }
+
+    return response;
+  }
+}
+
+// Create singleton instance
+const ingestionPipeline = new IngestionPipeline();
+
+export default ingestionPipeline;
\ No newline at end of file
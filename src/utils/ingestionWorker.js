@@ -0,0 +1,241 @@
+import os from 'os';
+import { PollutionData, IngestionJob, UploadBatch } from '../models/index.js';
+import ingestionPipeline from './ingestionPipeline.js';
+import fileUploader from './fileUploader.js';
+import duplicateDetector from './duplicateDetector.js';
+
+/**
+ * In-process worker that runs queued ingestion jobs one at a time.
+ * Jobs live in MongoDB, so anything queued or interrupted survives a restart.
+ */
+class IngestionWorker {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pollInterval = parseInt(process.env.INGESTION_POLL_INTERVAL_MS) || 2000;
+    this.heartbeatInterval = parseInt(process.env.INGESTION_HEARTBEAT_MS) || 30000;
+    this.staleAfter = parseInt(process.env.INGESTION_JOB_STALE_MS) || 5 * 60 * 1000; // 5 minutes
+    this.running = false;
+    this.busy = false;
+    this.timer = null;
+  }
+
+  /**
+   * Start polling for queued jobs
+   */
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    await this.recoverStaleJobs();
+    this.schedule(0);
+
+    console.log(`⚙️ Ingestion worker started (${this.workerId})`);
+  }
+
+  /**
+   * Stop polling; a job in progress finishes its current step and is recovered after a restart
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Wake the worker up right away, e.g. after a job was queued
+   */
+  notify() {
+    if (this.running && !this.busy) {
+      this.schedule(0);
+    }
+  }
+
+  /**
+   * Schedule the next poll
+   */
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  /**
+   * Claim and run the next queued job, if any
+   */
+  async tick() {
+    if (!this.running || this.busy) return;
+    this.busy = true;
+
+    let claimedJob = false;
+
+    try {
+      const job = await IngestionJob.claimNextJob(this.workerId);
+
+      if (job) {
+        claimedJob = true;
+        await this.processJob(job);
+      } else {
+        await this.recoverStaleJobs();
+      }
+    } catch (error) {
+      console.error('❌ Ingestion worker error:', error.message);
+    } finally {
+      this.busy = false;
+    }
+
+    if (this.running) {
+      this.schedule(claimedJob ? 0 : this.pollInterval);
+    }
+  }
+
+  /**
+   * Requeue jobs left in 'processing' by a worker that stopped
+   */
+  async recoverStaleJobs() {
+    const staleBefore = new Date(Date.now() - this.staleAfter);
+    const { requeued, failed } = await IngestionJob.recoverStaleJobs(staleBefore);
+
+    if (requeued > 0 || failed > 0) {
+      console.log(`🔁 Recovered stale ingestion jobs: ${requeued} requeued, ${failed} failed`);
+    }
+  }
+
+  /**
+   * Run a single ingestion job
+   * @param {Object} job - Claimed IngestionJob document
+   */
+  async processJob(job) {
+    console.log(`⚙️ Processing ingestion job ${job._id} (attempt ${job.attempts})`);
+
+    // Keep the job alive while a long parse runs
+    const heartbeat = setInterval(() => {
+      IngestionJob.recordProgress(job._id).catch(error => {
+        console.error(`Heartbeat failed for job ${job._id}:`, error.message);
+      });
+    }, this.heartbeatInterval);
+
+    try {
+      // The interrupted attempt may have finished its batch before the job was marked completed
+      if (job.attempts > 1) {
+        const finishedBatch = await UploadBatch.findOne({ jobId: job._id, status: { $in: ['completed', 'replaced'] } })
+          .select('_id counts');
+        if (finishedBatch) {
+          await IngestionJob.updateOne({ _id: job._id }, {
+            $set: {
+              status: 'completed',
+              batchId: finishedBatch._id,
+              result: { batchId: finishedBatch._id, counts: finishedBatch.counts },
+              completedAt: new Date()
+            }
+          });
+          console.log(`✅ Ingestion job ${job._id} had already completed batch ${finishedBatch._id}`);
+          return;
+        }
+      }
+
+      // A replacement updated and removed records of the batch it replaces, which deleting the job's records
+      // cannot undo (updated records carry the job's id too), so it is not retried
+      if (job.attempts > 1 && job.replaceBatchId) {
+        await UploadBatch.updateMany(
+          { jobId: job._id, status: 'processing' },
+          {
+            $set: {
+              status: 'failed',
+              failureReason: 'Replacement was interrupted',
+              completedAt: new Date()
+            }
+          }
+        );
+        throw new Error('Replacement was interrupted and cannot be retried safely; check the replaced batch and upload the corrected file again');
+      }
+
+      // A retried job starts over, so drop whatever the interrupted attempt inserted into its unfinished
+      // batches and the values it merged into stored records
+      if (job.attempts > 1) {
+        const batchIds = (await UploadBatch.find({ jobId: job._id, status: { $in: ['processing', 'failed'] } }).select('_id'))
+          .map(batch => batch._id);
+        for (const batchId of batchIds) {
+          await duplicateDetector.revertMerges(batchId);
+        }
+        const { deletedCount } = await PollutionData.deleteMany({ 'processing.batchId': { $in: batchIds } });
+        await UploadBatch.updateMany(
+          { _id: { $in: batchIds } },
+          {
+            $set: {
+              status: 'rolled_back',
+              'rollback.rolledBackAt': new Date(),
+              'rollback.reason': 'Ingestion job was interrupted and retried',
+              'rollback.deletedRecords': deletedCount
+            }
+          }
+        );
+        await IngestionJob.recordProgress(job._id, {
+          set: {
+            'progress.totalRows': 0,
+            'progress.rowsParsed': 0,
+            'progress.rowsInserted': 0,
+            'progress.rowsFailed': 0,
+            rowErrors: []
+          }
+        });
+      }
+
+      const { fileMetadata, parseOptions } = job.toObject();
+      await ingestionPipeline.assertFileNotProcessed(fileMetadata.hash);
+
+      const { batch, response } = await ingestionPipeline.run(job.filePath, fileMetadata, parseOptions, {
+        uploadedBy: job.uploadedBy,
+        jobId: job._id,
+        replaceBatchId: job.replaceBatchId,
+        duplicateOptions: job.duplicateOptions,
+        // Rows are counted as the file is read, chunk by chunk
+        onParsed: async ({ rowCount, processedRecords, errors }) => {
+          await IngestionJob.recordProgress(job._id, {
+            inc: {
+              totalRows: rowCount,
+              rowsParsed: processedRecords.length,
+              rowsFailed: errors.length
+            },
+            errors: errors.map(error => ingestionPipeline.toRowError(error))
+          });
+        },
+        onProgress: async ({ inserted, failed, errors }) => {
+          await IngestionJob.recordProgress(job._id, {
+            inc: { rowsInserted: inserted, rowsFailed: failed },
+            errors: errors.map(error => ingestionPipeline.toRowError(error))
+          });
+        }
+      });
+
+      await IngestionJob.updateOne({ _id: job._id }, {
+        $set: {
+          status: 'completed',
+          batchId: batch._id,
+          result: response.data,
+          completedAt: new Date()
+        }
+      });
+
+      console.log(`✅ Ingestion job ${job._id} completed`);
+
+    } catch (error) {
+      console.error(`❌ Ingestion job ${job._id} failed:`, error.message);
+
+      await IngestionJob.updateOne({ _id: job._id }, {
+        $set: {
+          status: 'failed',
+          failureReason: error.message,
+          completedAt: new Date()
+        }
+      });
+
+    } finally {
+      clearInterval(heartbeat);
+      await fileUploader.cleanupFile(job.filePath);
+    }
+  }
+}
+
+// Create singleton instance
+const ingestionWorker = new IngestionWorker();
+
+export default ingestionWorker;
\ No newline at end of file
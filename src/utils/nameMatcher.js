@@ -0,0 +1,90 @@
+import { stateAliases } from '../config/regions.js';
+
+/**
+ * Compares place names as written by different labs and boundary datasets
+ * ('Jammu & Kashmir' and 'Jammu and Kashmir', 'Orissa' and 'Odisha', 'Bangalore Urban' and 'Bangalore')
+ */
+class NameMatcher {
+  constructor() {
+    this.similarityThreshold = 0.8;
+  }
+
+  /**
+   * Normalize a name for comparison
+   * @param {string} name - Place name
+   * @returns {string} Lower case words separated by single spaces
+   */
+  normalize(name) {
+    return String(name ?? '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Replace a former or informal state name with the current one
+   * @param {string} name - State name
+   * @returns {string} Normalized state name
+   */
+  normalizeState(name) {
+    const key = String(name ?? '').toLowerCase().trim().replace(/\s+/g, ' ');
+    return this.normalize(stateAliases[key] || name);
+  }
+
+  /**
+   * Levenshtein similarity of two normalized names
+   * @param {string} a - First name
+   * @param {string} b - Second name
+   * @returns {number} 1 for identical names, 0 for nothing in common
+   */
+  similarity(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+  }
+
+  /**
+   * Check whether two names refer to the same place: equal once normalized,
+   * one name's words all part of the other ('NCT of Delhi' and 'Delhi'), or a close spelling
+   * @param {string} a - First name
+   * @param {string} b - Second name
+   * @param {Object} options - Match options
+   * @param {boolean} options.state - Resolve former state names first
+   * @returns {boolean} True when the names match
+   */
+  matches(a, b, { state = false } = {}) {
+    const first = state ? this.normalizeState(a) : this.normalize(a);
+    const second = state ? this.normalizeState(b) : this.normalize(b);
+
+    if (!first || !second) return false;
+    if (first === second) return true;
+
+    const [shorter, longer] = first.length <= second.length ? [first, second] : [second, first];
+    const longerWords = new Set(longer.split(' '));
+    if (shorter.split(' ').every(word => longerWords.has(word))) return true;
+
+    return this.similarity(first, second) >= this.similarityThreshold;
+  }
+}
+
+// Create singleton instance
+const nameMatcher = new NameMatcher();
+
+export default nameMatcher;
\ No newline at end of file
@@ -0,0 +1,117 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { UploadPreview, IngestionJob } from '../models/index.js';
+import fileUploader from './fileUploader.js';
+
+/**
+ * Periodically removes the uploaded files of abandoned previews. MongoDB's TTL index deletes expired
+ * UploadPreview documents but not their files, so files no preview or pending job refers to are removed too.
+ */
+class PreviewSweeper {
+  constructor() {
+    this.interval = parseInt(process.env.UPLOAD_PREVIEW_SWEEP_INTERVAL_MS) || 15 * 60 * 1000; // 15 minutes
+    // Unreferenced files younger than two preview lifetimes may still belong to an upload in progress
+    this.orphanAge = (parseInt(process.env.UPLOAD_PREVIEW_TTL_MINUTES) || 60) * 2 * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start sweeping, once right away and then on every interval
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    this.schedule(0);
+    console.log('🧹 Upload preview sweeper started');
+  }
+
+  /**
+   * Stop sweeping
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Schedule the next sweep
+   */
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  /**
+   * Run one sweep and schedule the next
+   */
+  async tick() {
+    try {
+      const { expired, orphaned } = await this.sweep();
+      if (expired > 0 || orphaned > 0) {
+        console.log(`🧹 Removed files of ${expired} expired previews and ${orphaned} unreferenced uploads`);
+      }
+    } catch (error) {
+      console.error('❌ Upload preview sweep failed:', error.message);
+    }
+
+    if (this.running) {
+      this.schedule(this.interval);
+    }
+  }
+
+  /**
+   * Delete expired previews with their files, then old upload files nothing refers to
+   * @returns {Promise<Object>} { expired, orphaned } counts
+   */
+  async sweep() {
+    // Expired previews MongoDB has not removed yet
+    const expiredPreviews = await UploadPreview.find({ expiresAt: { $lte: new Date() } }).select('filePath');
+    for (const preview of expiredPreviews) {
+      await fileUploader.cleanupFile(preview.filePath);
+      await preview.deleteOne();
+    }
+
+    // Files of active previews and of jobs still to run are kept
+    const [previews, jobs] = await Promise.all([
+      UploadPreview.find().select('filePath').lean(),
+      IngestionJob.find({ status: { $in: ['queued', 'processing'] } }).select('filePath').lean()
+    ]);
+    const referenced = new Set([...previews, ...jobs].map(entry => path.resolve(entry.filePath)));
+
+    let files;
+    try {
+      files = await fs.readdir(fileUploader.uploadDir);
+    } catch (error) {
+      // Nothing uploaded yet
+      return { expired: expiredPreviews.length, orphaned: 0 };
+    }
+
+    const cutoff = Date.now() - this.orphanAge;
+    let orphaned = 0;
+
+    for (const file of files) {
+      const filePath = path.resolve(fileUploader.uploadDir, file);
+      if (referenced.has(filePath)) continue;
+
+      try {
+        const stats = await fs.stat(filePath);
+        if (stats.isFile() && stats.mtime.getTime() < cutoff) {
+          await fs.unlink(filePath);
+          orphaned++;
+        }
+      } catch (error) {
+        console.error(`Error sweeping file ${file}:`, error.message);
+      }
+    }
+
+    return { expired: expiredPreviews.length, orphaned };
+  }
+}
+
+// Create singleton instance
+const previewSweeper = new PreviewSweeper();
+
+export default previewSweeper;
\ No newline at end of file
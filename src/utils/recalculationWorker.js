@@ -0,0 +1,156 @@
+import os from 'os';
+import { RecalculationJob } from '../models/index.js';
+import indexRecalculator from './indexRecalculator.js';
+
+/**
+ * In-process worker that runs queued index recalculation jobs one at a time.
+ * Jobs live in MongoDB; an interrupted job resumes after the last batch it finished.
+ */
+class RecalculationWorker {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pollInterval = parseInt(process.env.RECALCULATION_POLL_INTERVAL_MS) || 5000;
+    // Heartbeat and staleness settings are shared with the ingestion worker
+    this.heartbeatInterval = parseInt(process.env.INGESTION_HEARTBEAT_MS) || 30000;
+    this.staleAfter = parseInt(process.env.INGESTION_JOB_STALE_MS) || 5 * 60 * 1000; // 5 minutes
+    this.running = false;
+    this.busy = false;
+    this.timer = null;
+  }
+
+  /**
+   * Start polling for queued jobs
+   */
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    await this.recoverStaleJobs();
+    this.schedule(0);
+
+    console.log(`⚙️ Recalculation worker started (${this.workerId})`);
+  }
+
+  /**
+   * Stop polling; a job in progress is resumed after a restart
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Wake the worker up right away, e.g. after a job was queued
+   */
+  notify() {
+    if (this.running && !this.busy) {
+      this.schedule(0);
+    }
+  }
+
+  /**
+   * Schedule the next poll
+   */
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  /**
+   * Claim and run the next queued job, if any
+   */
+  async tick() {
+    if (!this.running || this.busy) return;
+    this.busy = true;
+
+    let claimedJob = false;
+
+    try {
+      const job = await RecalculationJob.claimNextJob(this.workerId);
+
+      if (job) {
+        claimedJob = true;
+        await this.processJob(job);
+      } else {
+        await this.recoverStaleJobs();
+      }
+    } catch (error) {
+      console.error('❌ Recalculation worker error:', error.message);
+    } finally {
+      this.busy = false;
+    }
+
+    if (this.running) {
+      this.schedule(claimedJob ? 0 : this.pollInterval);
+    }
+  }
+
+  /**
+   * Requeue jobs left in 'processing' by a worker that stopped
+   */
+  async recoverStaleJobs() {
+    const staleBefore = new Date(Date.now() - this.staleAfter);
+    const { requeued, failed } = await RecalculationJob.recoverStaleJobs(staleBefore);
+
+    if (requeued > 0 || failed > 0) {
+      console.log(`🔁 Recovered stale recalculation jobs: ${requeued} requeued, ${failed} failed`);
+    }
+  }
+
+  /**
+   * Run a single recalculation job
+   * @param {Object} job - Claimed RecalculationJob document
+   */
+  async processJob(job) {
+    console.log(`⚙️ Processing recalculation job ${job._id} (attempt ${job.attempts})`);
+
+    // Keep the job alive while a slow batch runs
+    const heartbeat = setInterval(() => {
+      RecalculationJob.recordProgress(job._id).catch(error => {
+        console.error(`Heartbeat failed for job ${job._id}:`, error.message);
+      });
+    }, this.heartbeatInterval);
+
+    try {
+      await indexRecalculator.run(job, {
+        onBatch: async ({ counts, categoryChanges, errors, lastRecordId }) => {
+          await RecalculationJob.recordProgress(job._id, {
+            set: { lastRecordId },
+            inc: counts,
+            categoryChanges,
+            errors
+          });
+        }
+      });
+
+      await RecalculationJob.updateOne({ _id: job._id }, {
+        $set: {
+          status: 'completed',
+          completedAt: new Date()
+        }
+      });
+
+      console.log(`✅ Recalculation job ${job._id} completed`);
+
+    } catch (error) {
+      console.error(`❌ Recalculation job ${job._id} failed:`, error.message);
+
+      await RecalculationJob.updateOne({ _id: job._id }, {
+        $set: {
+          status: 'failed',
+          failureReason: error.message,
+          completedAt: new Date()
+        }
+      });
+
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+}
+
+// Create singleton instance
+const recalculationWorker = new RecalculationWorker();
+
+export default recalculationWorker;
\ No newline at end of file
@@ -0,0 +1,233 @@
+import hmpiCalculator from './hmpiCalculator.js';
+import boundaryService from './boundaryService.js';
+
+/**
+ * Builds PollutionData documents from parsed spreadsheet records
+ */
+class RecordBuilder {
+  constructor() {
+    this.validEnvParams = ['pH', 'EC', 'CO3', 'HCO3', 'Cl', 'F', 'SO4', 'NO3', 'PO4', 'Total Hardness', 'Ca', 'Mg', 'Na', 'K'];
+  }
+
+  /**
+   * Calculate the pollution indices stored on a record
+   * @param {Object} heavyMetals - Heavy metal values keyed by metal symbol
+   * @param {Object} options - Calculator options (bodyWeight, waterIntake, detectionLimitPolicy, standardSet, formulas, exposure)
+   * @returns {Object} Pollution indices in the PollutionData format, with the standard set they were calculated from
+   */
+  buildPollutionIndices(heavyMetals, options = {}) {
+    // Convert to heavy metals map format expected by calculator
+    const heavyMetalsForCalculation = {};
+    for (const [metal, data] of Object.entries(heavyMetals || {})) {
+      heavyMetalsForCalculation[metal] = {
+        value: data.value,
+        unit: data.unit,
+        qualifier: data.qualifier,
+        detectionLimit: data.detectionLimit
+      };
+    }
+
+    // Calculate comprehensive pollution indices if heavy metals are present
+    if (Object.keys(heavyMetalsForCalculation).length === 0) {
+      return {
+        hmpi: {
+          value: null,
+          category: 'No Heavy Metals',
+          calculatedAt: new Date()
+        }
+      };
+    }
+
+    try {
+      const assessment = hmpiCalculator.calculateComprehensiveAssessment(heavyMetalsForCalculation, options);
+      
+      return {
+        // Primary HPI
+        hpi: {
+          value: assessment.hpi.value,
+          interpretation: assessment.hpi.interpretation,
+          metalCount: assessment.hpi.metalCount,
+          calculatedAt: new Date()
+        },
+        
+        // Nemerow Pollution Index
+        nemerowIndex: {
+          value: assessment.nemerowIndex.value,
+          interpretation: assessment.nemerowIndex.interpretation,
+          maxRatio: assessment.nemerowIndex.maxRatio,
+          meanRatio: assessment.nemerowIndex.meanRatio,
+          calculatedAt: new Date()
+        },
+        
+        // Pollution Load Index
+        pollutionLoadIndex: {
+          value: assessment.pollutionLoadIndex.value,
+          interpretation: assessment.pollutionLoadIndex.interpretation,
+          metalCount: assessment.pollutionLoadIndex.metalCount,
+          calculatedAt: new Date()
+        },
+        
+        // Ecological Risk Index
+        ecologicalRiskIndex: {
+          totalValue: assessment.ecologicalRiskIndex.totalValue,
+          interpretation: assessment.ecologicalRiskIndex.interpretation,
+          metalCount: assessment.ecologicalRiskIndex.metalCount,
+          calculatedAt: new Date()
+        },
+        
+        // Overall Assessment
+        overallAssessment: assessment.overallAssessment,
+        
+        // Individual metal details
+        metalAnalysis: {
+          contaminationFactors: assessment.contaminationFactors,
+          geoaccumulationIndex: assessment.geoaccumulationIndex,
+          healthRiskIndex: assessment.healthRiskIndex
+        },
+
+        // Hazard index and cancer risk by age group and pathway, with the exposure parameters used
+        healthRiskAssessment: {
+          ...assessment.healthRiskAssessment,
+          calculatedAt: new Date()
+        },
+        
+        // Legacy HMPI for compatibility
+        hmpi: {
+          value: assessment.hpi.value,
+          category: assessment.hpi.interpretation.level,
+          metalCount: assessment.hpi.metalCount,
+          calculatedAt: new Date()
+        },
+
+        // Indices of the configured formulas, keyed by formula name
+        ...(assessment.customIndices && { customIndices: assessment.customIndices }),
+
+        // Standard category and version the indices were calculated from
+        standardSet: assessment.calculationParameters.standardSet
+      };
+      
+    } catch (calcError) {
+      console.warn('Pollution indices calculation failed:', calcError.message);
+      return {
+        hmpi: {
+          value: null,
+          category: 'Unknown',
+          calculatedAt: new Date()
+        },
+        ...(options.standardSet && { standardSet: hmpiCalculator.describeStandardSet(options.standardSet) }),
+        error: calcError.message
+      };
+    }
+  }
+
+  /**
+   * Heavy metal values as stored: censored values carry the substitute used for the indices,
+   * next to their qualifier and detection limit so they can be recalculated under another policy
+   * @param {Object} heavyMetals - Heavy metal values extracted by the parser
+   * @param {string} detectionLimitPolicy - Substitution policy
+   * @returns {Object} Heavy metal values
+   */
+  buildHeavyMetals(heavyMetals, detectionLimitPolicy) {
+    const { values } = hmpiCalculator.applyDetectionLimitPolicy(heavyMetals, detectionLimitPolicy);
+    const stored = {};
+
+    for (const [metal, data] of Object.entries(values)) {
+      stored[metal] = {
+        value: data.value,
+        unit: data.unit,
+        qualifier: data.qualifier || 'detected',
+        ...(data.detectionLimit !== null && data.detectionLimit !== undefined && { detectionLimit: data.detectionLimit })
+      };
+    }
+
+    return stored;
+  }
+
+  /**
+   * Filter environmental params to exclude non-environmental data and ensure proper format
+   * @param {Object} params - Environmental parameters extracted by the parser
+   * @returns {Object} Environmental parameters with values and units
+   */
+  buildEnvironmentalParams(params) {
+    const environmentalParams = {};
+    if (!params) return environmentalParams;
+
+    for (const [key, value] of Object.entries(params)) {
+      // Check if it's a valid environmental parameter and not metadata
+      if (this.validEnvParams.some(param => key.toLowerCase().includes(param.toLowerCase())) && 
+          typeof value === 'number' && !isNaN(value)) {
+        environmentalParams[key] = {
+          value: value,
+          unit: key.includes('pH') ? 'pH units' : 
+                key.includes('EC') ? 'µS/cm' :
+                key.includes('Hardness') ? 'mg/L as CaCO3' : 'mg/L'
+        };
+      }
+    }
+
+    return environmentalParams;
+  }
+
+  /**
+   * Create PollutionData document as plain object from a parsed record
+   * @param {Object} record - Record produced by ExcelParser.processFile
+   * @param {Object} fileMetadata - Metadata of the uploaded file
+   * @param {Object} recordValidation - Result of ExcelParser.validateRecord
+   * @param {Object} options - Build options
+   * @param {string} options.detectionLimitPolicy - Substitution for values below the detection limit
+   * @param {Object} options.standardSet - Standard set the indices are calculated from (hmpiCalculator.getStandardSet)
+   * @param {Array} options.formulas - Formulas of the custom indices (hmpiCalculator.getCustomFormulas)
+   * @param {Object} options.exposure - Exposure parameters of the health risk assessment (defaults if not given)
+   * @returns {Object} Plain PollutionData document
+   */
+  buildDocument(record, fileMetadata, recordValidation, options = {}) {
+    const detectionLimitPolicy = options.detectionLimitPolicy || hmpiCalculator.detectionLimitPolicy;
+
+    // State and district checked against the boundary files (missing names are filled in)
+    const boundary = boundaryService.checkLocation(record.location, record.coordinates?.coordinates);
+    const anomalies = [...recordValidation.errors, ...(boundary?.anomalies || [])];
+
+    return {
+      location: boundary ? boundary.location : record.location,
+      coordinates: record.coordinates,
+      sampleInfo: record.sampleInfo,
+      heavyMetals: this.buildHeavyMetals(record.heavyMetals, detectionLimitPolicy), // Keep as plain object initially
+      environmentalParams: this.buildEnvironmentalParams(record.environmentalParams),
+      pollutionIndices: this.buildPollutionIndices(record.heavyMetals, {
+        detectionLimitPolicy,
+        standardSet: options.standardSet,
+        formulas: options.formulas,
+        exposure: options.exposure
+      }),
+      originalData: record.originalData,
+      processing: {
+        uploadedAt: new Date(),
+        fileName: fileMetadata.originalName,
+        fileHash: fileMetadata.hash,
+        sheetName: record.sheetName,
+        rowNumber: record.rowNumber,
+        coordinateFormat: record.coordinateFormat,
+        ...(boundary && { boundaryCheck: boundary.boundaryCheck }),
+        detectionLimitPolicy,
+        processingStatus: 'processed',
+        processingErrors: recordValidation.errors.map(error => ({
+          field: 'validation',
+          message: error,
+          timestamp: new Date()
+        })),
+        lastCalculated: new Date()
+      },
+      qualityFlags: {
+        isValidated: recordValidation.isValid,
+        hasAnomalies: anomalies.length > 0,
+        anomalies,
+        confidence: anomalies.length === 0 ? 1 : 0.5
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const recordBuilder = new RecordBuilder();
+
+export default recordBuilder;
\ No newline at end of file
@@ -0,0 +1,245 @@
+import XLSX from 'xlsx';
+
+/**
+ * Reads the sampling date, season, campaign and depth of a row, so pre-monsoon and post-monsoon
+ * campaigns of the same year stay apart. Seasons follow the IMD calendar; a row without a season
+ * column gets the season of its sampling month.
+ */
+class SampleInfoParser {
+  constructor() {
+    this.seasons = ['pre-monsoon', 'monsoon', 'post-monsoon', 'winter'];
+
+    // Ambiguous dates like 04/05/2019 are read day first (DMY) unless SAMPLE_DATE_ORDER=MDY
+    this.dayFirst = (process.env.SAMPLE_DATE_ORDER || 'DMY').toUpperCase() !== 'MDY';
+
+    this.monthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    this.feetPerMeter = 3.28084;
+  }
+
+  /**
+   * Build a UTC date, rejecting impossible days like 31/02
+   * @param {number} year - Full year
+   * @param {number} month - 1-12
+   * @param {number} day - 1-31
+   * @returns {Date|null} Date
+   */
+  toDate(year, month, day = 1) {
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 ? date : null;
+  }
+
+  /**
+   * Two-digit years belong to this century unless that puts them in the future
+   * @param {string} value - Year as written
+   * @returns {number} Full year
+   */
+  toFullYear(value) {
+    const year = parseInt(value);
+    if (value.length > 2) return year;
+
+    const century = Math.floor(new Date().getFullYear() / 100) * 100;
+    return century + year > new Date().getFullYear() + 1 ? century - 100 + year : century + year;
+  }
+
+  /**
+   * Month number of a month name or abbreviation
+   * @param {string} name - 'May', 'Sept', 'november'
+   * @returns {number|null} 1-12
+   */
+  monthOf(name) {
+    const index = this.monthNames.indexOf(String(name).slice(0, 3).toLowerCase());
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Parse a sampling date: Excel dates, ISO dates, day-first dates ('14/05/2019', '14-May-19'),
+   * months ('May 2019', '2019-05') and bare years
+   * @param {*} value - Cell value
+   * @returns {Object|null|undefined} { date, precision ('day', 'month' or 'year') }; null when the cell is empty,
+   * undefined when it is not a date
+   */
+  parseDate(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+
+    const result = (date, precision) => (date ? { date, precision } : undefined);
+
+    if (value instanceof Date) {
+      return isNaN(value) ? undefined : result(this.toDate(value.getFullYear(), value.getMonth() + 1, value.getDate()), 'day');
+    }
+
+    if (typeof value === 'number') {
+      if (Number.isInteger(value) && value >= 1900 && value <= 2100) {
+        return result(this.toDate(value, 1), 'year');
+      }
+
+      // Excel serial date (1954-2119); the time of day is dropped
+      if (value >= 20000 && value < 80000) {
+        const parsed = XLSX.SSF.parse_date_code(value);
+        return parsed ? result(this.toDate(parsed.y, parsed.m, parsed.d), 'day') : undefined;
+      }
+
+      return undefined;
+    }
+
+    const text = String(value).trim().replace(/\s+/g, ' ');
+    let match;
+
+    // 2019-05-14, 2019/05/14, 2019-05-14T10:30:00
+    if ((match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T ].*)?$/))) {
+      return result(this.toDate(+match[1], +match[2], +match[3]), 'day');
+    }
+
+    // 14/05/2019, 14-05-19, 14.05.2019 (05/14/2019 when the first part cannot be a month, or with SAMPLE_DATE_ORDER=MDY)
+    if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/))) {
+      const [first, second] = [+match[1], +match[2]];
+      const dayFirst = first > 12 ? true : second > 12 ? false : this.dayFirst;
+      const [day, month] = dayFirst ? [first, second] : [second, first];
+      return result(this.toDate(this.toFullYear(match[3]), month, day), 'day');
+    }
+
+    // 2019-05, 05/2019, 5-2019
+    if ((match = text.match(/^(\d{4})[-/.](\d{1,2})$/))) {
+      return result(this.toDate(+match[1], +match[2]), 'month');
+    }
+    if ((match = text.match(/^(\d{1,2})[-/.](\d{4})$/))) {
+      return result(this.toDate(+match[2], +match[1]), 'month');
+    }
+
+    // 14 May 2019, 14-May-19, 14th May, 2019
+    if ((match = text.match(/^(\d{1,2})(?:st|nd|rd|th)?[- ]([a-z]{3,9})\.?,?[- ](\d{2}|\d{4})$/i)) && this.monthOf(match[2])) {
+      return result(this.toDate(this.toFullYear(match[3]), this.monthOf(match[2]), +match[1]), 'day');
+    }
+
+    // May 14, 2019
+    if ((match = text.match(/^([a-z]{3,9})\.? (\d{1,2})(?:st|nd|rd|th)?,? (\d{4})$/i)) && this.monthOf(match[1])) {
+      return result(this.toDate(+match[3], this.monthOf(match[1]), +match[2]), 'day');
+    }
+
+    // May 2019, May-19, Nov. 2018
+    if ((match = text.match(/^([a-z]{3,9})\.?[- ,]+(\d{2}|\d{4})$/i)) && this.monthOf(match[1])) {
+      return result(this.toDate(this.toFullYear(match[2]), this.monthOf(match[1])), 'month');
+    }
+
+    if (/^\d{4}$/.test(text) && +text >= 1900 && +text <= 2100) {
+      return result(this.toDate(+text, 1), 'year');
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Parse a season: 'Pre-monsoon', 'PRM', 'post monsoon', 'Summer', 'Rabi'
+   * @param {*} value - Cell value
+   * @returns {string|null|undefined} Season; null when the cell is empty, undefined when it is not a season
+   */
+  parseSeason(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+
+    const text = String(value).toLowerCase().replace(/[^a-z]/g, '');
+
+    if (/^(pre(monsoon)?|prm|summer)$/.test(text) || text.startsWith('premonsoon')) return 'pre-monsoon';
+    if (/^(post(monsoon)?|pom|retreatingmonsoon)$/.test(text) || text.startsWith('postmonsoon')) return 'post-monsoon';
+    if (/^(monsoon|rainy|kharif|southwestmonsoon)$/.test(text)) return 'monsoon';
+    if (/^(winter|rabi)$/.test(text)) return 'winter';
+
+    return undefined;
+  }
+
+  /**
+   * Season of a month (IMD calendar)
+   * @param {number} month - 1-12
+   * @returns {string} Season
+   */
+  seasonOfMonth(month) {
+    if (month <= 2) return 'winter';
+    if (month <= 5) return 'pre-monsoon';
+    if (month <= 9) return 'monsoon';
+    return 'post-monsoon';
+  }
+
+  /**
+   * Parse a sampling depth in meters: 30, '30 m', '30-40 m bgl' (the middle of a range), '100 ft'
+   * @param {*} value - Cell value
+   * @param {string} header - Column header, for the unit ('Depth (ft)')
+   * @returns {number|null|undefined} Depth in meters; null when the cell is empty, undefined when it is not a depth
+   */
+  parseDepth(value, header = '') {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+
+    const text = String(value).trim().toLowerCase();
+    const numbers = text.match(/\d+(?:\.\d+)?/g);
+    if (!numbers || numbers.length > 2 || !/^[\d.\s\-–to]+(m|mt|mtr|meters?|metres?|ft|feet|')?\s*(bgl|bgs)?\.?$/.test(text)) {
+      return undefined;
+    }
+
+    const depth = numbers.reduce((sum, number) => sum + parseFloat(number), 0) / numbers.length;
+    const inFeet = /ft|feet|'/.test(text) || /\b(ft|feet)\b/i.test(header);
+
+    return Math.round((inFeet ? depth / this.feetPerMeter : depth) * 100) / 100;
+  }
+
+  /**
+   * Resolve the sample information of a row
+   * @param {Object} input - Raw cell values (date, year, season, campaign, depth)
+   * @param {Object} options - Column context
+   * @param {string} options.depthHeader - Header of the depth column
+   * @returns {Object} { sampleInfo, warnings } where sampleInfo holds year, date, datePrecision, month, season,
+   * campaign and depth when known
+   */
+  resolve({ date, year, season, campaign, depth } = {}, { depthHeader } = {}) {
+    const sampleInfo = {};
+    const warnings = [];
+
+    const parsedDate = this.parseDate(date);
+    if (parsedDate) {
+      sampleInfo.date = parsedDate.date;
+      sampleInfo.datePrecision = parsedDate.precision;
+      if (parsedDate.precision !== 'year') {
+        sampleInfo.month = parsedDate.date.getUTCMonth() + 1;
+      }
+    } else if (parsedDate === undefined) {
+      warnings.push(`Unrecognised sampling date '${date}'`);
+    }
+
+    // The year column wins; a date in another year is reported
+    const dateYear = parsedDate?.date.getUTCFullYear();
+    if (year) {
+      sampleInfo.year = year;
+      if (dateYear && dateYear !== year) {
+        warnings.push(`Sampling date '${date}' is not in the sample year ${year}`);
+      }
+    } else if (dateYear) {
+      sampleInfo.year = dateYear;
+    }
+
+    const parsedSeason = this.parseSeason(season);
+    if (parsedSeason) {
+      sampleInfo.season = parsedSeason;
+    } else if (sampleInfo.month) {
+      sampleInfo.season = this.seasonOfMonth(sampleInfo.month);
+    }
+
+    if (campaign !== null && campaign !== undefined && String(campaign).trim() !== '') {
+      sampleInfo.campaign = String(campaign).trim();
+    } else if (parsedSeason === undefined) {
+      // A season column holding a campaign name ('Round 2') is kept as the campaign
+      sampleInfo.campaign = String(season).trim();
+    }
+
+    const parsedDepth = this.parseDepth(depth, depthHeader);
+    if (parsedDepth !== null && parsedDepth !== undefined) {
+      sampleInfo.depth = parsedDepth;
+    } else if (parsedDepth === undefined) {
+      warnings.push(`Unrecognised sampling depth '${depth}'`);
+    }
+
+    return { sampleInfo, warnings };
+  }
+}
+
+// Create singleton instance
+const sampleInfoParser = new SampleInfoParser();
+
+export default sampleInfoParser;
\ No newline at end of file
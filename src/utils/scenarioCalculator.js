@@ -0,0 +1,153 @@
+import hmpiCalculator from './hmpiCalculator.js';
+import ExcelParser from './excelParser.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+/**
+ * Scores ad hoc metal concentrations (what-if scenarios) with the same calculator and standards as
+ * uploads, without storing anything. A request holds one sample or a batch of samples.
+ */
+class ScenarioCalculator {
+  constructor() {
+    // Units the calculator converts to mg/L
+    this.units = ['ppm', 'ppb', 'mg/L', 'μg/L'];
+    // Reads values the way uploaded cells are read ('<0.001', 'BDL', 'ug/L')
+    this.parser = new ExcelParser();
+  }
+
+  /**
+   * Resolve a unit as written ('ug/l', 'µg/L', 'PPB') to a supported unit
+   * @param {string} unit - Unit as written
+   * @param {string} metal - Metal, for the error message
+   * @returns {string} Supported unit
+   */
+  resolveUnit(unit, metal) {
+    const resolved = this.parser.extractUnit(`(${String(unit).trim()})`);
+    if (!this.units.includes(resolved)) {
+      throw new AppError(`Unsupported unit '${unit}' for ${metal}. Use one of: ${this.units.join(', ')}`, 400);
+    }
+    return resolved;
+  }
+
+  /**
+   * Read the metal concentrations of a sample
+   * @param {Object} metals - Per metal: a number, a lab string ('0.02', '<0.001', 'BDL (0.5)')
+   * or { value, unit, detectionLimit }
+   * @param {string} defaultUnit - Unit of values that do not state one
+   * @returns {Object} { value, unit, qualifier, detectionLimit } keyed by metal symbol
+   */
+  parseMetals(metals, defaultUnit = 'ppm') {
+    const values = {};
+
+    for (const [metal, input] of Object.entries(metals || {})) {
+      const entry = input !== null && typeof input === 'object' ? input : { value: input };
+      const parsed = this.parser.parseConcentration(entry.value ?? '', entry.detectionLimit);
+
+      if (parsed === null) continue;
+      if (parsed === undefined) {
+        throw new AppError(`Invalid concentration '${entry.value}' for ${metal}`, 400);
+      }
+
+      const symbol = this.parser.normalizeMetalSymbol(metal);
+      if (values[symbol]) {
+        throw new AppError(`Metal ${symbol} is given more than once`, 400);
+      }
+
+      values[symbol] = {
+        value: parsed.value,
+        unit: this.resolveUnit(entry.unit || defaultUnit, symbol),
+        qualifier: parsed.qualifier,
+        ...(parsed.detectionLimit !== null && { detectionLimit: parsed.detectionLimit })
+      };
+    }
+
+    if (Object.keys(values).length === 0) {
+      throw new AppError('At least one measured metal concentration is required', 400);
+    }
+
+    return values;
+  }
+
+  /**
+   * Score one sample
+   * @param {Object} sample - { metals, bodyWeight, waterIntake, exposure, standardCategory, detectionLimitPolicy, unit }
+   * @param {Function} getStandardSet - Loads the standard set of a category
+   * @param {Array} formulas - Formulas of the custom indices
+   * @returns {Promise<Object>} Full comprehensive assessment, the values used and the metals without a standard
+   */
+  async score(sample, getStandardSet, formulas) {
+    const standardSet = await getStandardSet(sample.standardCategory);
+    const values = this.parseMetals(sample.metals, sample.unit);
+
+    let assessment;
+    try {
+      assessment = hmpiCalculator.calculateComprehensiveAssessment(values, {
+        bodyWeight: sample.bodyWeight,
+        waterIntake: sample.waterIntake,
+        exposure: sample.exposure,
+        detectionLimitPolicy: sample.detectionLimitPolicy,
+        standardSet,
+        formulas
+      });
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+
+    return {
+      ...assessment,
+      inputs: values,
+      // Left out of every index because the category sets no limit for them
+      unassessedMetals: Object.keys(values).filter(metal => !standardSet.metals[metal.toUpperCase()])
+    };
+  }
+
+  /**
+   * Score a request: one sample, { samples: [...] } with shared options, or an array of samples
+   * @param {Object|Array} body - Request body
+   * @returns {Promise<Object>} { batch: false, assessment } or { batch: true, results, summary }
+   */
+  async assess(body) {
+    const isBatch = Array.isArray(body) || Array.isArray(body?.samples);
+    const { samples: batchSamples, ...shared } = Array.isArray(body) ? { samples: body } : body;
+
+    // Each category is resolved and loaded once per request
+    const standardSets = new Map();
+    const getStandardSet = (category) => {
+      const key = category ? hmpiCalculator.resolveStandardCategory(category) : hmpiCalculator.standardCategory;
+      if (!standardSets.has(key)) {
+        standardSets.set(key, hmpiCalculator.getStandardSet(key));
+      }
+      return standardSets.get(key);
+    };
+    const formulas = await hmpiCalculator.getCustomFormulas();
+
+    if (!isBatch) {
+      return { batch: false, assessment: await this.score(body, getStandardSet, formulas) };
+    }
+
+    const summary = { total: batchSamples.length, scored: 0, failed: 0, categories: {} };
+    const results = [];
+
+    // A sample that cannot be scored is reported without failing the batch
+    for (const [index, sample] of batchSamples.entries()) {
+      const id = sample.id ?? index;
+      try {
+        const assessment = await this.score({ ...shared, ...sample }, getStandardSet, formulas);
+        const category = assessment.hpi.interpretation.level;
+
+        summary.scored++;
+        summary.categories[category] = (summary.categories[category] || 0) + 1;
+        results.push({ id, success: true, assessment });
+      } catch (error) {
+        summary.failed++;
+        results.push({ id, success: false, error: error.message });
+      }
+    }
+
+    return { batch: true, results, summary };
+  }
+}
+
+// Create singleton instance
+const scenarioCalculator = new ScenarioCalculator();
+
+export default scenarioCalculator;
\ No newline at end of file
@@ -0,0 +1,226 @@
+import hmpiCalculator from './hmpiCalculator.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+/**
+ * Assesses samples under several standard categories side by side (is this sample safe under BIS but not
+ * WHO?) and points out where the verdicts of the categories disagree
+ */
+class StandardComparator {
+  constructor() {
+    // Verdicts that say nothing about the sample and never count as a disagreement
+    this.neutralVerdicts = ['no standard', 'not assessed'];
+  }
+
+  /**
+   * Read the categories of a comparison request
+   * @param {Object} query - Request query ({ categories: 'BIS,WHO' })
+   * @returns {Promise<Array>} Categories to compare (default: every category with active standards)
+   */
+  async resolveCategories({ categories } = {}) {
+    const active = await hmpiCalculator.getActiveStandardCategories();
+    if (!categories) {
+      if (active.length === 0) {
+        throw new AppError('No standard category has active standards', 400);
+      }
+      return active;
+    }
+
+    const requested = [...new Set(String(categories).split(',').map(value => hmpiCalculator.resolveStandardCategory(value, 'categories')))];
+    const inactive = requested.filter(category => !active.includes(category));
+    if (inactive.length > 0) {
+      throw new AppError(`No active standards for: ${inactive.join(', ')}. Active categories: ${active.join(', ')}`, 400);
+    }
+
+    return requested;
+  }
+
+  /**
+   * Load the standard sets of the compared categories
+   * @param {Array} categories - Categories from resolveCategories
+   * @returns {Promise<Array>} Standard sets in the same order
+   */
+  loadStandardSets(categories) {
+    return Promise.all(categories.map(category => hmpiCalculator.getStandardSet(category)));
+  }
+
+  /**
+   * Record disagreeing verdicts of one field
+   * @param {Array} disagreements - Disagreements found so far
+   * @param {string} field - Compared field ('hpi', 'compliance', 'metals.AS')
+   * @param {Object} verdicts - Verdict per category
+   * @returns {boolean} Whether the categories disagree
+   */
+  checkAgreement(disagreements, field, verdicts) {
+    const distinct = new Set(Object.values(verdicts).filter(verdict => !this.neutralVerdicts.includes(verdict)));
+    if (distinct.size <= 1) return false;
+
+    disagreements.push({ field, verdicts });
+    return true;
+  }
+
+  /**
+   * Assess one sample under every standard set
+   * @param {Object} heavyMetals - Stored heavy metal values ({ value, unit, qualifier, detectionLimit } per metal)
+   * @param {Array} standardSets - Sets from loadStandardSets
+   * @param {Object} options - Calculator options
+   * @param {string} options.detectionLimitPolicy - Substitution for values below the detection limit
+   * @returns {Object} Comparison matrix: hpi, overall risk and compliance per category, contamination factor
+   * and compliance per metal and category, and the fields whose verdicts disagree
+   */
+  compare(heavyMetals, standardSets, { detectionLimitPolicy } = {}) {
+    const values = {};
+    for (const [metal, data] of Object.entries(heavyMetals || {})) {
+      if (typeof data?.value !== 'number') continue;
+      values[metal] = { value: data.value, unit: data.unit, qualifier: data.qualifier, detectionLimit: data.detectionLimit };
+    }
+
+    const hpi = {};
+    const overallRisk = {};
+    const compliance = {};
+    const metals = {};
+
+    for (const standardSet of standardSets) {
+      const { category } = standardSet;
+      let assessment;
+
+      try {
+        assessment = hmpiCalculator.calculateComprehensiveAssessment(values, { standardSet, detectionLimitPolicy });
+      } catch (error) {
+        // E.g. none of the sample's metals has a standard in this category
+        hpi[category] = { value: null, verdict: 'not assessed', error: error.message };
+        overallRisk[category] = 'not assessed';
+        compliance[category] = { verdict: 'not assessed', exceedingMetals: [], metalsAssessed: 0 };
+        continue;
+      }
+
+      hpi[category] = { value: assessment.hpi.value, verdict: assessment.hpi.interpretation.level };
+      overallRisk[category] = assessment.overallAssessment.riskLevel;
+
+      const exceedingMetals = [];
+      for (const [metal, factor] of Object.entries(assessment.contaminationFactors)) {
+        const key = metal.toUpperCase();
+        // Compared unrounded, so a value just above the limit is not rounded down to compliant
+        const compliant = factor.measuredConcentration <= factor.standardConcentration;
+
+        if (!metals[key]) {
+          metals[key] = { measured: factor.measuredConcentration, unit: 'mg/L', standards: {} };
+        }
+        metals[key].standards[category] = {
+          limit: factor.standardConcentration,
+          contaminationFactor: factor.value,
+          interpretation: factor.interpretation.category,
+          verdict: compliant ? 'compliant' : 'exceeds'
+        };
+        if (!compliant) exceedingMetals.push(key);
+      }
+
+      compliance[category] = {
+        verdict: exceedingMetals.length === 0 ? 'compliant' : 'non-compliant',
+        exceedingMetals,
+        metalsAssessed: Object.keys(assessment.contaminationFactors).length
+      };
+    }
+
+    const disagreements = [];
+    const verdictsOf = (entries, read) => Object.fromEntries(Object.entries(entries).map(([category, entry]) => [category, read(entry)]));
+
+    this.checkAgreement(disagreements, 'hpi', verdictsOf(hpi, entry => entry.verdict));
+    this.checkAgreement(disagreements, 'overallRisk', overallRisk);
+    this.checkAgreement(disagreements, 'compliance', verdictsOf(compliance, entry => entry.verdict));
+
+    const metalRows = {};
+    for (const metal of Object.keys(metals).sort()) {
+      const row = metals[metal];
+      for (const { category } of standardSets) {
+        if (!row.standards[category]) {
+          row.standards[category] = { limit: null, contaminationFactor: null, verdict: 'no standard' };
+        }
+      }
+      row.disagree = this.checkAgreement(disagreements, `metals.${metal}`, verdictsOf(row.standards, entry => entry.verdict));
+      metalRows[metal] = row;
+    }
+
+    return {
+      hpi,
+      overallRisk,
+      compliance,
+      metals: metalRows,
+      agree: disagreements.length === 0,
+      disagreements
+    };
+  }
+
+  /**
+   * Create the running summary of a compared set
+   * @param {Array} categories - Compared categories
+   * @returns {Object} Empty summary
+   */
+  createSummary(categories) {
+    return {
+      recordsCompared: 0,
+      recordsWithDisagreements: 0,
+      categories: Object.fromEntries(categories.map(category => [category, {
+        assessed: 0,
+        compliant: 0,
+        nonCompliant: 0,
+        unsafeHPI: 0,
+        hpiTotal: 0
+      }])),
+      disagreementsByField: {},
+      compliancePatterns: new Map()
+    };
+  }
+
+  /**
+   * Add the comparison of one sample to the summary
+   * @param {Object} summary - Summary from createSummary
+   * @param {Object} comparison - Result of compare()
+   */
+  addToSummary(summary, comparison) {
+    summary.recordsCompared++;
+    if (!comparison.agree) summary.recordsWithDisagreements++;
+
+    for (const [category, totals] of Object.entries(summary.categories)) {
+      if (comparison.compliance[category].verdict === 'not assessed') continue;
+
+      totals.assessed++;
+      totals.hpiTotal += comparison.hpi[category].value;
+      if (comparison.compliance[category].verdict === 'compliant') totals.compliant++;
+      else totals.nonCompliant++;
+      if (comparison.hpi[category].verdict === 'Unsafe') totals.unsafeHPI++;
+    }
+
+    for (const { field, verdicts } of comparison.disagreements) {
+      summary.disagreementsByField[field] = (summary.disagreementsByField[field] || 0) + 1;
+
+      // How often each mix of compliance verdicts occurs, e.g. compliant under BIS but not under WHO
+      if (field === 'compliance') {
+        const key = JSON.stringify(verdicts);
+        summary.compliancePatterns.set(key, (summary.compliancePatterns.get(key) || 0) + 1);
+      }
+    }
+  }
+
+  /**
+   * Finish the summary of a compared set
+   * @param {Object} summary - Summary from createSummary
+   * @returns {Object} Totals per category, disagreement counts per field and the disagreeing compliance patterns
+   */
+  finishSummary({ categories, compliancePatterns, ...summary }) {
+    return {
+      ...summary,
+      categories: Object.fromEntries(Object.entries(categories).map(([category, { hpiTotal, ...totals }]) => [category, {
+        ...totals,
+        averageHPI: totals.assessed > 0 ? Math.round(hpiTotal / totals.assessed * 100) / 100 : null
+      }])),
+      compliancePatterns: [...compliancePatterns.entries()]
+        .map(([key, count]) => ({ verdicts: JSON.parse(key), count }))
+        .sort((a, b) => b.count - a.count)
+    };
+  }
+}
+
+// Create singleton instance
+const standardComparator = new StandardComparator();
+
+export default standardComparator;
\ No newline at end of file
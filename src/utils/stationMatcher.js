@@ -0,0 +1,242 @@
+import mongoose from 'mongoose';
+import { Station } from '../models/index.js';
+import nameMatcher from './nameMatcher.js';
+import duplicateDetector from './duplicateDetector.js';
+
+/**
+ * Links uploaded rows to sampling stations, so spellings like 'Sanganer BW-2' and 'Sanganer Bw 2'
+ * count as one place. A row matches a station within STATION_MATCH_DISTANCE_METERS whose name or
+ * alias is the same or a close spelling; rows without a match get a new station.
+ */
+class StationMatcher {
+  constructor() {
+    this.matchDistanceMeters = parseFloat(process.env.STATION_MATCH_DISTANCE_METERS) || 500;
+    this.similarityThreshold = parseFloat(process.env.STATION_NAME_SIMILARITY) || 0.85;
+    this.autoCreate = process.env.STATION_AUTO_CREATE !== 'false';
+    this.chunkSize = 500; // Records per chunk when linking stored records
+  }
+
+  /**
+   * Score how well a row's location name matches a station name
+   * @param {string} name - Normalized row name
+   * @param {string} stationName - Normalized station name or alias
+   * @returns {number} 1 for the same name, the spelling similarity otherwise (0 when numbers differ)
+   */
+  nameScore(name, stationName) {
+    if (name === stationName) return 1;
+
+    // 'Well 1' and 'Well 2' are different wells however similar the spelling
+    const numbers = value => (value.match(/\d+/g) || []).map(Number).join(',');
+    if (numbers(name) !== numbers(stationName)) return 0;
+
+    return nameMatcher.similarity(name, stationName);
+  }
+
+  /**
+   * Find the best station for a record
+   * @param {Object} record - Plain PollutionData document
+   * @param {Array} stations - Candidate stations (lean)
+   * @returns {Object|null} { station, method, score, distanceMeters }
+   */
+  matchRecord(record, stations) {
+    const name = nameMatcher.normalize(record.location?.name);
+    const point = record.coordinates?.coordinates;
+    let best = null;
+
+    for (const station of stations) {
+      const distanceMeters = duplicateDetector.distanceBetween(point, station.coordinates.coordinates);
+      if (distanceMeters > this.matchDistanceMeters) continue;
+
+      const candidates = [
+        { method: 'exact', score: this.nameScore(name, nameMatcher.normalize(station.name)) },
+        ...(station.aliases || []).map(alias => ({ method: 'alias', score: this.nameScore(name, nameMatcher.normalize(alias)) }))
+      ];
+
+      for (const { method, score } of candidates) {
+        if (score < this.similarityThreshold) continue;
+
+        const match = { station, method: score === 1 ? method : 'fuzzy', score, distanceMeters };
+        if (!best || score > best.score || (score === best.score && distanceMeters < best.distanceMeters)) {
+          best = match;
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Load the active stations around a set of records
+   * @param {Array} records - Plain PollutionData documents
+   * @returns {Promise<Array>} Lean stations
+   */
+  async findCandidates(records) {
+    const points = records.map(record => record.coordinates?.coordinates).filter(point => Array.isArray(point));
+    if (points.length === 0) return [];
+
+    const latitudes = points.map(([, lat]) => lat);
+    const longitudes = points.map(([lng]) => lng);
+    const maxAbsLatitude = Math.min(Math.max(...latitudes.map(Math.abs)), 89);
+
+    // Match distance in degrees, widest at the latitude furthest from the equator
+    const latMargin = this.matchDistanceMeters / 111320;
+    const lngMargin = latMargin / Math.cos(maxAbsLatitude * Math.PI / 180);
+
+    return Station.find({
+      isActive: true,
+      'coordinates.coordinates.1': { $gte: Math.min(...latitudes) - latMargin, $lte: Math.max(...latitudes) + latMargin },
+      'coordinates.coordinates.0': { $gte: Math.min(...longitudes) - lngMargin, $lte: Math.max(...longitudes) + lngMargin }
+    })
+      .select('stationId name aliases coordinates state district')
+      .lean();
+  }
+
+  /**
+   * Link records to stations, creating stations for rows that match none.
+   * Sets `station` and `processing.stationMatch` on each record.
+   * @param {Array} records - Plain PollutionData documents about to be inserted
+   * @param {Object} options - Match options
+   * @param {boolean} options.dryRun - Report what would happen without creating stations or aliases
+   * @returns {Promise<Object>} Matched, created and alias counts
+   */
+  async assignStations(records, { dryRun = false } = {}) {
+    const { summary, created, newAliases } = await this.matchStations(records);
+
+    if (!dryRun) {
+      await this.saveStations(created, newAliases);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Save the stations and aliases of records that were matched with matchStations and then written, so rows
+   * that were skipped, merged or failed to insert leave no stations or aliases behind
+   * @param {Array} created - Stations matchStations created
+   * @param {Array} records - Written records, with the `station` and `processing.stationMatch` matchStations set
+   * @returns {Promise<Object>} Matched, created and alias counts of the written records
+   */
+  async saveAssignedStations(created, records) {
+    const usedStations = new Set(records.filter(record => record.station).map(record => String(record.station)));
+    // Aliases of dropped rows are on the in-memory station too, only written rows add theirs below
+    const stations = created
+      .filter(station => usedStations.has(String(station._id)))
+      .map(station => ({ ...station, aliases: [] }));
+    const newAliases = new Map();
+    const summary = { matched: 0, created: stations.length, aliasesAdded: 0, unassigned: 0 };
+
+    for (const record of records) {
+      const method = record.processing?.stationMatch?.method;
+      if (!record.station) {
+        summary.unassigned++;
+        continue;
+      }
+      if (method === 'created') continue;
+
+      summary.matched++;
+      if (method === 'fuzzy') {
+        const id = String(record.station);
+        if (!newAliases.has(id)) newAliases.set(id, []);
+        newAliases.get(id).push(record.location.name.trim());
+        summary.aliasesAdded++;
+      }
+    }
+
+    await this.saveStations(stations, newAliases);
+    return summary;
+  }
+
+  /**
+   * Create stations and add aliases
+   * @param {Array} created - New stations
+   * @param {Map} newAliases - Station _id -> aliases
+   */
+  async saveStations(created, newAliases) {
+    if (created.length > 0) {
+      await Station.insertMany(created, { ordered: false });
+    }
+
+    if (newAliases.size > 0) {
+      await Station.bulkWrite([...newAliases].map(([id, aliases]) => ({
+        updateOne: {
+          filter: { _id: id },
+          update: { $addToSet: { aliases: { $each: aliases } } }
+        }
+      })), { ordered: false });
+    }
+  }
+
+  /**
+   * Match records to stations without saving anything; stations are created in memory for rows that match none
+   * (STATION_AUTO_CREATE), so later rows of the same records match them.
+   * Sets `station` and `processing.stationMatch` on each record.
+   * @param {Array} records - Plain PollutionData documents
+   * @returns {Promise<Object>} { summary, created, newAliases }: counts, new stations and new aliases per station _id
+   */
+  async matchStations(records) {
+    const stations = await this.findCandidates(records);
+    const created = [];
+    const newAliases = new Map(); // Station _id -> aliases
+    const summary = { matched: 0, created: 0, aliasesAdded: 0, unassigned: 0 };
+
+    for (const record of records) {
+      if (!record.location?.name || !Array.isArray(record.coordinates?.coordinates)) {
+        summary.unassigned++;
+        continue;
+      }
+
+      let match = this.matchRecord(record, stations);
+
+      if (match) {
+        summary.matched++;
+
+        // Remember the new spelling, so the next upload matches it exactly
+        if (match.method === 'fuzzy') {
+          const alias = record.location.name.trim();
+          match.station.aliases = [...(match.station.aliases || []), alias];
+          if (!newAliases.has(String(match.station._id))) newAliases.set(String(match.station._id), []);
+          newAliases.get(String(match.station._id)).push(alias);
+          summary.aliasesAdded++;
+        }
+      } else if (this.autoCreate) {
+        const station = {
+          _id: new mongoose.Types.ObjectId(),
+          stationId: Station.generateStationId(),
+          name: record.location.name.trim(),
+          aliases: [],
+          coordinates: { type: 'Point', coordinates: [...record.coordinates.coordinates] },
+          state: record.location.state || undefined,
+          district: record.location.district || undefined,
+          source: 'ingestion'
+        };
+
+        // Later rows of the same upload match the new station
+        stations.push(station);
+        created.push(station);
+        summary.created++;
+        match = { station, method: 'created', score: 1, distanceMeters: 0 };
+      } else {
+        summary.unassigned++;
+        continue;
+      }
+
+      record.station = match.station._id;
+      record.processing = {
+        ...record.processing,
+        stationMatch: {
+          stationId: match.station.stationId,
+          method: match.method,
+          score: Math.round(match.score * 1000) / 1000,
+          distanceMeters: Math.round(match.distanceMeters)
+        }
+      };
+    }
+
+    return { summary, created, newAliases };
+  }
+}
+
+// Create singleton instance
+const stationMatcher = new StationMatcher();
+
+export default stationMatcher;
\ No newline at end of file
@@ -0,0 +1,274 @@
+import XLSX from 'xlsx';
+import { HeavyMetalStandard } from '../models/index.js';
+import { indianStates } from '../config/regions.js';
+import ExcelParser from './excelParser.js';
+import hmpiCalculator from './hmpiCalculator.js';
+import sampleInfoParser from './sampleInfoParser.js';
+
+/**
+ * Builds upload templates from the metals the parser ingests and the active heavy metal standards,
+ * so a lab always receives a workbook that parses cleanly
+ */
+class TemplateGenerator {
+  constructor() {
+    this.dataSheetName = 'Pollution Data';
+    this.listsSheetName = 'Lists';
+    this.firstYear = 1990;
+    this.maxRows = 1000; // Rows covered by the dropdowns
+
+    this.locationColumns = [
+      { header: 'S. No.', width: 8, description: 'Sample serial number, unique within the file' },
+      { header: 'State', width: 22, description: 'State or union territory (pick from the list)' },
+      { header: 'District', width: 18, description: 'District name' },
+      { header: 'Location', width: 24, description: 'Sampling location name (required)' },
+      { header: 'Latitude', width: 12, description: 'Decimal degrees (e.g. 26.9124) or degrees-minutes-seconds (e.g. 26°54\'44.6"N) (required)' },
+      { header: 'Longitude', width: 12, description: 'Decimal degrees (e.g. 75.7873) or degrees-minutes-seconds (e.g. 75°47\'14.3"E) (required)' },
+      { header: 'Year', width: 8, description: 'Sampling year (pick from the list)' },
+      { header: 'Sampling Date', width: 14, description: 'Date the sample was taken, day first (e.g. 15/05/2024), optional' },
+      { header: 'Season', width: 14, description: 'Sampling season (pick from the list), optional; taken from the sampling date when blank' },
+      { header: 'Depth (m)', width: 10, description: 'Sampling depth in meters below ground level, optional' }
+    ];
+
+    this.environmentalColumns = [
+      { header: 'pH', example: 7.4 },
+      { header: 'EC (µS/cm at 25°C)', example: 890 },
+      { header: 'Total Hardness (mg/L)', example: 345 },
+      { header: 'Cl (mg/L)', example: 48 },
+      { header: 'F (mg/L)', example: 0.9 },
+      { header: 'NO3 (mg/L)', example: 28 }
+    ];
+
+    this.exampleLocations = [
+      { state: 'Rajasthan', district: 'Jaipur', name: 'Sanganer', latitude: 26.9124, longitude: 75.7873 },
+      { state: 'Karnataka', district: 'Bangalore', name: 'Electronic City', latitude: 12.9716, longitude: 77.5946 },
+      { state: 'West Bengal', district: 'Kolkata', name: 'Salt Lake', latitude: 22.5726, longitude: 88.3639 }
+    ];
+  }
+
+  /**
+   * Pick the active standard of each metal, preferring the requested category, then the default category
+   * @param {string} category - Preferred standard category (one of hmpiCalculator.standardCategories)
+   * @returns {Promise<Map>} Standard per upper-case metal symbol
+   */
+  async getStandardsByMetal(category) {
+    const preferred = category || hmpiCalculator.standardCategory;
+    const preference = [preferred, ...hmpiCalculator.standardCategories.filter(entry => entry !== preferred)];
+    const rank = standard => {
+      const index = preference.indexOf(standard.category);
+      return index === -1 ? preference.length : index;
+    };
+
+    const standards = await HeavyMetalStandard.find({ isActive: true })
+      .select('metal standardValue unit category source')
+      .lean();
+
+    const byMetal = new Map();
+    for (const standard of standards) {
+      const current = byMetal.get(standard.metal);
+      if (!current || rank(standard) < rank(current)) {
+        byMetal.set(standard.metal, standard);
+      }
+    }
+
+    return byMetal;
+  }
+
+  /**
+   * Metal columns of the template: every metal the parser ingests, with the unit of its standard
+   * @param {Map} standardsByMetal - Standard per upper-case metal symbol
+   * @returns {Object} Metal columns and the standards the parser would ignore
+   */
+  buildMetalColumns(standardsByMetal) {
+    const parser = new ExcelParser();
+
+    const columns = parser.heavyMetals.map(metal => {
+      const standard = standardsByMetal.get(metal.toUpperCase());
+      const unit = standard?.unit || 'ppm';
+
+      return {
+        metal,
+        unit,
+        header: `${metal} (${unit})`,
+        standard
+      };
+    });
+
+    // Metals with a standard first, so the regulated ones are easy to find
+    columns.sort((a, b) => Number(Boolean(b.standard)) - Number(Boolean(a.standard)));
+
+    const configured = new Set(parser.heavyMetals.map(metal => metal.toUpperCase()));
+    const ignoredStandards = [...standardsByMetal.keys()].filter(metal => !configured.has(metal));
+
+    return { columns, ignoredStandards };
+  }
+
+  /**
+   * Example rows with values below, near and above each metal's standard
+   * @param {Array} metalColumns - Metal columns of the template
+   * @returns {Array} Example data rows
+   */
+  buildExampleRows(metalColumns) {
+    const year = new Date().getFullYear() - 1;
+
+    return this.exampleLocations.map((location, index) => {
+      const factor = [0.4, 0.9, 1.6][index % 3]; // Safe, borderline and exceeding samples
+
+      return [
+        index + 1,
+        location.state,
+        location.district,
+        location.name,
+        location.latitude,
+        location.longitude,
+        year,
+        `15/05/${year}`,
+        sampleInfoParser.seasons[0],
+        [30, 45, 60][index % 3],
+        ...this.environmentalColumns.map(column => column.example),
+        ...metalColumns.map(column => (
+          column.standard ? Math.round(column.standard.standardValue * factor * 1000) / 1000 : null
+        ))
+      ];
+    });
+  }
+
+  /**
+   * Instructions sheet: one line per column plus the standards in use
+   * @param {Array} metalColumns - Metal columns of the template
+   * @param {Array} ignoredStandards - Metals with a standard that the parser does not ingest
+   * @returns {Array} Sheet rows
+   */
+  buildInstructions(metalColumns, ignoredStandards) {
+    const rows = [
+      ['HMPI upload template'],
+      [`Generated ${new Date().toISOString().slice(0, 10)}. Fill in the "${this.dataSheetName}" sheet, one row per sample, and upload it to /api/data/upload.`],
+      ['Keep the header row as it is: the unit in brackets tells the server how to read each value.'],
+      ['Leave a cell blank when a parameter was not measured. Enter numbers only, without units.'],
+      ['Report values below the detection limit as "<" followed by the limit (e.g. <0.001), or as BDL / ND. Mark estimated values with an asterisk (e.g. 0.002*).'],
+      [],
+      ['Column', 'Unit', 'Description', 'Standard limit', 'Standard']
+    ];
+
+    for (const column of this.locationColumns) {
+      rows.push([column.header, '', column.description]);
+    }
+
+    for (const column of this.environmentalColumns) {
+      rows.push([column.header, '', 'Environmental parameter (optional)']);
+    }
+
+    for (const column of metalColumns) {
+      rows.push([
+        column.header,
+        column.unit,
+        `Heavy metal concentration of ${column.metal}`,
+        column.standard ? column.standard.standardValue : '',
+        column.standard ? `${column.standard.category} - ${column.standard.source}` : 'No active standard'
+      ]);
+    }
+
+    if (ignoredStandards.length > 0) {
+      rows.push([]);
+      rows.push([`Standards exist for ${ignoredStandards.join(', ')}, but this server does not ingest these metals (see HEAVY_METALS).`]);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Add list validations to the data sheet.
+   * The bundled SheetJS build does not write data validations, so they are added to the sheet XML directly.
+   * @param {Buffer} buffer - Written .xlsx file
+   * @param {Array} validations - { column, listRange } entries
+   * @returns {Buffer} .xlsx file with the validations
+   */
+  addListValidations(buffer, validations) {
+    const zip = XLSX.CFB.read(buffer, { type: 'buffer' });
+    const entry = XLSX.CFB.find(zip, '/xl/worksheets/sheet1.xml');
+    const xml = Buffer.from(entry.content).toString('utf8');
+
+    const rules = validations.map(({ column, listRange }) => (
+      `<dataValidation type="list" allowBlank="1" showErrorMessage="1" sqref="${column}2:${column}${this.maxRows + 1}">` +
+      `<formula1>${listRange}</formula1></dataValidation>`
+    )).join('');
+    const dataValidations = `<dataValidations count="${validations.length}">${rules}</dataValidations>`;
+
+    // dataValidations must come before these elements in the worksheet XML
+    const following = xml.match(/<(hyperlinks|printOptions|pageMargins|pageSetup|headerFooter|rowBreaks|colBreaks|customProperties|cellWatches|ignoredErrors|smartTags|drawing|legacyDrawing|legacyDrawingHF|picture|oleObjects|controls|webPublishItems|tableParts|extLst)[\s>/]/);
+    const insertAt = following ? following.index : xml.lastIndexOf('</worksheet>');
+
+    entry.content = Buffer.from(xml.slice(0, insertAt) + dataValidations + xml.slice(insertAt), 'utf8');
+
+    return XLSX.CFB.write(zip, { type: 'buffer', fileType: 'zip' });
+  }
+
+  /**
+   * Generate an upload template
+   * @param {Object} options - Template options
+   * @param {boolean} options.example - Fill in example rows instead of leaving the sheet blank
+   * @param {string} options.category - Preferred standard category for unit hints
+   * @returns {Promise<Object>} File buffer, download name, content type and the columns used
+   */
+  async generate({ example = false, category } = {}) {
+    const standardsByMetal = await this.getStandardsByMetal(category);
+    const { columns: metalColumns, ignoredStandards } = this.buildMetalColumns(standardsByMetal);
+
+    const headers = [
+      ...this.locationColumns.map(column => column.header),
+      ...this.environmentalColumns.map(column => column.header),
+      ...metalColumns.map(column => column.header)
+    ];
+
+    const dataSheet = XLSX.utils.aoa_to_sheet([
+      headers,
+      ...(example ? this.buildExampleRows(metalColumns) : [])
+    ]);
+    dataSheet['!cols'] = [
+      ...this.locationColumns.map(column => ({ wch: column.width })),
+      ...headers.slice(this.locationColumns.length).map(header => ({ wch: Math.max(header.length + 2, 10) }))
+    ];
+
+    // Dropdown sources live on a hidden sheet, lists longer than 255 characters cannot be inline
+    const currentYear = new Date().getFullYear();
+    const years = [];
+    for (let year = currentYear; year >= this.firstYear; year--) years.push(year);
+
+    const listRows = [['State', 'Year', 'Season']];
+    for (let i = 0; i < Math.max(indianStates.length, years.length); i++) {
+      listRows.push([indianStates[i] ?? null, years[i] ?? null, sampleInfoParser.seasons[i] ?? null]);
+    }
+    const listsSheet = XLSX.utils.aoa_to_sheet(listRows);
+
+    const instructionsSheet = XLSX.utils.aoa_to_sheet(this.buildInstructions(metalColumns, ignoredStandards));
+    instructionsSheet['!cols'] = [{ wch: 24 }, { wch: 8 }, { wch: 48 }, { wch: 14 }, { wch: 60 }];
+
+    // The data sheet comes first, so an upload with default options reads it
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, dataSheet, this.dataSheetName);
+    XLSX.utils.book_append_sheet(workbook, instructionsSheet, 'Instructions');
+    XLSX.utils.book_append_sheet(workbook, listsSheet, this.listsSheetName);
+    workbook.Workbook = { Sheets: [{ Hidden: 0 }, { Hidden: 0 }, { Hidden: 1 }] };
+
+    const columnLetter = header => XLSX.utils.encode_col(headers.indexOf(header));
+    const buffer = this.addListValidations(
+      XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }),
+      [
+        { column: columnLetter('State'), listRange: `${this.listsSheetName}!$A$2:$A$${indianStates.length + 1}` },
+        { column: columnLetter('Year'), listRange: `${this.listsSheetName}!$B$2:$B$${years.length + 1}` },
+        { column: columnLetter('Season'), listRange: `${this.listsSheetName}!$C$2:$C$${sampleInfoParser.seasons.length + 1}` }
+      ]
+    );
+
+    return {
+      buffer,
+      fileName: example ? 'hmpi_upload_template_example.xlsx' : 'hmpi_upload_template.xlsx',
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      metals: metalColumns.map(column => ({ metal: column.metal, unit: column.unit }))
+    };
+  }
+}
+
+// Create singleton instance
+const templateGenerator = new TemplateGenerator();
+
+export default templateGenerator;
\ No newline at end of file
@@ -0,0 +1,200 @@
+import hmpiCalculator from './hmpiCalculator.js';
+
+/**
+ * Builds chart-ready yearly series of every metal, environmental parameter and stored index.
+ * All series share one year axis; years without a sample are kept as gaps (null values) instead of
+ * being skipped, so charts do not draw a straight line across missing campaigns.
+ */
+class TimeSeriesBuilder {
+  constructor() {
+    // Stored indices and where their value lives under pollutionIndices
+    this.indices = {
+      hpi: ['hpi.value', 'hmpi.value'],
+      nemerowIndex: ['nemerowIndex.value'],
+      pollutionLoadIndex: ['pollutionLoadIndex.value'],
+      ecologicalRiskIndex: ['ecologicalRiskIndex.totalValue']
+    };
+
+    // Fitted change over the whole series, as a percentage of its mean, below which the trend is 'stable'
+    this.stableChangePercent = parseFloat(process.env.TREND_STABLE_PERCENT) || 5;
+    this.fields = 'station location coordinates sampleInfo heavyMetals environmentalParams pollutionIndices';
+  }
+
+  /**
+   * Read the year range of a request (checked by timeSeriesQuerySchema)
+   * @param {Object} query - Request query ({ from, to })
+   * @returns {Object} { from, to } years (undefined when not given)
+   */
+  resolveOptions({ from, to } = {}) {
+    return {
+      from: from !== undefined ? parseInt(from) : undefined,
+      to: to !== undefined ? parseInt(to) : undefined
+    };
+  }
+
+  /**
+   * Read a stored index value
+   * @param {Object} pollutionIndices - Record's pollution indices
+   * @param {Array} paths - Candidate paths, first number found wins
+   * @returns {number|null} Index value
+   */
+  readIndex(pollutionIndices, paths) {
+    for (const path of paths) {
+      const value = path.split('.').reduce((node, key) => node?.[key], pollutionIndices);
+      if (typeof value === 'number' && !isNaN(value)) return value;
+    }
+    return null;
+  }
+
+  /**
+   * Group the values of a set of records by series and year
+   * @param {Array} records - Lean PollutionData documents
+   * @returns {Object} { metals, environmentalParams, indices } each mapping a name to { unit, years: Map(year -> values) }
+   */
+  collect(records) {
+    const groups = { metals: {}, environmentalParams: {}, indices: {} };
+
+    const add = (group, name, unit, year, value) => {
+      if (typeof value !== 'number' || isNaN(value)) return;
+      if (!groups[group][name]) groups[group][name] = { unit, years: new Map() };
+
+      const years = groups[group][name].years;
+      if (!years.has(year)) years.set(year, []);
+      years.get(year).push(value);
+    };
+
+    for (const record of records) {
+      const year = record.sampleInfo?.year;
+      if (!year) continue;
+
+      // Metals in mg/L, so uploads in ppb and ppm land on one scale
+      for (const [metal, data] of Object.entries(record.heavyMetals || {})) {
+        if (typeof data?.value !== 'number') continue;
+        add('metals', metal.toUpperCase(), 'mg/L', year, hmpiCalculator.normalizeToMgL(data.value, data.unit || 'ppm'));
+      }
+
+      for (const [param, data] of Object.entries(record.environmentalParams || {})) {
+        const isObject = data !== null && typeof data === 'object';
+        add('environmentalParams', param, isObject ? data.unit : undefined, year, isObject ? data.value : data);
+      }
+
+      for (const [index, paths] of Object.entries(this.indices)) {
+        add('indices', index, undefined, year, this.readIndex(record.pollutionIndices, paths));
+      }
+    }
+
+    return groups;
+  }
+
+  /**
+   * Least-squares trend of a series against the year
+   * @param {Array} points - { year, value } points with a value
+   * @returns {Object} { slope (per year), changePercent, direction }
+   */
+  calculateTrend(points) {
+    if (points.length < 2) {
+      return { slope: null, changePercent: null, direction: 'insufficient data' };
+    }
+
+    const n = points.length;
+    const meanYear = points.reduce((sum, point) => sum + point.year, 0) / n;
+    const meanValue = points.reduce((sum, point) => sum + point.value, 0) / n;
+
+    let covariance = 0;
+    let variance = 0;
+    for (const { year, value } of points) {
+      covariance += (year - meanYear) * (value - meanValue);
+      variance += (year - meanYear) ** 2;
+    }
+
+    const slope = covariance / variance;
+    const span = points[n - 1].year - points[0].year;
+    const changePercent = meanValue !== 0 ? (slope * span / Math.abs(meanValue)) * 100 : null;
+
+    let direction = 'stable';
+    if (changePercent === null ? slope !== 0 : Math.abs(changePercent) >= this.stableChangePercent) {
+      direction = slope > 0 ? 'increasing' : 'decreasing';
+    }
+
+    return {
+      slope: Math.round(slope * 1e6) / 1e6,
+      changePercent: changePercent === null ? null : Math.round(changePercent * 10) / 10,
+      direction
+    };
+  }
+
+  /**
+   * Build one series over the shared year axis
+   * @param {Object} entry - { unit, years } from collect()
+   * @param {Array} axis - Every year of the response
+   * @returns {Object} Points (null in gap years), gaps, min, max and trend
+   */
+  buildSeries(entry, axis) {
+    const points = axis.map(year => {
+      const values = entry.years.get(year) || [];
+      return {
+        year,
+        value: values.length > 0
+          ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 1e6) / 1e6
+          : null,
+        count: values.length
+      };
+    });
+
+    const measured = points.filter(point => point.value !== null);
+    const min = measured.reduce((lowest, point) => (!lowest || point.value < lowest.value ? point : lowest), null);
+    const max = measured.reduce((highest, point) => (!highest || point.value > highest.value ? point : highest), null);
+    const first = measured[0]?.year;
+    const last = measured[measured.length - 1]?.year;
+
+    return {
+      ...(entry.unit && { unit: entry.unit }),
+      points,
+      // Years inside the series' own range without a value (before the first or after the last are not gaps)
+      gaps: points.filter(point => point.value === null && point.year > first && point.year < last).map(point => point.year),
+      min: min ? { value: min.value, year: min.year } : null,
+      max: max ? { value: max.value, year: max.year } : null,
+      trend: this.calculateTrend(measured)
+    };
+  }
+
+  /**
+   * Build the time series of a set of records
+   * @param {Array} records - Lean PollutionData documents
+   * @param {Object} options - Year range
+   * @param {number} options.from - First year of the axis (default: first sampled year)
+   * @param {number} options.to - Last year of the axis (default: last sampled year)
+   * @returns {Object} Year axis, sampled and missing years, and series per metal, parameter and index
+   */
+  build(records, { from, to } = {}) {
+    const groups = this.collect(records);
+    const sampledYears = [...new Set(records.map(record => record.sampleInfo?.year).filter(Boolean))].sort((a, b) => a - b);
+
+    const firstYear = from || sampledYears[0];
+    const lastYear = to || sampledYears[sampledYears.length - 1];
+    const axis = [];
+    if (firstYear && lastYear) {
+      for (let year = firstYear; year <= lastYear; year++) axis.push(year);
+    }
+
+    const series = {};
+    for (const [group, entries] of Object.entries(groups)) {
+      series[group] = {};
+      for (const name of Object.keys(entries).sort()) {
+        series[group][name] = this.buildSeries(entries[name], axis);
+      }
+    }
+
+    return {
+      sampleCount: records.length,
+      years: axis,
+      missingYears: axis.filter(year => !sampledYears.includes(year)),
+      series
+    };
+  }
+}
+
+// Create singleton instance
+const timeSeriesBuilder = new TimeSeriesBuilder();
+
+export default timeSeriesBuilder;
\ No newline at end of file
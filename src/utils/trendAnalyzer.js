@@ -0,0 +1,185 @@
+import timeSeriesBuilder from './timeSeriesBuilder.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+/**
+ * Detects monotonic trends in yearly series with the Mann-Kendall test and estimates their size
+ * with Sen's slope. Both are rank based, so they hold up against the outliers and censored values
+ * common in groundwater monitoring data, and need no assumption about the distribution.
+ */
+class TrendAnalyzer {
+  constructor() {
+    this.significanceLevels = [0.01, 0.05, 0.1];
+    this.alpha = parseFloat(process.env.TREND_SIGNIFICANCE) || 0.05;
+    this.minYears = parseInt(process.env.TREND_MIN_YEARS) || 4; // Fewer years cannot reach significance
+
+    // Series where a rising value means worse water; environmental parameters like pH have no single bad direction
+    this.worseningGroups = ['metals', 'indices'];
+  }
+
+  /**
+   * Read the significance level of a request
+   * @param {Object} query - Request query ({ alpha })
+   * @returns {number} Significance level
+   */
+  resolveAlpha({ alpha } = {}) {
+    if (alpha === undefined) return this.alpha;
+
+    const value = parseFloat(alpha);
+    if (!this.significanceLevels.includes(value)) {
+      throw new AppError(`alpha must be one of: ${this.significanceLevels.join(', ')}`, 400);
+    }
+    return value;
+  }
+
+  /**
+   * Standard normal cumulative distribution (Abramowitz and Stegun 26.2.17)
+   * @param {number} z - Z score
+   * @returns {number} P(Z <= z)
+   */
+  normalCdf(z) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(z));
+    const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+    const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    return z >= 0 ? 1 - tail : tail;
+  }
+
+  /**
+   * Mann-Kendall test on values in chronological order
+   * @param {Array} values - Values ordered by time
+   * @returns {Object} { s, variance, z, pValue, tau }
+   */
+  mannKendall(values) {
+    const n = values.length;
+    let s = 0;
+
+    for (let i = 0; i < n - 1; i++) {
+      for (let j = i + 1; j < n; j++) {
+        s += Math.sign(values[j] - values[i]);
+      }
+    }
+
+    // Variance corrected for tied values
+    const ties = new Map();
+    for (const value of values) ties.set(value, (ties.get(value) || 0) + 1);
+    let tieCorrection = 0;
+    for (const t of ties.values()) {
+      if (t > 1) tieCorrection += t * (t - 1) * (2 * t + 5);
+    }
+    const variance = (n * (n - 1) * (2 * n + 5) - tieCorrection) / 18;
+
+    let z = 0;
+    if (variance > 0 && s > 0) z = (s - 1) / Math.sqrt(variance);
+    if (variance > 0 && s < 0) z = (s + 1) / Math.sqrt(variance);
+
+    return {
+      s,
+      variance,
+      z,
+      pValue: 2 * (1 - this.normalCdf(Math.abs(z))), // Two-sided
+      tau: s / (n * (n - 1) / 2)
+    };
+  }
+
+  /**
+   * Sen's slope: median of the slopes between every pair of points
+   * @param {Array} points - { year, value } points
+   * @returns {number} Change per year
+   */
+  sensSlope(points) {
+    const slopes = [];
+
+    for (let i = 0; i < points.length - 1; i++) {
+      for (let j = i + 1; j < points.length; j++) {
+        slopes.push((points[j].value - points[i].value) / (points[j].year - points[i].year));
+      }
+    }
+
+    slopes.sort((a, b) => a - b);
+    const middle = Math.floor(slopes.length / 2);
+    return slopes.length % 2 === 1 ? slopes[middle] : (slopes[middle - 1] + slopes[middle]) / 2;
+  }
+
+  /**
+   * Trend of one yearly series
+   * @param {Array} points - { year, value } points; gap years (null values) are left out
+   * @param {number} alpha - Significance level
+   * @returns {Object} Test statistics, Sen's slope, significance and direction
+   */
+  analyze(points, alpha = this.alpha) {
+    const measured = points.filter(point => point.value !== null && point.value !== undefined);
+
+    if (measured.length < this.minYears) {
+      return {
+        years: measured.length,
+        direction: 'insufficient data',
+        significant: false,
+        message: `At least ${this.minYears} sampled years are needed`
+      };
+    }
+
+    const { s, z, pValue, tau } = this.mannKendall(measured.map(point => point.value));
+    const significant = pValue < alpha;
+    const slope = this.sensSlope(measured);
+    const passedLevel = this.significanceLevels.find(level => pValue < level); // Strictest of the usual levels
+
+    let direction = 'no trend';
+    if (significant) direction = s > 0 ? 'increasing' : 'decreasing';
+
+    return {
+      years: measured.length,
+      from: measured[0].year,
+      to: measured[measured.length - 1].year,
+      s,
+      z: Math.round(z * 1000) / 1000,
+      pValue: Math.round(pValue * 10000) / 10000,
+      tau: Math.round(tau * 1000) / 1000,
+      sensSlope: Math.round(slope * 1e6) / 1e6, // Per year, in the unit of the series
+      confidenceLevel: passedLevel ? `${Math.round((1 - passedLevel) * 100)}%` : null,
+      alpha,
+      significant,
+      direction
+    };
+  }
+
+  /**
+   * Trends of every series of a set of records
+   * @param {Array} records - Lean PollutionData documents (timeSeriesBuilder.fields)
+   * @param {Object} options - Analysis options
+   * @param {number} options.alpha - Significance level
+   * @param {string} options.metal - Only analyze this metal (and the indices)
+   * @returns {Object} { sampleCount, years, trends: { metals, environmentalParams, indices }, worsening }
+   */
+  analyzeRecords(records, { alpha = this.alpha, metal } = {}) {
+    const { years, series } = timeSeriesBuilder.build(records);
+    const trends = {};
+    const worsening = [];
+
+    for (const [group, entries] of Object.entries(series)) {
+      trends[group] = {};
+
+      for (const [name, entry] of Object.entries(entries)) {
+        if (metal && group !== 'indices' && name !== metal.toUpperCase()) continue;
+
+        const trend = this.analyze(entry.points, alpha);
+        trends[group][name] = { ...(entry.unit && { unit: entry.unit }), ...trend };
+
+        if (this.worseningGroups.includes(group) && trend.direction === 'increasing') {
+          worsening.push(name);
+        }
+      }
+    }
+
+    return {
+      sampleCount: records.length,
+      years: years.length > 0 ? { from: years[0], to: years[years.length - 1] } : null,
+      trends,
+      // Metals and indices rising significantly
+      worsening
+    };
+  }
+}
+
+// Create singleton instance
+const trendAnalyzer = new TrendAnalyzer();
+
+export default trendAnalyzer;
\ No newline at end of file
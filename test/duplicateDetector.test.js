@@ -0,0 +1,201 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { PollutionData } from '../src/models/index.js';
+import duplicateDetector from '../src/utils/duplicateDetector.js';
+
+const batchId = new mongoose.Types.ObjectId();
+const otherBatchId = new mongoose.Types.ObjectId();
+
+// Plain record shaped like recordBuilder output; at latitude 22.5, 0.00015 degrees of longitude is about 15 m
+const buildRecord = ({ name = 'Well 1', serialNumber, year = 2020, longitude = 78.1, rowNumber = 2, heavyMetals = {}, environmentalParams = {} } = {}) => ({
+  location: { name },
+  coordinates: { type: 'Point', coordinates: [longitude, 22.5] },
+  sampleInfo: { year, serialNumber },
+  heavyMetals,
+  environmentalParams,
+  processing: { sheetName: 'Sheet1', rowNumber },
+  qualityFlags: { possibleDuplicate: false, hasAnomalies: false, anomalies: [] }
+});
+
+const options = (policy) => duplicateDetector.resolveOptions({ policy, distanceMeters: 50, yearWindow: 0 });
+
+describe('duplicateDetector', () => {
+  describe('resolveOptions', () => {
+    it('validates the policy, distance and year window', () => {
+      assert.deepEqual(duplicateDetector.resolveOptions({ policy: ' Merge ', distanceMeters: '25', yearWindow: '1' }), {
+        policy: 'merge',
+        distanceMeters: 25,
+        yearWindow: 1
+      });
+      assert.throws(() => duplicateDetector.resolveOptions({ policy: 'drop' }), { statusCode: 400 });
+      assert.throws(() => duplicateDetector.resolveOptions({ distanceMeters: '-1' }), { statusCode: 400 });
+      assert.throws(() => duplicateDetector.resolveOptions({ yearWindow: 'x' }), { statusCode: 400 });
+    });
+  });
+
+  describe('resolve', () => {
+    it('inserts records without a match untouched', async (t) => {
+      t.mock.method(duplicateDetector, 'findStoredCandidates', async () => []);
+      const records = [buildRecord(), buildRecord({ name: 'Well 2', rowNumber: 3 }), buildRecord({ year: 2021, rowNumber: 4 })];
+
+      const result = await duplicateDetector.resolve(records, options('skip'), { batchId });
+      assert.equal(result.recordsToInsert.length, 3);
+      assert.deepEqual(result.storedUpdates, []);
+      assert.equal(result.report.detected, 0);
+    });
+
+    it('flags both samples under the keep policy', async (t) => {
+      const stored = { _id: new mongoose.Types.ObjectId(), ...buildRecord({ longitude: 78.10015 }) };
+      t.mock.method(duplicateDetector, 'findStoredCandidates', async () => [stored]);
+      const record = buildRecord();
+
+      const result = await duplicateDetector.resolve([record], options('keep'), { batchId, fileName: 'survey.csv' });
+      assert.deepEqual(result.recordsToInsert, [record]);
+      assert.equal(record.qualityFlags.possibleDuplicate, true);
+      assert.equal(record.qualityFlags.duplicateDecisions[0].decision, 'kept');
+      assert.equal(record.qualityFlags.duplicateDecisions[0].matchedRecord, stored._id);
+      assert.equal(result.report.kept, 1);
+
+      const { filter, update } = result.storedUpdates[0].updateOne;
+      assert.equal(filter._id, stored._id);
+      assert.equal(update.$set['qualityFlags.possibleDuplicate'], true);
+      assert.deepEqual(update.$push['qualityFlags.duplicateDecisions'].$each, []);
+    });
+
+    it('leaves out duplicates of stored records under the skip policy', async (t) => {
+      const stored = { _id: new mongoose.Types.ObjectId(), ...buildRecord({ name: 'Old name', serialNumber: 'GW-7' }) };
+      t.mock.method(duplicateDetector, 'findStoredCandidates', async () => [stored]);
+
+      const result = await duplicateDetector.resolve([buildRecord({ serialNumber: 'GW-7' })], options('skip'), { batchId });
+      assert.deepEqual(result.recordsToInsert, []);
+      assert.equal(result.report.skipped, 1);
+      assert.equal(result.storedUpdates[0].updateOne.update.$push['qualityFlags.duplicateDecisions'].$each[0].decision, 'skipped');
+    });
+
+    it('does not match samples too far apart, from other years or other campaigns', async (t) => {
+      t.mock.method(duplicateDetector, 'findStoredCandidates', async () => [
+        { _id: new mongoose.Types.ObjectId(), ...buildRecord({ longitude: 78.101 }) },
+        { _id: new mongoose.Types.ObjectId(), ...buildRecord({ year: 2019 }) },
+        { _id: new mongoose.Types.ObjectId(), ...buildRecord(), sampleInfo: { year: 2020, season: 'post-monsoon' } }
+      ]);
+      const record = buildRecord();
+      record.sampleInfo.season = 'pre-monsoon';
+
+      const result = await duplicateDetector.resolve([record], options('skip'), { batchId });
+      assert.equal(result.recordsToInsert.length, 1);
+      assert.equal(result.report.detected, 0);
+    });
+
+    it('merges missing values into a stored record and keeps its conflicting values', async (t) => {
+      const stored = {
+        _id: new mongoose.Types.ObjectId(),
+        ...buildRecord({ environmentalParams: { pH: { value: 7.1 }, EC: { value: 400, unit: 'µS/cm' } } })
+      };
+      t.mock.method(duplicateDetector, 'findStoredCandidates', async () => [stored]);
+      const record = buildRecord({ environmentalParams: { pH: { value: 7.4 }, TDS: { value: 250, unit: 'mg/L' } } });
+
+      const result = await duplicateDetector.resolve([record], options('merge'), { batchId });
+      assert.deepEqual(result.recordsToInsert, []);
+      assert.equal(result.report.merged, 1);
+      assert.deepEqual(result.report.details[0].mergedFields, ['environmentalParams.TDS']);
+      assert.deepEqual(result.report.details[0].conflictingFields, ['environmentalParams.pH']);
+
+      const { update } = result.storedUpdates[0].updateOne;
+      assert.deepEqual(update.$set['environmentalParams.TDS'], { value: 250, unit: 'mg/L' });
+      assert.equal(update.$set['environmentalParams.pH'], undefined);
+      assert.deepEqual(update.$push['qualityFlags.duplicateDecisions'].$each[0].mergedValues, {
+        environmentalParams: { TDS: { value: 250, unit: 'mg/L' } }
+      });
+    });
+
+    it('merges a repeated row into the earlier row of the same file', async (t) => {
+      t.mock.method(duplicateDetector, 'findStoredCandidates', async () => []);
+      const first = buildRecord({ environmentalParams: { pH: { value: 7.1 } } });
+      const repeat = buildRecord({ rowNumber: 3, environmentalParams: { TDS: { value: 250 } } });
+
+      const result = await duplicateDetector.resolve([first, repeat], options('merge'), { batchId });
+      assert.deepEqual(result.recordsToInsert, [first]);
+      assert.deepEqual(result.storedUpdates, []);
+      assert.ok(first._id);
+      assert.deepEqual(first.environmentalParams.TDS, { value: 250 });
+      assert.equal(first.qualityFlags.duplicateDecisions[0].rowNumber, 3);
+    });
+  });
+
+  describe('revertMerges', () => {
+    const stubPollutionData = (t, records) => {
+      const calls = { filter: null, operations: [] };
+      t.mock.method(PollutionData, 'find', (filter) => {
+        calls.filter = filter;
+        return { select: () => ({ lean: () => ({ cursor: () => records }) }) };
+      });
+      t.mock.method(PollutionData, 'bulkWrite', async (operations) => {
+        calls.operations.push(...operations);
+      });
+      return calls;
+    };
+
+    const mergedDecision = (mergedFields, mergedValues) => ({ decision: 'merged', batchId, mergedFields, mergedValues });
+
+    it('removes values that are still the ones merged in', async (t) => {
+      const tds = { value: 250, unit: 'mg/L' };
+      const calls = stubPollutionData(t, [{
+        _id: 1,
+        environmentalParams: { TDS: tds, pH: { value: 7 } },
+        processing: { batchId: otherBatchId },
+        qualityFlags: { duplicateDecisions: [mergedDecision(['environmentalParams.TDS'], { environmentalParams: { TDS: tds } })] }
+      }]);
+
+      assert.deepEqual(await duplicateDetector.revertMerges(batchId), { records: 1, fields: 1 });
+      assert.deepEqual(calls.filter['processing.batchId'], { $ne: batchId });
+
+      const { filter, update, arrayFilters } = calls.operations[0].updateOne;
+      assert.equal(filter._id, 1);
+      assert.deepEqual(update.$unset, { 'environmentalParams.TDS': 1 });
+      assert.ok(update.$set['qualityFlags.duplicateDecisions.$[merge].revertedAt'] instanceof Date);
+      assert.deepEqual(arrayFilters, [{ 'merge.batchId': batchId, 'merge.decision': 'merged' }]);
+    });
+
+    it('keeps values changed since the merge but still marks the decision reverted', async (t) => {
+      const calls = stubPollutionData(t, [{
+        _id: 2,
+        environmentalParams: { TDS: { value: 300, unit: 'mg/L' } },
+        processing: { batchId: otherBatchId },
+        qualityFlags: {
+          duplicateDecisions: [mergedDecision(['environmentalParams.TDS'], { environmentalParams: { TDS: { value: 250, unit: 'mg/L' } } })]
+        }
+      }]);
+
+      assert.deepEqual(await duplicateDetector.revertMerges(batchId), { records: 0, fields: 0 });
+      const { update } = calls.operations[0].updateOne;
+      assert.equal(update.$unset, undefined);
+      assert.ok(update.$set['qualityFlags.duplicateDecisions.$[merge].revertedAt'] instanceof Date);
+    });
+
+    it('leaves decisions of other batches and reverted decisions alone', async (t) => {
+      const tds = { value: 250, unit: 'mg/L' };
+      const calls = stubPollutionData(t, [{
+        _id: 3,
+        environmentalParams: { TDS: tds, EC: { value: 400 } },
+        processing: { batchId: otherBatchId },
+        qualityFlags: {
+          duplicateDecisions: [
+            { ...mergedDecision(['environmentalParams.TDS'], { environmentalParams: { TDS: tds } }), batchId: otherBatchId },
+            { ...mergedDecision(['environmentalParams.EC'], { environmentalParams: { EC: { value: 400 } } }), revertedAt: new Date() }
+          ]
+        }
+      }]);
+
+      assert.deepEqual(await duplicateDetector.revertMerges(batchId), { records: 0, fields: 0 });
+      assert.equal(calls.operations[0].updateOne.update.$unset, undefined);
+    });
+
+    it('writes nothing when the batch merged nothing', async (t) => {
+      const calls = stubPollutionData(t, []);
+      assert.deepEqual(await duplicateDetector.revertMerges(batchId), { records: 0, fields: 0 });
+      assert.equal(PollutionData.bulkWrite.mock.callCount(), 0);
+      assert.deepEqual(calls.operations, []);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelParser from '../src/utils/excelParser.js';
+
+const parser = new ExcelParser();
+
+describe('ExcelParser', () => {
+  describe('detectDelimiter', () => {
+    it('detects the usual delimiters', () => {
+      assert.equal(parser.detectDelimiter('a,b,c\n1,2,3'), ',');
+      assert.equal(parser.detectDelimiter('a;b;c\n1,5;2,5;3'), ';');
+      assert.equal(parser.detectDelimiter('a\tb\tc\n1\t2\t3'), '\t');
+      assert.equal(parser.detectDelimiter('a|b|c\r\n1|2|3'), '|');
+    });
+
+    it('ignores delimiters inside quotes', () => {
+      assert.equal(parser.detectDelimiter('"Site, North";Pb;As\n"Well, 2";0,01;0,02'), ';');
+    });
+
+    it('goes by the column count most lines agree on rather than the first line', () => {
+      const text = [
+        'Report title, groundwater survey, 2020, district A',
+        'Location;Latitude;Longitude;Pb',
+        'Well 1;22.5;78.1;0.01',
+        'Well 2;22.6;78.2;0.02',
+        'Well 3;22.7;78.3;0.03'
+      ].join('\n');
+      assert.equal(parser.detectDelimiter(text), ';');
+    });
+
+    it('defaults to a comma', () => {
+      assert.equal(parser.detectDelimiter('single column\nvalue'), ',');
+      assert.equal(parser.detectDelimiter(''), ',');
+    });
+  });
+
+  describe('parseConcentration', () => {
+    it('reads detected values, including decimal commas and numbers', () => {
+      assert.deepEqual(parser.parseConcentration('0.5'), { value: 0.5, qualifier: 'detected', detectionLimit: null });
+      assert.deepEqual(parser.parseConcentration('0,5', 0.001), { value: 0.5, qualifier: 'detected', detectionLimit: 0.001 });
+      assert.deepEqual(parser.parseConcentration(0.02), { value: 0.02, qualifier: 'detected', detectionLimit: null });
+      assert.equal(parser.parseConcentration('1.5e-3').value, 0.0015);
+    });
+
+    it('reads flagged values as estimates', () => {
+      assert.deepEqual(parser.parseConcentration('0.002*'), { value: 0.002, qualifier: 'estimated', detectionLimit: null });
+    });
+
+    it('reads values below a stated limit', () => {
+      assert.deepEqual(parser.parseConcentration('<0.001'), { value: null, qualifier: '<LOD', detectionLimit: 0.001 });
+      assert.deepEqual(parser.parseConcentration('< 0,5'), { value: null, qualifier: '<LOD', detectionLimit: 0.5 });
+    });
+
+    it('reads named non-detects with or without their limit', () => {
+      assert.deepEqual(parser.parseConcentration('BDL (0.001)'), { value: null, qualifier: 'BDL', detectionLimit: 0.001 });
+      assert.deepEqual(parser.parseConcentration('B.D.L.', 0.002), { value: null, qualifier: 'BDL', detectionLimit: 0.002 });
+      assert.deepEqual(parser.parseConcentration('ND'), { value: null, qualifier: 'ND', detectionLimit: null });
+      assert.deepEqual(parser.parseConcentration('ND<0.5'), { value: null, qualifier: 'ND', detectionLimit: 0.5 });
+      assert.deepEqual(parser.parseConcentration('<LOD'), { value: null, qualifier: '<LOD', detectionLimit: null });
+    });
+
+    it('returns null when nothing was measured', () => {
+      for (const value of ['', '  ', '-', 'NA', 'n/a', 'not analysed']) {
+        assert.equal(parser.parseConcentration(value), null, value);
+      }
+    });
+
+    it('returns undefined for cells that are not concentrations', () => {
+      for (const value of ['abc', '0.5 mg', -1, NaN]) {
+        assert.equal(parser.parseConcentration(value), undefined, String(value));
+      }
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import formulaEvaluator from '../src/utils/formulaEvaluator.js';
+
+const thresholds = {
+  safe: { min: 0, max: 1 },
+  mid: { min: 1, max: 3 },
+  unsafe: { min: 3, max: Infinity }
+};
+
+const compile = (formula, variables = []) => formulaEvaluator.compile({
+  name: 'Test index',
+  type: 'custom',
+  version: '1.0.0',
+  formula,
+  variables,
+  thresholds
+});
+
+const context = {
+  globals: { n: 2, HPI: 40, bodyWeight: 70, waterIntake: 2 },
+  metals: [
+    { metal: 'As', Ci: 0.02, Si: 0.01, CFi: 2 },
+    { metal: 'Pb', Ci: 0.005, Si: 0.01, CFi: 0.5 }
+  ]
+};
+
+describe('formulaEvaluator', () => {
+  describe('tokenize', () => {
+    it('splits numbers, names and operators', () => {
+      const tokens = formulaEvaluator.tokenize('2.5 * Ci + 1e-3');
+      assert.deepEqual(tokens.map(token => token.value), [2.5, '*', 'Ci', '+', 0.001]);
+      assert.deepEqual(tokens.map(token => token.type), ['number', 'operator', 'name', 'operator', 'number']);
+    });
+
+    it('reads ** as ^', () => {
+      assert.equal(formulaEvaluator.tokenize('CFi ** 2')[1].value, '^');
+    });
+
+    it('rejects characters outside the grammar', () => {
+      assert.throws(() => formulaEvaluator.tokenize('Ci; process.exit()'), { statusCode: 400, message: /Unexpected character ';' at position 3/ });
+    });
+  });
+
+  describe('parse', () => {
+    it('rejects empty and overly long expressions', () => {
+      assert.throws(() => formulaEvaluator.parse('  '), { statusCode: 400, message: 'Formula expression is required' });
+      assert.throws(() => formulaEvaluator.parse('1+'.repeat(500) + '1'), { statusCode: 400, message: /cannot exceed 1000 characters/ });
+    });
+
+    it('reports where a malformed expression fails', () => {
+      assert.throws(() => formulaEvaluator.parse('sqrt(2'), { statusCode: 400 });
+    });
+  });
+
+  describe('compile', () => {
+    it('requires a value for variables that are not built in', () => {
+      assert.throws(() => compile('k * HPI', [{ name: 'k', description: 'Factor' }]), { statusCode: 400, message: /'k' is not built in/ });
+    });
+
+    it('keeps declared constants and detects per-metal formulas', () => {
+      const formula = compile('k * HPI', [{ name: 'k', description: 'Factor', value: 0.5 }]);
+      assert.deepEqual(formula.constants, { k: 0.5 });
+      assert.equal(formula.perMetal, false);
+      assert.equal(compile('Ci / Si').perMetal, true);
+      assert.equal(compile('sum(CFi) / n').perMetal, false);
+    });
+  });
+
+  describe('evaluate', () => {
+    it('follows operator precedence and constants', () => {
+      const formula = compile('k * HPI + 2 ^ 3 ^ 0 - -1', [{ name: 'k', description: 'Factor', value: 0.05 }]);
+      assert.deepEqual(formulaEvaluator.evaluate(formula, context), { value: 5, category: 'Unsafe' });
+    });
+
+    it('aggregates per-metal variables over the metals', () => {
+      assert.equal(formulaEvaluator.evaluate(compile('sqrt(sum(CFi^2) / n)'), context).value, 1.4577);
+      assert.equal(formulaEvaluator.evaluate(compile('mean(CFi)'), context).value, 1.25);
+      assert.equal(formulaEvaluator.evaluate(compile('geomean(CFi)'), context).value, 1);
+      assert.equal(formulaEvaluator.evaluate(compile('count(CFi)'), context).value, 2);
+      assert.equal(formulaEvaluator.evaluate(compile('max(CFi)'), context).value, 2);
+      assert.equal(formulaEvaluator.evaluate(compile('max(1, 4, 2)'), context).value, 4);
+    });
+
+    it('leaves metals lacking a variable out of aggregates', () => {
+      const metals = [...context.metals, { metal: 'Cu', Ci: 1, Si: 2 }];
+      assert.equal(formulaEvaluator.evaluate(compile('count(CFi)'), { ...context, metals }).value, 2);
+    });
+
+    it('evaluates per-metal formulas for every metal and reports the highest', () => {
+      const result = formulaEvaluator.evaluate(compile('Ci / Si'), context);
+      assert.equal(result.value, 2);
+      assert.equal(result.category, 'Mid');
+      assert.deepEqual(result.metals, {
+        As: { value: 2, category: 'Mid' },
+        Pb: { value: 0.5, category: 'Safe' }
+      });
+    });
+
+    it('rejects results that are not finite', () => {
+      assert.throws(() => formulaEvaluator.evaluate(compile('HPI / 0'), context), /not a finite number/);
+    });
+
+    it('fails when a global variable is unknown for the sample', () => {
+      assert.throws(() => formulaEvaluator.evaluate(compile('PLI * 2'), context), /PLI is not known for this sample/);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import trendAnalyzer from '../src/utils/trendAnalyzer.js';
+
+const series = (startYear, values) => values.map((value, index) => ({ year: startYear + index, value }));
+
+describe('trendAnalyzer', () => {
+  describe('normalCdf', () => {
+    it('matches the standard normal distribution', () => {
+      assert.ok(Math.abs(trendAnalyzer.normalCdf(0) - 0.5) < 1e-7);
+      assert.ok(Math.abs(trendAnalyzer.normalCdf(1.96) - 0.975) < 1e-4);
+      assert.ok(Math.abs(trendAnalyzer.normalCdf(-1.96) - 0.025) < 1e-4);
+    });
+  });
+
+  describe('mannKendall', () => {
+    it('scores a strictly increasing series', () => {
+      const result = trendAnalyzer.mannKendall([1, 2, 3, 4, 5]);
+      assert.equal(result.s, 10);
+      assert.ok(Math.abs(result.variance - 50 / 3) < 1e-9);
+      assert.ok(Math.abs(result.z - 9 / Math.sqrt(50 / 3)) < 1e-9);
+      assert.equal(result.tau, 1);
+      assert.ok(result.pValue > 0.02 && result.pValue < 0.03);
+    });
+
+    it('corrects the variance for ties', () => {
+      // One group of 2 ties: (5*4*15 - 2*1*9) / 18
+      const result = trendAnalyzer.mannKendall([1, 2, 2, 3, 4]);
+      assert.equal(result.s, 9);
+      assert.ok(Math.abs(result.variance - 282 / 18) < 1e-9);
+    });
+
+    it('finds no trend in a flat series', () => {
+      const result = trendAnalyzer.mannKendall([3, 3, 3, 3]);
+      assert.equal(result.s, 0);
+      assert.equal(result.z, 0);
+      assert.ok(Math.abs(result.pValue - 1) < 1e-7);
+    });
+  });
+
+  describe('sensSlope', () => {
+    it('takes the median of the pairwise slopes', () => {
+      assert.equal(trendAnalyzer.sensSlope(series(2015, [1, 2, 3, 4])), 1);
+      // Slopes -96, 1, 1, 1, 49.5 and 98, so the outlier does not move the median
+      assert.equal(trendAnalyzer.sensSlope(series(2015, [1, 2, 100, 4])), 1);
+      assert.equal(trendAnalyzer.sensSlope(series(2015, [0, 4, 2])), 1);
+    });
+
+    it('divides by the years between samples', () => {
+      assert.equal(trendAnalyzer.sensSlope([{ year: 2010, value: 0 }, { year: 2014, value: 2 }]), 0.5);
+    });
+  });
+
+  describe('analyze', () => {
+    it('needs enough sampled years', () => {
+      const result = trendAnalyzer.analyze(series(2018, [1, null, 2, 3]));
+      assert.equal(result.years, 3);
+      assert.equal(result.direction, 'insufficient data');
+      assert.equal(result.significant, false);
+    });
+
+    it('reports a significant increase', () => {
+      const result = trendAnalyzer.analyze(series(2015, [0.01, 0.012, 0.015, 0.02, 0.026, 0.03]));
+      assert.equal(result.from, 2015);
+      assert.equal(result.to, 2020);
+      assert.equal(result.s, 15);
+      assert.equal(result.significant, true);
+      assert.equal(result.direction, 'increasing');
+      assert.equal(result.confidenceLevel, '99%');
+    });
+
+    it('reports a decrease only when it passes the requested level', () => {
+      const points = series(2015, [5, 4, 3, 2, 1]);
+      assert.equal(trendAnalyzer.analyze(points, 0.05).direction, 'decreasing');
+      assert.equal(trendAnalyzer.analyze(points, 0.01).direction, 'no trend');
+      assert.equal(trendAnalyzer.analyze(points, 0.01).confidenceLevel, '95%');
+    });
+  });
+
+  describe('resolveAlpha', () => {
+    it('accepts only the usual significance levels', () => {
+      assert.equal(trendAnalyzer.resolveAlpha({}), trendAnalyzer.alpha);
+      assert.equal(trendAnalyzer.resolveAlpha({ alpha: '0.1' }), 0.1);
+      assert.throws(() => trendAnalyzer.resolveAlpha({ alpha: '0.2' }), { statusCode: 400 });
+    });
+  });
+
+  describe('analyzeRecords', () => {
+    const records = [2016, 2017, 2018, 2019, 2020].map((year, index) => ({
+      sampleInfo: { year },
+      heavyMetals: {
+        As: { value: 10 + index * 5, unit: 'ppb' },
+        Pb: { value: 0.05 - index * 0.01, unit: 'ppm' }
+      },
+      environmentalParams: { pH: { value: 6 + index * 0.5 } },
+      pollutionIndices: { hpi: { value: 20 + index * 10 } }
+    }));
+
+    it('analyzes every series and lists the worsening metals and indices', () => {
+      const result = trendAnalyzer.analyzeRecords(records);
+      assert.equal(result.sampleCount, 5);
+      assert.deepEqual(result.years, { from: 2016, to: 2020 });
+      assert.equal(result.trends.metals.AS.unit, 'mg/L');
+      assert.equal(result.trends.metals.AS.sensSlope, 0.005);
+      assert.equal(result.trends.metals.PB.direction, 'decreasing');
+      assert.equal(result.trends.environmentalParams.pH.direction, 'increasing');
+      // pH rising is not counted as worsening
+      assert.deepEqual(result.worsening, ['AS', 'hpi']);
+    });
+
+    it('limits the metals to the requested one', () => {
+      const result = trendAnalyzer.analyzeRecords(records, { metal: 'pb' });
+      assert.deepEqual(Object.keys(result.trends.metals), ['PB']);
+      assert.deepEqual(Object.keys(result.trends.indices), ['hpi']);
+    });
+  });
+});
\ No newline at end of file